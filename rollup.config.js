@@ -2,10 +2,51 @@ import babel from 'rollup-plugin-babel'
 import commonjs from 'rollup-plugin-commonjs'
 import json from 'rollup-plugin-json'
 import resolve from 'rollup-plugin-node-resolve'
-import { uglify } from 'rollup-plugin-uglify'
-import { minify } from 'uglify-es'
+import { execSync } from 'child_process'
 import { main, module, dependencies } from './package.json'
 
+/**
+ * Get the short hash of the commit to build, the `BUILD_COMMIT` environment
+ * variable takes precedence for builds without git.
+ * @returns {string} - The short hash of the commit.
+ */
+function getCommit() {
+  if (process.env.BUILD_COMMIT) {
+    return process.env.BUILD_COMMIT
+  }
+
+  try {
+    return execSync('git rev-parse --short HEAD', {
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).toString().trim()
+  } catch (err) {
+    return 'unknown'
+  }
+}
+
+/**
+ * Plugin to bake the commit into the build, so it is known without git at
+ * runtime.
+ * @returns {Object} - The rollup plugin.
+ */
+function buildInfo() {
+  const commit = JSON.stringify(getCommit())
+
+  return {
+    name: 'build-info',
+    transform(code) {
+      if (!code.includes('process.env.BUILD_COMMIT')) {
+        return null
+      }
+
+      return {
+        code: code.replace(/process\.env\.BUILD_COMMIT/g, commit),
+        map: null
+      }
+    }
+  }
+}
+
 export default {
   input: './src/index.js',
   external: [
@@ -19,9 +60,9 @@ export default {
       preferBuiltins: true,
     }),
     json(),
+    buildInfo(),
     babel(),
     commonjs(),
-    // uglify({}, minify),
   ],
   output: [
     {
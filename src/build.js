@@ -0,0 +1,9 @@
+// @flow
+
+/**
+ * The short hash of the commit the build is made from. It is baked in by
+ * the `buildInfo` plugin of `rollup.config.js`, when running from the
+ * sources the `BUILD_COMMIT` environment variable is used.
+ * @type {string}
+ */
+export const commit: string = process.env.BUILD_COMMIT || 'unknown'
@@ -0,0 +1,277 @@
+// @flow
+import {
+  ApiError,
+  IController,
+  PopApi,
+  statusCodes
+} from '@pct-org/pop-api'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+import LeaseLock from '../scraper/LeaseLock'
+import { BaseProvider } from '../scraper/providers'
+import { Cron, requireToken } from '../middleware'
+
+/**
+ * Class for starting and cancelling scrapes and pausing the cron jobs
+ * without restarting the process.
+ * @type {AdminController}
+ * @implements {IController}
+ */
+export default class AdminController extends IController {
+
+  /**
+   * The lease lock to list the locks of the provider configs with.
+   * @type {LeaseLock}
+   */
+  lock: LeaseLock
+
+  /**
+   * Create a new admin controller.
+   * @param {!Object} options - The options for the admin controller.
+   * @param {?LeaseLock} [options.lock] - The lease lock to list the locks of
+   * the provider configs with.
+   */
+  constructor({ lock = new LeaseLock() }: Object = {}): void {
+    super()
+
+    /**
+     * The lease lock to list the locks of the provider configs with.
+     * @type {LeaseLock}
+     */
+    this.lock = lock
+  }
+
+  /**
+   * Register the routes for the admin controller to the Express instance.
+   * @param {!Object} router - The express router to register the routes to.
+   * @param {?PopApi} [PopApi] - The PopApi instance.
+   * @returns {undefined}
+   */
+  registerRoutes(router: any, PopApi?: any): void {
+    router.get('/admin/scrape', requireToken(), this.getScrape.bind(this))
+    router.post('/admin/scrape', requireToken(), this.startScrape.bind(this))
+    router.post(
+      '/admin/scrape/cancel',
+      requireToken(),
+      this.cancelScrape.bind(this)
+    )
+    router.get('/admin/locks', requireToken(), this.getLocks.bind(this))
+    router.post('/admin/cron/pause', requireToken(), this.pauseCron.bind(this))
+    router.post(
+      '/admin/cron/resume',
+      requireToken(),
+      this.resumeCron.bind(this)
+    )
+  }
+
+  /**
+   * Create a public error for an admin request.
+   * @param {!string} message - The message of the error.
+   * @param {!number} status - The status code of the error.
+   * @returns {ApiError} - A public error.
+   */
+  toApiError(message: string, status: number): ApiError {
+    return new ApiError({
+      message,
+      status,
+      isPublic: true
+    })
+  }
+
+  /**
+   * Get the Cron middleware which manages the scrapes.
+   * @returns {Cron} - The Cron middleware.
+   * @throws {ApiError} - When the Cron middleware is not registered.
+   */
+  getScheduler(): Cron {
+    if (!PopApi.scheduler) {
+      throw this.toApiError(
+        'The scraper is not running on this process',
+        statusCodes.SERVICE_UNAVAILABLE
+      )
+    }
+
+    return PopApi.scheduler
+  }
+
+  /**
+   * Get the state of the scrapes and the cron jobs.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Object} - The state of the scrapes and the cron jobs.
+   */
+  getScrape(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Object | mixed {
+    try {
+      return res.json(this.getScheduler().getState(PopApi))
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+  /**
+   * Start a scrape of all the enabled providers, or of one config with the
+   * `name` in the body. The mode can be set with the `mode` in the body and
+   * is `incremental` by default. The scrape runs in the background, a config
+   * can be scraped while the other providers are running.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Object} - The state of the started scrape.
+   */
+  startScrape(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Object | mixed {
+    try {
+      const scheduler = this.getScheduler()
+      const {
+        name,
+        mode = BaseProvider.Modes.Incremental
+      } = req.body || {}
+
+      if (!Object.values(BaseProvider.Modes).includes(mode)) {
+        return next(this.toApiError(
+          `'${mode}' is not a valid mode`,
+          statusCodes.BAD_REQUEST
+        ))
+      }
+
+      const found = name ? scheduler.findConfig(String(name)) : null
+
+      if (name && !found) {
+        return next(this.toApiError(
+          `No config found with the name '${name}'`,
+          statusCodes.NOT_FOUND
+        ))
+      }
+      if (scheduler.isRunning(found ? found.Provider.name : undefined)) {
+        return next(this.toApiError(
+          'A scrape is already running',
+          statusCodes.CONFLICT
+        ))
+      }
+
+      scheduler.scrape(PopApi, mode, name ? String(name) : undefined)
+
+      return res.status(statusCodes.ACCEPTED)
+        .json(scheduler.getState(PopApi))
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+  /**
+   * Cancel the running scrapes of all the instances gracefully.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The state of the cancelled scrape.
+   */
+  async cancelScrape(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const scheduler = this.getScheduler()
+
+      if (!(await scheduler.cancel(PopApi))) {
+        return next(this.toApiError(
+          'No scrape is running',
+          statusCodes.CONFLICT
+        ))
+      }
+
+      return res.status(statusCodes.ACCEPTED)
+        .json(scheduler.getState(PopApi))
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+  /**
+   * Get the locks of the provider configs which are held by the instances of
+   * the scraper.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The held locks.
+   */
+  async getLocks(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const locks = await this.lock.list()
+
+      return res.json({
+        owner: this.lock.owner,
+        locks
+      })
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+  /**
+   * Pause the cron jobs, a running scrape keeps running.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Object} - The state of the cron jobs.
+   */
+  pauseCron(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Object | mixed {
+    try {
+      const scheduler = this.getScheduler()
+      scheduler.pause(PopApi)
+
+      return res.json(scheduler.getState(PopApi))
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+  /**
+   * Resume the paused cron jobs.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Object} - The state of the cron jobs.
+   */
+  resumeCron(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Object | mixed {
+    try {
+      const scheduler = this.getScheduler()
+      scheduler.resume(PopApi)
+
+      return res.json(scheduler.getState(PopApi))
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+}
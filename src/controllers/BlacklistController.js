@@ -0,0 +1,219 @@
+// @flow
+import { ApiError, IController, statusCodes } from '@pct-org/pop-api'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+import Blacklist from '../scraper/Blacklist'
+import { requireToken } from '../middleware'
+
+/**
+ * Class for managing the content the providers skip while scraping.
+ * @type {BlacklistController}
+ * @implements {IController}
+ */
+export default class BlacklistController extends IController {
+
+  /**
+   * The blacklist to manage.
+   * @type {Blacklist}
+   */
+  blacklist: Blacklist
+
+  /**
+   * Create a new blacklist controller.
+   * @param {!Object} options - The options for the blacklist controller.
+   * @param {?Blacklist} [options.blacklist] - The blacklist to manage.
+   */
+  constructor({ blacklist = new Blacklist() }: Object = {}): void {
+    super()
+
+    /**
+     * The blacklist to manage.
+     * @type {Blacklist}
+     */
+    this.blacklist = blacklist
+  }
+
+  /**
+   * Register the routes for the blacklist controller to the Express instance.
+   * @param {!Object} router - The express router to register the routes to.
+   * @param {?PopApi} [PopApi] - The PopApi instance.
+   * @returns {undefined}
+   */
+  registerRoutes(router: any, PopApi?: any): void {
+    router.get('/blacklist', this.getEntries.bind(this))
+    router.post('/blacklist', requireToken(), this.banEntry.bind(this))
+    router.get('/blacklist/:id', this.getEntry.bind(this))
+    router.put('/blacklist/:id', requireToken(), this.extendEntry.bind(this))
+    router.delete(
+      '/blacklist/:id',
+      requireToken(),
+      this.removeEntry.bind(this)
+    )
+  }
+
+  /**
+   * Create an error for a request which is not valid.
+   * @param {!Error} err - The error of the request.
+   * @returns {ApiError|Error} - A public error for a validation error.
+   */
+  toApiError(err: Error): ApiError | Error {
+    if (!(err instanceof TypeError)) {
+      return err
+    }
+
+    return new ApiError({
+      message: err.message,
+      status: statusCodes.BAD_REQUEST,
+      isPublic: true
+    })
+  }
+
+  /**
+   * Create an error for an entry which does not exist.
+   * @param {!string} id - The id of the entry.
+   * @returns {ApiError} - A public not found error.
+   */
+  notFound(id: string): ApiError {
+    return new ApiError({
+      message: `No blacklist entry found for '${id}'`,
+      status: statusCodes.NOT_FOUND,
+      isPublic: true
+    })
+  }
+
+  /**
+   * List the entries, filtered by the `reason` and `type` query parameters.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The entries.
+   */
+  async getEntries(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { reason, type } = req.query
+      const entries = await this.blacklist.list({
+        reason,
+        type
+      })
+
+      return res.json(entries)
+
+    } catch (err) {
+      return next(this.toApiError(err))
+    }
+  }
+
+  /**
+   * Get an entry with the date it expires at.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The entry.
+   */
+  async getEntry(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { id } = req.params
+      const entry = await this.blacklist.get(id)
+
+      return entry ? res.json(entry) : next(this.notFound(id))
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+  /**
+   * Extend an entry with the `weeks` or `until` attributes of the body.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The extended entry.
+   */
+  async extendEntry(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { id } = req.params
+      const { weeks, until } = req.body || {}
+      const entry = await this.blacklist.extend(id, {
+        weeks,
+        until
+      })
+
+      return entry ? res.json(entry) : next(this.notFound(id))
+
+    } catch (err) {
+      return next(this.toApiError(err))
+    }
+  }
+
+  /**
+   * Remove an entry so its content gets scraped again.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The removed entry.
+   */
+  async removeEntry(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { id } = req.params
+      const entry = await this.blacklist.remove(id)
+
+      return entry ? res.json(entry) : next(this.notFound(id))
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+  /**
+   * Add a permanent entry with the `id`, `type` and `title` attributes of the
+   * body.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The permanent entry.
+   */
+  async banEntry(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { id, type, title } = req.body || {}
+
+      if (!id) {
+        throw new TypeError('An \'id\' is required to add an entry')
+      }
+
+      const entry = await this.blacklist.ban(String(id), {
+        type,
+        title
+      })
+
+      return res.status(statusCodes.CREATED).json(entry)
+
+    } catch (err) {
+      return next(this.toApiError(err))
+    }
+  }
+
+}
@@ -0,0 +1,122 @@
+// @flow
+import { BaseContentController } from '@pct-org/pop-api'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+/**
+ * Class for getting the scraped content from the database.
+ * @type {ContentController}
+ * @extends {BaseContentController}
+ */
+export default class ContentController extends BaseContentController {
+
+  /**
+   * Register the read only routes for the content controller to the Express
+   * instance.
+   * @override
+   * @param {!Object} router - The express router to register the routes to.
+   * @param {?PopApi} [PopApi] - The PopApi instance.
+   * @returns {undefined}
+   */
+  registerRoutes(router: any, PopApi?: any): void {
+    const t = this.basePath
+
+    router.get(`/${t}s`, this.getContents.bind(this))
+    router.get(`/${t}s/:page`, this.getPage.bind(this))
+    router.get(`/${t}/:id`, this.getContent.bind(this))
+    router.get(`/random/${t}`, this.getRandomContent.bind(this))
+  }
+
+  /**
+   * Get the sort object for a sort method.
+   * @override
+   * @param {!string} sort - The sort method, one of `name`, `rating`,
+   * `released`, `trending`, `updated` or `year`.
+   * @param {!number} order - The way to sort the property.
+   * @returns {Object} - The sort object.
+   */
+  sortContent(sort: string, order: number): Object {
+    switch (sort.toLowerCase()) {
+      case 'name':
+        return {
+          title: order
+        }
+      case 'released':
+      case 'year':
+        return {
+          released: order
+        }
+      case 'trending':
+        return {
+          'rating.watching': order
+        }
+      case 'updated':
+        return {
+          updatedAt: order
+        }
+      case 'rating':
+      default:
+        return {
+          'rating.percentage': order,
+          'rating.votes': order
+        }
+    }
+  }
+
+  /**
+   * Get the query to filter the content with from the query parameters.
+   * @param {!Object} params - The query parameters of the request.
+   * @param {?string} [params.keywords] - Keywords to match the title with.
+   * @param {?string} [params.genre] - The genre the content should have.
+   * @returns {Object} - The query for the content service.
+   */
+  getQuery({ keywords, genre }: Object): Object {
+    const query = {
+      ...this.service.query
+    }
+
+    if (typeof keywords === 'string' && keywords.trim() !== '') {
+      const words = keywords.trim()
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .split(/\s+/)
+        .join('.*')
+
+      query.title = new RegExp(words, 'i')
+    }
+
+    if (typeof genre === 'string' && !genre.match(/^all$/i)) {
+      query.genres = genre.toLowerCase()
+    }
+
+    return query
+  }
+
+  /**
+   * Get content from one page, filtered with the `keywords` and `genre` and
+   * sorted with the `sort` and `order` query parameters.
+   * @override
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Array<Object>, Error>} - The content of one page.
+   */
+  getPage(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Array<Object> | mixed> {
+    const { page } = req.params
+    const { sort, order } = req.query
+
+    const o = parseInt(order, 10) ? parseInt(order, 10) : -1
+    const s = this.sortContent(typeof sort === 'string' ? sort : 'rating', o)
+
+    return this.service.getPage(s, Number(page), this.getQuery(req.query))
+      .then(content => this.checkEmptyContent(res, content))
+      .catch(err => next(err))
+  }
+
+}
@@ -0,0 +1,215 @@
+// @flow
+import fs from 'fs'
+import mongoose from 'mongoose'
+import { resolve } from 'path'
+import { IController, PopApi, statusCodes } from '@pct-org/pop-api'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+import RunHistory from '../scraper/RunHistory'
+import { commit } from '../build'
+import { version } from '../../package.json'
+
+/**
+ * Class for the liveness and readiness probes of the API, the probes do not
+ * run external commands so they stay cheap.
+ * @type {HealthController}
+ * @implements {IController}
+ */
+export default class HealthController extends IController {
+
+  /**
+   * The `readyState` of a connected mongoose connection.
+   * @type {number}
+   */
+  static Connected: number = 1
+
+  /**
+   * The statuses of a scheduled cron task.
+   * @type {Array<string>}
+   */
+  static CronStatuses: Array<string> = [
+    'scheduled',
+    'running'
+  ]
+
+  /**
+   * The history of the runs to check the latest runs with.
+   * @type {RunHistory}
+   */
+  history: RunHistory
+
+  /**
+   * Create a new health controller.
+   * @param {!Object} options - The options for the health controller.
+   * @param {?RunHistory} [options.history] - The history of the runs to
+   * check the latest runs with.
+   */
+  constructor({ history = new RunHistory() }: Object = {}): void {
+    super()
+
+    /**
+     * The history of the runs to check the latest runs with.
+     * @type {RunHistory}
+     */
+    this.history = history
+  }
+
+  /**
+   * Register the routes for the health controller to the Express instance.
+   * @param {!Object} router - The express router to register the routes to.
+   * @param {?PopApi} [PopApi] - The PopApi instance.
+   * @returns {undefined}
+   */
+  registerRoutes(router: any, PopApi?: any): void {
+    router.get('/health/live', this.getLive.bind(this))
+    router.get('/health/ready', this.getReady.bind(this))
+  }
+
+  /**
+   * Check if MongoDB is connected.
+   * @returns {Object} - The result of the check.
+   */
+  checkMongo(): Object {
+    const { readyState } = mongoose.connection
+
+    return {
+      ok: readyState === HealthController.Connected,
+      readyState
+    }
+  }
+
+  /**
+   * Check if the temporary directory is writable.
+   * @returns {Promise<Object>} - The result of the check.
+   */
+  async checkTempDir(): Promise<Object> {
+    const path = resolve(process.env.TEMP_DIR || '')
+
+    try {
+      await fs.promises.access(path, fs.constants.W_OK)
+
+      return {
+        ok: true,
+        path
+      }
+    } catch (err) {
+      return {
+        ok: false,
+        path,
+        error: err.message
+      }
+    }
+  }
+
+  /**
+   * Check if the cron of the incremental scrapes is scheduled. A cron which
+   * is paused with the admin API does not make the API unready.
+   * @returns {Object} - The result of the check.
+   */
+  checkCron(): Object {
+    const status = PopApi.cron ? PopApi.cron.getStatus() : null
+    const paused = PopApi.scheduler ? PopApi.scheduler.isPaused() : false
+
+    return {
+      ok: HealthController.CronStatuses.includes(status) || paused,
+      status,
+      paused
+    }
+  }
+
+  /**
+   * Check if the latest run of every config did not fail. A failed run does
+   * not make the API unready, the upstream providers are out of our hands.
+   * @param {!boolean} connected - Whether MongoDB is connected.
+   * @returns {Promise<Object>} - The result of the check.
+   */
+  async checkLastRuns(connected: boolean): Promise<Object> {
+    if (!connected) {
+      return {
+        ok: false,
+        error: 'MongoDB is not connected'
+      }
+    }
+
+    try {
+      const failed = (await this.history.latest())
+        .filter(run => run.status === RunHistory.Statuses.Failed)
+        .map(({ _id, name, error, startedAt }) => ({
+          _id,
+          name,
+          error,
+          startedAt
+        }))
+
+      return {
+        ok: failed.length === 0,
+        failed
+      }
+    } catch (err) {
+      return {
+        ok: false,
+        error: err.message
+      }
+    }
+  }
+
+  /**
+   * Check if the process is alive.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Object} - The status of the process.
+   */
+  getLive(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Object {
+    return res.json({
+      status: 'ok',
+      version,
+      commit,
+      uptime: process.uptime() | 0 // eslint-disable-line no-bitwise
+    })
+  }
+
+  /**
+   * Check if the API is ready, it is not ready when MongoDB is not connected,
+   * the temporary directory is not writable or the cron is not scheduled.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The results of the checks.
+   */
+  async getReady(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const mongo = this.checkMongo()
+      const checks = {
+        mongo,
+        tempDir: await this.checkTempDir(),
+        cron: this.checkCron(),
+        lastRuns: await this.checkLastRuns(mongo.ok)
+      }
+      const ready = checks.mongo.ok && checks.tempDir.ok && checks.cron.ok
+      const code = ready ? statusCodes.OK : statusCodes.SERVICE_UNAVAILABLE
+
+      return res.status(code).json({
+        status: ready ? 'ready' : 'unready',
+        commit,
+        checks
+      })
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+}
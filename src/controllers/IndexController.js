@@ -1,13 +1,14 @@
 // @flow
 import { join, resolve } from 'path'
-import { parseExpression } from 'cron-parser'
-import { IController, PopApi, utils } from '@pct-org/pop-api'
+import { IController, PopApi } from '@pct-org/pop-api'
 import type { $Request, $Response, NextFunction } from 'express'
 import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
 import { ShowModel } from '@pct-org/mongo-models/dist/show/show.model'
 import express from 'express'
 import serveIndex from 'serve-index'
 
+import RunHistory from '../scraper/RunHistory'
+import { commit } from '../build'
 import { repository, version } from '../../package.json'
 
 /**
@@ -23,6 +24,12 @@ export default class IndexController extends IController {
    */
   static _Server: string = 'serv01'
 
+  /**
+   * The history of the runs to show the latest runs from.
+   * @type {RunHistory}
+   */
+  static _RunHistory: RunHistory = new RunHistory()
+
   /**
    * Register the routes for the index controller to the Express instance.
    * @param {!Object} router - The express router to register the routes to.
@@ -45,6 +52,14 @@ export default class IndexController extends IController {
     router.get('/status', this.getIndex)
   }
 
+  /**
+   * Get the schedules of the scrapes with the next time they run.
+   * @returns {Array<Object>} - The schedules of the scrapes.
+   */
+  static _getSchedules(): Array<Object> {
+    return PopApi.scheduler ? PopApi.scheduler.getSchedules() : []
+  }
+
   /**
    * Get general information about the server.
    * @param {!Object} req - The ExpressJS request object.
@@ -58,39 +73,39 @@ export default class IndexController extends IController {
     next: NextFunction,
   ): Promise<Object | mixed> {
     try {
-      const commit = await utils.executeCommand('git', [
-        'rev-parse',
-        '--short',
-        'HEAD',
-      ])
-
       let updated = null
-      let nextUpdate = null
       let status = null
 
       try {
         updated = await PopApi.scraper.getUpdated()
         status = await PopApi.scraper.getStatus()
-
-        nextUpdate = parseExpression(process.env.CRON_TIME, {}).next().toString()
       } catch (e) {
         // File does not exist do nothing
       }
 
+      // The next update is the first schedule which scrapes any configs
+      const schedules = IndexController._getSchedules()
+      const nextRuns = schedules
+        .filter(s => s.nextRun && s.configs.length > 0)
+        .map(s => s.nextRun.getTime())
+      const nextUpdate = nextRuns.length > 0 ? Math.min(...nextRuns) : null
+
       return res.json({
         repo: repository.url,
         version,
-        commit: commit.trim(),
+        commit,
         server: IndexController._Server,
         status: status || 'idle',
         totalMovies: await MovieModel.countDocuments().exec(),
         totalShows: await ShowModel.countDocuments().exec(),
+        latestRuns: await IndexController._RunHistory.latest(),
         updated: updated > 0
           ? new Date(updated * 1000).toLocaleString()
           : 'never',
         nextUpdate: nextUpdate
           ? new Date(nextUpdate).toLocaleString()
           : 'unknown',
+        schedules,
         uptime: process.uptime() | 0, // eslint-disable-line no-bitwise
       })
     } catch (err) {
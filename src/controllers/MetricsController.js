@@ -0,0 +1,73 @@
+// @flow
+import { IController } from '@pct-org/pop-api'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+import { registry as scraperRegistry } from '../scraper/metrics'
+import { Registry } from '../scraper/prometheus'
+
+/**
+ * Class for exposing the metrics of the scraper to Prometheus.
+ * @type {MetricsController}
+ * @implements {IController}
+ */
+export default class MetricsController extends IController {
+
+  /**
+   * The registry with the metrics to expose.
+   * @type {Registry}
+   */
+  registry: Registry
+
+  /**
+   * Create a new metrics controller.
+   * @param {!Object} options - The options for the metrics controller.
+   * @param {?Registry} [options.registry] - The registry with the metrics to
+   * expose.
+   */
+  constructor({ registry = scraperRegistry }: Object = {}): void {
+    super()
+
+    /**
+     * The registry with the metrics to expose.
+     * @type {Registry}
+     */
+    this.registry = registry
+  }
+
+  /**
+   * Register the routes for the metrics controller to the Express instance.
+   * @param {!Object} router - The express router to register the routes to.
+   * @param {?PopApi} [PopApi] - The PopApi instance.
+   * @returns {undefined}
+   */
+  registerRoutes(router: any, PopApi?: any): void {
+    router.get('/metrics', this.getMetrics.bind(this))
+  }
+
+  /**
+   * Get the metrics in the Prometheus text format.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The formatted metrics.
+   */
+  async getMetrics(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const metrics = await this.registry.format()
+
+      return res.set('Content-Type', Registry.ContentType).send(metrics)
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+}
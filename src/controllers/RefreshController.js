@@ -0,0 +1,90 @@
+// @flow
+import { ApiError, IController, statusCodes } from '@pct-org/pop-api'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+import providers from '../scraper'
+import Refresher from '../scraper/Refresher'
+import { requireToken } from '../middleware'
+
+/**
+ * Class for scraping one movie or show again on demand.
+ * @type {RefreshController}
+ * @implements {IController}
+ */
+export default class RefreshController extends IController {
+
+  /**
+   * The refresher to scrape the titles with.
+   * @type {Refresher}
+   */
+  refresher: Refresher
+
+  /**
+   * Create a new refresh controller.
+   * @param {!Object} options - The options for the refresh controller.
+   * @param {?Refresher} [options.refresher] - The refresher to scrape the
+   * titles with.
+   */
+  constructor({
+    refresher = new Refresher({
+      providers
+    })
+  }: Object = {}): void {
+    super()
+
+    /**
+     * The refresher to scrape the titles with.
+     * @type {Refresher}
+     */
+    this.refresher = refresher
+  }
+
+  /**
+   * Register the routes for the refresh controller to the Express instance.
+   * @param {!Object} router - The express router to register the routes to.
+   * @param {?PopApi} [PopApi] - The PopApi instance.
+   * @returns {undefined}
+   */
+  registerRoutes(router: any, PopApi?: any): void {
+    router.post('/refresh/:id', requireToken(), this.refresh.bind(this))
+  }
+
+  /**
+   * Scrape a movie or show again with all the enabled providers.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The title with the results of every
+   * config.
+   */
+  async refresh(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    let item
+    try {
+      item = await this.refresher.findItem(req.params.id)
+    } catch (err) {
+      return next(new ApiError({
+        message: err.message || String(err),
+        status: statusCodes.NOT_FOUND,
+        isPublic: true
+      }))
+    }
+
+    try {
+      const refreshed = await this.refresher.refresh(item)
+
+      return res.json(refreshed)
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+}
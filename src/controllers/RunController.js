@@ -0,0 +1,221 @@
+// @flow
+import { ApiError, IController, statusCodes } from '@pct-org/pop-api'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+import ChangeModel, {
+  ChangeTypes,
+  retentionDays
+} from '../models/ChangeModel'
+import RunHistory from '../scraper/RunHistory'
+
+/**
+ * Class for showing the runs of the scraper with their metrics and changes.
+ * @type {RunController}
+ * @implements {IController}
+ */
+export default class RunController extends IController {
+
+  /**
+   * The model of the changes made by the runs.
+   * @type {MongooseModel}
+   */
+  Change: any
+
+  /**
+   * The history of the runs.
+   * @type {RunHistory}
+   */
+  history: RunHistory
+
+  /**
+   * Create a new run controller.
+   * @param {!Object} options - The options for the run controller.
+   * @param {?MongooseModel} [options.Change=ChangeModel] - The model of the
+   * changes made by the runs.
+   * @param {?RunHistory} [options.history] - The history of the runs.
+   */
+  constructor({
+    Change = ChangeModel,
+    history = new RunHistory()
+  }: Object = {}): void {
+    super()
+
+    /**
+     * The model of the changes made by the runs.
+     * @type {MongooseModel}
+     */
+    this.Change = Change
+    /**
+     * The history of the runs.
+     * @type {RunHistory}
+     */
+    this.history = history
+  }
+
+  /**
+   * Register the routes for the run controller to the Express instance.
+   * @param {!Object} router - The express router to register the routes to.
+   * @param {?PopApi} [PopApi] - The PopApi instance.
+   * @returns {undefined}
+   */
+  registerRoutes(router: any, PopApi?: any): void {
+    router.get('/runs', this.getRuns.bind(this))
+    router.get('/runs/:id', this.getRun.bind(this))
+    router.get('/runs/:id/changes', this.getChanges.bind(this))
+  }
+
+  /**
+   * Create an error for a request which is not valid.
+   * @param {!Error} err - The error of the request.
+   * @returns {ApiError|Error} - A public error for a validation error.
+   */
+  toApiError(err: Error): ApiError | Error {
+    if (!(err instanceof TypeError)) {
+      return err
+    }
+
+    return new ApiError({
+      message: err.message,
+      status: statusCodes.BAD_REQUEST,
+      isPublic: true
+    })
+  }
+
+  /**
+   * Create an error for a run which does not exist.
+   * @param {!string} id - The id of the run.
+   * @returns {ApiError} - A public not found error.
+   */
+  notFound(id: string): ApiError {
+    return new ApiError({
+      message: `No run found for '${id}'`,
+      status: statusCodes.NOT_FOUND,
+      isPublic: true
+    })
+  }
+
+  /**
+   * List the runs, filtered by the `name`, `provider` and `status` query
+   * parameters. The amount of runs can be set with the `limit` query
+   * parameter.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The runs.
+   */
+  async getRuns(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { name, provider, status, limit } = req.query
+      const runs = await this.history.list({
+        name,
+        provider,
+        status
+      }, limit)
+
+      return res.json(runs)
+
+    } catch (err) {
+      return next(this.toApiError(err))
+    }
+  }
+
+  /**
+   * Get a run with its metrics.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The run.
+   */
+  async getRun(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { id } = req.params
+      const run = await this.history.get(id)
+
+      return run ? res.json(run) : next(this.notFound(id))
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+  /**
+   * Get the changeset of a run, grouped by the type of change. The changes
+   * can be filtered by the `type` query parameter. A stored run without
+   * changes has an empty changeset.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The changeset of the run.
+   */
+  async getChanges(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { id } = req.params
+      const { type } = req.query
+      const types = Object.values(ChangeTypes)
+
+      if (type && !types.includes(type)) {
+        return next(new ApiError({
+          message: `'${type}' is not a valid type of change`,
+          status: statusCodes.BAD_REQUEST,
+          isPublic: true
+        }))
+      }
+
+      const changes = await this.Change.find({
+        runId: id,
+        ...(type && {
+          type
+        })
+      }, {
+        runId: 0,
+        __v: 0
+      })
+        .sort({
+          createdAt: 1
+        })
+        .lean()
+        .exec()
+
+      if (changes.length === 0 && !(await this.history.get(id))) {
+        return next(new ApiError({
+          message: `No changes found for run '${id}', changes are kept for ${retentionDays} days`,
+          status: statusCodes.NOT_FOUND,
+          isPublic: true
+        }))
+      }
+
+      const grouped = types.reduce((acc, t) => ({
+        ...acc,
+        [t]: []
+      }), {})
+      changes.forEach(change => grouped[change.type].push(change))
+
+      return res.json({
+        runId: id,
+        total: changes.length,
+        retentionDays,
+        changes: grouped
+      })
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+}
@@ -0,0 +1,485 @@
+// @flow
+import { ApiError, IController, statusCodes } from '@pct-org/pop-api'
+import { EpisodeModel } from '@pct-org/mongo-models/dist/episode/episode.model'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import { ShowModel } from '@pct-org/mongo-models/dist/show/show.model'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+/**
+ * Class for searching through the scraped movies and shows.
+ * @type {SearchController}
+ * @implements {IController}
+ */
+export default class SearchController extends IController {
+
+  /**
+   * The models which can be searched, keyed by their type.
+   * @type {Object}
+   */
+  static Models: Object = {
+    movie: MovieModel,
+    show: ShowModel
+  }
+
+  /**
+   * The weights of the matched fields for the relevance score.
+   * @type {Object}
+   */
+  static Weights: Object = {
+    title: 3,
+    genres: 2,
+    synopsis: 1
+  }
+
+  /**
+   * The attributes of the items in the results.
+   * @type {Object}
+   */
+  static Projection: Object = {
+    '_id': 1,
+    'imdbId': 1,
+    'title': 1,
+    'slug': 1,
+    'type': 1,
+    'released': 1,
+    'certification': 1,
+    'synopsis': 1,
+    'genres': 1,
+    'rating': 1,
+    'images': 1,
+    'torrents.quality': 1,
+    'torrents.provider': 1,
+    'score': 1
+  }
+
+  /**
+   * The maximum items to display per page.
+   * @type {number}
+   */
+  pageSize: number
+
+  /**
+   * Create a new search controller.
+   * @param {!Object} options - The options for the search controller.
+   * @param {!number} [options.pageSize=25] - The maximum items to display per
+   * page.
+   */
+  constructor({ pageSize = 25 }: Object = {}): void {
+    super()
+
+    /**
+     * The maximum items to display per page.
+     * @type {number}
+     */
+    this.pageSize = pageSize
+  }
+
+  /**
+   * Register the routes for the search controller to the Express instance.
+   * @param {!Object} router - The express router to register the routes to.
+   * @param {?PopApi} [PopApi] - The PopApi instance.
+   * @returns {undefined}
+   */
+  registerRoutes(router: any, PopApi?: any): void {
+    router.get('/search', this.search.bind(this))
+  }
+
+  /**
+   * Split the keywords into escaped regular expression sources.
+   * @param {?string} [keywords] - The keywords to search for.
+   * @returns {Array<string>} - The escaped words of the keywords.
+   */
+  getWords(keywords?: string): Array<string> {
+    if (typeof keywords !== 'string') {
+      return []
+    }
+
+    return keywords.trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  }
+
+  /**
+   * Get the query to filter the content with, the words are matched with the
+   * titles, synopses and genres.
+   * @param {!Array<string>} words - The escaped words to search for.
+   * @param {!Object} filters - The filters of the request.
+   * @param {?string} [filters.genre] - The genre the content should have.
+   * @param {?string} [filters.certification] - The certification of the
+   * content.
+   * @param {?string} [filters.year] - The year the content was released.
+   * @param {?string} [filters.yearFrom] - The earliest release year.
+   * @param {?string} [filters.yearTo] - The latest release year.
+   * @param {?string} [filters.minRating] - The minimal rating percentage.
+   * @returns {Object} - The query to match the content with.
+   */
+  getQuery(words: Array<string>, {
+    genre,
+    certification,
+    year,
+    yearFrom,
+    yearTo,
+    minRating
+  }: Object): Object {
+    const query = {}
+
+    if (words.length > 0) {
+      const regex = new RegExp(words.join('|'), 'i')
+
+      query.$or = [
+        { title: regex },
+        { synopsis: regex },
+        { genres: regex }
+      ]
+    }
+
+    if (genre) {
+      query.genres = String(genre).toLowerCase()
+    }
+
+    if (certification) {
+      query.certification = String(certification)
+    }
+
+    const from = parseInt(year || yearFrom, 10)
+    const to = parseInt(year || yearTo, 10)
+
+    if (from || to) {
+      query.released = {}
+
+      if (from) {
+        query.released.$gte = Date.UTC(from, 0, 1)
+      }
+
+      if (to) {
+        query.released.$lt = Date.UTC(to + 1, 0, 1)
+      }
+    }
+
+    if (parseInt(minRating, 10)) {
+      query['rating.percentage'] = {
+        $gte: parseInt(minRating, 10)
+      }
+    }
+
+    return query
+  }
+
+  /**
+   * Get the query to filter the content on its torrents with, the quality
+   * and the provider have to match the same torrent.
+   * @param {!Object} filters - The filters of the request.
+   * @param {?string} [filters.quality] - The quality a torrent should have.
+   * @param {?string} [filters.provider] - The provider a torrent should be
+   * from.
+   * @returns {Object} - The query to match the torrents with.
+   */
+  getTorrentQuery({ quality, provider }: Object): Object {
+    const torrent = {}
+
+    if (quality) {
+      torrent.quality = String(quality)
+    }
+
+    if (provider) {
+      torrent.provider = String(provider)
+    }
+
+    return Object.keys(torrent).length > 0
+      ? { torrents: { $elemMatch: torrent } }
+      : {}
+  }
+
+  /**
+   * Get the expression to calculate the relevance score of an item, every
+   * word adds the weights of the fields it matches.
+   * @param {!Array<string>} words - The escaped words to search for.
+   * @returns {Object|number} - The expression for the relevance score.
+   */
+  getScore(words: Array<string>): Object | number {
+    if (words.length === 0) {
+      return 0
+    }
+
+    const { title, genres, synopsis } = SearchController.Weights
+
+    return {
+      $add: words.map(regex => ({
+        $add: [{
+          $cond: [{
+            $regexMatch: {
+              input: { $ifNull: ['$title', ''] },
+              regex,
+              options: 'i'
+            }
+          }, title, 0]
+        }, {
+          $cond: [{
+            $anyElementTrue: [{
+              $map: {
+                input: { $ifNull: ['$genres', []] },
+                as: 'genre',
+                in: {
+                  $regexMatch: {
+                    input: '$$genre',
+                    regex,
+                    options: 'i'
+                  }
+                }
+              }
+            }]
+          }, genres, 0]
+        }, {
+          $cond: [{
+            $regexMatch: {
+              input: { $ifNull: ['$synopsis', ''] },
+              regex,
+              options: 'i'
+            }
+          }, synopsis, 0]
+        }]
+      }))
+    }
+  }
+
+  /**
+   * Get the stages which add the torrents of the episodes to the shows, the
+   * shows have no torrents of their own. Only the distinct qualities and
+   * providers of the torrents are kept.
+   * @returns {Array<Object>} - The stages of the pipeline.
+   */
+  getEpisodeTorrents(): Array<Object> {
+    return [
+      {
+        $lookup: {
+          from: EpisodeModel.collection.name,
+          localField: '_id',
+          foreignField: 'showImdbId',
+          as: 'episodes'
+        }
+      },
+      {
+        $addFields: {
+          torrents: {
+            $reduce: {
+              input: '$episodes.torrents',
+              initialValue: [],
+              in: {
+                $setUnion: ['$$value', {
+                  $map: {
+                    input: { $ifNull: ['$$this', []] },
+                    as: 'torrent',
+                    in: {
+                      quality: '$$torrent.quality',
+                      provider: '$$torrent.provider'
+                    }
+                  }
+                }]
+              }
+            }
+          }
+        }
+      },
+      { $project: { episodes: 0 } }
+    ]
+  }
+
+  /**
+   * Get the facet to count the items per torrent attribute.
+   * @param {!string} attribute - The attribute of the torrents to count.
+   * @returns {Array<Object>} - The facet pipeline.
+   */
+  getTorrentFacet(attribute: string): Array<Object> {
+    return [
+      { $unwind: '$torrents' },
+      {
+        $group: {
+          _id: `$torrents.${attribute}`,
+          items: { $addToSet: '$_id' }
+        }
+      },
+      {
+        $project: {
+          count: { $size: '$items' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]
+  }
+
+  /**
+   * Search through one type of content, the torrents of the shows are the
+   * torrents of their episodes.
+   * @param {!string} type - The type of the content to search.
+   * @param {!Array<string>} words - The words to search for.
+   * @param {!Object} query - The query to match the content with.
+   * @param {!Object} torrentQuery - The query to match the torrents with.
+   * @param {!number} limit - The amount of results to get.
+   * @returns {Promise<Object, Error>} - The results and facets of the search.
+   */
+  searchModel(
+    type: string,
+    words: Array<string>,
+    query: Object,
+    torrentQuery: Object,
+    limit: number
+  ): Promise<Object> {
+    const Model = SearchController.Models[type]
+    const stages = type === 'show'
+      ? [
+        ...this.getEpisodeTorrents(),
+        { $match: torrentQuery }
+      ]
+      : []
+
+    return Model.aggregate([
+      {
+        $match: type === 'show'
+          ? query
+          : {
+            ...query,
+            ...torrentQuery
+          }
+      },
+      {
+        $addFields: {
+          score: this.getScore(words)
+        }
+      },
+      ...stages,
+      {
+        $facet: {
+          results: [
+            {
+              $sort: {
+                'score': -1,
+                'rating.percentage': -1
+              }
+            },
+            { $limit: limit },
+            { $project: SearchController.Projection }
+          ],
+          total: [
+            { $count: 'count' }
+          ],
+          genres: [
+            { $unwind: '$genres' },
+            { $sortByCount: '$genres' }
+          ],
+          years: [
+            { $match: { released: { $gt: 0 } } },
+            { $sortByCount: { $year: { $toDate: '$released' } } }
+          ],
+          certifications: [
+            { $match: { certification: { $ne: null } } },
+            { $sortByCount: '$certification' }
+          ],
+          qualities: this.getTorrentFacet('quality'),
+          providers: this.getTorrentFacet('provider')
+        }
+      }
+    ]).then(([res]) => res)
+  }
+
+  /**
+   * Merge the facets of multiple searches together.
+   * @param {!Array<Object>} searches - The results of the searches.
+   * @returns {Object} - The merged facets.
+   */
+  mergeFacets(searches: Array<Object>): Object {
+    const names = ['genres', 'years', 'certifications', 'qualities', 'providers']
+
+    return names.reduce((facets, name) => {
+      const counts = new Map()
+
+      searches.forEach(search => search[name].forEach(({ _id, count }) => {
+        counts.set(_id, (counts.get(_id) || 0) + count)
+      }))
+
+      facets[name] = Array.from(counts.entries())
+        .map(([value, count]) => ({
+          value,
+          count
+        }))
+        .sort((a, b) => b.count - a.count)
+
+      return facets
+    }, {})
+  }
+
+  /**
+   * Search the catalog with the `keywords` ranked on relevance, the results
+   * can be filtered with the `type`, `genre`, `certification`, `year`,
+   * `yearFrom`, `yearTo`, `minRating`, `quality` and `provider` query
+   * parameters.
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The results with the facets.
+   */
+  async search(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { keywords, type, page: p } = req.query
+
+      const types = type
+        ? String(type).toLowerCase().split(',')
+        : Object.keys(SearchController.Models)
+      const invalid = types.find(t => !SearchController.Models[t])
+
+      if (invalid) {
+        return next(new ApiError({
+          message: `'${invalid}' is not a valid type to search`,
+          status: statusCodes.BAD_REQUEST,
+          isPublic: true
+        }))
+      }
+
+      const page = Math.max(parseInt(p, 10) || 1, 1)
+      const offset = (page - 1) * this.pageSize
+
+      const words = this.getWords(keywords)
+      const query = this.getQuery(words, req.query)
+      const torrentQuery = this.getTorrentQuery(req.query)
+
+      // Every type needs the complete first pages to be able to merge them
+      const searches = await Promise.all(types.map(t => this.searchModel(
+        t,
+        words,
+        query,
+        torrentQuery,
+        offset + this.pageSize
+      )))
+
+      const results = searches
+        .reduce((all, search) => all.concat(search.results), [])
+        .sort((a, b) => (b.score - a.score) ||
+          ((b.rating?.percentage ?? 0) - (a.rating?.percentage ?? 0)))
+
+      const total = searches.reduce(
+        (count, search) => count + (search.total[0]?.count ?? 0),
+        0
+      )
+
+      return res.json({
+        page,
+        pageSize: this.pageSize,
+        total,
+        results: results.slice(offset, offset + this.pageSize),
+        facets: this.mergeFacets(searches)
+      })
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+}
@@ -0,0 +1,69 @@
+// @flow
+import { EpisodeModel } from '@pct-org/mongo-models/dist/episode/episode.model'
+import { SeasonModel } from '@pct-org/mongo-models/dist/season/season.model'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+import ContentController from './ContentController'
+
+/**
+ * Class for getting the scraped shows from the database.
+ * @type {ShowController}
+ * @extends {ContentController}
+ */
+export default class ShowController extends ContentController {
+
+  /**
+   * Get a show based on the imdb id with its seasons and episodes.
+   * @override
+   * @param {!Object} req - The ExpressJS request object.
+   * @param {!Object} res - The ExpressJS response object.
+   * @param {!Function} next - The ExpressJS next function.
+   * @returns {Promise<Object, Error>} - The details of a show.
+   */
+  async getContent(
+    req: $Request,
+    res: $Response,
+    next: NextFunction
+  ): Promise<Object | mixed> {
+    try {
+      const { id } = req.params
+      const show = await this.service.getContent(id)
+
+      if (!show) {
+        return this.checkEmptyContent(res, show)
+      }
+
+      const [seasons, episodes] = await Promise.all([
+        SeasonModel.find({
+          showImdbId: id
+        }).sort({
+          number: 1
+        }).lean(),
+        EpisodeModel.find({
+          showImdbId: id
+        }).sort({
+          season: 1,
+          number: 1
+        }).lean()
+      ])
+
+      return this.checkEmptyContent(res, {
+        ...show.toObject(),
+        seasons: seasons.map(season => ({
+          ...season,
+          episodes: episodes.filter(
+            episode => episode.season === season.number
+          )
+        }))
+      })
+
+    } catch (err) {
+      return next(err)
+    }
+  }
+
+}
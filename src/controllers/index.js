@@ -1,6 +1,41 @@
 // @flow
+import { ContentService } from '@pct-org/pop-api'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import { ShowModel } from '@pct-org/mongo-models/dist/show/show.model'
+
+import AdminController from './AdminController'
+import BlacklistController from './BlacklistController'
+import ContentController from './ContentController'
 import ExportController from './ExportController'
+import HealthController from './HealthController'
 import IndexController from './IndexController'
+import MetricsController from './MetricsController'
+import RefreshController from './RefreshController'
+import RunController from './RunController'
+import SearchController from './SearchController'
+import ShowController from './ShowController'
+
+/**
+ * The projection of the attributes shared by movies and shows when showing
+ * multiple items.
+ * @type {Object}
+ */
+const contentProjection: Object = {
+  _id: 1,
+  imdbId: 1,
+  tmdbId: 1,
+  title: 1,
+  slug: 1,
+  released: 1,
+  certification: 1,
+  runtime: 1,
+  rating: 1,
+  images: 1,
+  genres: 1,
+  type: 1,
+  createdAt: 1,
+  updatedAt: 1
+}
 
 /**
  * The controllers used by the setup process of registering them.
@@ -13,5 +48,54 @@ export default [
   }, {
     Controller: ExportController,
     args: {},
+  }, {
+    Controller: ContentController,
+    args: {
+      basePath: 'movie',
+      service: new ContentService({
+        Model: MovieModel,
+        projection: {
+          ...contentProjection,
+          torrents: 1
+        }
+      })
+    }
+  }, {
+    Controller: ShowController,
+    args: {
+      basePath: 'show',
+      service: new ContentService({
+        Model: ShowModel,
+        projection: {
+          ...contentProjection,
+          tvdbId: 1,
+          airInfo: 1,
+          numSeasons: 1,
+          latestEpisodeAired: 1,
+          nextEpisodeAirs: 1
+        }
+      })
+    }
+  }, {
+    Controller: SearchController,
+    args: {}
+  }, {
+    Controller: BlacklistController,
+    args: {}
+  }, {
+    Controller: RefreshController,
+    args: {}
+  }, {
+    Controller: RunController,
+    args: {}
+  }, {
+    Controller: MetricsController,
+    args: {}
+  }, {
+    Controller: HealthController,
+    args: {}
+  }, {
+    Controller: AdminController,
+    args: {}
   },
 ]
@@ -2,11 +2,13 @@
 import 'dotenv/config'
 import { join } from 'path'
 import { Database, HttpServer, Logger, Routes, PopApi } from '@pct-org/pop-api'
-import { Cron, PopApiScraper } from '@pct-org/pop-api-scraper'
+import { PopApiScraper } from '@pct-org/pop-api-scraper'
 
 import controllers from './controllers'
 import providers from './scraper'
-import { Cli } from './middleware'
+import HealthChecker from './scraper/HealthChecker'
+import Magnet from './scraper/Magnet'
+import { Cli, Cron } from './middleware'
 
 import { name, version } from '../package.json'
 
@@ -31,15 +33,15 @@ import { name, version } from '../package.json'
       version,
       logDir,
       controllers,
-      workers: 0,
+      workers: Number(process.env.WORKERS) || 0,
       statusPath: join(...[logDir, 'status.json']),
       updatedPath: join(...[logDir, 'updated.json']),
 
       dbName: process.env.MONGO_DATABASE,
       hosts: [process.env.MONGO_URI],
 
-      // This starts the scraping on the master node and sets up the cron
-      // start: isMaster
+      // Every process schedules the scrapes, the lease locks in MongoDB make
+      // sure only one process scrapes a config at a time
     }, [
       Cli,
       Logger,
@@ -49,13 +51,23 @@ import { name, version } from '../package.json'
       PopApiScraper,
     ])
 
-    // Add the cron and enabled it if the scraper should start
+    // Add the crons and enabled them if the scraper should start
     await PopApi.use(Cron, {
       start: PopApi.startScraper,
       schedule: true,
       cronTime: process.env.CRON_TIME,
+      fullCronTime: process.env.FULL_CRON_TIME,
+      timezone: process.env.CRON_TIMEZONE
     })
 
+    // Keep the trackers added to the magnet links up to date
+    Magnet.Trackers.start()
+
+    // Refresh the seeds and peers of the stored torrents with the trackers
+    new HealthChecker({
+      cronTime: process.env.HEALTH_CRON_TIME
+    }).start()
+
   } catch (err) {
     throw err
   }
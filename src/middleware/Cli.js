@@ -1,6 +1,25 @@
 /* eslint-disable no-console */
 import path from 'path'
+import inquirer from 'inquirer'
+import pMap from 'p-map'
+import parseTorrent from 'parse-torrent'
+import { existsSync, readFile } from 'fs'
 import { Cli as BaseCli, Database } from '@pct-org/pop-api'
+import { PopApiScraper } from '@pct-org/pop-api-scraper'
+import { EpisodeModel } from '@pct-org/mongo-models/dist/episode/episode.model'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import { SeasonModel } from '@pct-org/mongo-models/dist/season/season.model'
+import { ShowModel } from '@pct-org/mongo-models/dist/show/show.model'
+
+import promptSchemas from './promptschemas'
+import { torrentPaths } from '../models/ReleaseFields'
+import Blacklist from '../scraper/Blacklist'
+import Checkpoints from '../scraper/Checkpoints'
+import HealthChecker from '../scraper/HealthChecker'
+import Magnet from '../scraper/Magnet'
+import Refresher from '../scraper/Refresher'
+import providers from '../scraper'
+import { MovieHelper, ShowHelper } from '../scraper/helpers'
 
 /**
  * Class The class for the command line interface.
@@ -32,6 +51,29 @@ export default class Cli extends BaseCli {
    */
   static _Name: string = 'Cli'
 
+  /**
+   * The models an imported document can be saved to, keyed by their type.
+   * @type {Object}
+   */
+  static _ImportModels: Object = {
+    movie: MovieModel,
+    show: ShowModel,
+    season: SeasonModel,
+    episode: EpisodeModel
+  }
+
+  /**
+   * The attributes set by users which are kept when updating an existing
+   * document with an import.
+   * @type {Array<string>}
+   */
+  static _UserStateFields: Array<string> = [
+    'bookmarked',
+    'bookmarkedOn',
+    'watched',
+    'download'
+  ]
+
   /**
    * The database middleware from `pop-api`.
    * @type {Database}
@@ -69,10 +111,36 @@ export default class Cli extends BaseCli {
 
     return this.program
       .option('-s, --start', 'Start the scraping process')
+      .option('--no-resume',
+        'Start scraping from the first page instead of the last checkpoint.')
+      .option('-c, --content <type>',
+        'Add a torrent for a movie or show to the database.',
+        /^(movie|show)$/i, false)
       .option('--export <collection>',
         'Export a collection to a JSON file.',
-        /^(anime|movie|show)$/i, false)
-      .option('--import <collection>', 'Import a JSON file to the database.')
+        /^(anime|movie|show|season|episode)$/i, false)
+      .option('--import <file>', 'Import a JSON file to the database.')
+      .option('--retry-failed [provider]',
+        'Scrape the failed pages and items again, optionally of one provider.')
+      .option('--blacklist [id]',
+        'List the blacklist entries, or show one entry.')
+      .option('--unblacklist <id>', 'Remove an entry from the blacklist.')
+      .option('--extend-blacklist <id>', 'Extend an entry of the blacklist.')
+      .option('--ban <id>', 'Add a permanent entry to the blacklist.')
+      .option('--reason <reason>',
+        'The reason to filter the blacklist entries on.')
+      .option('--type <type>',
+        'The type of content of the blacklist entries.',
+        /^(movie|show)$/i)
+      .option('--weeks <weeks>', 'The weeks to extend a blacklist entry with.')
+      .option('--until <date>', 'The date to extend a blacklist entry until.')
+      .option('--title <title>', 'The title of a permanent blacklist entry.')
+      .option('--refresh <id>',
+        'Scrape a movie or show again by its imdb id or slug.')
+      .option('--normalize-magnets',
+        'Normalize the magnet links of the stored movies and episodes.')
+      .option('--check-health',
+        'Refresh the seeds and peers of the stored torrents with the trackers.')
   }
 
   /**
@@ -82,10 +150,203 @@ export default class Cli extends BaseCli {
   getHelp(): void {
     const baseHelp = super.getHelp()
     return baseHelp.concat([
-      `    $ ${this.name} --export <movie|show>`,
+      `    $ ${this.name} --start --no-resume`,
+      `    $ ${this.name} --content <movie|show>`,
+      `    $ ${this.name} --export <movie|show|season|episode>`,
+      `    $ ${this.name} --import <file>`,
+      `    $ ${this.name} --retry-failed [provider]`,
+      `    $ ${this.name} --blacklist [id] --reason <reason> --type <movie|show>`,
+      `    $ ${this.name} --unblacklist <id>`,
+      `    $ ${this.name} --extend-blacklist <id> --weeks <weeks>`,
+      `    $ ${this.name} --extend-blacklist <id> --until <date>`,
+      `    $ ${this.name} --ban <id> --type <movie|show> --title <title>`,
+      `    $ ${this.name} --refresh <imdbId|slug>`,
+      `    $ ${this.name} --normalize-magnets`,
+      `    $ ${this.name} --check-health`
     ])
   }
 
+  /**
+   * Get the information of a torrent from a magnet link or a link to a
+   * torrent file.
+   * @param {!string} link - The link to the torrent.
+   * @returns {Promise<Object, Error>} - The information of the torrent.
+   */
+  _getTorrent(link: string): Promise<Object> {
+    return new Promise((resolve, reject) => {
+      parseTorrent.remote(link, (err, torrent) => {
+        if (err || !torrent) {
+          return reject(err || new Error(`Could not get a torrent from '${link}'`))
+        }
+
+        return resolve({
+          title: torrent.name,
+          size: torrent.length || 0,
+          seeds: 0,
+          peers: 0,
+          url: parseTorrent.toMagnetURI(torrent)
+        })
+      })
+    })
+  }
+
+  /**
+   * Create a torrent object for a movie.
+   * @param {!string} link - The magnet link of the torrent.
+   * @param {!Object} torrent - The information of the torrent.
+   * @param {!Object} options - The answers of the movie prompt.
+   * @param {!string} options.quality - The quality of the torrent.
+   * @param {!string} options.language - The language of the torrent.
+   * @returns {Object} - A movie torrent object.
+   */
+  _movieTorrent(link: string, torrent: Object, {
+    quality,
+    language
+  }: Object): Object {
+    return {
+      title: torrent.title,
+      quality,
+      provider: Cli._Name,
+      language,
+      size: torrent.size,
+      seeds: torrent.seeds,
+      peers: torrent.peers,
+      url: link
+    }
+  }
+
+  /**
+   * Create a torrent object for an episode of a show.
+   * @param {!string} link - The magnet link of the torrent.
+   * @param {!Object} torrent - The information of the torrent.
+   * @param {!string} quality - The quality of the torrent.
+   * @returns {Object} - A show torrent object.
+   */
+  _showTorrent(link: string, torrent: Object, quality: string): Object {
+    return {
+      title: torrent.title,
+      quality,
+      provider: Cli._Name,
+      size: torrent.size,
+      seeds: torrent.seeds,
+      peers: torrent.peers,
+      url: link
+    }
+  }
+
+  /**
+   * Prompt for a movie torrent and add it to the database.
+   * @returns {Promise<undefined, undefined>} - The promise to add a movie
+   * torrent.
+   */
+  async _moviePrompt(): Promise<void> {
+    try {
+      const answers = await inquirer.prompt([
+        promptSchemas.imdb,
+        promptSchemas.torrent,
+        promptSchemas.movieQuality,
+        promptSchemas.language
+      ])
+
+      const torrent = await this._getTorrent(answers.torrent)
+      const helper = new MovieHelper({
+        name: Cli._Name,
+        Model: MovieModel
+      })
+
+      const movie = await helper.getTraktInfo({
+        slug: answers.imdb,
+        movieTitle: answers.imdb
+      })
+
+      if (!movie) {
+        throw new Error(`No movie found for imdb id '${answers.imdb}'`)
+      }
+
+      await helper.addTorrents(movie, [
+        this._movieTorrent(torrent.url, torrent, answers)
+      ])
+
+      console.info(`Added the ${answers.quality} torrent to '${movie.title}'.`)
+      return process.exit(0)
+
+    } catch (err) {
+      console.error(`An error occurred: ${err.message || err}`)
+      return process.exit(1)
+    }
+  }
+
+  /**
+   * Prompt for an episode torrent and add it to the database.
+   * @returns {Promise<undefined, undefined>} - The promise to add an episode
+   * torrent.
+   */
+  async _showPrompt(): Promise<void> {
+    try {
+      const answers = await inquirer.prompt([
+        promptSchemas.imdb,
+        promptSchemas.torrent,
+        promptSchemas.showQuality,
+        promptSchemas.season,
+        promptSchemas.episode
+      ])
+
+      const torrent = await this._getTorrent(answers.torrent)
+      const helper = new ShowHelper({
+        name: Cli._Name,
+        Model: {
+          Show: ShowModel,
+          Season: SeasonModel,
+          Episode: EpisodeModel
+        }
+      })
+
+      const show = await helper.getTraktInfo({
+        imdb: answers.imdb,
+        slug: answers.imdb
+      })
+
+      if (!show) {
+        throw new Error(`No show found for imdb id '${answers.imdb}'`)
+      }
+
+      const season = parseInt(answers.season, 10)
+      const episode = parseInt(answers.episode, 10)
+
+      await helper.addEpisodes(show, {
+        [season]: {
+          [episode]: [
+            this._showTorrent(torrent.url, torrent, answers.quality)
+          ]
+        }
+      })
+
+      console.info(`Added the ${answers.quality} torrent to episode ${episode} of season ${season} of '${show.title}'.`)
+      return process.exit(0)
+
+    } catch (err) {
+      console.error(`An error occurred: ${err.message || err}`)
+      return process.exit(1)
+    }
+  }
+
+  /**
+   * Handle the --content CLI option.
+   * @param {!string} t - The type of content to add.
+   * @returns {Promise<undefined, undefined>} - The promise to add content.
+   */
+  _content(t: string): Promise<void> {
+    switch (t.toLowerCase()) {
+      case 'movie':
+        return this._moviePrompt()
+      case 'show':
+        return this._showPrompt()
+      default:
+        console.error(`'${t}' is not a valid type for --content`)
+        return Promise.resolve(process.exit(1))
+    }
+  }
+
   /**
    * Handle the --export CLI option.
    * @param {!string} e - The collection to export.
@@ -111,6 +372,409 @@ export default class Cli extends BaseCli {
       })
   }
 
+  /**
+   * Parse the contents of an export file. Both the newline delimited output of
+   * `mongoexport` and a JSON array are supported.
+   * @param {!string} data - The contents of the export file.
+   * @returns {Array<Object>} - The documents in the export file.
+   */
+  _parseImportFile(data: string): Array<Object> {
+    const content = data.trim()
+
+    if (content.startsWith('[')) {
+      return JSON.parse(content, Cli._reviveExtendedJson)
+    }
+
+    return content.split(/\r?\n/)
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line, Cli._reviveExtendedJson))
+  }
+
+  /**
+   * Reviver for `JSON.parse` to convert the extended JSON numbers written by
+   * `mongoexport` back to plain numbers.
+   * @param {!string} key - The key of the value to revive.
+   * @param {*} value - The value to revive.
+   * @returns {*} - The revived value.
+   */
+  static _reviveExtendedJson(key: string, value: any): any {
+    if (value && typeof value === 'object') {
+      const number = value.$numberLong ??
+        value.$numberInt ??
+        value.$numberDouble
+
+      if (number !== undefined) {
+        return Number(number)
+      }
+    }
+
+    return value
+  }
+
+  /**
+   * Validate a document and upsert it into the database, the user state of
+   * an existing document will be kept.
+   * @param {!Object} doc - The document to import.
+   * @param {?string} [fallbackType] - The type to use when the document has
+   * none.
+   * @returns {Promise<string, Error>} - Whether the document was `inserted` or
+   * `updated`.
+   */
+  async _importDocument(doc: Object, fallbackType?: string): Promise<string> {
+    const type = doc.type || fallbackType
+    const Model = Cli._ImportModels[type]
+
+    if (!Model) {
+      throw new Error(`'${type}' is not a valid type to import`)
+    }
+
+    const model = new Model(doc)
+    const err = model.validateSync()
+
+    if (err) {
+      throw err
+    }
+
+    const item = model.toObject()
+    const found = await Model.findOne({
+      _id: item._id
+    })
+
+    if (!found) {
+      await model.save()
+
+      return 'inserted'
+    }
+
+    // Keep the attributes the users changed in this database
+    const existing = found.toObject()
+    Cli._UserStateFields.forEach(field => {
+      if (existing[field] !== undefined) {
+        item[field] = existing[field]
+      }
+    })
+
+    await Model.findOneAndUpdate({
+      _id: item._id
+    }, item, {
+      upsert: true,
+      new: true
+    })
+
+    return 'updated'
+  }
+
+  /**
+   * Handle the --import CLI option.
+   * @param {!string} i - The JSON file created with the --export option.
+   * @returns {Promise<undefined, undefined>} - The promise to import a JSON
+   * file.
+   */
+  async _import(i: string): Promise<void> {
+    try {
+      const file = path.resolve(i)
+
+      if (!existsSync(file)) {
+        throw new Error(`no such file found for '${file}'`)
+      }
+
+      const data = await new Promise((resolve, reject) => {
+        readFile(file, 'utf8', (err, res) => (err ? reject(err) : resolve(res)))
+      })
+      const docs = this._parseImportFile(data)
+
+      console.info(`Found ${docs.length} documents in '${file}'.`)
+
+      const { confirm } = await inquirer.prompt([promptSchemas.confirm])
+      if (!confirm) {
+        return process.exit(0)
+      }
+
+      // Documents without a type get the type of the exported collection
+      const [, fallbackType] = path.basename(file)
+        .match(/(movie|show|season|episode)s?\.json$/i) || []
+
+      const summary = {
+        inserted: 0,
+        updated: 0,
+        rejected: 0
+      }
+
+      await pMap(docs, doc => this._importDocument(
+        doc,
+        fallbackType && fallbackType.toLowerCase()
+      ).then(res => {
+        summary[res]++
+
+      }).catch(err => {
+        summary.rejected++
+
+        console.error(`Rejected '${doc._id}': ${err.message || err}`)
+      }), {
+        concurrency: 1
+      })
+
+      console.info([
+        `Imported '${file}':`,
+        `${summary.inserted} inserted,`,
+        `${summary.updated} updated,`,
+        `${summary.rejected} rejected.`
+      ].join(' '))
+
+      return process.exit(0)
+
+    } catch (err) {
+      console.error(`An error occurred: ${err.message || err}`)
+      return process.exit(1)
+    }
+  }
+
+  /**
+   * Handle the --retry-failed CLI option.
+   * @param {!string|boolean} r - The name of the provider or config to retry
+   * the failures of, `true` to retry the failures of all the providers.
+   * @returns {Promise<undefined, undefined>} - The promise to retry the
+   * failures.
+   */
+  async _retryFailed(r: string | boolean): Promise<void> {
+    try {
+      const filter = typeof r === 'string' ? r.toLowerCase() : null
+      const summary = {
+        succeeded: 0,
+        failed: 0
+      }
+
+      await pMap(providers, ({ Provider, args }) => {
+        const provider = new Provider(PopApiScraper, args)
+        const configs = args.configs.filter(c => !filter || [
+          Provider.name,
+          c.name
+        ].some(n => n.toLowerCase() === filter))
+
+        return pMap(configs, c => provider.retryFailed(c).then(res => {
+          summary.succeeded += res.succeeded
+          summary.failed += res.failed
+        }), {
+          concurrency: 1
+        })
+      }, {
+        concurrency: 1
+      })
+
+      console.info([
+        'Retried the failed pages and items:',
+        `${summary.succeeded} succeeded,`,
+        `${summary.failed} failed.`
+      ].join(' '))
+
+      return process.exit(0)
+
+    } catch (err) {
+      console.error(`An error occurred: ${err.message || err}`)
+      return process.exit(1)
+    }
+  }
+
+  /**
+   * Print a blacklist entry.
+   * @param {!Object} entry - The formatted blacklist entry.
+   * @returns {undefined}
+   */
+  _printBlacklistEntry(entry: Object): void {
+    const until = entry.permanent ? 'forever' : entry.expiresAt
+    const status = entry.active ? '' : ' (expired)'
+
+    console.info([
+      `${entry._id} [${entry.type}] '${entry.title}':`,
+      `${entry.reason} until ${until}${status}`
+    ].join(' '))
+  }
+
+  /**
+   * Handle the blacklist CLI options.
+   * @param {!Object} options - The parsed options of the Cli.
+   * @returns {Promise<undefined, undefined>} - The promise to manage the
+   * blacklist.
+   */
+  async _blacklist({
+    blacklist: show,
+    unblacklist,
+    extendBlacklist,
+    ban,
+    reason,
+    type,
+    weeks,
+    until,
+    title
+  }: Object): Promise<void> {
+    try {
+      const blacklist = new Blacklist()
+      const t = type && type.toLowerCase()
+      let entry
+
+      if (unblacklist) {
+        entry = await blacklist.remove(unblacklist)
+      } else if (extendBlacklist) {
+        entry = await blacklist.extend(extendBlacklist, {
+          weeks,
+          until
+        })
+      } else if (ban) {
+        entry = await blacklist.ban(ban, {
+          type: t,
+          title
+        })
+      } else if (typeof show === 'string') {
+        entry = await blacklist.get(show)
+      } else {
+        const entries = await blacklist.list({
+          reason,
+          type: t
+        })
+
+        entries.forEach(e => this._printBlacklistEntry(e))
+        console.info(`Found ${entries.length} blacklist entries.`)
+
+        return process.exit(0)
+      }
+
+      const id = unblacklist || extendBlacklist || ban || show
+      if (!entry) {
+        throw new Error(`no blacklist entry found for '${id}'`)
+      }
+
+      this._printBlacklistEntry(entry)
+      if (unblacklist) {
+        console.info(`Removed '${id}' from the blacklist.`)
+      }
+
+      return process.exit(0)
+
+    } catch (err) {
+      console.error(`An error occurred: ${err.message || err}`)
+      return process.exit(1)
+    }
+  }
+
+  /**
+   * Handle the --refresh CLI option.
+   * @param {!string} id - The imdb id or slug of the title to refresh.
+   * @returns {Promise<undefined, undefined>} - The promise to refresh a
+   * title.
+   */
+  async _refresh(id: string): Promise<void> {
+    try {
+      const refresher = new Refresher({
+        providers
+      })
+      const item = await refresher.findItem(id)
+
+      console.info(`Refreshing the ${item.type} '${item.title}'.`)
+
+      const { results } = await refresher.refresh(item)
+      results.forEach(({ name, saved, error }) => console.info(error
+        ? `${name}: failed with '${error}'`
+        : `${name}: saved ${saved} ${item.type}s`))
+
+      return process.exit(0)
+
+    } catch (err) {
+      console.error(`An error occurred: ${err.message || err}`)
+      return process.exit(1)
+    }
+  }
+
+  /**
+   * Handle the --normalize-magnets CLI option. The magnet links of the stored
+   * movies and episodes get the current tracker list, the torrents with an
+   * invalid info hash and the duplicate torrents are dropped.
+   * @returns {Promise<undefined, undefined>} - The promise to normalize the
+   * magnet links.
+   */
+  async _normalizeMagnets(): Promise<void> {
+    try {
+      const trackers = await Magnet.Trackers.refresh()
+      const summary = {
+        updated: 0,
+        dropped: 0
+      }
+
+      await pMap([MovieModel, EpisodeModel], Model => Model.find({}, {
+        torrents: 1,
+        searchedTorrents: 1
+      }).lean().cursor().eachAsync(doc => {
+        const update = {}
+
+        torrentPaths.filter(p => Array.isArray(doc[p])).forEach(p => {
+          const urls = doc[p].map(t => t.url)
+          const torrents = Magnet.normalizeTorrents(doc[p], trackers)
+
+          summary.dropped += urls.length - torrents.length
+          if (
+            torrents.length !== urls.length ||
+            torrents.some((t, i) => t.url !== urls[i])
+          ) {
+            update[p] = torrents
+          }
+        })
+
+        if (Object.keys(update).length === 0) {
+          return undefined
+        }
+
+        summary.updated++
+        return Model.updateOne({
+          _id: doc._id
+        }, {
+          $set: update
+        }).exec()
+      }), {
+        concurrency: 1
+      })
+
+      console.info([
+        `Normalized the magnet links with ${trackers.length} trackers:`,
+        `${summary.updated} documents updated,`,
+        `${summary.dropped} torrents dropped.`
+      ].join(' '))
+
+      return process.exit(0)
+
+    } catch (err) {
+      console.error(`An error occurred: ${err.message || err}`)
+      return process.exit(1)
+    }
+  }
+
+  /**
+   * Handle the --check-health CLI option. The torrents which are due are
+   * checked once, like the scheduled health checks.
+   * @returns {Promise<undefined, undefined>} - The promise to check the
+   * torrents.
+   */
+  async _checkHealth(): Promise<void> {
+    try {
+      const summary = await new HealthChecker().check()
+
+      if (!summary) {
+        throw new Error('The torrents could not be checked')
+      }
+
+      console.info([
+        `Checked ${summary.checked} torrents:`,
+        `${summary.alive} alive,`,
+        `${summary.dead} dead,`,
+        `${summary.unknown} unknown.`
+      ].join(' '))
+
+      return process.exit(0)
+
+    } catch (err) {
+      console.error(`An error occurred: ${err.message || err}`)
+      return process.exit(1)
+    }
+  }
+
   /**
    * Run the Cli program.
    * @param {!PopApi} PopApi - The PopApi instance to bind the options to.
@@ -122,17 +786,40 @@ export default class Cli extends BaseCli {
       this.program.parse(argv)
     }
 
-    if (this.program.export) {
+    if (this.program.content) {
+      return this._content(this.program.content)
+
+    } else if (this.program.export) {
       return this._export(this.program.export)
 
     } else if (this.program.import) {
       return this._import(this.program.import)
+
+    } else if (this.program.retryFailed) {
+      return this._retryFailed(this.program.retryFailed)
+
+    } else if (this.program.blacklist || this.program.unblacklist ||
+      this.program.extendBlacklist || this.program.ban) {
+      return this._blacklist(this.program)
+
+    } else if (this.program.refresh) {
+      return this._refresh(this.program.refresh)
+
+    } else if (this.program.normalizeMagnets) {
+      return this._normalizeMagnets()
+
+    } else if (this.program.checkHealth) {
+      return this._checkHealth()
     }
 
     if (this.program.start) {
       PopApi.startScraper = true
     }
 
+    if (this.program.resume === false) {
+      new Checkpoints().clear()
+    }
+
     return super.run(PopApi)
   }
 
@@ -0,0 +1,643 @@
+// @flow
+import cron from 'node-cron'
+import { parseExpression } from 'cron-parser'
+import { PopApiScraper } from '@pct-org/pop-api-scraper'
+
+import defaultProviders from '../scraper'
+import HealthChecker from '../scraper/HealthChecker'
+import LeaseLock from '../scraper/LeaseLock'
+import { BaseProvider } from '../scraper/providers'
+
+/**
+ * Cron class for executing the scheduled scrapes of the providers. The
+ * configs without schedules of their own are scraped incrementally with the
+ * `cronTime` and fully with the `fullCronTime`. A provider never runs twice
+ * at once, a scrape of a running provider is started after it.
+ * @type {Cron}
+ */
+export default class Cron {
+
+  /**
+   * The name of the schedule of the incremental scrapes of the configs
+   * without schedules.
+   * @type {string}
+   */
+  static DefaultSchedule: string = 'default'
+
+  /**
+   * The name of the schedule of the full scrapes of the configs without
+   * schedules.
+   * @type {string}
+   */
+  static DefaultFullSchedule: string = 'default-full'
+
+  /**
+   * The name of the scrapes started on creation or with the admin API.
+   * @type {string}
+   */
+  static ManualSchedule: string = 'manual'
+
+  /**
+   * The cron time for the incremental scrapes. Default is `0 0 * * * *`.
+   * @type {string}
+   */
+  cronTime: string
+
+  /**
+   * The cron time for the full scrapes. Default is `0 0 3 * * 0`.
+   * @type {string}
+   */
+  fullCronTime: string
+
+  /**
+   * The timezone of the schedules without a timezone, the timezone of the
+   * server when it is not set.
+   * @type {string|void}
+   */
+  timezone: string | void
+
+  /**
+   * The enabled providers to scrape.
+   * @type {Array<Object>}
+   */
+  providers: Array<Object>
+
+  /**
+   * The lease lock to cancel the scrapes of all the instances with.
+   * @type {LeaseLock}
+   */
+  lock: LeaseLock
+
+  /**
+   * The schedules with the configs they scrape and their cron jobs.
+   * @type {Array<Object>}
+   */
+  schedules: Array<Object>
+
+  /**
+   * The running scrapes, keyed by the name of the provider.
+   * @type {Map<string, Object>}
+   */
+  _running: Map<string, Object>
+
+  /**
+   * The scrapes to run after the running scrape of a provider, keyed by the
+   * name of the provider.
+   * @type {Map<string, Array<Object>>}
+   */
+  _pending: Map<string, Array<Object>>
+
+  /**
+   * Whether the cron jobs are paused.
+   * @type {boolean}
+   */
+  _paused: boolean
+
+  /**
+   * Create a new Cron object.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @param {!Object} [options={}] - The options for the Cron middleware.
+   * @param {!string} [options.cronTime=0 0 * * * *] - The cron tab to execute
+   * the incremental scrapes.
+   * @param {!string} [options.fullCronTime=0 0 3 * * 0] - The cron tab to
+   * execute the full scrapes.
+   * @param {?string} [options.timezone] - The timezone of the schedules
+   * without a timezone.
+   * @param {?boolean} [options.start=false] - Start scraping on creation.
+   * @param {?boolean} [options.schedule=true] - Should the cron jobs be
+   * scheduled.
+   * @param {?Array<Object>} [options.providers] - The enabled providers to
+   * scrape.
+   * @param {?LeaseLock} [options.lock] - The lease lock to cancel the scrapes
+   * of all the instances with.
+   */
+  constructor(PopApi: any, {
+    cronTime = '0 0 * * * *',
+    fullCronTime = '0 0 3 * * 0',
+    timezone,
+    start = false,
+    schedule = true,
+    providers = defaultProviders,
+    lock = new LeaseLock()
+  }: Object = {}): void {
+    const { name } = this.constructor
+    PopApi.debug(`Registering ${name} with options: %o`, {
+      cronTime,
+      fullCronTime,
+      timezone,
+      start,
+      schedule
+    })
+
+    /**
+     * The cron time for the incremental scrapes. Default is `0 0 * * * *`.
+     * @type {string}
+     */
+    this.cronTime = cronTime
+    /**
+     * The cron time for the full scrapes. Default is `0 0 3 * * 0`.
+     * @type {string}
+     */
+    this.fullCronTime = fullCronTime
+    /**
+     * The timezone of the schedules without a timezone, the timezone of the
+     * server when it is not set.
+     * @type {string|void}
+     */
+    this.timezone = timezone || undefined
+    /**
+     * The enabled providers to scrape.
+     * @type {Array<Object>}
+     */
+    this.providers = providers
+    /**
+     * The lease lock to cancel the scrapes of all the instances with.
+     * @type {LeaseLock}
+     */
+    this.lock = lock
+    /**
+     * The running scrapes, keyed by the name of the provider.
+     * @type {Map<string, Object>}
+     */
+    this._running = new Map()
+    /**
+     * The scrapes to run after the running scrape of a provider, keyed by
+     * the name of the provider.
+     * @type {Map<string, Array<Object>>}
+     */
+    this._pending = new Map()
+    /**
+     * Whether the cron jobs are paused.
+     * @type {boolean}
+     */
+    this._paused = !schedule
+    /**
+     * The schedules with the configs they scrape and their cron jobs.
+     * @type {Array<Object>}
+     */
+    this.schedules = Cron.createSchedules(providers, {
+      cronTime: this.cronTime,
+      fullCronTime: this.fullCronTime,
+      timezone: this.timezone
+    }).map(s => ({
+      ...s,
+      task: cron.schedule(
+        s.cronTime,
+        () => this.runSchedule(PopApi, s.name),
+        {
+          scheduled: schedule,
+          timezone: s.timezone
+        }
+      )
+    }))
+
+    if (start) {
+      this.scrape(PopApi, BaseProvider.Modes.Incremental)
+    }
+
+    PopApi.cron = this.getSchedule(Cron.DefaultSchedule).task
+    PopApi.fullCron = this.getSchedule(Cron.DefaultFullSchedule).task
+
+    // Expose the middleware so the scrapes can be managed by the admin API
+    PopApi.scheduler = this
+  }
+
+  /**
+   * Create the schedules of the configs of the providers. The schedules of a
+   * config override the schedules of its provider, the configs without
+   * schedules are added to the default schedules.
+   * @param {!Array<Object>} providers - The enabled providers.
+   * @param {!Object} defaults - The defaults of the schedules.
+   * @param {!string} defaults.cronTime - The cron tab of the default
+   * incremental schedule.
+   * @param {!string} defaults.fullCronTime - The cron tab of the default full
+   * schedule.
+   * @param {?string} [defaults.timezone] - The timezone of the schedules
+   * without a timezone.
+   * @returns {Array<Object>} - The schedules with the configs they scrape,
+   * grouped by provider.
+   */
+  static createSchedules(providers: Array<Object>, {
+    cronTime,
+    fullCronTime,
+    timezone
+  }: Object): Array<Object> {
+    const { Incremental, Full } = BaseProvider.Modes
+    const defaults = [{
+      name: Cron.DefaultSchedule,
+      provider: null,
+      cronTime,
+      timezone,
+      mode: Incremental
+    }, {
+      name: Cron.DefaultFullSchedule,
+      provider: null,
+      cronTime: fullCronTime,
+      timezone,
+      mode: Full
+    }]
+    const schedules = defaults.map(s => ({
+      ...s,
+      targets: []
+    }))
+
+    providers.forEach(({ Provider, args }) => {
+      args.configs.forEach(config => {
+        const own = config.schedules || args.schedules
+        const matching = own
+          ? own.map(s => ({
+            provider: Provider.name,
+            cronTime: s.cronTime,
+            timezone: s.timezone || timezone,
+            mode: s.mode || Incremental
+          }))
+          : defaults
+
+        matching.forEach(s => {
+          let found = schedules.find(f => [
+            'provider',
+            'cronTime',
+            'timezone',
+            'mode'
+          ].every(key => f[key] === s[key]))
+
+          if (!found) {
+            const count = schedules.filter(f => f.provider === s.provider)
+              .length
+
+            found = {
+              ...s,
+              name: `${s.provider}#${count + 1}`,
+              targets: []
+            }
+            schedules.push(found)
+          }
+
+          const target = found.targets.find(t => t.Provider === Provider)
+
+          if (target) {
+            target.configs.push(config)
+          } else {
+            found.targets.push({
+              Provider,
+              args,
+              configs: [config]
+            })
+          }
+        })
+      })
+    })
+
+    return schedules
+  }
+
+  /**
+   * Get the next time a cron tab runs.
+   * @param {!string} cronTime - The cron tab.
+   * @param {?string} [timezone] - The timezone of the cron tab.
+   * @returns {Date|null} - The next time the cron tab runs.
+   */
+  static getNextRun(cronTime: string, timezone?: string): Date | null {
+    try {
+      return parseExpression(cronTime, timezone ? {
+        tz: timezone
+      } : {}).next().toDate()
+    } catch (err) {
+      return null
+    }
+  }
+
+  /**
+   * Format a running or pending scrape of a provider.
+   * @param {!Object} job - The scrape to format.
+   * @returns {Object} - The formatted scrape.
+   */
+  static formatJob({
+    Provider,
+    configs,
+    mode,
+    schedule,
+    startedAt
+  }: Object): Object {
+    return {
+      provider: Provider.name,
+      schedule,
+      mode,
+      configs: configs.map(c => c.name),
+      startedAt
+    }
+  }
+
+  /**
+   * Find a config of the enabled providers by its name.
+   * @param {!string} name - The name of the config, case insensitive.
+   * @returns {Object|undefined} - The provider with its arguments and the
+   * config.
+   */
+  findConfig(name: string): Object | void {
+    const filter = name.toLowerCase()
+
+    return this.providers.map(({ Provider, args }) => ({
+      Provider,
+      args,
+      config: args.configs.find(c => c.name.toLowerCase() === filter)
+    })).find(({ config }) => config)
+  }
+
+  /**
+   * Get a schedule by its name.
+   * @param {!string} name - The name of the schedule.
+   * @returns {Object|undefined} - The schedule.
+   */
+  getSchedule(name: string): Object | void {
+    return this.schedules.find(s => s.name === name)
+  }
+
+  /**
+   * Get the schedules with the configs they scrape and the next time they
+   * run.
+   * @returns {Array<Object>} - The schedules.
+   */
+  getSchedules(): Array<Object> {
+    return this.schedules.map(({
+      name,
+      cronTime,
+      timezone,
+      mode,
+      targets,
+      task
+    }) => ({
+      name,
+      cronTime,
+      timezone: timezone || null,
+      mode,
+      configs: targets.reduce((res, t) => res.concat(
+        t.configs.map(c => c.name)
+      ), []),
+      status: task.getStatus() || null,
+      nextRun: this._paused ? null : Cron.getNextRun(cronTime, timezone)
+    }))
+  }
+
+  /**
+   * Check if a scrape is running.
+   * @param {?string} [provider] - The name of the provider to check, any
+   * provider is checked without it.
+   * @returns {boolean} - Whether a scrape is running.
+   */
+  isRunning(provider?: string): boolean {
+    return provider
+      ? this._running.has(provider)
+      : this._running.size > 0
+  }
+
+  /**
+   * Check if the cron jobs are paused.
+   * @returns {boolean} - Whether the cron jobs are paused.
+   */
+  isPaused(): boolean {
+    return this._paused
+  }
+
+  /**
+   * Get the state of the scrapes and the cron jobs.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @returns {Object} - The state of the scrapes and the cron jobs.
+   */
+  getState(PopApi: any): Object {
+    const running = this.isRunning()
+
+    return {
+      running,
+      cancelled: running && PopApi.scraper.cancelled === true,
+      paused: this._paused,
+      jobs: Array.from(this._running.values()).map(Cron.formatJob),
+      pending: Array.from(this._pending.values())
+        .reduce((res, jobs) => res.concat(jobs), [])
+        .map(Cron.formatJob)
+    }
+  }
+
+  /**
+   * Write the running providers to the status file of the scraper.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @returns {Promise<undefined>} - Resolves when the status is written.
+   */
+  async setStatus(PopApi: any): Promise<void> {
+    const running = Array.from(this._running.keys())
+
+    try {
+      await PopApi.scraper.setStatus(running.length > 0
+        ? `Scraping: ${running.join(', ')}`
+        : 'idle')
+    } catch (err) {
+      logger.error(`Cron.setStatus: ${err.message || err}`)
+    }
+  }
+
+  /**
+   * Cancel the running scrapes gracefully, the providers stop after the
+   * pages and content they are scraping and the pending scrapes are dropped.
+   * The scrapes of the other instances are cancelled through their locks.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @returns {Promise<boolean, Error>} - Whether a running scrape is
+   * cancelled.
+   */
+  async cancel(PopApi: any): Promise<boolean> {
+    const running = this.isRunning()
+
+    if (running) {
+      PopApi.scraper.cancelled = true
+      this._pending.clear()
+    }
+
+    const cancelled = await this.lock.cancel([HealthChecker.LockKey])
+
+    if (!running && cancelled === 0) {
+      return false
+    }
+
+    logger.warn(`Cron: Cancelling the running scrapes, ${cancelled} locked configs`)
+
+    return true
+  }
+
+  /**
+   * Pause the cron jobs, the running scrapes are not cancelled.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @returns {undefined}
+   */
+  pause(PopApi: any): void {
+    this.schedules.forEach(({ task }) => task.stop())
+    this._paused = true
+
+    logger.warn('Cron: Paused the scheduled scrapes')
+  }
+
+  /**
+   * Resume the paused cron jobs.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @returns {undefined}
+   */
+  resume(PopApi: any): void {
+    this.schedules.forEach(({ task }) => task.start())
+    this._paused = false
+
+    logger.info('Cron: Resumed the scheduled scrapes')
+  }
+
+  /**
+   * Run the scrape of a provider. When the provider is already running the
+   * scrape is started after it, a schedule is only queued once.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @param {!Object} job - The scrape to run.
+   * @param {!Function} job.Provider - The provider to scrape with.
+   * @param {!Object} job.args - The arguments of the provider.
+   * @param {!Array<Object>} job.configs - The configs to scrape.
+   * @param {!string} job.mode - The mode to scrape with.
+   * @param {!string} job.schedule - The name of the schedule of the scrape.
+   * @returns {Promise<Array<Object>|undefined, Error>} - The results of the
+   * configs.
+   */
+  async run(PopApi: any, job: Object): Promise<Array<Object> | void> {
+    const { Provider, args, configs, mode, schedule } = job
+    const { name } = Provider
+
+    if (this._running.has(name)) {
+      const pending = this._pending.get(name) || []
+
+      if (!pending.some(j => j.schedule === schedule)) {
+        this._pending.set(name, pending.concat(job))
+      }
+
+      return logger.warn(`Cron: ${name} is running, scraping '${schedule}' after it`)
+    }
+
+    const provider = new Provider(PopApiScraper, {
+      ...args,
+      configs,
+      scrapeMode: mode
+    })
+
+    try {
+      this._running.set(name, {
+        ...job,
+        startedAt: Date.now()
+      })
+      logger.info(`Cron: Started scraping ${name} in ${mode} mode for '${schedule}'`)
+
+      await PopApi.scraper.setUpdated(Math.floor(Date.now() / 1000))
+      await this.setStatus(PopApi)
+
+      return await provider.scrapeConfigs()
+    } catch (err) {
+      logger.error(`Cron.run: ${err.message || err}`)
+    } finally {
+      this._running.delete(name)
+
+      if (this._running.size === 0) {
+        PopApi.scraper.cancelled = false
+      }
+
+      await this.setStatus(PopApi)
+
+      const [next, ...rest] = this._pending.get(name) || []
+
+      if (rest.length > 0) {
+        this._pending.set(name, rest)
+      } else {
+        this._pending.delete(name)
+      }
+
+      if (next) {
+        this.run(PopApi, next)
+      }
+    }
+  }
+
+  /**
+   * Run the scrapes of the providers one after the other. The scrape of the
+   * first provider is registered as running before this returns.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @param {!Array<Object>} targets - The providers with the configs to
+   * scrape.
+   * @param {!string} mode - The mode to scrape with.
+   * @param {!string} schedule - The name of the schedule of the scrapes.
+   * @returns {Promise<Array<Object>, Error>} - The results of the providers.
+   */
+  async runTargets(
+    PopApi: any,
+    targets: Array<Object>,
+    mode: string,
+    schedule: string
+  ): Promise<Array<Object>> {
+    if (targets.length === 0) {
+      return []
+    }
+
+    const [target, ...rest] = targets
+    const result = await this.run(PopApi, {
+      ...target,
+      mode,
+      schedule
+    })
+
+    return [result].concat(await this.runTargets(PopApi, rest, mode, schedule))
+  }
+
+  /**
+   * Run the scrapes of a schedule.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @param {!string} name - The name of the schedule.
+   * @returns {Promise<Array<Object>, Error>} - The results of the providers.
+   */
+  runSchedule(PopApi: any, name: string): Promise<Array<Object>> {
+    const { targets, mode } = this.getSchedule(name)
+
+    return this.runTargets(PopApi, targets, mode, name)
+  }
+
+  /**
+   * Scrape all the enabled providers or one config with a mode.
+   * @param {!PopApi} PopApi - The PopApi instance.
+   * @param {!string} mode - The mode to scrape with.
+   * @param {?string} [name] - The name of the config to scrape, all the
+   * configs of the enabled providers are scraped without it.
+   * @returns {Promise<Array<Object>|undefined, Error>} - The results of the
+   * providers.
+   */
+  scrape(
+    PopApi: any,
+    mode: string,
+    name?: string
+  ): Promise<Array<Object> | void> {
+    if (!name) {
+      logger.info(`Cron: Started scraping in ${mode} mode`)
+
+      return this.runTargets(PopApi, this.providers.map(({
+        Provider,
+        args
+      }) => ({
+        Provider,
+        args,
+        configs: args.configs
+      })), mode, Cron.ManualSchedule)
+    }
+
+    const found = this.findConfig(name)
+
+    if (!found) {
+      return Promise.resolve(logger.error(`Cron: No config found with the name '${name}'`))
+    }
+
+    const { Provider, args, config } = found
+    logger.info(`Cron: Started scraping '${config.name}' in ${mode} mode`)
+
+    return this.runTargets(PopApi, [{
+      Provider,
+      args,
+      configs: [config]
+    }], mode, Cron.ManualSchedule)
+  }
+
+}
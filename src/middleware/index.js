@@ -1,2 +1,4 @@
 // Export the necessary modules.
 export Cli from './Cli'
+export Cron from './Cron'
+export requireToken from './requireToken'
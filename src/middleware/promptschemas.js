@@ -0,0 +1,122 @@
+// @flow
+
+/**
+ * The prompt schema for the imdb id of the content.
+ * @type {Object}
+ */
+const imdb: Object = {
+  name: 'imdb',
+  type: 'input',
+  message: 'The imdb id of the content:',
+  validate(value: string): boolean | string {
+    const valid = /^tt\d{7,}$/i.test(value)
+    return valid || 'Not a valid imdb id.'
+  }
+}
+
+/**
+ * The prompt schema for the torrent link of the content.
+ * @type {Object}
+ */
+const torrent: Object = {
+  name: 'torrent',
+  type: 'input',
+  message: 'The link or magnet link of the torrent:',
+  validate(value: string): boolean | string {
+    const valid = typeof value === 'string' && value.trim() !== ''
+    return valid || 'Not a valid torrent.'
+  }
+}
+
+/**
+ * The prompt schema for the quality of a movie torrent.
+ * @type {Object}
+ */
+const movieQuality: Object = {
+  name: 'quality',
+  type: 'list',
+  message: 'The quality of the torrent:',
+  choices: ['2160p', '3D', '1080p', '720p', '480p'],
+  default: '1080p'
+}
+
+/**
+ * The prompt schema for the quality of a show torrent.
+ * @type {Object}
+ */
+const showQuality: Object = {
+  name: 'quality',
+  type: 'list',
+  message: 'The quality of the torrent:',
+  choices: ['2160p', '1080p', '720p', '480p'],
+  default: '720p'
+}
+
+/**
+ * The prompt schema for the language of the torrent.
+ * @type {Object}
+ */
+const language: Object = {
+  name: 'language',
+  type: 'input',
+  message: 'The language of the torrent:',
+  default: 'en',
+  validate(value: string): boolean | string {
+    const valid = typeof value === 'string' && /^[a-z]{2}$/i.test(value)
+    return valid || 'Not a valid language code, use two letters like \'en\'.'
+  }
+}
+
+/**
+ * The prompt schema for the season number of the torrent.
+ * @type {Object}
+ */
+const season: Object = {
+  name: 'season',
+  type: 'number',
+  message: 'The season number of the torrent:',
+  validate(value: number): boolean | string {
+    const valid = /^\d+$/.test(value)
+    return valid || 'Not a valid season number.'
+  }
+}
+
+/**
+ * The prompt schema for the episode number of the torrent.
+ * @type {Object}
+ */
+const episode: Object = {
+  name: 'episode',
+  type: 'number',
+  message: 'The episode number of the torrent:',
+  validate(value: number): boolean | string {
+    const valid = /^\d+$/.test(value)
+    return valid || 'Not a valid episode number.'
+  }
+}
+
+/**
+ * The prompt schema to confirm an action.
+ * @type {Object}
+ */
+const confirm: Object = {
+  name: 'confirm',
+  type: 'confirm',
+  message: 'Do you wish to continue?',
+  default: false
+}
+
+/**
+ * Export the prompt schemas.
+ * @type {Object}
+ */
+export default {
+  imdb,
+  torrent,
+  movieQuality,
+  showQuality,
+  language,
+  season,
+  episode,
+  confirm
+}
@@ -0,0 +1,48 @@
+// @flow
+import { timingSafeEqual } from 'crypto'
+import { ApiError, statusCodes } from '@pct-org/pop-api'
+import type {
+  $Request,
+  $Response,
+  NextFunction
+} from 'express'
+
+/**
+ * Create an ExpressJS middleware which only lets requests with the admin
+ * token through. The token is send as a bearer token in the `Authorization`
+ * header.
+ * @param {?string} [token=process.env.ADMIN_TOKEN] - The admin token.
+ * @returns {Function} - The ExpressJS middleware.
+ */
+export default function requireToken(
+  token?: string = process.env.ADMIN_TOKEN
+): Function {
+  return (req: $Request, res: $Response, next: NextFunction): mixed => {
+    // Without a token the protected routes are disabled
+    if (!token) {
+      return next(new ApiError({
+        message: 'No admin token is configured',
+        status: statusCodes.FORBIDDEN,
+        isPublic: true
+      }))
+    }
+
+    const [, given = ''] = String(req.get('Authorization') || '')
+      .match(/^Bearer\s+(.+)$/i) || []
+    const expected = Buffer.from(token)
+    const actual = Buffer.from(given)
+
+    if (
+      actual.length !== expected.length ||
+      !timingSafeEqual(actual, expected)
+    ) {
+      return next(new ApiError({
+        message: 'A valid admin token is required',
+        status: statusCodes.UNAUTHORIZED,
+        isPublic: true
+      }))
+    }
+
+    return next()
+  }
+}
@@ -0,0 +1,75 @@
+// @flow
+import {
+  model,
+  Schema
+} from 'mongoose'
+
+/**
+ * The types of changes a run can make.
+ * @type {Object}
+ */
+export const ChangeTypes: Object = {
+  Title: 'title',
+  Episode: 'episode',
+  TorrentAdded: 'torrentAdded',
+  TorrentReplaced: 'torrentReplaced',
+  Metadata: 'metadata',
+  Removed: 'removed'
+}
+
+/**
+ * The days the changes are kept for.
+ * @type {number}
+ */
+export const retentionDays: number = Number(
+  process.env.CHANGES_RETENTION_DAYS
+) || 30
+
+/**
+ * The schema for the changes a run made to the movies, shows and episodes.
+ * The changes are removed by MongoDB after the retention window.
+ * @type {Schema}
+ */
+export const changeSchema: Schema = new Schema({
+  runId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(ChangeTypes),
+    required: true
+  },
+  ref: {
+    type: String,
+    required: true
+  },
+  title: String,
+  quality: String,
+  torrent: Schema.Types.Mixed,
+  previous: Schema.Types.Mixed,
+  fields: Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: `${retentionDays}d`
+  }
+}, {
+  collection: 'changes',
+  minimize: false
+})
+
+/**
+ * The model for the changes a run made.
+ * @type {MongooseModel}
+ */
+export default model('Change', changeSchema)
@@ -0,0 +1,60 @@
+// @flow
+import {
+  model,
+  Schema
+} from 'mongoose'
+
+/**
+ * The types of failures which can be stored.
+ * @type {Object}
+ */
+export const FailedTypes: Object = {
+  Page: 'page',
+  Content: 'content'
+}
+
+/**
+ * The schema for the pages and content items which could not be scraped, so
+ * they can be scraped again after an outage.
+ * @type {Schema}
+ */
+export const failedSchema: Schema = new Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(FailedTypes),
+    required: true
+  },
+  ref: {
+    type: String,
+    required: true
+  },
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  payload: Schema.Types.Mixed,
+  createdAt: Number,
+  updatedAt: Number
+}, {
+  collection: 'failed',
+  minimize: false
+})
+
+/**
+ * The model for the pages and content items which could not be scraped.
+ * @type {MongooseModel}
+ */
+export default model('Failed', failedSchema)
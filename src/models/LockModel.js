@@ -0,0 +1,49 @@
+// @flow
+import {
+  model,
+  Schema
+} from 'mongoose'
+
+/**
+ * The schema for the lease locks of the provider configs, a lock is taken
+ * over when it is expired and removed by MongoDB some time after it expires.
+ * The `cancelledAt` of a lock is set when its scrape is cancelled, so the
+ * instance holding it stops.
+ * @type {Schema}
+ */
+export const lockSchema: Schema = new Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  acquiredAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'locks'
+})
+
+lockSchema.index({
+  expiresAt: 1
+}, {
+  expireAfterSeconds: 0
+})
+
+/**
+ * The model for the lease locks of the provider configs.
+ * @type {MongooseModel}
+ */
+export default model('Lock', lockSchema)
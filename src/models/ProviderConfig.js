@@ -0,0 +1,202 @@
+// @flow
+
+/**
+ * Class for a scrape configuration declared in the providers config file.
+ * @type {ProviderConfig}
+ */
+export default class ProviderConfig {
+
+  /**
+   * The id of the configuration, same as the name.
+   * @type {string}
+   */
+  _id: string
+
+  /**
+   * The id of the configuration, same as the name.
+   * @type {string}
+   */
+  id: string
+
+  /**
+   * The name of the API module to scrape with.
+   * @type {string}
+   */
+  api: string
+
+  /**
+   * The name of the provider class the configuration belongs to.
+   * @type {string}
+   */
+  clazz: string
+
+  /**
+   * The type of model to save the content to, defaults to the `type`.
+   * @type {string}
+   */
+  modelType: string
+
+  /**
+   * The name of the configuration.
+   * @type {string}
+   */
+  name: string
+
+  /**
+   * The query to get the content with for the API module.
+   * @type {Object}
+   */
+  query: Object
+
+  /**
+   * The sources of the regular expressions to extract information from a
+   * torrent.
+   * @type {Array<string>}
+   */
+  regexps: Array<string>
+
+  /**
+   * The type of content to scrape, `movie` or `show`.
+   * @type {string}
+   */
+  type: string
+
+  /**
+   * Whether the configuration should be scraped.
+   * @type {boolean}
+   */
+  enabled: boolean
+
+  /**
+   * The mode to scrape the configuration with, `incremental` or `full`.
+   * @type {string}
+   */
+  mode: string
+
+  /**
+   * The policy to retry a failed page with.
+   * @type {Object}
+   */
+  retry: Object
+
+  /**
+   * The schedules to scrape the configuration on.
+   * @type {Array<Object>}
+   */
+  schedules: Array<Object>
+
+  /**
+   * The policy to rank the torrents of the configuration with.
+   * @type {Object}
+   */
+  ranking: Object
+
+  /**
+   * Create a new ProviderConfig object.
+   * @param {!Object} options - The options for the provider configuration.
+   * @param {!string} options.api - The name of the API module.
+   * @param {!string} options.clazz - The name of the provider class.
+   * @param {!string} options.modelType - The type of model to save to.
+   * @param {!string} options.name - The name of the configuration.
+   * @param {!Object} options.query - The query for the API module.
+   * @param {!Array<string>} options.regexps - The sources of the regular
+   * expressions.
+   * @param {!string} options.type - The type of content to scrape.
+   * @param {!boolean} options.enabled - Whether the configuration should be
+   * scraped.
+   * @param {!string} options.mode - The mode to scrape the configuration
+   * with.
+   * @param {!Object} options.retry - The policy to retry a failed page with.
+   * @param {!Array<Object>} options.schedules - The schedules to scrape the
+   * configuration on.
+   * @param {!Object} options.ranking - The policy to rank the torrents of the
+   * configuration with.
+   */
+  constructor({
+    api,
+    clazz,
+    modelType,
+    name,
+    query,
+    regexps,
+    type,
+    enabled,
+    mode,
+    retry,
+    schedules,
+    ranking
+  }: Object = {}): void {
+    /**
+     * The id of the configuration, same as the name.
+     * @type {string}
+     */
+    this._id = name
+    /**
+     * The id of the configuration, same as the name.
+     * @type {string}
+     */
+    this.id = name
+    /**
+     * The name of the API module to scrape with.
+     * @type {string}
+     */
+    this.api = api
+    /**
+     * The name of the provider class the configuration belongs to.
+     * @type {string}
+     */
+    this.clazz = clazz
+    /**
+     * The type of model to save the content to, defaults to the `type`.
+     * @type {string}
+     */
+    this.modelType = modelType
+    /**
+     * The name of the configuration.
+     * @type {string}
+     */
+    this.name = name
+    /**
+     * The query to get the content with for the API module.
+     * @type {Object}
+     */
+    this.query = query
+    /**
+     * The sources of the regular expressions to extract information from a
+     * torrent.
+     * @type {Array<string>}
+     */
+    this.regexps = regexps
+    /**
+     * The type of content to scrape, `movie` or `show`.
+     * @type {string}
+     */
+    this.type = type
+    /**
+     * Whether the configuration should be scraped.
+     * @type {boolean}
+     */
+    this.enabled = enabled
+    /**
+     * The mode to scrape the configuration with, `incremental` or `full`.
+     * @type {string}
+     */
+    this.mode = mode
+    /**
+     * The policy to retry a failed page with.
+     * @type {Object}
+     */
+    this.retry = retry
+    /**
+     * The schedules to scrape the configuration on.
+     * @type {Array<Object>}
+     */
+    this.schedules = schedules
+    /**
+     * The policy to rank the torrents of the configuration with.
+     * @type {Object}
+     */
+    this.ranking = ranking
+  }
+
+}
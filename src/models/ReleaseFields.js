@@ -0,0 +1,67 @@
+// @flow
+import { EpisodeModel } from '@pct-org/mongo-models/dist/episode/episode.model'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import type { MongooseModel } from 'mongoose'
+
+/**
+ * The fields parsed from the name of a release which are stored with the
+ * torrents.
+ * @type {Object}
+ */
+export const releaseFields: Object = {
+  codec: String,
+  source: String,
+  resolution: String,
+  uhd: String,
+  hdr: String,
+  audio: String,
+  channels: String,
+  group: String,
+  proper: Boolean,
+  repack: Boolean,
+  hardcodedSubs: Boolean
+}
+
+/**
+ * The fields of the health checks of the torrents with the trackers.
+ * @type {Object}
+ */
+export const healthFields: Object = {
+  lastCheckedAt: Date,
+  dead: Boolean
+}
+
+/**
+ * The paths of the lists of torrents of the content models.
+ * @type {Array<string>}
+ */
+export const torrentPaths: Array<string> = [
+  'torrents',
+  'searchedTorrents'
+]
+
+/**
+ * Add the release and health fields to the torrents of the content models,
+ * the torrent schema of the shared models would drop them when the content is
+ * saved.
+ * @param {?Array<MongooseModel>} [models] - The content models, the movies
+ * and the episodes by default.
+ * @returns {undefined}
+ */
+export default function addReleaseFields(
+  models: Array<MongooseModel> = [MovieModel, EpisodeModel]
+): void {
+  models.forEach(Model => torrentPaths.forEach(path => {
+    const { schema } = Model.schema.path(path)
+
+    if (!schema) {
+      return
+    }
+    if (!schema.path('codec')) {
+      schema.add(releaseFields)
+    }
+    if (!schema.path('lastCheckedAt')) {
+      schema.add(healthFields)
+    }
+  }))
+}
@@ -0,0 +1,82 @@
+// @flow
+import {
+  model,
+  Schema
+} from 'mongoose'
+
+/**
+ * The statuses of a run.
+ * @type {Object}
+ */
+export const RunStatuses: Object = {
+  Running: 'running',
+  Completed: 'completed',
+  Failed: 'failed',
+  Cancelled: 'cancelled'
+}
+
+/**
+ * The metrics counted during a run.
+ * @type {Array<string>}
+ */
+export const RunMetrics: Array<string> = [
+  'pagesFetched',
+  'torrentsFound',
+  'contentExtracted',
+  'blacklisted',
+  'saved',
+  'pageErrors',
+  'contentErrors'
+]
+
+/**
+ * The schema for the runs of the provider configs.
+ * @type {Schema}
+ */
+export const runSchema: Schema = new Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  mode: String,
+  status: {
+    type: String,
+    enum: Object.values(RunStatuses),
+    required: true
+  },
+  error: String,
+  metrics: RunMetrics.reduce((metrics, metric) => ({
+    ...metrics,
+    [metric]: {
+      type: Number,
+      default: 0
+    }
+  }), {}),
+  startedAt: {
+    type: Number,
+    index: true
+  },
+  completedAt: Number
+}, {
+  collection: 'runs',
+  minimize: false
+})
+
+/**
+ * The model for the runs of the provider configs.
+ * @type {MongooseModel}
+ */
+export default model('Run', runSchema)
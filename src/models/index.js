@@ -0,0 +1,7 @@
+// Export the necessary modules.
+export ChangeModel from './ChangeModel'
+export FailedModel from './FailedModel'
+export LockModel from './LockModel'
+export ProviderConfig from './ProviderConfig'
+export addReleaseFields from './ReleaseFields'
+export RunModel from './RunModel'
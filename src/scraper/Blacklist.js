@@ -0,0 +1,288 @@
+// @flow
+import { BlacklistModel } from '@pct-org/mongo-models/dist/blacklist/blacklist.model'
+
+/**
+ * Class for managing the content the providers skip while scraping.
+ * @type {Blacklist}
+ */
+export default class Blacklist {
+
+  /**
+   * The reasons content can be added to the blacklist for.
+   * @type {Object}
+   */
+  static Reasons: Object = {
+    MinimizeUpdateFrequency: 'minimizeUpdateFrequency',
+    NotFound: '404',
+    Ended: 'ended',
+    Canceled: 'canceled',
+    NextEpisode: 'nextEpisode',
+    Banned: 'banned'
+  }
+
+  /**
+   * The types of content which can be added to the blacklist.
+   * @type {Array<string>}
+   */
+  static Types: Array<string> = [
+    'movie',
+    'show'
+  ]
+
+  /**
+   * The `expires` value of an entry which never expires. An `expires` of `0`
+   * is an entry the helpers added without a duration, which is expired.
+   * @type {number}
+   */
+  static Permanent: number = Number.MAX_SAFE_INTEGER
+
+  /**
+   * A week in milliseconds.
+   * @type {number}
+   */
+  static Week: number = 6.048e+8
+
+  /**
+   * The model of the blacklist entries.
+   * @type {MongooseModel}
+   */
+  Model: any
+
+  /**
+   * Create a new Blacklist object.
+   * @param {!Object} options - The options for the blacklist.
+   * @param {?MongooseModel} [options.Model=BlacklistModel] - The model of the
+   * blacklist entries.
+   */
+  constructor({ Model = BlacklistModel }: Object = {}): void {
+    /**
+     * The model of the blacklist entries.
+     * @type {MongooseModel}
+     */
+    this.Model = Model
+  }
+
+  /**
+   * Check if an entry never expires.
+   * @param {!Object} entry - The blacklist entry.
+   * @returns {boolean} - Whether the entry never expires.
+   */
+  static isPermanent(entry: Object): boolean {
+    return entry.expires === Blacklist.Permanent
+  }
+
+  /**
+   * Check if an entry still makes the providers skip its content.
+   * @param {!Object} entry - The blacklist entry.
+   * @param {?number} [now=Date.now()] - The time to check the entry at.
+   * @returns {boolean} - Whether the entry is active.
+   */
+  static isActive(entry: Object, now: number = Date.now()): boolean {
+    return Blacklist.isPermanent(entry) || entry.expires > now
+  }
+
+  /**
+   * Format an entry with a readable expiry date.
+   * @param {!Object} entry - The blacklist entry.
+   * @returns {Object} - The formatted entry.
+   */
+  static format(entry: Object): Object {
+    const permanent = Blacklist.isPermanent(entry)
+
+    return {
+      _id: entry._id,
+      title: entry.title,
+      type: entry.type,
+      reason: entry.reason,
+      expires: entry.expires,
+      expiresAt: permanent
+        ? null
+        : new Date(entry.expires).toISOString(),
+      permanent,
+      active: Blacklist.isActive(entry),
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt
+    }
+  }
+
+  /**
+   * Validate the `reason` and `type` filters.
+   * @param {!Object} filters - The filters to validate.
+   * @param {?string} [filters.reason] - The reason of the entries.
+   * @param {?string} [filters.type] - The type of content of the entries.
+   * @throws {TypeError} - The filter is not valid.
+   * @returns {Object} - The query for the filters.
+   */
+  getQuery({ reason, type }: Object = {}): Object {
+    const query = {}
+
+    if (reason) {
+      if (!Object.values(Blacklist.Reasons).includes(reason)) {
+        throw new TypeError(`'${reason}' is not a valid reason`)
+      }
+
+      query.reason = reason
+    }
+
+    if (type) {
+      if (!Blacklist.Types.includes(type)) {
+        throw new TypeError(`'${type}' is not a valid type`)
+      }
+
+      query.type = type
+    }
+
+    return query
+  }
+
+  /**
+   * List the entries, the entries which expire first are listed first.
+   * @param {?Object} [filters={}] - The filters for the entries.
+   * @param {?string} [filters.reason] - The reason of the entries.
+   * @param {?string} [filters.type] - The type of content of the entries.
+   * @returns {Promise<Array<Object>, Error>} - The formatted entries.
+   */
+  async list(filters: Object = {}): Promise<Array<Object>> {
+    const entries = await this.Model.find(this.getQuery(filters))
+      .sort({
+        expires: 1
+      })
+      .lean()
+      .exec()
+
+    return entries.map(Blacklist.format)
+  }
+
+  /**
+   * Get an entry.
+   * @param {!string} id - The id of the entry.
+   * @returns {Promise<Object|null, Error>} - The formatted entry.
+   */
+  async get(id: string): Promise<Object | null> {
+    const entry = await this.Model.findOne({
+      _id: id
+    }).lean().exec()
+
+    return entry ? Blacklist.format(entry) : null
+  }
+
+  /**
+   * Remove an entry so its content gets scraped again.
+   * @param {!string} id - The id of the entry.
+   * @returns {Promise<Object|null, Error>} - The removed entry.
+   */
+  async remove(id: string): Promise<Object | null> {
+    const entry = await this.Model.findOneAndDelete({
+      _id: id
+    }).lean().exec()
+
+    return entry ? Blacklist.format(entry) : null
+  }
+
+  /**
+   * Extend an entry with a number of weeks or until a date, a permanent
+   * entry can only be changed to expire at a date.
+   * @param {!string} id - The id of the entry.
+   * @param {!Object} options - The options to extend the entry with.
+   * @param {?number} [options.weeks] - The weeks to extend the entry with.
+   * @param {?number|string} [options.until] - The date to extend the entry
+   * until.
+   * @throws {TypeError} - The weeks or date are not valid.
+   * @returns {Promise<Object|null, Error>} - The extended entry.
+   */
+  async extend(id: string, {
+    weeks,
+    until
+  }: Object = {}): Promise<Object | null> {
+    const entry = await this.Model.findOne({
+      _id: id
+    }).lean().exec()
+
+    if (!entry) {
+      return null
+    }
+
+    let expires
+    if (until !== undefined && until !== null) {
+      expires = isNaN(until) ? Date.parse(until) : Number(until)
+
+      if (isNaN(expires) || expires <= Date.now()) {
+        throw new TypeError(`'${until}' is not a valid date in the future`)
+      }
+    } else {
+      const amount = Number(weeks)
+
+      if (!(amount > 0)) {
+        throw new TypeError(`'${weeks}' is not a valid number of weeks`)
+      }
+      if (Blacklist.isPermanent(entry)) {
+        throw new TypeError(`'${id}' is permanent and can not be extended`)
+      }
+
+      expires = Math.max(entry.expires, Date.now()) +
+        Math.round(Blacklist.Week * amount)
+    }
+
+    const updated = await this.Model.findOneAndUpdate({
+      _id: id
+    }, {
+      $set: {
+        expires,
+        updatedAt: Date.now()
+      }
+    }, {
+      new: true
+    }).lean().exec()
+
+    return Blacklist.format(updated)
+  }
+
+  /**
+   * Add a permanent entry, the providers will never scrape its content.
+   * @param {!string} id - The imdb id or slug of the content.
+   * @param {!Object} options - The options for the entry.
+   * @param {!string} options.type - The type of the content.
+   * @param {?string} [options.title] - The title of the content.
+   * @throws {TypeError} - The type is not valid.
+   * @returns {Promise<Object, Error>} - The permanent entry.
+   */
+  async ban(id: string, {
+    type,
+    title
+  }: Object = {}): Promise<Object> {
+    if (!Blacklist.Types.includes(type)) {
+      throw new TypeError(`'${type}' is not a valid type`)
+    }
+
+    const now = Date.now()
+    const $set = {
+      type,
+      reason: Blacklist.Reasons.Banned,
+      expires: Blacklist.Permanent,
+      updatedAt: now
+    }
+    const $setOnInsert = {
+      createdAt: now
+    }
+
+    // Keep the title of an existing entry when no title is given
+    if (title) {
+      $set.title = title
+    } else {
+      $setOnInsert.title = id
+    }
+
+    const entry = await this.Model.findOneAndUpdate({
+      _id: id
+    }, {
+      $set,
+      $setOnInsert
+    }, {
+      new: true,
+      upsert: true
+    }).lean().exec()
+
+    return Blacklist.format(entry)
+  }
+
+}
@@ -0,0 +1,326 @@
+// @flow
+import { Types } from 'mongoose'
+
+import ChangeModel, { ChangeTypes } from '../models/ChangeModel'
+
+/**
+ * Class for recording the changes a run makes to the movies, shows and
+ * episodes, the changes are kept in memory until they are saved.
+ * @type {Changeset}
+ */
+export default class Changeset {
+
+  /**
+   * The types of changes a run can make.
+   * @type {Object}
+   */
+  static Types: Object = ChangeTypes
+
+  /**
+   * The metadata fields which are compared with the stored content. The
+   * rating is left out because it changes on every run.
+   * @type {Array<string>}
+   */
+  static MetadataFields: Array<string> = [
+    'title',
+    'synopsis',
+    'slug',
+    'released',
+    'firstAired',
+    'certification',
+    'runtime',
+    'genres',
+    'images',
+    'trailer',
+    'airInfo',
+    'numSeasons'
+  ]
+
+  /**
+   * The attributes of a torrent which are stored with a change.
+   * @type {Array<string>}
+   */
+  static TorrentFields: Array<string> = [
+    'title',
+    'url',
+    'provider',
+    'size',
+    'seeds',
+    'peers'
+  ]
+
+  /**
+   * The id of the run the changes belong to.
+   * @type {string}
+   */
+  runId: string
+
+  /**
+   * The name of the config making the changes.
+   * @type {string}
+   */
+  name: string
+
+  /**
+   * The type of content of the config.
+   * @type {string}
+   */
+  contentType: string
+
+  /**
+   * The model to save the changes with.
+   * @type {MongooseModel}
+   */
+  Model: any
+
+  /**
+   * The changes which are not saved yet.
+   * @type {Array<Object>}
+   */
+  pending: Array<Object>
+
+  /**
+   * Create a new Changeset object.
+   * @param {!Object} options - The options for the changeset.
+   * @param {?string} [options.runId] - The id of the run, a new id is
+   * created when none is given.
+   * @param {!string} options.name - The name of the config making the
+   * changes.
+   * @param {?string} [options.contentType] - The type of content of the
+   * config.
+   * @param {?MongooseModel} [options.Model=ChangeModel] - The model to save
+   * the changes with.
+   */
+  constructor({
+    runId = Changeset.createRunId(),
+    name,
+    contentType,
+    Model = ChangeModel
+  }: Object = {}): void {
+    /**
+     * The id of the run the changes belong to.
+     * @type {string}
+     */
+    this.runId = runId
+    /**
+     * The name of the config making the changes.
+     * @type {string}
+     */
+    this.name = name
+    /**
+     * The type of content of the config.
+     * @type {string}
+     */
+    this.contentType = contentType
+    /**
+     * The model to save the changes with.
+     * @type {MongooseModel}
+     */
+    this.Model = Model
+    /**
+     * The changes which are not saved yet.
+     * @type {Array<Object>}
+     */
+    this.pending = []
+  }
+
+  /**
+   * Create a new id for a run, the ids are sorted by the time they are
+   * created at.
+   * @returns {string} - The id of the run.
+   */
+  static createRunId(): string {
+    return new Types.ObjectId().toHexString()
+  }
+
+  /**
+   * Serialize a value with sorted keys, so values can be compared regardless
+   * of the order of their keys.
+   * @param {*} value - The value to serialize.
+   * @returns {string} - The serialized value.
+   */
+  static serialize(value: any): string {
+    if (Array.isArray(value)) {
+      return `[${value.map(Changeset.serialize).join(',')}]`
+    }
+
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value)
+        .filter(k => value[k] !== undefined && k !== '_id')
+        .sort()
+
+      const entries = keys.map(k => (
+        `${JSON.stringify(k)}:${Changeset.serialize(value[k])}`
+      ))
+
+      return `{${entries.join(',')}}`
+    }
+
+    return JSON.stringify(value === undefined ? null : value)
+  }
+
+  /**
+   * Convert a stored document to a plain object.
+   * @param {?Object} doc - The stored document.
+   * @returns {Object|null} - The plain object.
+   */
+  static toObject(doc: ?Object): Object | null {
+    if (!doc) {
+      return null
+    }
+
+    return typeof doc.toObject === 'function' ? doc.toObject() : doc
+  }
+
+  /**
+   * Pick the attributes of a torrent to store with a change.
+   * @param {!Object} torrent - The torrent to pick the attributes from.
+   * @returns {Object} - The attributes of the torrent.
+   */
+  static pickTorrent(torrent: Object): Object {
+    return Changeset.TorrentFields.reduce((picked, field) => ({
+      ...picked,
+      [field]: torrent[field]
+    }), {})
+  }
+
+  /**
+   * Add a change.
+   * @param {!string} type - The type of the change.
+   * @param {!Object} change - The change.
+   * @param {!string} change.ref - The id of the changed item.
+   * @param {?string} [change.title] - The title of the changed item.
+   * @returns {undefined}
+   */
+  add(type: string, change: Object): void {
+    this.pending.push({
+      ...change,
+      runId: this.runId,
+      name: this.name,
+      contentType: this.contentType,
+      type,
+      createdAt: new Date()
+    })
+  }
+
+  /**
+   * Add the torrents which are added, replaced or removed per quality.
+   * @param {!Object} item - The id and title of the changed item.
+   * @param {?Array<Object>} [torrents=[]] - The torrents of the item.
+   * @param {?Array<Object>} [previous=[]] - The stored torrents of the item.
+   * @returns {undefined}
+   */
+  addTorrents(
+    item: Object,
+    torrents: ?Array<Object> = [],
+    previous: ?Array<Object> = []
+  ): void {
+    const current = torrents || []
+    const stored = previous || []
+
+    current.forEach(torrent => {
+      const match = stored.find(t => t.quality === torrent.quality)
+
+      if (!match) {
+        this.add(Changeset.Types.TorrentAdded, {
+          ...item,
+          quality: torrent.quality,
+          torrent: Changeset.pickTorrent(torrent)
+        })
+      } else if (match.url !== torrent.url) {
+        this.add(Changeset.Types.TorrentReplaced, {
+          ...item,
+          quality: torrent.quality,
+          torrent: Changeset.pickTorrent(torrent),
+          previous: Changeset.pickTorrent(match)
+        })
+      }
+    })
+
+    stored
+      .filter(t => !current.some(c => c.quality === t.quality))
+      .forEach(t => this.add(Changeset.Types.Removed, {
+        ...item,
+        quality: t.quality,
+        previous: Changeset.pickTorrent(t)
+      }))
+  }
+
+  /**
+   * Add the metadata fields of an item which differ from the stored item.
+   * Fields the item does not have are not compared.
+   * @param {!Object} item - The id and title of the changed item.
+   * @param {!Object} doc - The item to save.
+   * @param {!Object} found - The stored item.
+   * @returns {undefined}
+   */
+  addMetadata(item: Object, doc: Object, found: Object): void {
+    const fields = Changeset.MetadataFields
+      .filter(field => doc[field] !== undefined)
+      .filter(field => Changeset.serialize(doc[field]) !==
+        Changeset.serialize(found[field]))
+      .map(field => ({
+        field,
+        from: found[field] === undefined ? null : found[field],
+        to: doc[field]
+      }))
+
+    if (fields.length > 0) {
+      this.add(Changeset.Types.Metadata, {
+        ...item,
+        fields
+      })
+    }
+  }
+
+  /**
+   * Compare an item with the stored item and add the changes, an item which
+   * is not stored yet is added as new.
+   * @param {!string} type - The type of change for a new item, `title` or
+   * `episode`.
+   * @param {!Object} item - The id and title of the item.
+   * @param {!Object} doc - The item to save.
+   * @param {?Object} found - The stored item.
+   * @returns {undefined}
+   */
+  compare(type: string, item: Object, doc: Object, found: ?Object): void {
+    const stored = Changeset.toObject(found)
+
+    if (!stored) {
+      this.add(type, item)
+    } else {
+      this.addMetadata(item, doc, stored)
+    }
+
+    if (doc.torrents) {
+      this.addTorrents(item, doc.torrents, stored && stored.torrents)
+    }
+  }
+
+  /**
+   * Save the pending changes, the changes are dropped when they can not be
+   * saved so the run is not interrupted.
+   * @returns {Promise<number>} - The amount of saved changes.
+   */
+  async save(): Promise<number> {
+    const changes = this.pending
+    this.pending = []
+
+    if (changes.length === 0) {
+      return 0
+    }
+
+    try {
+      await this.Model.insertMany(changes, {
+        ordered: false
+      })
+
+      return changes.length
+    } catch (err) {
+      logger.error(`${this.name}: Could not save ${changes.length} changes: ${err.message || err}`)
+
+      return 0
+    }
+  }
+
+}
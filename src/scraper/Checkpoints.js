@@ -0,0 +1,156 @@
+// @flow
+import { join } from 'path'
+import { promisify } from 'util'
+import {
+  readFile,
+  unlink,
+  writeFile
+} from 'fs'
+
+/**
+ * Class for persisting the last completed page of the scraped configs, so an
+ * interrupted scrape can resume from it.
+ * @type {Checkpoints}
+ */
+export default class Checkpoints {
+
+  /**
+   * The name of the file the checkpoints are stored in.
+   * @type {string}
+   */
+  static FileName: string = 'checkpoints.json'
+
+  /**
+   * The path to the file the checkpoints are stored in.
+   * @type {string}
+   */
+  _file: ?string
+
+  /**
+   * The name of the file in the `TEMP_DIR` the checkpoints are stored in.
+   * @type {string}
+   */
+  _fileName: string
+
+  /**
+   * Create a new Checkpoints object.
+   * @param {!Object} options - The options for the checkpoints.
+   * @param {?string} [options.file] - The path to the file to store the
+   * checkpoints in, defaults to a file in the `TEMP_DIR`.
+   * @param {?string} [options.fileName=checkpoints.json] - The name of the
+   * file in the `TEMP_DIR` to store the checkpoints in.
+   */
+  constructor({
+    file,
+    fileName = Checkpoints.FileName
+  }: Object = {}): void {
+    /**
+     * The path to the file the checkpoints are stored in.
+     * @type {string}
+     */
+    this._file = file
+    /**
+     * The name of the file in the `TEMP_DIR` the checkpoints are stored in.
+     * @type {string}
+     */
+    this._fileName = fileName
+  }
+
+  /**
+   * The path to the file the checkpoints are stored in.
+   * @type {string}
+   */
+  get file(): string {
+    return this._file || join(...[
+      process.env.TEMP_DIR || process.cwd(),
+      this._fileName
+    ])
+  }
+
+  /**
+   * Get the key of the checkpoint of a config.
+   * @param {!string} name - The name of the config.
+   * @param {!string} contentType - The type of content the config scrapes.
+   * @returns {string} - The key of the checkpoint.
+   */
+  getKey(name: string, contentType: string): string {
+    return `${name}:${contentType}`
+  }
+
+  /**
+   * Read all the stored checkpoints.
+   * @returns {Promise<Object>} - The checkpoints keyed by their config.
+   */
+  async getAll(): Promise<Object> {
+    try {
+      const data = await promisify(readFile)(this.file, 'utf8')
+
+      return JSON.parse(data) || {}
+    } catch (err) {
+      // No checkpoints have been stored yet
+      return {}
+    }
+  }
+
+  /**
+   * Get the checkpoint of a config.
+   * @param {!string} key - The key of the checkpoint.
+   * @returns {Promise<Object|undefined>} - The checkpoint of the config.
+   */
+  async get(key: string): Promise<Object | void> {
+    const checkpoints = await this.getAll()
+
+    return checkpoints[key]
+  }
+
+  /**
+   * Store the checkpoint of a config.
+   * @param {!string} key - The key of the checkpoint.
+   * @param {!Object} checkpoint - The checkpoint to store.
+   * @returns {Promise<undefined>} - Resolves when the checkpoint is stored.
+   */
+  async set(key: string, checkpoint: Object): Promise<void> {
+    const checkpoints = await this.getAll()
+    checkpoints[key] = checkpoint
+
+    return promisify(writeFile)(
+      this.file,
+      JSON.stringify(checkpoints),
+      'utf8'
+    )
+  }
+
+  /**
+   * Remove the checkpoint of a config.
+   * @param {!string} key - The key of the checkpoint.
+   * @returns {Promise<undefined>} - Resolves when the checkpoint is removed.
+   */
+  async remove(key: string): Promise<void> {
+    const checkpoints = await this.getAll()
+
+    if (!checkpoints[key]) {
+      return
+    }
+
+    delete checkpoints[key]
+
+    return promisify(writeFile)(
+      this.file,
+      JSON.stringify(checkpoints),
+      'utf8'
+    )
+  }
+
+  /**
+   * Remove all the checkpoints so the next scrape starts from the first page.
+   * @returns {Promise<undefined>} - Resolves when the checkpoints are removed.
+   */
+  async clear(): Promise<void> {
+    try {
+      await promisify(unlink)(this.file)
+    } catch (err) {
+      // There were no checkpoints to remove
+    }
+  }
+
+}
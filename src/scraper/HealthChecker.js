@@ -0,0 +1,390 @@
+// @flow
+import cron from 'node-cron'
+import pMap from 'p-map'
+import { EpisodeModel } from '@pct-org/mongo-models/dist/episode/episode.model'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import type { MongooseModel } from 'mongoose'
+
+import LeaseLock from './LeaseLock'
+import Magnet from './Magnet'
+import TrackerScrape from './TrackerScrape'
+import { torrentPaths } from '../models/ReleaseFields'
+
+/**
+ * Class for the health checks of the stored torrents. The trackers of the
+ * torrents are scraped for their seeders and leechers, the torrents without
+ * seeders are marked as dead. Only one instance checks at a time.
+ * @type {HealthChecker}
+ */
+export default class HealthChecker {
+
+  /**
+   * The key of the lock of the health checks.
+   * @type {string}
+   */
+  static LockKey: string = 'health-checks'
+
+  /**
+   * The content models with the torrents to check.
+   * @type {Array<MongooseModel>}
+   */
+  models: Array<MongooseModel>
+
+  /**
+   * The scrape requests to the trackers.
+   * @type {TrackerScrape}
+   */
+  scraper: TrackerScrape
+
+  /**
+   * The lease lock so only one instance checks the torrents at a time.
+   * @type {LeaseLock}
+   */
+  lock: LeaseLock
+
+  /**
+   * The cron time of the health checks, the checks are not scheduled when it
+   * is empty.
+   * @type {string}
+   */
+  cronTime: string
+
+  /**
+   * The time in milliseconds after which a torrent is checked again.
+   * @type {number}
+   */
+  checkAfter: number
+
+  /**
+   * The max number of movies or episodes to check in one run.
+   * @type {number}
+   */
+  batchSize: number
+
+  /**
+   * The max number of trackers to scrape for a torrent.
+   * @type {number}
+   */
+  maxTrackers: number
+
+  /**
+   * The scheduled task of the health checks.
+   * @type {Object|null}
+   */
+  task: Object | null
+
+  /**
+   * Create a new HealthChecker object.
+   * @param {!Object} options - The options for the health checks.
+   * @param {?Array<MongooseModel>} [options.models] - The content models
+   * with the torrents to check, the movies and the episodes by default.
+   * @param {?TrackerScrape} [options.scraper] - The scrape requests to the
+   * trackers.
+   * @param {?LeaseLock} [options.lock] - The lease lock so only one instance
+   * checks the torrents at a time.
+   * @param {?string} [options.cronTime=0 30 * * * *] - The cron time of the
+   * health checks.
+   * @param {?number} [options.checkAfter] - The time in milliseconds after
+   * which a torrent is checked again, `HEALTH_CHECK_HOURS` or six hours by
+   * default.
+   * @param {?number} [options.batchSize=500] - The max number of movies or
+   * episodes to check in one run.
+   * @param {?number} [options.maxTrackers=3] - The max number of trackers to
+   * scrape for a torrent.
+   */
+  constructor({
+    models = [MovieModel, EpisodeModel],
+    scraper = new TrackerScrape(),
+    lock = new LeaseLock(),
+    cronTime = '0 30 * * * *',
+    checkAfter = (Number(process.env.HEALTH_CHECK_HOURS) || 6) *
+      60 * 60 * 1000,
+    batchSize = 500,
+    maxTrackers = 3
+  }: Object = {}): void {
+    /**
+     * The content models with the torrents to check.
+     * @type {Array<MongooseModel>}
+     */
+    this.models = models
+    /**
+     * The scrape requests to the trackers.
+     * @type {TrackerScrape}
+     */
+    this.scraper = scraper
+    /**
+     * The lease lock so only one instance checks the torrents at a time.
+     * @type {LeaseLock}
+     */
+    this.lock = lock
+    /**
+     * The cron time of the health checks, the checks are not scheduled when
+     * it is empty.
+     * @type {string}
+     */
+    this.cronTime = cronTime
+    /**
+     * The time in milliseconds after which a torrent is checked again.
+     * @type {number}
+     */
+    this.checkAfter = checkAfter
+    /**
+     * The max number of movies or episodes to check in one run.
+     * @type {number}
+     */
+    this.batchSize = batchSize
+    /**
+     * The max number of trackers to scrape for a torrent.
+     * @type {number}
+     */
+    this.maxTrackers = maxTrackers
+    /**
+     * The scheduled task of the health checks.
+     * @type {Object|null}
+     */
+    this.task = null
+  }
+
+  /**
+   * Get the query for the movies or episodes with torrents which are not
+   * checked since the checks are due.
+   * @param {!number} now - The epoch time in milliseconds of the run.
+   * @returns {Object} - The query of the documents to check.
+   */
+  getQuery(now: number): Object {
+    const stale = {
+      $elemMatch: {
+        $or: [{
+          lastCheckedAt: null
+        }, {
+          lastCheckedAt: {
+            $lt: new Date(now - this.checkAfter)
+          }
+        }]
+      }
+    }
+
+    return {
+      $or: torrentPaths.map(path => ({
+        [path]: stale
+      }))
+    }
+  }
+
+  /**
+   * Get the torrents of the documents which are due to be checked.
+   * @param {!Array<Object>} docs - The movies or episodes to check.
+   * @param {!number} now - The epoch time in milliseconds of the run.
+   * @returns {Array<Object>} - The torrents with their document, path, info
+   * hash and trackers.
+   */
+  getTorrents(docs: Array<Object>, now: number): Array<Object> {
+    return docs.reduce((res, doc) => res.concat(...torrentPaths.map(
+      path => (doc[path] || []).filter(({ lastCheckedAt }) => (
+        !lastCheckedAt ||
+        new Date(lastCheckedAt).getTime() < now - this.checkAfter
+      )).map(({ url }) => {
+        const magnet = Magnet.parse(url)
+
+        return {
+          _id: doc._id,
+          path,
+          url,
+          hash: magnet ? Magnet.normalizeHash(magnet.hash) : null,
+          trackers: magnet ? magnet.trackers.slice(0, this.maxTrackers) : []
+        }
+      })
+    )), [])
+  }
+
+  /**
+   * Scrape the trackers of torrents, the highest counts of the trackers are
+   * kept. A tracker which fails is skipped.
+   * @param {!Array<Object>} torrents - The torrents to scrape.
+   * @returns {Promise<Map<string, Object>>} - The seeders and leechers keyed
+   * by the info hash.
+   */
+  async scrapeTorrents(
+    torrents: Array<Object>
+  ): Promise<Map<string, Object>> {
+    const trackers = new Map()
+    torrents.filter(t => t.hash).forEach(({ hash, trackers: urls }) => {
+      urls.forEach(url => {
+        trackers.set(url, (trackers.get(url) || new Set()).add(hash))
+      })
+    })
+
+    const results = new Map()
+    await pMap(trackers.entries(), async ([tracker, hashes]) => {
+      try {
+        const res = await this.scraper.scrape(tracker, Array.from(hashes))
+
+        Object.keys(res).forEach(hash => {
+          const { seeds, peers } = results.get(hash) || {
+            seeds: 0,
+            peers: 0
+          }
+
+          results.set(hash, {
+            seeds: Math.max(seeds, res[hash].seeds),
+            peers: Math.max(peers, res[hash].peers)
+          })
+        })
+      } catch (err) {
+        logger.debug(`HealthChecker: Could not scrape '${tracker}': ${err.message || err}`)
+      }
+    }, {
+      concurrency: 4
+    })
+
+    return results
+  }
+
+  /**
+   * Check the torrents of a content model which are due. The torrents the
+   * trackers do not know only get the time of the check.
+   * @param {!MongooseModel} Model - The content model to check.
+   * @param {!number} now - The epoch time in milliseconds of the run.
+   * @returns {Promise<Object, Error>} - The number of checked, alive, dead
+   * and unknown torrents.
+   */
+  async checkModel(Model: MongooseModel, now: number): Promise<Object> {
+    const docs = await Model.find(this.getQuery(now), torrentPaths.reduce(
+      (res, path) => ({
+        ...res,
+        [path]: 1
+      }),
+      {}
+    )).limit(this.batchSize).lean().exec()
+
+    const torrents = this.getTorrents(docs, now)
+    const results = await this.scrapeTorrents(torrents)
+    const summary = {
+      checked: torrents.length,
+      alive: 0,
+      dead: 0,
+      unknown: 0
+    }
+
+    const ops = torrents.map(({ _id, path, url, hash }) => {
+      const result = hash ? results.get(hash) : null
+      const update = {
+        [`${path}.$[t].lastCheckedAt`]: new Date(now)
+      }
+
+      if (!result) {
+        summary.unknown++
+      } else {
+        const dead = result.seeds === 0
+        summary[dead ? 'dead' : 'alive']++
+
+        update[`${path}.$[t].seeds`] = result.seeds
+        update[`${path}.$[t].peers`] = result.peers
+        update[`${path}.$[t].dead`] = dead
+      }
+
+      return {
+        updateOne: {
+          filter: {
+            _id
+          },
+          update: {
+            $set: update
+          },
+          arrayFilters: [{
+            't.url': url
+          }]
+        }
+      }
+    })
+
+    if (ops.length > 0) {
+      await Model.bulkWrite(ops)
+    }
+
+    return summary
+  }
+
+  /**
+   * Check the torrents of the content models which are due, while holding
+   * the lock of the health checks.
+   * @returns {Promise<Object|undefined, Error>} - The number of checked,
+   * alive, dead and unknown torrents.
+   */
+  async check(): Promise<Object | void> {
+    const key = HealthChecker.LockKey
+
+    try {
+      const acquired = await this.lock.acquire(key)
+
+      if (!acquired) {
+        return logger.info('HealthChecker: Another instance is checking the torrents, skipping it')
+      }
+    } catch (err) {
+      return logger.error(`HealthChecker: Could not acquire the lock: ${err.message || err}`)
+    }
+
+    try {
+      const now = Date.now()
+      const summaries = await pMap(
+        this.models,
+        Model => this.checkModel(Model, now),
+        {
+          concurrency: 1
+        }
+      )
+      const summary = summaries.reduce((res, s) => ({
+        checked: res.checked + s.checked,
+        alive: res.alive + s.alive,
+        dead: res.dead + s.dead,
+        unknown: res.unknown + s.unknown
+      }), {
+        checked: 0,
+        alive: 0,
+        dead: 0,
+        unknown: 0
+      })
+
+      logger.info([
+        `HealthChecker: Checked ${summary.checked} torrents:`,
+        `${summary.alive} alive,`,
+        `${summary.dead} dead,`,
+        `${summary.unknown} unknown.`
+      ].join(' '))
+
+      return summary
+    } catch (err) {
+      return logger.error(`HealthChecker.check: ${err.message || err}`)
+    } finally {
+      try {
+        await this.lock.release(key)
+      } catch (err) {
+        logger.error(`HealthChecker: Could not release the lock: ${err.message || err}`)
+      }
+    }
+  }
+
+  /**
+   * Schedule the health checks with the cron time.
+   * @returns {undefined}
+   */
+  start(): void {
+    this.stop()
+
+    if (this.cronTime) {
+      this.task = cron.schedule(this.cronTime, () => this.check())
+    }
+  }
+
+  /**
+   * Stop the scheduled health checks.
+   * @returns {undefined}
+   */
+  stop(): void {
+    if (this.task) {
+      this.task.stop()
+      this.task = null
+    }
+  }
+
+}
@@ -0,0 +1,296 @@
+// @flow
+import { hostname } from 'os'
+import { randomBytes } from 'crypto'
+
+import LockModel from '../models/LockModel'
+
+/**
+ * Class for the lease locks in MongoDB, so only one instance of the scraper
+ * scrapes a provider config at a time. A lock is renewed with heartbeats
+ * while it is held and can be taken over when the owner stops renewing it.
+ * @type {LeaseLock}
+ */
+export default class LeaseLock {
+
+  /**
+   * The code of the MongoDB error for a duplicate key.
+   * @type {number}
+   */
+  static DuplicateKey: number = 11000
+
+  /**
+   * The owner of the locks acquired by this process.
+   * @type {string}
+   */
+  static Owner: string = [
+    hostname(),
+    process.pid,
+    randomBytes(4).toString('hex')
+  ].join(':')
+
+  /**
+   * The model of the locks.
+   * @type {MongooseModel}
+   */
+  Model: any
+
+  /**
+   * The owner of the acquired locks.
+   * @type {string}
+   */
+  owner: string
+
+  /**
+   * The time in milliseconds a lock expires after it is acquired or renewed.
+   * @type {number}
+   */
+  ttl: number
+
+  /**
+   * The time in milliseconds between the renewals of a held lock.
+   * @type {number}
+   */
+  heartbeat: number
+
+  /**
+   * The heartbeats of the held locks, keyed by the key of the lock.
+   * @type {Map<string, IntervalID>}
+   */
+  _heartbeats: Map<string, IntervalID>
+
+  /**
+   * Create a new LeaseLock object.
+   * @param {!Object} options - The options for the lease lock.
+   * @param {?MongooseModel} [options.Model=LockModel] - The model of the
+   * locks.
+   * @param {?string} [options.owner=LeaseLock.Owner] - The owner of the
+   * acquired locks.
+   * @param {?number} [options.ttl] - The time in milliseconds a lock expires
+   * after it is acquired or renewed, `LOCK_TTL_SECONDS` or a minute by
+   * default.
+   * @param {?number} [options.heartbeat] - The time in milliseconds between
+   * the renewals of a held lock, a third of the `ttl` by default.
+   */
+  constructor({
+    Model = LockModel,
+    owner = LeaseLock.Owner,
+    ttl = (Number(process.env.LOCK_TTL_SECONDS) || 60) * 1000,
+    heartbeat
+  }: Object = {}): void {
+    /**
+     * The model of the locks.
+     * @type {MongooseModel}
+     */
+    this.Model = Model
+    /**
+     * The owner of the acquired locks.
+     * @type {string}
+     */
+    this.owner = owner
+    /**
+     * The time in milliseconds a lock expires after it is acquired or
+     * renewed.
+     * @type {number}
+     */
+    this.ttl = ttl
+    /**
+     * The time in milliseconds between the renewals of a held lock.
+     * @type {number}
+     */
+    this.heartbeat = heartbeat || Math.floor(ttl / 3)
+    /**
+     * The heartbeats of the held locks, keyed by the key of the lock.
+     * @type {Map<string, IntervalID>}
+     */
+    this._heartbeats = new Map()
+  }
+
+  /**
+   * Check if a lock is held by this lease lock.
+   * @param {!string} key - The key of the lock.
+   * @returns {boolean} - Whether the lock is held.
+   */
+  isHeld(key: string): boolean {
+    return this._heartbeats.has(key)
+  }
+
+  /**
+   * Acquire a lock when it is free, expired or already owned. The lock is
+   * renewed until it is released.
+   * @param {!string} key - The key of the lock.
+   * @param {?Function} [onLost] - Called with the key when the lock is taken
+   * over by another owner.
+   * @param {?Function} [onCancel] - Called with the key when the scrape of
+   * the lock is cancelled.
+   * @returns {Promise<boolean, Error>} - Whether the lock is acquired.
+   */
+  async acquire(
+    key: string,
+    onLost?: Function,
+    onCancel?: Function
+  ): Promise<boolean> {
+    const now = Date.now()
+
+    try {
+      // A lock held by another owner does not match, so the upsert fails on
+      // the duplicate key
+      await this.Model.findOneAndUpdate({
+        _id: key,
+        $or: [{
+          owner: this.owner
+        }, {
+          expiresAt: {
+            $lte: new Date(now)
+          }
+        }]
+      }, {
+        $set: {
+          owner: this.owner,
+          acquiredAt: new Date(now),
+          expiresAt: new Date(now + this.ttl),
+          cancelledAt: null
+        }
+      }, {
+        upsert: true,
+        new: true
+      }).lean().exec()
+    } catch (err) {
+      if (err.code === LeaseLock.DuplicateKey) {
+        return false
+      }
+
+      throw err
+    }
+
+    this.startHeartbeat(key, onLost, onCancel)
+
+    return true
+  }
+
+  /**
+   * Extend the expiry of a held lock.
+   * @param {!string} key - The key of the lock.
+   * @returns {Promise<Object|null, Error>} - The renewed lock, `null` when it
+   * is no longer owned.
+   */
+  renew(key: string): Promise<Object | null> {
+    return this.Model.findOneAndUpdate({
+      _id: key,
+      owner: this.owner
+    }, {
+      $set: {
+        expiresAt: new Date(Date.now() + this.ttl)
+      }
+    }, {
+      new: true
+    }).lean().exec()
+  }
+
+  /**
+   * Start renewing a held lock. A lock which could not be renewed is kept
+   * until it is taken over by another owner. The renewals also pick up the
+   * cancellation of the scrape of the lock.
+   * @param {!string} key - The key of the lock.
+   * @param {?Function} [onLost] - Called with the key when the lock is taken
+   * over by another owner.
+   * @param {?Function} [onCancel] - Called with the key when the scrape of
+   * the lock is cancelled.
+   * @returns {undefined}
+   */
+  startHeartbeat(key: string, onLost?: Function, onCancel?: Function): void {
+    this.stopHeartbeat(key)
+
+    const interval = setInterval(() => this.renew(key).then(renewed => {
+      if (renewed && renewed.cancelledAt && onCancel) {
+        onCancel(key)
+      }
+      if (renewed || !this.isHeld(key)) {
+        return
+      }
+
+      logger.warn(`LeaseLock: Lost the lock of '${key}' to another owner`)
+      this.stopHeartbeat(key)
+
+      if (onLost) {
+        onLost(key)
+      }
+    }).catch(err => {
+      logger.error(`LeaseLock: Could not renew the lock of '${key}': ${err.message || err}`)
+    }), this.heartbeat)
+
+    // The heartbeats should not keep the process alive
+    if (interval.unref) {
+      interval.unref()
+    }
+
+    this._heartbeats.set(key, interval)
+  }
+
+  /**
+   * Stop renewing a lock.
+   * @param {!string} key - The key of the lock.
+   * @returns {undefined}
+   */
+  stopHeartbeat(key: string): void {
+    const interval = this._heartbeats.get(key)
+
+    if (interval) {
+      clearInterval(interval)
+      this._heartbeats.delete(key)
+    }
+  }
+
+  /**
+   * Release a lock so another instance can acquire it right away.
+   * @param {!string} key - The key of the lock.
+   * @returns {Promise<undefined, Error>} - Resolves when the lock is released.
+   */
+  async release(key: string): Promise<void> {
+    this.stopHeartbeat(key)
+
+    await this.Model.deleteOne({
+      _id: key,
+      owner: this.owner
+    }).exec()
+  }
+
+  /**
+   * Cancel the scrapes of the locks which are not expired, the instances
+   * holding them stop with their next renewal.
+   * @param {?Array<string>} [except=[]] - The keys of the locks to keep
+   * running.
+   * @returns {Promise<number, Error>} - The number of cancelled locks.
+   */
+  async cancel(except: Array<string> = []): Promise<number> {
+    const res = await this.Model.updateMany({
+      _id: {
+        $nin: except
+      },
+      expiresAt: {
+        $gt: new Date()
+      },
+      cancelledAt: null
+    }, {
+      $set: {
+        cancelledAt: new Date()
+      }
+    }).exec()
+
+    return res.nModified
+  }
+
+  /**
+   * List the locks which are not expired.
+   * @returns {Promise<Array<Object>, Error>} - The held locks.
+   */
+  list(): Promise<Array<Object>> {
+    return this.Model.find({
+      expiresAt: {
+        $gt: new Date()
+      }
+    }).sort({
+      _id: 1
+    }).lean().exec()
+  }
+
+}
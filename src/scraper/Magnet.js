@@ -0,0 +1,193 @@
+// @flow
+import Trackers from './Trackers'
+
+/**
+ * Class for building and normalizing magnet links. A normalized magnet link
+ * has the info hash in lowercase hex, a display name and the trackers of the
+ * shared tracker list.
+ * @type {Magnet}
+ */
+export default class Magnet {
+
+  /**
+   * The shared list of trackers added to the magnet links.
+   * @type {Trackers}
+   */
+  static Trackers: Trackers = new Trackers()
+
+  /**
+   * The pattern of an info hash in hex.
+   * @type {RegExp}
+   */
+  static HexHash: RegExp = /^[0-9a-f]{40}$/i
+
+  /**
+   * The pattern of an info hash in base32.
+   * @type {RegExp}
+   */
+  static Base32Hash: RegExp = /^[a-z2-7]{32}$/i
+
+  /**
+   * The alphabet of the base32 info hashes.
+   * @type {string}
+   */
+  static Base32Alphabet: string = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+  /**
+   * Check if an info hash is valid, in hex or in base32.
+   * @param {?string} hash - The info hash to check.
+   * @returns {boolean} - Whether the info hash is valid.
+   */
+  static isValidHash(hash: ?string): boolean {
+    const value = String(hash || '')
+
+    return Magnet.HexHash.test(value) || Magnet.Base32Hash.test(value)
+  }
+
+  /**
+   * Get an info hash in lowercase hex, a base32 info hash is converted.
+   * @param {?string} hash - The info hash to normalize.
+   * @returns {string|null} - The info hash in hex, `null` when the info hash
+   * is not valid.
+   */
+  static normalizeHash(hash: ?string): string | null {
+    if (!Magnet.isValidHash(hash)) {
+      return null
+    }
+
+    const value = String(hash)
+    if (Magnet.HexHash.test(value)) {
+      return value.toLowerCase()
+    }
+
+    const bits = value.toUpperCase().split('')
+      .map(c => Magnet.Base32Alphabet.indexOf(c).toString(2).padStart(5, '0'))
+      .join('')
+
+    return bits.match(/.{4}/g)
+      .map(b => parseInt(b, 2).toString(16))
+      .join('')
+  }
+
+  /**
+   * Parse a magnet link.
+   * @param {?string} url - The magnet link to parse.
+   * @returns {Object|null} - The info hash, display name and trackers of the
+   * magnet link, `null` when the url is not a magnet link.
+   */
+  static parse(url: ?string): Object | null {
+    const match = String(url || '').match(/^magnet:\?(.*)$/i)
+    if (!match) {
+      return null
+    }
+
+    const params = new URLSearchParams(match[1])
+    const topic = params.getAll('xt')
+      .map(xt => xt.match(/^urn:btih:(.+)$/i))
+      .find(Boolean)
+
+    return {
+      hash: topic ? topic[1] : null,
+      name: params.get('dn') || null,
+      trackers: params.getAll('tr')
+    }
+  }
+
+  /**
+   * Build a magnet link.
+   * @param {!Object} options - The options to build the magnet link.
+   * @param {!string} options.hash - The info hash of the torrent.
+   * @param {?string} [options.name] - The display name of the torrent.
+   * @param {?Array<string>} [options.trackers] - The trackers of the
+   * torrent, the shared tracker list by default.
+   * @returns {string|null} - The magnet link, `null` when the info hash is not
+   * valid.
+   */
+  static build({
+    hash,
+    name,
+    trackers = Magnet.Trackers.get()
+  }: Object): string | null {
+    const infoHash = Magnet.normalizeHash(hash)
+    if (!infoHash) {
+      return null
+    }
+
+    const params = [`xt=urn:btih:${infoHash}`]
+    if (name) {
+      params.push(`dn=${encodeURIComponent(name)}`)
+    }
+
+    return `magnet:?${params.concat(
+      trackers.map(tr => `tr=${encodeURIComponent(tr)}`)
+    ).join('&')}`
+  }
+
+  /**
+   * Normalize a magnet link, the trackers of the magnet link are replaced
+   * with the shared tracker list. Urls which are not magnet links are
+   * returned as they are.
+   * @param {?string} url - The magnet link to normalize.
+   * @param {!Object} options - The options to normalize the magnet link.
+   * @param {?string} [options.name] - The display name for a magnet link
+   * without one.
+   * @param {?Array<string>} [options.trackers] - The trackers of the
+   * torrent, the shared tracker list by default.
+   * @returns {string|null} - The normalized magnet link, `null` when the
+   * info hash is not valid.
+   */
+  static normalize(url: ?string, {
+    name,
+    trackers
+  }: Object = {}): string | null {
+    const magnet = Magnet.parse(url)
+    if (!magnet) {
+      return url || null
+    }
+
+    return Magnet.build({
+      hash: magnet.hash,
+      name: magnet.name || name,
+      trackers
+    })
+  }
+
+  /**
+   * Normalize the magnet links of torrents. The torrents with an invalid
+   * info hash are dropped and a torrent listed twice is kept once, the first
+   * one wins. The urls of the torrents are updated in place.
+   * @param {!Array<Object>} torrents - The torrents to normalize.
+   * @param {?Array<string>} [trackers] - The trackers of the torrents, the
+   * shared tracker list by default.
+   * @returns {Array<Object>} - The normalized torrents.
+   */
+  static normalizeTorrents(
+    torrents: Array<Object>,
+    trackers?: Array<string>
+  ): Array<Object> {
+    const keys = new Set()
+
+    return torrents.filter(torrent => {
+      const url = Magnet.normalize(torrent.url, {
+        name: torrent.title,
+        trackers
+      })
+      if (!url) {
+        logger.warn(`Magnet: Dropped a torrent with an invalid info hash: '${torrent.url}'`)
+        return false
+      }
+
+      const magnet = Magnet.parse(url)
+      const key = magnet ? magnet.hash : url
+      if (keys.has(key)) {
+        return false
+      }
+
+      keys.add(key)
+      torrent.url = url
+
+      return true
+    })
+  }
+
+}
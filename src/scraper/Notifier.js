@@ -0,0 +1,310 @@
+// @flow
+import http from 'http'
+import https from 'https'
+import { createHmac } from 'crypto'
+
+import { HostLimiter } from './limiter'
+
+/**
+ * Class for notifying a webhook or GraphQL API about the content a scrape
+ * added. The requests are signed with a HMAC of the body when a secret is
+ * configured.
+ * @type {Notifier}
+ */
+export default class Notifier {
+
+  /**
+   * The formats the notifications can be send in.
+   * @type {Object}
+   */
+  static Formats: Object = {
+    Json: 'json',
+    GraphQL: 'graphql'
+  }
+
+  /**
+   * The default mutation to send to a GraphQL API, the payload is passed as
+   * the `input` variable.
+   * @type {string}
+   */
+  static Mutation: string = [
+    'mutation ScrapedConfig($input: ScrapedConfigInput!) {',
+    '  scrapedConfig(input: $input)',
+    '}'
+  ].join('\n')
+
+  /**
+   * The header with the time the request was signed at.
+   * @type {string}
+   */
+  static TimestampHeader: string = 'X-Scraper-Timestamp'
+
+  /**
+   * The header with the signature of the request.
+   * @type {string}
+   */
+  static SignatureHeader: string = 'X-Scraper-Signature'
+
+  /**
+   * The url to post the notifications to.
+   * @type {string}
+   */
+  url: ?string
+
+  /**
+   * The secret to sign the requests with.
+   * @type {string}
+   */
+  secret: ?string
+
+  /**
+   * The format to send the notifications in.
+   * @type {string}
+   */
+  format: string
+
+  /**
+   * The mutation to send to a GraphQL API.
+   * @type {string}
+   */
+  mutation: string
+
+  /**
+   * The maximum attempts to send a notification.
+   * @type {number}
+   */
+  maxAttempts: number
+
+  /**
+   * The delay in milliseconds before the second attempt, doubled after every
+   * attempt.
+   * @type {number}
+   */
+  baseDelay: number
+
+  /**
+   * The time in milliseconds to wait for a response.
+   * @type {number}
+   */
+  timeout: number
+
+  /**
+   * Create a new Notifier object.
+   * @param {!Object} options - The options for the notifier.
+   * @param {?string} [options.url=process.env.WEBHOOK_URL] - The url to post
+   * the notifications to, notifications are disabled without one.
+   * @param {?string} [options.secret=process.env.WEBHOOK_SECRET] - The secret
+   * to sign the requests with.
+   * @param {?string} [options.format=process.env.WEBHOOK_FORMAT] - The format
+   * to send the notifications in, `json` or `graphql`.
+   * @param {?string} [options.mutation=process.env.WEBHOOK_MUTATION] - The
+   * mutation to send to a GraphQL API.
+   * @param {?number} [options.maxAttempts=3] - The maximum attempts to send a
+   * notification.
+   * @param {?number} [options.baseDelay=1000] - The delay in milliseconds
+   * before the second attempt.
+   * @param {?number} [options.timeout=10000] - The time in milliseconds to
+   * wait for a response.
+   */
+  constructor({
+    url = process.env.WEBHOOK_URL,
+    secret = process.env.WEBHOOK_SECRET,
+    format = process.env.WEBHOOK_FORMAT,
+    mutation = process.env.WEBHOOK_MUTATION,
+    maxAttempts = 3,
+    baseDelay = 1000,
+    timeout = 10000
+  }: Object = {}): void {
+    /**
+     * The url to post the notifications to.
+     * @type {string}
+     */
+    this.url = url
+    /**
+     * The secret to sign the requests with.
+     * @type {string}
+     */
+    this.secret = secret
+    /**
+     * The format to send the notifications in.
+     * @type {string}
+     */
+    this.format = format || Notifier.Formats.Json
+    /**
+     * The mutation to send to a GraphQL API.
+     * @type {string}
+     */
+    this.mutation = mutation || Notifier.Mutation
+    /**
+     * The maximum attempts to send a notification.
+     * @type {number}
+     */
+    this.maxAttempts = maxAttempts
+    /**
+     * The delay in milliseconds before the second attempt, doubled after
+     * every attempt.
+     * @type {number}
+     */
+    this.baseDelay = baseDelay
+    /**
+     * The time in milliseconds to wait for a response.
+     * @type {number}
+     */
+    this.timeout = timeout
+
+    if (!Object.values(Notifier.Formats).includes(this.format)) {
+      throw new TypeError(`'${this.format}' is not a valid webhook format`)
+    }
+  }
+
+  /**
+   * Check if the notifications are enabled.
+   * @returns {boolean} - Whether a url is configured.
+   */
+  isEnabled(): boolean {
+    return Boolean(this.url)
+  }
+
+  /**
+   * Create the body of a notification.
+   * @param {!Object} payload - The payload of the notification.
+   * @returns {string} - The JSON body of the request.
+   */
+  getBody(payload: Object): string {
+    if (this.format === Notifier.Formats.GraphQL) {
+      return JSON.stringify({
+        query: this.mutation,
+        variables: {
+          input: payload
+        }
+      })
+    }
+
+    return JSON.stringify(payload)
+  }
+
+  /**
+   * Sign the body of a request, the signature is a HMAC SHA-256 of the
+   * timestamp and the body joined with a dot.
+   * @param {!string} body - The body of the request.
+   * @param {!number} timestamp - The time the request is signed at.
+   * @returns {string} - The signature of the request.
+   */
+  sign(body: string, timestamp: number): string {
+    const hmac = createHmac('sha256', String(this.secret))
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+
+    return `sha256=${hmac}`
+  }
+
+  /**
+   * Create the headers of a request.
+   * @param {!string} body - The body of the request.
+   * @returns {Object} - The headers of the request.
+   */
+  getHeaders(body: string): Object {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    }
+
+    if (this.secret) {
+      const timestamp = Date.now()
+
+      headers[Notifier.TimestampHeader] = timestamp
+      headers[Notifier.SignatureHeader] = this.sign(body, timestamp)
+    }
+
+    return headers
+  }
+
+  /**
+   * Post a body to the url.
+   * @param {!string} body - The body of the request.
+   * @returns {Promise<Object, Error>} - The `statusCode` and `body` of the
+   * response, an error with the `statusCode` for an unsuccessful response.
+   */
+  post(body: string): Promise<Object> {
+    const url = new URL(String(this.url))
+    const { request } = url.protocol === 'https:' ? https : http
+
+    return new Promise((resolve, reject) => {
+      const req = request(url, {
+        method: 'POST',
+        headers: this.getHeaders(body),
+        timeout: this.timeout
+      }, res => {
+        let data = ''
+
+        res.setEncoding('utf8')
+        res.on('data', chunk => {
+          data += chunk
+        })
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            return resolve({
+              statusCode: res.statusCode,
+              body: data
+            })
+          }
+
+          const err = new Error(`Webhook responded with ${res.statusCode}`)
+          err.statusCode = res.statusCode
+
+          return reject(err)
+        })
+      })
+
+      req.on('timeout', () => {
+        const err = new Error('Webhook request timed out')
+        err.code = 'ETIMEDOUT'
+
+        req.destroy(err)
+      })
+      req.on('error', reject)
+      req.end(body)
+    })
+  }
+
+  /**
+   * Check if a failed request is worth retrying, which are server errors,
+   * rate limited requests and failed connections.
+   * @param {!Object} err - The error of the request.
+   * @returns {boolean} - Whether the request can be retried.
+   */
+  isRetryableError(err: Object): boolean {
+    return HostLimiter.isHostFailure(err) || err.statusCode === 429
+  }
+
+  /**
+   * Send a notification, failed requests are retried with an exponential
+   * backoff.
+   * @param {!Object} payload - The payload of the notification.
+   * @param {?number} [attempt=1] - The attempt to send the notification.
+   * @returns {Promise<Object|undefined, Error>} - The response of the
+   * request.
+   */
+  async notify(payload: Object, attempt: number = 1): Promise<Object | void> {
+    if (!this.isEnabled()) {
+      return
+    }
+
+    try {
+      return await this.post(this.getBody(payload))
+    } catch (err) {
+      if (attempt >= this.maxAttempts || !this.isRetryableError(err)) {
+        throw err
+      }
+
+      const delay = this.baseDelay * (2 ** (attempt - 1))
+      await new Promise(resolve => setTimeout(
+        resolve,
+        Math.round((delay / 2) + (Math.random() * (delay / 2)))
+      ))
+
+      return this.notify(payload, attempt + 1)
+    }
+  }
+
+}
@@ -0,0 +1,167 @@
+// @flow
+import pMap from 'p-map'
+import { PopApiScraper } from '@pct-org/pop-api-scraper'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import { ShowModel } from '@pct-org/mongo-models/dist/show/show.model'
+
+import Blacklist from './Blacklist'
+import { trakt } from './apiModules'
+
+/**
+ * Class for scraping one movie or show again with all the enabled providers.
+ * @type {Refresher}
+ */
+export default class Refresher {
+
+  /**
+   * The models the titles are looked up in, keyed by their type.
+   * @type {Object}
+   */
+  static Models: Object = {
+    movie: MovieModel,
+    show: ShowModel
+  }
+
+  /**
+   * The enabled providers with their configs.
+   * @type {Array<Object>}
+   */
+  providers: Array<Object>
+
+  /**
+   * The blacklist of the scraper.
+   * @type {Blacklist}
+   */
+  blacklist: Blacklist
+
+  /**
+   * Create a new Refresher object.
+   * @param {!Object} options - The options for the refresher.
+   * @param {!Array<Object>} options.providers - The enabled providers with
+   * their configs.
+   * @param {?Blacklist} [options.blacklist] - The blacklist of the scraper.
+   */
+  constructor({
+    providers,
+    blacklist = new Blacklist()
+  }: Object): void {
+    /**
+     * The enabled providers with their configs.
+     * @type {Array<Object>}
+     */
+    this.providers = providers
+    /**
+     * The blacklist of the scraper.
+     * @type {Blacklist}
+     */
+    this.blacklist = blacklist
+  }
+
+  /**
+   * Find the title to refresh in the database, or on Trakt.tv for an imdb id
+   * which is not in the database yet.
+   * @param {!string} id - The imdb id or slug of the title.
+   * @throws {Error} - No movie or show found.
+   * @returns {Promise<Object, Error>} - The `type`, `imdb`, `slug` and `title`
+   * of the title.
+   */
+  async findItem(id: string): Promise<Object> {
+    const types = Object.keys(Refresher.Models)
+    const docs = await Promise.all(types.map(type => Refresher.Models[type]
+      .findOne({
+        $or: [{
+          _id: id
+        }, {
+          imdbId: id
+        }, {
+          slug: id
+        }]
+      })
+      .lean()
+      .exec()))
+
+    const index = docs.findIndex(Boolean)
+    if (index !== -1) {
+      const { imdbId, _id, slug, title } = docs[index]
+
+      return {
+        type: types[index],
+        imdb: imdbId || _id,
+        slug,
+        title
+      }
+    }
+
+    if (/^tt\d+$/.test(id)) {
+      const [found] = await trakt.search.id({
+        id_type: 'imdb',
+        id
+      })
+      const content = found && found[found.type]
+
+      if (content && types.includes(found.type)) {
+        return {
+          type: found.type,
+          imdb: id,
+          slug: content.ids.slug,
+          title: content.title
+        }
+      }
+    }
+
+    throw new Error(`No movie or show found for '${id}'`)
+  }
+
+  /**
+   * Scrape a title again with all the enabled configs of its type, bypassing
+   * the blacklist.
+   * @param {!Object} item - The title found with `findItem`.
+   * @returns {Promise<Object, Error>} - The title with the results of every
+   * config.
+   */
+  async refresh(item: Object): Promise<Object> {
+
+    // The helpers add the title to the blacklist again after the refresh,
+    // permanent entries are kept
+    await pMap([item.imdb, item.slug].filter(Boolean), async key => {
+      const entry = await this.blacklist.get(key)
+
+      if (entry && !entry.permanent) {
+        await this.blacklist.remove(key)
+      }
+    })
+
+    const results = []
+    await pMap(this.providers, ({ Provider, args }) => {
+      const provider = new Provider(PopApiScraper, args)
+      const configs = args.configs.filter(c => c.contentType === item.type)
+
+      return pMap(configs, c => provider.refresh(c, item).then(res => {
+        results.push({
+          name: c.name,
+          runId: provider.changeset.runId,
+          saved: res.filter(Boolean).length
+        })
+      }).catch(err => {
+        logger.error(`Refresher: ${c.name} failed for '${item.title}': ${err.message || err}`)
+
+        results.push({
+          name: c.name,
+          runId: provider.changeset && provider.changeset.runId,
+          saved: 0,
+          error: err.message || String(err)
+        })
+      }), {
+        concurrency: 1
+      })
+    }, {
+      concurrency: 1
+    })
+
+    return {
+      ...item,
+      results
+    }
+  }
+
+}
@@ -0,0 +1,220 @@
+// @flow
+
+/**
+ * Class for parsing the names of releases, the codec, source, resolution,
+ * HDR format, audio, release group and flags are extracted from the title of
+ * a torrent.
+ * @type {ReleaseParser}
+ */
+export default class ReleaseParser {
+
+  /**
+   * The patterns of the video codecs.
+   * @type {Object}
+   */
+  static Codecs: Object = {
+    x265: /\b(x\.?265|h\.?265|hevc)\b/i,
+    x264: /\b(x\.?264|h\.?264|avc)\b/i,
+    av1: /\bav1\b/i,
+    xvid: /\b(xvid|divx)\b/i
+  }
+
+  /**
+   * The patterns of the sources, a REMUX is checked first as those releases
+   * are often tagged with BluRay as well.
+   * @type {Object}
+   */
+  static Sources: Object = {
+    remux: /\bremux\b/i,
+    bluray: /\b(blu[ .-]?ray|bdrip|brrip|bd(25|50))\b/i,
+    webRip: /\bweb[ .-]?rip\b/i,
+    webDl: /\bweb([ .-]?dl)?\b/i,
+    hdtv: /\b(hd|pd|sd)tv\b/i,
+    dvdRip: /\bdvd(rip|r|scr|5|9)?\b/i,
+    cam: /\b(hd)?(cam(rip)?|ts|telesync)\b/i
+  }
+
+  /**
+   * The patterns of the HDR formats, Dolby Vision is checked first as those
+   * releases are often tagged with HDR as well.
+   * @type {Object}
+   */
+  static Hdr: Object = {
+    dolbyVision: /\b(dv|dovi|dolby[ .-]?vision)\b/i,
+    hdr10Plus: /\bhdr10(\+|plus)(?![a-z0-9])/i,
+    hdr10: /\bhdr10\b/i,
+    hlg: /\bhlg\b/i,
+    hdr: /\bhdr\b/i
+  }
+
+  /**
+   * The patterns of the audio codecs, the channels can directly follow the
+   * codec.
+   * @type {Object}
+   */
+  static Audio: Object = {
+    trueHd: /\btrue[ .-]?hd(?![a-z])/i,
+    dtsHd: /\bdts[ .-]?hd(?![a-z])/i,
+    dtsX: /\bdts[ .-]?x\b/i,
+    dts: /\bdts(?![a-z])/i,
+    eac3: /\b(e[ .-]?ac[ .-]?3|ddp|dd\+)(?![a-z])/i,
+    ac3: /\b(ac[ .-]?3|dd)(?![a-z+])/i,
+    aac: /\baac(?![a-z])/i,
+    flac: /\bflac(?![a-z])/i,
+    mp3: /\bmp3\b/i
+  }
+
+  /**
+   * The pattern of the audio channels, for example `5.1` or `DDP7.1`.
+   * @type {RegExp}
+   */
+  static Channels: RegExp = /(?:^|\D)([1-8])\.([01])(?:ch)?(?!\d)/i
+
+  /**
+   * The pattern of the resolution.
+   * @type {RegExp}
+   */
+  static Resolution: RegExp = /\b(2160|1080|720|576|480|360)[pi]\b/i
+
+  /**
+   * The pattern of the resolution of the releases tagged as 4K.
+   * @type {RegExp}
+   */
+  static Uhd: RegExp = /\b(4k|uhd)\b/i
+
+  /**
+   * The pattern of the releases which are upscaled to 4K.
+   * @type {RegExp}
+   */
+  static Upscaled: RegExp = /\b(ai[ .-]?)?(upscaled?|uprez)\b/i
+
+  /**
+   * The kinds of 2160p releases, a release which is only tagged as 4K or UHD
+   * without a resolution is `nameOnly`.
+   * @type {Object}
+   */
+  static UhdTypes: Object = {
+    Native: 'native',
+    Upscaled: 'upscaled',
+    NameOnly: 'nameOnly'
+  }
+
+  /**
+   * The patterns of the flags of a release.
+   * @type {Object}
+   */
+  static Flags: Object = {
+    proper: /\bproper\b/i,
+    repack: /\b(repack|rerip)\d?\b/i,
+    hardcodedSubs: /\b(hc|hardsubs?|hard[ .-]?coded|korsub)\b/i
+  }
+
+  /**
+   * Get the first value with a matching pattern.
+   * @param {!string} name - The name of the release.
+   * @param {!Object} patterns - The patterns keyed by the value they detect.
+   * @returns {string|null} - The value of the matching pattern.
+   */
+  static match(name: string, patterns: Object): string | null {
+    const found = Object.keys(patterns)
+      .find(key => patterns[key].test(name))
+
+    return found || null
+  }
+
+  /**
+   * Get the resolution of a release.
+   * @param {!string} name - The name of the release.
+   * @returns {string|null} - The resolution, for example `1080p`.
+   */
+  static getResolution(name: string): string | null {
+    const match = name.match(ReleaseParser.Resolution)
+
+    if (match) {
+      return `${match[1]}p`
+    }
+
+    return ReleaseParser.Uhd.test(name) ? '2160p' : null
+  }
+
+  /**
+   * Get the kind of a 2160p release.
+   * @param {!string} name - The name of the release.
+   * @param {?string} resolution - The resolution of the release.
+   * @returns {string|null} - The kind of the release, `null` for the other
+   * resolutions.
+   */
+  static getUhdType(name: string, resolution: ?string): string | null {
+    const { UhdTypes } = ReleaseParser
+
+    if (resolution !== '2160p') {
+      return null
+    }
+    if (ReleaseParser.Upscaled.test(name)) {
+      return UhdTypes.Upscaled
+    }
+
+    return ReleaseParser.Resolution.test(name)
+      ? UhdTypes.Native
+      : UhdTypes.NameOnly
+  }
+
+  /**
+   * Get the audio channels of a release.
+   * @param {!string} name - The name of the release.
+   * @returns {string|null} - The channels, for example `5.1`.
+   */
+  static getChannels(name: string): string | null {
+    const match = name.match(ReleaseParser.Channels)
+
+    return match ? `${match[1]}.${match[2]}` : null
+  }
+
+  /**
+   * Get the group which released a release, the group follows the last dash
+   * of the name. The extension and the tags of the site between brackets are
+   * left out.
+   * @param {!string} name - The name of the release.
+   * @returns {string|null} - The release group.
+   */
+  static getGroup(name: string): string | null {
+    const release = name.trim()
+      .replace(/\.(mkv|mp4|avi)$/i, '')
+      .replace(/(\s*\[[^\]]*\])+$/, '')
+    const match = release.match(/-([a-z0-9]+)$/i)
+
+    // The dash of WEB-DL is not followed by a group
+    if (!match || /\bweb$/i.test(release.slice(0, match.index))) {
+      return null
+    }
+
+    return match[1]
+  }
+
+  /**
+   * Parse the name of a release.
+   * @param {?string} title - The name of the release.
+   * @returns {Object} - The fields of the release, the fields which are not
+   * found are `null`.
+   */
+  static parse(title: ?string): Object {
+    const name = String(title || '').replace(/_/g, ' ')
+    const { Flags } = ReleaseParser
+    const resolution = ReleaseParser.getResolution(name)
+
+    return {
+      codec: ReleaseParser.match(name, ReleaseParser.Codecs),
+      source: ReleaseParser.match(name, ReleaseParser.Sources),
+      resolution,
+      uhd: ReleaseParser.getUhdType(name, resolution),
+      hdr: ReleaseParser.match(name, ReleaseParser.Hdr),
+      audio: ReleaseParser.match(name, ReleaseParser.Audio),
+      channels: ReleaseParser.getChannels(name),
+      group: ReleaseParser.getGroup(name),
+      proper: Flags.proper.test(name),
+      repack: Flags.repack.test(name),
+      hardcodedSubs: Flags.hardcodedSubs.test(name)
+    }
+  }
+
+}
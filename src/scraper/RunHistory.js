@@ -0,0 +1,193 @@
+// @flow
+import RunModel, {
+  RunMetrics,
+  RunStatuses
+} from '../models/RunModel'
+
+/**
+ * Class for storing and listing the runs of the provider configs with the
+ * metrics counted during the runs.
+ * @type {RunHistory}
+ */
+export default class RunHistory {
+
+  /**
+   * The statuses of a run.
+   * @type {Object}
+   */
+  static Statuses: Object = RunStatuses
+
+  /**
+   * The maximum amount of runs to list at once.
+   * @type {number}
+   */
+  static MaxLimit: number = 500
+
+  /**
+   * The model of the runs.
+   * @type {MongooseModel}
+   */
+  Model: any
+
+  /**
+   * Create a new RunHistory object.
+   * @param {!Object} options - The options for the run history.
+   * @param {?MongooseModel} [options.Model=RunModel] - The model of the runs.
+   */
+  constructor({ Model = RunModel }: Object = {}): void {
+    /**
+     * The model of the runs.
+     * @type {MongooseModel}
+     */
+    this.Model = Model
+  }
+
+  /**
+   * Create the metrics of a new run, all the metrics start at zero.
+   * @returns {Object} - The metrics of the run.
+   */
+  static createMetrics(): Object {
+    return RunMetrics.reduce((metrics, metric) => ({
+      ...metrics,
+      [metric]: 0
+    }), {})
+  }
+
+  /**
+   * Format a run with its duration.
+   * @param {!Object} run - The run to format.
+   * @returns {Object} - The formatted run.
+   */
+  static format(run: Object): Object {
+    return {
+      ...run,
+      duration: run.completedAt
+        ? run.completedAt - run.startedAt
+        : null
+    }
+  }
+
+  /**
+   * Validate the filters and limit of the runs to list.
+   * @param {!Object} filters - The filters to validate.
+   * @param {?string} [filters.name] - The name of the config.
+   * @param {?string} [filters.provider] - The name of the provider.
+   * @param {?string} [filters.status] - The status of the runs.
+   * @throws {TypeError} - The status is not valid.
+   * @returns {Object} - The query for the filters.
+   */
+  getQuery({ name, provider, status }: Object = {}): Object {
+    const query = {}
+
+    if (name) {
+      query.name = name
+    }
+    if (provider) {
+      query.provider = provider
+    }
+    if (status) {
+      if (!Object.values(RunHistory.Statuses).includes(status)) {
+        throw new TypeError(`'${status}' is not a valid status`)
+      }
+
+      query.status = status
+    }
+
+    return query
+  }
+
+  /**
+   * List the runs, the latest runs are listed first.
+   * @param {?Object} [filters={}] - The filters for the runs.
+   * @param {?string} [filters.name] - The name of the config.
+   * @param {?string} [filters.provider] - The name of the provider.
+   * @param {?string} [filters.status] - The status of the runs.
+   * @param {?number} [limit=50] - The maximum amount of runs to list.
+   * @throws {TypeError} - The status or limit is not valid.
+   * @returns {Promise<Array<Object>, Error>} - The formatted runs.
+   */
+  async list(
+    filters: Object = {},
+    limit: number = 50
+  ): Promise<Array<Object>> {
+    const amount = Number(limit)
+
+    if (
+      !Number.isInteger(amount) ||
+      amount < 1 ||
+      amount > RunHistory.MaxLimit
+    ) {
+      throw new TypeError(`'${limit}' is not a valid limit`)
+    }
+
+    const runs = await this.Model.find(this.getQuery(filters))
+      .sort({
+        startedAt: -1
+      })
+      .limit(amount)
+      .lean()
+      .exec()
+
+    return runs.map(RunHistory.format)
+  }
+
+  /**
+   * Get a run.
+   * @param {!string} id - The id of the run.
+   * @returns {Promise<Object|null, Error>} - The formatted run.
+   */
+  async get(id: string): Promise<Object | null> {
+    const run = await this.Model.findOne({
+      _id: id
+    }).lean().exec()
+
+    return run ? RunHistory.format(run) : null
+  }
+
+  /**
+   * Get the latest run of every config.
+   * @returns {Promise<Array<Object>, Error>} - The formatted runs.
+   */
+  async latest(): Promise<Array<Object>> {
+    const runs = await this.Model.aggregate([{
+      $sort: {
+        startedAt: -1
+      }
+    }, {
+      $group: {
+        _id: '$name',
+        run: {
+          $first: '$$ROOT'
+        }
+      }
+    }, {
+      $replaceRoot: {
+        newRoot: '$run'
+      }
+    }, {
+      $sort: {
+        name: 1
+      }
+    }]).exec()
+
+    return runs.map(RunHistory.format)
+  }
+
+  /**
+   * Store a run, the run is created when it does not exist yet.
+   * @param {!Object} run - The run to store.
+   * @param {!string} run._id - The id of the run.
+   * @returns {Promise<Object, Error>} - The stored run.
+   */
+  save({ _id, ...run }: Object): Promise<Object> {
+    return this.Model.findOneAndUpdate({
+      _id
+    }, {
+      $set: run
+    }, {
+      new: true,
+      upsert: true
+    }).lean().exec()
+  }
+
+}
@@ -0,0 +1,200 @@
+// @flow
+import ReleaseParser from './ReleaseParser'
+
+/**
+ * Class for ranking the torrents of a movie or episode. The torrents are
+ * scored with weights for the seeds, the size, the codec, HDR, the source and
+ * the trust in the provider, the best torrents of every quality are kept.
+ * @type {TorrentPolicy}
+ */
+export default class TorrentPolicy {
+
+  /**
+   * The default weights of the policy. The seeds are scored per power of ten
+   * and the size per GB, the other weights are keyed by the detected value
+   * or the name of the provider.
+   * @type {Object}
+   */
+  static Weights: Object = {
+    seeds: 1,
+    size: 0,
+    codec: {},
+    hdr: {},
+    source: {},
+    provider: {}
+  }
+
+  /**
+   * The default weights for a quality which override the weights of the
+   * policy, the smallest 4K torrents are kept as those are streamed.
+   * @type {Object}
+   */
+  static Qualities: Object = {
+    '2160p': {
+      seeds: 0,
+      size: -1
+    }
+  }
+
+  /**
+   * The number of torrents to keep for every quality.
+   * @type {number}
+   */
+  keep: number
+
+  /**
+   * The weights to score the torrents with.
+   * @type {Object}
+   */
+  weights: Object
+
+  /**
+   * The weights for a quality which override the weights of the policy.
+   * @type {Object}
+   */
+  qualities: Object
+
+  /**
+   * Create a new TorrentPolicy object.
+   * @param {!Object} options - The options for the torrent policy.
+   * @param {?number} [options.keep=1] - The number of torrents to keep for
+   * every quality.
+   * @param {?Object} [options.weights] - The weights to score the torrents
+   * with, merged with the default weights.
+   * @param {?Object} [options.qualities] - The weights for a quality which
+   * override the weights of the policy.
+   */
+  constructor({
+    keep = 1,
+    weights,
+    qualities = TorrentPolicy.Qualities
+  }: Object = {}): void {
+    /**
+     * The number of torrents to keep for every quality.
+     * @type {number}
+     */
+    this.keep = keep
+    /**
+     * The weights to score the torrents with.
+     * @type {Object}
+     */
+    this.weights = {
+      ...TorrentPolicy.Weights,
+      ...weights
+    }
+    /**
+     * The weights for a quality which override the weights of the policy.
+     * @type {Object}
+     */
+    this.qualities = qualities
+  }
+
+  /**
+   * Get the codec, HDR and source of a torrent. The title is parsed for the
+   * torrents stored before the release fields were added.
+   * @param {!Object} torrent - The torrent to get the features of.
+   * @returns {Object} - The features of the torrent.
+   */
+  static getFeatures(torrent: Object): Object {
+    const { codec, hdr, source } = torrent.codec !== undefined
+      ? torrent
+      : ReleaseParser.parse(torrent.title)
+
+    return {
+      codec,
+      hdr,
+      source
+    }
+  }
+
+  /**
+   * Get the bucket a torrent is ranked in. The upscaled, the 4K in name only
+   * and the SDR releases of 2160p are ranked apart from the native HDR
+   * releases, so they do not replace them.
+   * @param {!Object} torrent - The torrent to get the bucket of.
+   * @returns {string} - The bucket of the torrent.
+   */
+  static getBucket(torrent: Object): string {
+    const { quality, uhd, hdr } = torrent
+
+    if (!uhd) {
+      return quality
+    }
+    if (uhd !== ReleaseParser.UhdTypes.Native) {
+      return `${quality}:${uhd}`
+    }
+
+    return hdr ? quality : `${quality}:sdr`
+  }
+
+  /**
+   * Get the weights to score the torrents of a quality with.
+   * @param {?string} quality - The quality of the torrents.
+   * @returns {Object} - The weights for the quality.
+   */
+  getWeights(quality: ?string): Object {
+    return {
+      ...this.weights,
+      ...(quality ? this.qualities[quality] : null)
+    }
+  }
+
+  /**
+   * Score a torrent, a higher score is better.
+   * @param {!Object} torrent - The torrent to score.
+   * @returns {number} - The score of the torrent.
+   */
+  score(torrent: Object): number {
+    const weights = this.getWeights(torrent.quality)
+    const { codec, hdr, source } = TorrentPolicy.getFeatures(torrent)
+
+    const seeds = Math.log10((Number(torrent.seeds) || 0) + 1)
+    const size = (Number(torrent.size) || 0) / (1024 ** 3)
+
+    return (weights.seeds || 0) * seeds +
+      (weights.size || 0) * size +
+      ((codec && weights.codec[codec]) || 0) +
+      ((hdr && weights.hdr[hdr]) || 0) +
+      ((source && weights.source[source]) || 0) +
+      (weights.provider[torrent.provider] || 0)
+  }
+
+  /**
+   * Rank the torrents and keep the best torrents of every bucket, which is
+   * the quality of the torrent. A torrent listed twice is kept once, the
+   * first one wins, as do the first torrents with the same score. The
+   * torrents without a quality are dropped and the torrents the health
+   * checks found dead are ranked after the others.
+   * @param {!Array<Object>} torrents - The torrents to rank.
+   * @returns {Array<Object>} - The kept torrents, the best first for every
+   * quality.
+   */
+  rank(torrents: Array<Object>): Array<Object> {
+    const urls = new Set()
+    const buckets = new Map()
+
+    torrents.forEach(torrent => {
+      if (torrent.quality === null || (torrent.url && urls.has(torrent.url))) {
+        return
+      }
+
+      urls.add(torrent.url)
+
+      const bucket = TorrentPolicy.getBucket(torrent)
+      const ranked = buckets.get(bucket) || []
+      buckets.set(bucket, ranked.concat({
+        torrent,
+        score: this.score(torrent),
+        dead: torrent.dead === true
+      }))
+    })
+
+    return Array.from(buckets.values()).reduce((res, ranked) => res.concat(
+      ranked.sort((a, b) => (Number(a.dead) - Number(b.dead)) ||
+        (b.score - a.score))
+        .slice(0, this.keep)
+        .map(r => r.torrent)
+    ), [])
+  }
+
+}
@@ -0,0 +1,382 @@
+// @flow
+import dgram from 'dgram'
+import http from 'http'
+import https from 'https'
+import pMap from 'p-map'
+import { randomBytes } from 'crypto'
+
+/**
+ * Class for the scrape requests to the trackers, which report the seeders
+ * and leechers of info hashes. The UDP trackers are scraped with the
+ * protocol of BEP 15 and the HTTP trackers with the scrape convention.
+ * @type {TrackerScrape}
+ */
+export default class TrackerScrape {
+
+  /**
+   * The magic constant which starts the connect requests of the UDP
+   * protocol, split in the high and low 32 bits.
+   * @type {Array<number>}
+   */
+  static ProtocolId: Array<number> = [0x417, 0x27101980]
+
+  /**
+   * The actions of the UDP protocol.
+   * @type {Object}
+   */
+  static Actions: Object = {
+    Connect: 0,
+    Scrape: 2,
+    Error: 3
+  }
+
+  /**
+   * The max number of info hashes in one scrape request.
+   * @type {number}
+   */
+  static MaxHashes: number = 74
+
+  /**
+   * The time in milliseconds to wait for a tracker.
+   * @type {number}
+   */
+  timeout: number
+
+  /**
+   * Create a new TrackerScrape object.
+   * @param {!Object} options - The options for the scrape requests.
+   * @param {?number} [options.timeout=5000] - The time in milliseconds to
+   * wait for a tracker.
+   */
+  constructor({ timeout = 5000 }: Object = {}): void {
+    /**
+     * The time in milliseconds to wait for a tracker.
+     * @type {number}
+     */
+    this.timeout = timeout
+  }
+
+  /**
+   * Decode a bencoded value, the strings are decoded as latin1 so binary
+   * strings keep their bytes.
+   * @param {!Buffer} buffer - The bencoded value.
+   * @param {?number} [start=0] - The position to decode from.
+   * @returns {Object} - The decoded value and the position after it.
+   * @throws {Error} - When the value is not bencoded.
+   */
+  static decode(buffer: Buffer, start: number = 0): Object {
+    const type = String.fromCharCode(buffer[start])
+
+    if (type === 'i') {
+      const end = buffer.indexOf('e', start)
+
+      return {
+        value: Number(buffer.toString('latin1', start + 1, end)),
+        end: end + 1
+      }
+    }
+    if (type === 'l' || type === 'd') {
+      const values = []
+      let end = start + 1
+
+      while (buffer[end] !== 0x65) {
+        if (end >= buffer.length) {
+          throw new Error('Unexpected end of the bencoded value')
+        }
+
+        const { value, end: next } = TrackerScrape.decode(buffer, end)
+        values.push(value)
+        end = next
+      }
+
+      if (type === 'l') {
+        return {
+          value: values,
+          end: end + 1
+        }
+      }
+
+      const value = {}
+      for (let i = 0; i < values.length; i += 2) {
+        value[values[i]] = values[i + 1]
+      }
+
+      return {
+        value,
+        end: end + 1
+      }
+    }
+    if (/\d/.test(type)) {
+      const colon = buffer.indexOf(':', start)
+      const length = Number(buffer.toString('latin1', start, colon))
+
+      return {
+        value: buffer.toString('latin1', colon + 1, colon + 1 + length),
+        end: colon + 1 + length
+      }
+    }
+
+    throw new Error(`Invalid bencoded value at position ${start}`)
+  }
+
+  /**
+   * Get the scrape url of an HTTP tracker, the last part of the announce url
+   * has to start with `announce`.
+   * @param {!string} announce - The announce url of the tracker.
+   * @returns {string|null} - The scrape url, `null` when the tracker does
+   * not support scraping.
+   */
+  static getScrapeUrl(announce: string): string | null {
+    const url = new URL(announce)
+    const parts = url.pathname.split('/')
+    const last = parts.pop()
+
+    if (!last.startsWith('announce')) {
+      return null
+    }
+
+    url.pathname = parts.concat(last.replace('announce', 'scrape')).join('/')
+
+    return url.toString()
+  }
+
+  /**
+   * Split the info hashes in the chunks of one scrape request.
+   * @param {!Array<string>} hashes - The info hashes in hex.
+   * @returns {Array<Array<string>>} - The chunks of info hashes.
+   */
+  static chunk(hashes: Array<string>): Array<Array<string>> {
+    const chunks = []
+    for (let i = 0; i < hashes.length; i += TrackerScrape.MaxHashes) {
+      chunks.push(hashes.slice(i, i + TrackerScrape.MaxHashes))
+    }
+
+    return chunks
+  }
+
+  /**
+   * Scrape an HTTP tracker.
+   * @param {!string} tracker - The announce url of the tracker.
+   * @param {!Array<string>} hashes - The info hashes in hex.
+   * @returns {Promise<Object, Error>} - The seeders and leechers keyed by the
+   * info hash.
+   */
+  async scrapeHttp(
+    tracker: string,
+    hashes: Array<string>
+  ): Promise<Object> {
+    const scrapeUrl = TrackerScrape.getScrapeUrl(tracker)
+    if (!scrapeUrl) {
+      throw new Error('The tracker does not support scraping')
+    }
+
+    const results = {}
+    await pMap(TrackerScrape.chunk(hashes), async chunk => {
+      const query = chunk.map(hash => `info_hash=${hash.replace(
+        /.{2}/g,
+        byte => `%${byte}`
+      )}`).join('&')
+      const body = await this.get(`${scrapeUrl}${
+        scrapeUrl.includes('?') ? '&' : '?'
+      }${query}`)
+
+      const { value } = TrackerScrape.decode(body)
+      if (value['failure reason']) {
+        throw new Error(value['failure reason'])
+      }
+
+      Object.keys(value.files || {}).forEach(key => {
+        const { complete, incomplete } = value.files[key]
+
+        results[Buffer.from(key, 'latin1').toString('hex')] = {
+          seeds: complete || 0,
+          peers: incomplete || 0
+        }
+      })
+    }, {
+      concurrency: 1
+    })
+
+    return results
+  }
+
+  /**
+   * Get the body of an HTTP url.
+   * @param {!string} url - The url to get.
+   * @returns {Promise<Buffer, Error>} - The body of the response.
+   */
+  get(url: string): Promise<Buffer> {
+    const { get } = url.startsWith('https:') ? https : http
+
+    return new Promise((resolve, reject) => {
+      const req = get(url, {
+        timeout: this.timeout
+      }, res => {
+        const chunks = []
+
+        res.on('data', chunk => {
+          chunks.push(chunk)
+        })
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            return resolve(Buffer.concat(chunks))
+          }
+
+          return reject(new Error(`Tracker responded with ${res.statusCode}`))
+        })
+      })
+
+      req.on('timeout', () => {
+        const err = new Error('Tracker request timed out')
+        err.code = 'ETIMEDOUT'
+
+        req.destroy(err)
+      })
+      req.on('error', reject)
+    })
+  }
+
+  /**
+   * Send a message to a UDP tracker and wait for the response to it.
+   * @param {!Socket} socket - The socket to send the message with.
+   * @param {!URL} url - The url of the tracker.
+   * @param {!Buffer} message - The message to send.
+   * @returns {Promise<Buffer, Error>} - The response to the message.
+   */
+  send(socket: Object, url: Object, message: Buffer): Promise<Buffer> {
+    const transactionId = message.readUInt32BE(12)
+
+    return new Promise((resolve, reject) => {
+      /**
+       * Stop waiting for the response.
+       * @returns {undefined}
+       */
+      const stop = () => {
+        clearTimeout(timer)
+        socket.removeListener('message', onMessage)
+        socket.removeListener('error', onError)
+      }
+
+      /**
+       * Settle with the response to the message, the responses to other
+       * messages are ignored.
+       * @param {!Buffer} response - The response of the tracker.
+       * @returns {undefined}
+       */
+      const onMessage = response => {
+        if (
+          response.length < 8 ||
+          response.readUInt32BE(4) !== transactionId
+        ) {
+          return
+        }
+
+        stop()
+        if (response.readUInt32BE(0) === TrackerScrape.Actions.Error) {
+          reject(new Error(response.toString('utf8', 8)))
+        } else {
+          resolve(response)
+        }
+      }
+
+      /**
+       * Reject with an error of the socket.
+       * @param {!Error} err - The error of the socket.
+       * @returns {undefined}
+       */
+      const onError = err => {
+        stop()
+        reject(err)
+      }
+
+      const timer = setTimeout(() => {
+        const err = new Error('Tracker request timed out')
+        err.code = 'ETIMEDOUT'
+
+        onError(err)
+      }, this.timeout)
+
+      socket.on('message', onMessage)
+      socket.on('error', onError)
+      socket.send(message, Number(url.port), url.hostname, err => {
+        if (err) {
+          onError(err)
+        }
+      })
+    })
+  }
+
+  /**
+   * Scrape a UDP tracker.
+   * @param {!string} tracker - The announce url of the tracker.
+   * @param {!Array<string>} hashes - The info hashes in hex.
+   * @returns {Promise<Object, Error>} - The seeders and leechers keyed by the
+   * info hash.
+   */
+  async scrapeUdp(
+    tracker: string,
+    hashes: Array<string>
+  ): Promise<Object> {
+    const url = new URL(tracker)
+    const socket = dgram.createSocket('udp4')
+    const { Actions, ProtocolId } = TrackerScrape
+
+    try {
+      const connect = Buffer.alloc(16)
+      connect.writeUInt32BE(ProtocolId[0], 0)
+      connect.writeUInt32BE(ProtocolId[1], 4)
+      connect.writeUInt32BE(Actions.Connect, 8)
+      randomBytes(4).copy(connect, 12)
+
+      const connected = await this.send(socket, url, connect)
+      const connectionId = connected.slice(8, 16)
+
+      const results = {}
+      await pMap(TrackerScrape.chunk(hashes), async chunk => {
+        const scrape = Buffer.concat([
+          connectionId,
+          Buffer.alloc(8),
+          ...chunk.map(hash => Buffer.from(hash, 'hex'))
+        ])
+        scrape.writeUInt32BE(Actions.Scrape, 8)
+        randomBytes(4).copy(scrape, 12)
+
+        const response = await this.send(socket, url, scrape)
+        chunk.forEach((hash, i) => {
+          const offset = 8 + i * 12
+          if (response.length >= offset + 12) {
+            results[hash] = {
+              seeds: response.readUInt32BE(offset),
+              peers: response.readUInt32BE(offset + 8)
+            }
+          }
+        })
+      }, {
+        concurrency: 1
+      })
+
+      return results
+    } finally {
+      socket.close()
+    }
+  }
+
+  /**
+   * Scrape a tracker for the seeders and leechers of info hashes.
+   * @param {!string} tracker - The announce url of the tracker.
+   * @param {!Array<string>} hashes - The info hashes in hex.
+   * @returns {Promise<Object, Error>} - The seeders and leechers keyed by the
+   * info hash, the hashes the tracker does not know are left out.
+   */
+  scrape(tracker: string, hashes: Array<string>): Promise<Object> {
+    if (/^udp:/i.test(tracker)) {
+      return this.scrapeUdp(tracker, hashes)
+    }
+    if (/^https?:/i.test(tracker)) {
+      return this.scrapeHttp(tracker, hashes)
+    }
+
+    return Promise.reject(new Error(`Cannot scrape the tracker '${tracker}'`))
+  }
+
+}
@@ -0,0 +1,250 @@
+// @flow
+import http from 'http'
+import https from 'https'
+
+/**
+ * Class for the list of trackers added to the magnet links. The list is set
+ * with `TRACKERS` and can be refreshed from the list at `TRACKERS_URL`.
+ * @type {Trackers}
+ */
+export default class Trackers {
+
+  /**
+   * The trackers used when no trackers are configured.
+   * @type {Array<string>}
+   */
+  static Defaults: Array<string> = [
+    'udp://tracker.opentrackr.org:1337/announce',
+    'udp://open.stealth.si:80/announce',
+    'udp://tracker.torrent.eu.org:451/announce',
+    'udp://exodus.desync.com:6969/announce',
+    'udp://open.demonii.com:1337/announce',
+    'udp://explodie.org:6969/announce'
+  ]
+
+  /**
+   * The pattern of a valid announce url of a tracker.
+   * @type {RegExp}
+   */
+  static Pattern: RegExp = /^(udp|https?|wss?):\/\/[^\s/:]+(:\d+)?(\/\S*)?$/i
+
+  /**
+   * The configured trackers, which come first in the list.
+   * @type {Array<string>}
+   */
+  configured: Array<string>
+
+  /**
+   * The current list of trackers.
+   * @type {Array<string>}
+   */
+  list: Array<string>
+
+  /**
+   * The url of the list to refresh the trackers from.
+   * @type {string}
+   */
+  url: ?string
+
+  /**
+   * The time in milliseconds between the refreshes of the list.
+   * @type {number}
+   */
+  refreshInterval: number
+
+  /**
+   * The max number of trackers in the list.
+   * @type {number}
+   */
+  limit: number
+
+  /**
+   * The time in milliseconds to wait for the list.
+   * @type {number}
+   */
+  timeout: number
+
+  /**
+   * The interval refreshing the list.
+   * @type {IntervalID|null}
+   */
+  _interval: IntervalID | null
+
+  /**
+   * Create a new Trackers object.
+   * @param {!Object} options - The options for the trackers.
+   * @param {?Array<string>} [options.trackers] - The configured trackers,
+   * `TRACKERS` or the default trackers.
+   * @param {?string} [options.url] - The url of the list to refresh the
+   * trackers from, `TRACKERS_URL` by default.
+   * @param {?number} [options.refreshInterval] - The time in milliseconds
+   * between the refreshes of the list, `TRACKERS_REFRESH_HOURS` or a day by
+   * default.
+   * @param {?number} [options.limit=20] - The max number of trackers in the
+   * list.
+   * @param {?number} [options.timeout=10000] - The time in milliseconds to
+   * wait for the list.
+   */
+  constructor({
+    trackers = Trackers.parse(process.env.TRACKERS),
+    url = process.env.TRACKERS_URL,
+    refreshInterval = (Number(process.env.TRACKERS_REFRESH_HOURS) || 24) *
+      60 * 60 * 1000,
+    limit = 20,
+    timeout = 10000
+  }: Object = {}): void {
+    /**
+     * The configured trackers, which come first in the list.
+     * @type {Array<string>}
+     */
+    this.configured = trackers.length > 0 ? trackers : Trackers.Defaults
+    /**
+     * The current list of trackers.
+     * @type {Array<string>}
+     */
+    this.list = this.configured.slice(0, limit)
+    /**
+     * The url of the list to refresh the trackers from.
+     * @type {string}
+     */
+    this.url = url
+    /**
+     * The time in milliseconds between the refreshes of the list.
+     * @type {number}
+     */
+    this.refreshInterval = refreshInterval
+    /**
+     * The max number of trackers in the list.
+     * @type {number}
+     */
+    this.limit = limit
+    /**
+     * The time in milliseconds to wait for the list.
+     * @type {number}
+     */
+    this.timeout = timeout
+    /**
+     * The interval refreshing the list.
+     * @type {IntervalID|null}
+     */
+    this._interval = null
+  }
+
+  /**
+   * Parse a list of trackers separated by commas or white space, the invalid
+   * and duplicate trackers are left out.
+   * @param {?string} value - The list of trackers.
+   * @returns {Array<string>} - The valid trackers.
+   */
+  static parse(value: ?string): Array<string> {
+    const trackers = String(value || '').split(/[\s,]+/)
+      .map(t => t.trim())
+      .filter(t => Trackers.Pattern.test(t))
+
+    return Array.from(new Set(trackers))
+  }
+
+  /**
+   * Get the current list of trackers.
+   * @returns {Array<string>} - The trackers.
+   */
+  get(): Array<string> {
+    return this.list
+  }
+
+  /**
+   * Get the list of trackers at the url.
+   * @returns {Promise<string, Error>} - The body of the response.
+   */
+  fetch(): Promise<string> {
+    const url = new URL(String(this.url))
+    const { get } = url.protocol === 'https:' ? https : http
+
+    return new Promise((resolve, reject) => {
+      const req = get(url, {
+        timeout: this.timeout
+      }, res => {
+        let data = ''
+
+        res.setEncoding('utf8')
+        res.on('data', chunk => {
+          data += chunk
+        })
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            return resolve(data)
+          }
+
+          return reject(new Error(`Tracker list responded with ${res.statusCode}`))
+        })
+      })
+
+      req.on('timeout', () => {
+        const err = new Error('Tracker list request timed out')
+        err.code = 'ETIMEDOUT'
+
+        req.destroy(err)
+      })
+      req.on('error', reject)
+    })
+  }
+
+  /**
+   * Refresh the list of trackers from the url, the current list is kept when
+   * the refresh fails.
+   * @returns {Promise<Array<string>>} - The trackers.
+   */
+  async refresh(): Promise<Array<string>> {
+    if (!this.url) {
+      return this.list
+    }
+
+    try {
+      const fetched = Trackers.parse(await this.fetch())
+
+      if (fetched.length === 0) {
+        throw new Error('The tracker list is empty')
+      }
+
+      this.list = Array.from(new Set(this.configured.concat(fetched)))
+        .slice(0, this.limit)
+      logger.info(`Trackers: Refreshed the list with ${this.list.length} trackers`)
+    } catch (err) {
+      logger.warn(`Trackers: Could not refresh the list: ${err.message || err}`)
+    }
+
+    return this.list
+  }
+
+  /**
+   * Refresh the list of trackers now and then periodically.
+   * @returns {undefined}
+   */
+  start(): void {
+    this.stop()
+
+    if (!this.url) {
+      return
+    }
+
+    this.refresh()
+    this._interval = setInterval(() => this.refresh(), this.refreshInterval)
+
+    // The refreshes should not keep the process alive
+    if (this._interval.unref) {
+      this._interval.unref()
+    }
+  }
+
+  /**
+   * Stop refreshing the list of trackers.
+   * @returns {undefined}
+   */
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval)
+      this._interval = null
+    }
+  }
+
+}
@@ -51,14 +51,17 @@ import Solid from '@pct-org/solidtorrents-api-pt'
  * A NodeJS wrapper for zooqle.com
  * @external {Ettv} https://github.com/ChrisAlderson/ettv-api-pt
  */
-import { zooqle } from '@pct-org/zooqle'
+import { zooqle as zooqleApi } from '@pct-org/zooqle'
+
+import limiters from './limiters'
+import { limitApi } from './limiter'
 
 /**
  * A configured Eztv API.
  * @type {Eztv}
  * @see https://github.com/ChrisAlderson/eztv-api-pt
  */
-const eztv = new Eztv()
+const eztv = limitApi(new Eztv(), limiters.eztv)
 eztv.getAll = eztv.getAllShows
 eztv.getData = eztv.getShowData
 
@@ -67,51 +70,63 @@ eztv.getData = eztv.getShowData
  * @type {Fanart}
  * @see https://github.com/ChrisAlderson/fanart.tv-api
  */
-const fanart = new Fanart({
+const fanart = limitApi(new Fanart({
   apiKey: process.env.FANART_KEY,
-})
+}), limiters.fanart)
 
 /**
  * A configured Omdb API.
  * @type {Omdb}
  * @see https://github.com/ChrisAlderson/omdb-api-pt
  */
-const omdb = new Omdb({
+const omdb = limitApi(new Omdb({
   apiKey: process.env.OMDB_KEY,
-})
+}), limiters.omdb)
 
 /**
  * A configured Tmdb API.
  * @type {Tmdb}
  * @external {Tmdb} https://github.com/gajus/tmdb
  */
-const tmdb = new Tmdb(process.env.TMDB_KEY)
+const tmdb = limitApi(new Tmdb(process.env.TMDB_KEY), limiters.tmdb)
 
 /**
  * A configured Trakt API.
  * @type {Trakt}
  * @see https://github.com/vankasteelj/trakt.tv
  */
-const trakt = new Trakt({
+const trakt = limitApi(new Trakt({
   client_id: process.env.TRAKT_KEY,
-})
+}), limiters.trakt)
 
 /**
  * A configured Tvdb API.
  * @type {Tvdb}
  * @see https://github.com/edwellbrook/node-tvdb
  */
-const tvdb = new Tvdb(process.env.TVDB_KEY)
+const tvdb = limitApi(new Tvdb(process.env.TVDB_KEY), limiters.tvdb)
 
 /**
  * A configured Yts API.
  * @type {Yts}
  * @see https://github.com/ChrisAlderson/yts-api-pt
  */
-const yts = new Yts()
+const yts = limitApi(new Yts(), limiters.yts)
 yts.search = yts.getMovies
 
-const solid = new Solid()
+/**
+ * A configured Solid API.
+ * @type {Solid}
+ * @see https://github.com/pct-org/solidtorrents-api-pt
+ */
+const solid = limitApi(new Solid(), limiters.solid)
+
+/**
+ * A configured Zooqle API.
+ * @type {Object}
+ * @see https://github.com/pct-org/zooqle
+ */
+const zooqle = limitApi(zooqleApi, limiters.zooqle)
 
 /**
  * Export the API modules.
@@ -15,6 +15,14 @@ export const eztvConfig: Object = {
   name: 'EZTV',
   api: eztv,
   contentType: EztvProvider.ContentTypes.Show,
+  mode: EztvProvider.Modes.Incremental,
+  // Scrape the new episodes every hour and all the shows every night
+  schedules: [{
+    cronTime: '0 0 * * * *'
+  }, {
+    cronTime: '0 0 2 * * *',
+    mode: EztvProvider.Modes.Full
+  }],
   Helper: ShowHelper,
   Model: {
     Show: ShowModel,
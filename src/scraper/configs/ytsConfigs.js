@@ -15,9 +15,21 @@ export const ytsConfig: Object = {
   contentType: YtsProvider.ContentTypes.Movie,
   Helper: MovieHelper,
   Model: MovieModel,
+  mode: YtsProvider.Modes.Incremental,
+  // Scrape the new movies every hour and all the movies every night
+  schedules: [{
+    cronTime: '0 0 * * * *'
+  }, {
+    cronTime: '0 0 2 * * *',
+    mode: YtsProvider.Modes.Full
+  }],
   query: {
     page: 1,
     limit: 50,
+    // The newest movies first so an incremental scrape can stop early, the
+    // option is called `sortyBy` by yts-api-pt
+    sortyBy: 'date_added',
+    orderBy: 'desc'
   },
 }
 
@@ -2,6 +2,10 @@
 import { BlacklistModel } from '@pct-org/mongo-models/dist/blacklist/blacklist.model'
 // @flow
 import IHelper from './IHelper'
+import Changeset from '../Changeset'
+import Magnet from '../Magnet'
+import TorrentPolicy from '../TorrentPolicy'
+import metrics from '../metrics'
 import type { Movie, Show } from '@pct-org/mongo-models'
 
 /**
@@ -39,6 +43,18 @@ export default class AbstractHelper extends IHelper {
     Show: 'show',
   }
 
+  /**
+   * The qualities of the torrents from the best to the worst.
+   * @type {Array<string>}
+   */
+  static QualityOrder: Array<string> = [
+    '2160p',
+    '3D',
+    '1080p',
+    '720p',
+    '480p'
+  ]
+
   /**
    * The name of the torrent provider.
    * @type {string}
@@ -52,12 +68,41 @@ export default class AbstractHelper extends IHelper {
    */
   Model: Movie | Show
 
+  /**
+   * The new episodes and the movies with a better quality saved by the
+   * helper.
+   * @type {Object}
+   */
+  changes: Object
+
+  /**
+   * The changeset to record the changes to the stored content with.
+   * @type {Changeset}
+   */
+  changeset: Changeset
+
+  /**
+   * The policy to rank the torrents with.
+   * @type {TorrentPolicy}
+   */
+  policy: TorrentPolicy
+
   /**
    * Create a base helper class for content.
    * @param {!string} name - The name of the content provider.
    * @param {!Movie|Show} Model - The model to help fill.
+   * @param {?Changeset} [changeset] - The changeset to record the changes to
+   * the stored content with.
+   * @param {?TorrentPolicy} [policy] - The policy to rank the torrents with.
    */
-  constructor({ name, Model }: Object): void {
+  constructor({
+    name,
+    Model,
+    changeset = new Changeset({
+      name
+    }),
+    policy = new TorrentPolicy()
+  }: Object): void {
     super()
 
     /**
@@ -71,6 +116,73 @@ export default class AbstractHelper extends IHelper {
      * @see http://mongoosejs.com/docs/models.html
      */
     this.Model = Model
+    /**
+     * The new episodes and the movies with a better quality saved by the
+     * helper.
+     * @type {Object}
+     */
+    this.changes = {
+      episodes: [],
+      movies: []
+    }
+    /**
+     * The changeset to record the changes to the stored content with.
+     * @type {Changeset}
+     */
+    this.changeset = changeset
+    /**
+     * The policy to rank the torrents with.
+     * @type {TorrentPolicy}
+     */
+    this.policy = policy
+  }
+
+  /**
+   * Get the best quality of a list of torrents.
+   * @param {?Array<Object>} [torrents=[]] - The torrents to check.
+   * @returns {string|null} - The best quality of the torrents.
+   */
+  static getBestQuality(torrents: ?Array<Object> = []): string | null {
+    const ranks = (torrents || [])
+      .map(t => AbstractHelper.QualityOrder.indexOf(t.quality))
+      .filter(rank => rank !== -1)
+
+    return ranks.length > 0
+      ? AbstractHelper.QualityOrder[Math.min(...ranks)]
+      : null
+  }
+
+  /**
+   * Check if a quality is better than another quality.
+   * @param {?string} quality - The quality to check.
+   * @param {?string} other - The quality to compare with.
+   * @returns {boolean} - Whether the quality is better.
+   */
+  static isBetterQuality(quality: ?string, other: ?string): boolean {
+    const { QualityOrder } = AbstractHelper
+    const rank = QualityOrder.indexOf(quality)
+
+    if (rank === -1) {
+      return false
+    }
+
+    return !other || QualityOrder.indexOf(other) === -1 ||
+      rank < QualityOrder.indexOf(other)
+  }
+
+  /**
+   * Count a saved document of a model.
+   * @protected
+   * @param {!string} model - The name of the model.
+   * @param {?Object} found - The stored document, a document without one is
+   * inserted.
+   * @returns {undefined}
+   */
+  _countSaved(model: string, found: ?Object): void {
+    metrics.documents.inc({
+      model,
+      operation: found ? 'updated' : 'inserted'
+    })
   }
 
   /**
@@ -138,7 +250,8 @@ export default class AbstractHelper extends IHelper {
 
   /**
    * Update the torrents for an item, can also merge existing torrents and new ones
-   * together
+   * together. The magnet links are normalized so the same torrent is listed
+   * once, the policy of the helper decides which torrents are kept.
    *
    * @param {Array} torrents - Array of new torrents
    * @param {Array} foundTorrents - Array of existing torrents
@@ -146,55 +259,18 @@ export default class AbstractHelper extends IHelper {
    * @protected
    */
   _formatTorrents(torrents: Array<Object>, foundTorrents: Array<Object> = []): Array<Object> {
-    const allTorrents = [
+    const newTorrents = this.policy.rank(Magnet.normalizeTorrents([
       ...torrents,
       ...foundTorrents,
-    ]
-
-    let newTorrents = []
-
-    // Loop true all torrents
-    allTorrents.forEach((torrent) => {
-      let add = true
-      const match = newTorrents.find(
-        t => t.quality === torrent.quality,
-      )
-
-      // If we have a match we need additional checks to determine witch one to keep
-      if (match) {
-        // Put add to false
-        add = false
-
-        // For 2160p we get the smallest one
-        if (torrent.quality === '2160p') {
-          // Check fi existing torrent is bigger then the new one
-          if (torrent.size < match.size) {
-            add = true
-          }
-
-        } else if (match.seeds < torrent.seeds) {
-          add = true
-        }
-      }
-
-      // Only add if we are allowed and quality is not null
-      if (add && torrent.quality !== null) {
-        // If add was true and we have a match we need to remove the old one
-        if (match) {
-          newTorrents = newTorrents.filter(
-            t => t.quality !== torrent.quality,
-          )
-        }
+    ]))
 
-        // Add the sizeString attribute
-        torrent.sizeString = AbstractHelper._formatTorrentSize(torrent.size)
-
-        newTorrents.push(torrent)
-      }
+    // Add the sizeString attribute
+    newTorrents.forEach(torrent => {
+      torrent.sizeString = AbstractHelper._formatTorrentSize(torrent.size)
     })
 
     // The order that we want it in
-    const order = ['2160p', '3D', '1080p', '720p', '480p']
+    const order = AbstractHelper.QualityOrder
 
     // Return all merged torrents
     return newTorrents.sort((torrentA, torrentB) =>
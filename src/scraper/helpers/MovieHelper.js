@@ -4,6 +4,8 @@ import { NotFoundError } from 'tmdb'
 import { BlacklistModel } from '@pct-org/mongo-models/dist/blacklist/blacklist.model'
 
 import AbstractHelper from './AbstractHelper'
+import Changeset from '../Changeset'
+import limiters from '../limiters'
 import { fanart, tmdb, trakt, omdb } from '../apiModules'
 
 /**
@@ -32,6 +34,17 @@ export default class MovieHelper extends AbstractHelper {
           m.torrents = this._formatTorrents(m.torrents, found.torrents)
         }
 
+        const previousQuality = AbstractHelper.getBestQuality(found.torrents)
+        const quality = AbstractHelper.getBestQuality(m.torrents)
+
+        if (AbstractHelper.isBetterQuality(quality, previousQuality)) {
+          this.changes.movies.push({
+            imdbId: m._id,
+            quality,
+            previousQuality
+          })
+        }
+
         // Keep old attributes that could change
         m.createdAt = found.createdAt
         m.bookmarked = found.bookmarked
@@ -40,7 +53,7 @@ export default class MovieHelper extends AbstractHelper {
         m.download = found.download
         m.searchedTorrents = found.searchedTorrents
 
-        return await this.Model.findOneAndUpdate({
+        const updated = await this.Model.findOneAndUpdate({
             _id: m._id,
           },
           m,
@@ -49,11 +62,25 @@ export default class MovieHelper extends AbstractHelper {
             new: true,
           },
         )
+        this.changeset.compare(Changeset.Types.Title, {
+          ref: m._id,
+          title: m.title
+        }, m, found)
+        this._countSaved('movie', found)
+
+        return updated
       }
 
       logger.info(`${this.name}: '${m.title}' is a new movie!`)
 
-      return await new this.Model(m).save()
+      const saved = await new this.Model(m).save()
+      this.changeset.compare(Changeset.Types.Title, {
+        ref: m._id,
+        title: m.title
+      }, m)
+      this._countSaved('movie')
+
+      return saved
 
     } catch (err) {
       logger.error(`MovieHelper._updateMovieInDb: ${err.message || err}`)
@@ -127,10 +154,9 @@ export default class MovieHelper extends AbstractHelper {
    * @returns {Promise<Movie>} - A movie with torrents attached.
    */
   _addOmdbImages(movie: Movie): Promise<Movie> {
-    // TODO:: Check if rate limit is hit, if so then skip this one
-
-    // Check if we already have the images omdb can retrieve if so throw catch
-    if (movie.images.poster) {
+    // Check if we already have the images omdb can retrieve if so throw catch,
+    // also skip omdb while it is paused because the rate limit is hit
+    if (movie.images.poster || limiters.omdb.isOpen()) {
       return Promise.reject(movie)
     }
 
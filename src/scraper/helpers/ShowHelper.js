@@ -5,6 +5,7 @@ import { NotFoundError } from 'tmdb'
 import type { Show, Season } from '@pct-org/mongo-models'
 
 import AbstractHelper from './AbstractHelper'
+import Changeset from '../Changeset'
 import { fanart, tmdb, trakt, tvdb } from '../apiModules'
 
 /**
@@ -67,7 +68,7 @@ export default class ShowHelper extends AbstractHelper {
         s.bookmarked = found.bookmarked
         s.bookmarkedOn = found.bookmarkedOn
 
-        return await this.Model.Show.findOneAndUpdate({
+        const updated = await this.Model.Show.findOneAndUpdate({
             _id: s.imdbId,
           },
           s,
@@ -76,11 +77,25 @@ export default class ShowHelper extends AbstractHelper {
             new: true,
           },
         )
+        this.changeset.compare(Changeset.Types.Title, {
+          ref: s.imdbId,
+          title: s.title
+        }, s, found)
+        this._countSaved('show', found)
+
+        return updated
       }
 
       logger.info(`${this.name}: '${s.title}' is a new show!`)
 
-      return await new this.Model.Show(s).save()
+      const saved = await new this.Model.Show(s).save()
+      this.changeset.compare(Changeset.Types.Title, {
+        ref: s.imdbId,
+        title: s.title
+      }, s)
+      this._countSaved('show')
+
+      return saved
 
     } catch (err) {
       logger.error(`_updateShow: ${err.message || err}`)
@@ -131,6 +146,7 @@ export default class ShowHelper extends AbstractHelper {
             // Add the season
             await new this.Model.Season(s).save()
           }
+          this._countSaved('season', found)
 
           // Update all episodes of the season
           return await this._updateShowEpisodes(show, season)
@@ -161,6 +177,19 @@ export default class ShowHelper extends AbstractHelper {
           const e = episode
           const found = episodesFound.find(se => se._id === episode._id)
 
+          // Episodes which get their first torrents are new to the users
+          const hadTorrents = Boolean(found && found.torrents &&
+            found.torrents.length > 0)
+          if (!hadTorrents && e.torrents && e.torrents.length > 0) {
+            this.changes.episodes.push({
+              _id: e._id,
+              showImdbId: show.imdbId,
+              season: season.number,
+              number: e.number,
+              quality: AbstractHelper.getBestQuality(e.torrents)
+            })
+          }
+
           if (found) {
             // logger.info(`${this.name}: '${show.title}' update episode '${e.number}' of season '${season.number}'`)
 
@@ -191,6 +220,12 @@ export default class ShowHelper extends AbstractHelper {
             // Add the episode
             await new this.Model.Episode(e).save()
           }
+
+          this.changeset.compare(Changeset.Types.Episode, {
+            ref: e._id,
+            title: this._getEpisodeTitle(show, season.number, e.number)
+          }, e, found)
+          this._countSaved('episode', found)
         }),
       )
     } catch (err) {
@@ -198,6 +233,21 @@ export default class ShowHelper extends AbstractHelper {
     }
   }
 
+  /**
+   * Get the title of an episode with the title of its show, for example
+   * `Game of Thrones S01E02`.
+   * @param {!Show} show - The show the episode belongs to.
+   * @param {!number} season - The number of the season.
+   * @param {!number} number - The number of the episode.
+   * @returns {string} - The title of the episode.
+   */
+  _getEpisodeTitle(show: Show, season: number, number: number): string {
+    const s = String(season).padStart(2, '0')
+    const e = String(number).padStart(2, '0')
+
+    return `${show.title} S${s}E${e}`
+  }
+
   /**
    * Add's default information to the episode
    *
@@ -1,6 +1,18 @@
 // @flow
-import { eztvConfigs, solidConfigs, ytsConfigs } from './configs'
-import { EztvProvider, SolidProvider, YtsProvider } from './providers'
+import loadProviders from './loadProviders'
+import { addReleaseFields } from '../models'
+import {
+  eztvConfigs,
+  solidConfigs,
+  ytsConfigs,
+  zooqleConfigs
+} from './configs'
+import {
+  EztvProvider,
+  SolidProvider,
+  YtsProvider,
+  ZooqleProvider
+} from './providers'
 
 /**
  * The max concurrent web requests at a time.
@@ -9,31 +21,60 @@ import { EztvProvider, SolidProvider, YtsProvider } from './providers'
 const maxWebRequests: number = 2
 
 /**
- * Export the providers to be attached to the PopApiScraper.
+ * The providers which can be enabled in the providers config file with their
+ * default settings.
  * @type {Array<Object>}
  */
-export default [
+export const availableProviders: Array<Object> = [
   // For Movies
   {
+    name: 'YtsProvider',
     Provider: YtsProvider,
+    enabled: true,
     args: {
       maxWebRequests,
       configs: ytsConfigs,
     },
   },
+  {
+    name: 'ZooqleProvider',
+    Provider: ZooqleProvider,
+    enabled: false,
+    args: {
+      maxWebRequests,
+      configs: zooqleConfigs
+    }
+  },
   // For Shows
   {
+    name: 'EztvProvider',
     Provider: EztvProvider,
+    enabled: true,
     args: {
       maxWebRequests,
       configs: eztvConfigs,
     },
   },
-  // {
-  //   Provider: SolidProvider,
-  //   args: {
-  //     maxWebRequests,
-  //     configs: solidConfigs,
-  //   },
-  // },
+  // For Movies and Shows
+  {
+    name: 'SolidProvider',
+    Provider: SolidProvider,
+    enabled: false,
+    args: {
+      maxWebRequests,
+      configs: solidConfigs
+    }
+  }
 ]
+
+// Store the fields parsed from the release names with the torrents
+addReleaseFields()
+
+/**
+ * Export the providers to be attached to the PopApiScraper.
+ * @type {Array<Object>}
+ */
+export default loadProviders(
+  availableProviders,
+  process.env.PROVIDERS_CONFIG
+)
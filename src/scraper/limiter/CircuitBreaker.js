@@ -0,0 +1,152 @@
+// @flow
+
+/**
+ * Class for a circuit breaker which pauses the requests to a host after
+ * repeated failures.
+ * @type {CircuitBreaker}
+ */
+export default class CircuitBreaker {
+
+  /**
+   * The available states of the circuit breaker.
+   * @type {Object}
+   */
+  static States: Object = {
+    Closed: 'closed',
+    Open: 'open',
+    HalfOpen: 'half-open'
+  }
+
+  /**
+   * The amount of consecutive failures to open the circuit.
+   * @type {number}
+   */
+  threshold: number
+
+  /**
+   * The time in milliseconds the circuit stays open.
+   * @type {number}
+   */
+  cooldown: number
+
+  /**
+   * The amount of consecutive failures.
+   * @type {number}
+   */
+  failures: number
+
+  /**
+   * The epoch time in milliseconds until the circuit stays open.
+   * @type {number}
+   */
+  openUntil: number
+
+  /**
+   * The current state of the circuit.
+   * @type {string}
+   */
+  _state: string
+
+  /**
+   * Create a new CircuitBreaker object.
+   * @param {!Object} options - The options for the circuit breaker.
+   * @param {!number} [options.threshold=5] - The amount of consecutive
+   * failures to open the circuit.
+   * @param {!number} [options.cooldown=60000] - The time in milliseconds the
+   * circuit stays open.
+   */
+  constructor({
+    threshold = 5,
+    cooldown = 60000
+  }: Object = {}): void {
+    /**
+     * The amount of consecutive failures to open the circuit.
+     * @type {number}
+     */
+    this.threshold = threshold
+    /**
+     * The time in milliseconds the circuit stays open.
+     * @type {number}
+     */
+    this.cooldown = cooldown
+    /**
+     * The amount of consecutive failures.
+     * @type {number}
+     */
+    this.failures = 0
+    /**
+     * The epoch time in milliseconds until the circuit stays open.
+     * @type {number}
+     */
+    this.openUntil = 0
+    /**
+     * The current state of the circuit.
+     * @type {string}
+     */
+    this._state = CircuitBreaker.States.Closed
+  }
+
+  /**
+   * The current state of the circuit, an open circuit becomes half-open after
+   * the cooldown to let a request through.
+   * @type {string}
+   */
+  get state(): string {
+    const { Open, HalfOpen } = CircuitBreaker.States
+
+    if (this._state === Open && Date.now() >= this.openUntil) {
+      this._state = HalfOpen
+    }
+
+    return this._state
+  }
+
+  /**
+   * Check if requests are allowed through the circuit.
+   * @returns {boolean} - Whether the circuit is open.
+   */
+  isOpen(): boolean {
+    return this.state === CircuitBreaker.States.Open
+  }
+
+  /**
+   * Register a successful request, which closes the circuit.
+   * @returns {undefined}
+   */
+  success(): void {
+    this.failures = 0
+    this._state = CircuitBreaker.States.Closed
+  }
+
+  /**
+   * Open the circuit so no requests are allowed through.
+   * @param {?number} [cooldown] - The time in milliseconds the circuit should
+   * stay open, defaults to the cooldown of the circuit breaker.
+   * @returns {undefined}
+   */
+  open(cooldown?: number): void {
+    this._state = CircuitBreaker.States.Open
+    this.openUntil = Date.now() + (cooldown ?? this.cooldown)
+  }
+
+  /**
+   * Register a failed request, which opens the circuit after too many
+   * failures or when the request through the half-open circuit failed.
+   * @returns {boolean} - Whether the circuit opened.
+   */
+  failure(): boolean {
+    this.failures += 1
+
+    if (
+      this.state !== CircuitBreaker.States.HalfOpen &&
+      this.failures < this.threshold
+    ) {
+      return false
+    }
+
+    this.open()
+
+    return true
+  }
+
+}
@@ -0,0 +1,337 @@
+// @flow
+import CircuitBreaker from './CircuitBreaker'
+import TokenBucket from './TokenBucket'
+
+/**
+ * Class for limiting the requests to an upstream host. The requests are
+ * throttled with a token bucket, rate limited responses pause the host until
+ * the `Retry-After` time and repeated failures open the circuit breaker.
+ * @type {HostLimiter}
+ */
+export default class HostLimiter {
+
+  /**
+   * The error codes of failed connections to a host.
+   * @type {Array<string>}
+   */
+  static NetworkErrorCodes: Array<string> = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'EAI_AGAIN',
+    'EPIPE'
+  ]
+
+  /**
+   * The error code of requests refused by an open circuit.
+   * @type {string}
+   */
+  static CircuitOpenCode: string = 'ECIRCUITOPEN'
+
+  /**
+   * The name of the host.
+   * @type {string}
+   */
+  name: string
+
+  /**
+   * The token bucket to throttle the requests with.
+   * @type {TokenBucket}
+   */
+  bucket: TokenBucket
+
+  /**
+   * The circuit breaker to pause the host with.
+   * @type {CircuitBreaker}
+   */
+  breaker: CircuitBreaker
+
+  /**
+   * The status codes the host responds with when the rate limit is hit.
+   * @type {Array<number>}
+   */
+  rateLimitStatuses: Array<number>
+
+  /**
+   * The maximum times to retry a rate limited request.
+   * @type {number}
+   */
+  maxRetries: number
+
+  /**
+   * The maximum time in milliseconds to wait before retrying a rate limited
+   * request, longer waits open the circuit instead.
+   * @type {number}
+   */
+  maxRetryWait: number
+
+  /**
+   * The function called with the duration in seconds and the error of every
+   * request which reached the host.
+   * @type {Function}
+   */
+  observe: ?Function
+
+  /**
+   * Create a new HostLimiter object.
+   * @param {!Object} options - The options for the host limiter.
+   * @param {!string} options.name - The name of the host.
+   * @param {!number} [options.rate=1] - The allowed requests per second.
+   * @param {?number} [options.burst] - The allowed requests in a burst.
+   * @param {?number} [options.threshold=5] - The amount of consecutive
+   * failures to pause the host.
+   * @param {?number} [options.cooldown=60000] - The time in milliseconds to
+   * pause the host after repeated failures.
+   * @param {?Array<number>} [options.rateLimitStatuses=[429]] - The status
+   * codes the host responds with when the rate limit is hit.
+   * @param {?number} [options.maxRetries=2] - The maximum times to retry a
+   * rate limited request.
+   * @param {?number} [options.maxRetryWait=60000] - The maximum time in
+   * milliseconds to wait before retrying a rate limited request.
+   * @param {?Function} [options.observe] - The function called with the
+   * duration in seconds and the error of every request which reached the
+   * host.
+   */
+  constructor({
+    name,
+    rate = 1,
+    burst,
+    threshold,
+    cooldown,
+    rateLimitStatuses = [429],
+    maxRetries = 2,
+    maxRetryWait = 60000,
+    observe
+  }: Object): void {
+    /**
+     * The name of the host.
+     * @type {string}
+     */
+    this.name = name
+    /**
+     * The token bucket to throttle the requests with.
+     * @type {TokenBucket}
+     */
+    this.bucket = new TokenBucket({
+      rate,
+      burst
+    })
+    /**
+     * The circuit breaker to pause the host with.
+     * @type {CircuitBreaker}
+     */
+    this.breaker = new CircuitBreaker({
+      threshold,
+      cooldown
+    })
+    /**
+     * The status codes the host responds with when the rate limit is hit.
+     * @type {Array<number>}
+     */
+    this.rateLimitStatuses = rateLimitStatuses
+    /**
+     * The maximum times to retry a rate limited request.
+     * @type {number}
+     */
+    this.maxRetries = maxRetries
+    /**
+     * The maximum time in milliseconds to wait before retrying a rate limited
+     * request, longer waits open the circuit instead.
+     * @type {number}
+     */
+    this.maxRetryWait = maxRetryWait
+    /**
+     * The function called with the duration in seconds and the error of every
+     * request which reached the host.
+     * @type {Function}
+     */
+    this.observe = observe
+  }
+
+  /**
+   * Parse the requests per second of the hosts, formatted as
+   * `trakt=3,tmdb=4`.
+   * @param {?string} [rates] - The requests per second of the hosts.
+   * @returns {Object} - The requests per second keyed by the host.
+   */
+  static parseRates(rates?: string): Object {
+    if (!rates) {
+      return {}
+    }
+
+    return rates.split(',').reduce((res, rate) => {
+      const [name, value] = rate.split('=').map(s => s.trim())
+      const perSecond = Number(value)
+
+      if (name && perSecond > 0) {
+        res[name] = perSecond
+      }
+
+      return res
+    }, {})
+  }
+
+  /**
+   * Get the status code of the response of a failed request.
+   * @param {!Object} err - The error of the request.
+   * @returns {number|undefined} - The status code.
+   */
+  static getStatusCode(err: Object): number | void {
+    if (!err) {
+      return
+    }
+
+    const { response } = err
+    const status = err.statusCode || err.status ||
+      (response && (response.statusCode || response.status))
+
+    return status ? Number(status) : undefined
+  }
+
+  /**
+   * Get the time to wait from the `Retry-After` header of a failed request.
+   * @param {!Object} err - The error of the request.
+   * @returns {number|undefined} - The time to wait in milliseconds.
+   */
+  static getRetryAfter(err: Object): number | void {
+    if (!err) {
+      return
+    }
+
+    const headers = err.headers || (err.response && err.response.headers)
+    if (!headers) {
+      return
+    }
+
+    const retryAfter = typeof headers.get === 'function'
+      ? headers.get('retry-after')
+      : headers['retry-after']
+
+    if (!retryAfter) {
+      return
+    }
+
+    const seconds = Number(retryAfter)
+    if (!isNaN(seconds)) {
+      return Math.max(seconds * 1000, 0)
+    }
+
+    const date = Date.parse(retryAfter)
+    if (!isNaN(date)) {
+      return Math.max(date - Date.now(), 0)
+    }
+  }
+
+  /**
+   * Check if a request failed because of the host, like a network error or a
+   * server error.
+   * @param {!Object} err - The error of the request.
+   * @returns {boolean} - Whether the host failed.
+   */
+  static isHostFailure(err: Object): boolean {
+    const status = HostLimiter.getStatusCode(err)
+
+    return Boolean(status && status >= 500) ||
+      Boolean(err && HostLimiter.NetworkErrorCodes.includes(err.code))
+  }
+
+  /**
+   * Check if the host is paused by the circuit breaker.
+   * @returns {boolean} - Whether the host is paused.
+   */
+  isOpen(): boolean {
+    return this.breaker.isOpen()
+  }
+
+  /**
+   * Handle a rate limited request by pausing the host until the
+   * `Retry-After` time.
+   * @param {!Object} err - The error of the request.
+   * @param {!number} attempt - The attempt of the request.
+   * @returns {boolean} - Whether the request should be retried.
+   */
+  _rateLimited(err: Object, attempt: number): boolean {
+    const wait = HostLimiter.getRetryAfter(err) ?? this.breaker.cooldown
+
+    this.bucket.pauseUntil(Date.now() + wait)
+
+    if (attempt < this.maxRetries && wait <= this.maxRetryWait) {
+      logger.warn(`${this.name}: Rate limit hit, retrying in ${wait}ms`)
+      return true
+    }
+
+    // Pause the host until it accepts requests again
+    this.breaker.open(wait)
+    logger.warn(`${this.name}: Rate limit hit, pausing until '${new Date(this.breaker.openUntil)}'`)
+
+    return false
+  }
+
+  /**
+   * Report the duration of a request which reached the host.
+   * @param {!number} start - The epoch time in milliseconds the request
+   * started.
+   * @param {?Object} [err] - The error of the request.
+   * @returns {undefined}
+   */
+  _observe(start: number, err?: Object): void {
+    if (!this.observe) {
+      return
+    }
+
+    try {
+      this.observe((Date.now() - start) / 1000, err)
+    } catch (e) {
+      logger.error(`${this.name}: Could not observe the request: ${e.message || e}`)
+    }
+  }
+
+  /**
+   * Schedule a request to the host.
+   * @param {!Function} request - The function making the request.
+   * @param {?number} [attempt=0] - The attempt of the request.
+   * @throws {Error} - The host is paused until the circuit closes.
+   * @returns {Promise<*, Error>} - The result of the request.
+   */
+  async schedule(request: Function, attempt: number = 0): Promise<any> {
+    if (this.breaker.isOpen()) {
+      const err = new Error(`${this.name}: Requests are paused until '${new Date(this.breaker.openUntil)}'`)
+      err.code = HostLimiter.CircuitOpenCode
+
+      throw err
+    }
+
+    await this.bucket.take()
+    const start = Date.now()
+
+    try {
+      const res = await request()
+      this._observe(start)
+      this.breaker.success()
+
+      return res
+    } catch (err) {
+      this._observe(start, err)
+      const status = HostLimiter.getStatusCode(err)
+
+      if (status && this.rateLimitStatuses.includes(status)) {
+        if (this._rateLimited(err, attempt)) {
+          return this.schedule(request, attempt + 1)
+        }
+
+      } else if (HostLimiter.isHostFailure(err)) {
+        if (this.breaker.failure()) {
+          logger.warn(`${this.name}: Too many failures, pausing until '${new Date(this.breaker.openUntil)}'`)
+        }
+
+      } else {
+        // The host did respond, the request itself was wrong
+        this.breaker.success()
+      }
+
+      throw err
+    }
+  }
+
+}
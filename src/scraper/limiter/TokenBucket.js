@@ -0,0 +1,148 @@
+// @flow
+
+/**
+ * Class for a token bucket to limit the amount of requests per second.
+ * @type {TokenBucket}
+ */
+export default class TokenBucket {
+
+  /**
+   * The amount of tokens added per second.
+   * @type {number}
+   */
+  rate: number
+
+  /**
+   * The maximum amount of tokens in the bucket.
+   * @type {number}
+   */
+  burst: number
+
+  /**
+   * The amount of tokens in the bucket.
+   * @type {number}
+   */
+  tokens: number
+
+  /**
+   * The epoch time in milliseconds the tokens were last added.
+   * @type {number}
+   */
+  refilledAt: number
+
+  /**
+   * The epoch time in milliseconds until no tokens are handed out.
+   * @type {number}
+   */
+  pausedUntil: number
+
+  /**
+   * The queue of the takers waiting for a token.
+   * @type {Promise<undefined>}
+   */
+  _queue: Promise<void>
+
+  /**
+   * Create a new TokenBucket object.
+   * @param {!Object} options - The options for the token bucket.
+   * @param {!number} [options.rate=1] - The amount of tokens added per second.
+   * @param {?number} [options.burst=rate] - The maximum amount of tokens in
+   * the bucket.
+   */
+  constructor({ rate = 1, burst }: Object = {}): void {
+    /**
+     * The amount of tokens added per second.
+     * @type {number}
+     */
+    this.rate = rate
+    /**
+     * The maximum amount of tokens in the bucket.
+     * @type {number}
+     */
+    this.burst = Math.max(burst || Math.ceil(rate), 1)
+    /**
+     * The amount of tokens in the bucket.
+     * @type {number}
+     */
+    this.tokens = this.burst
+    /**
+     * The epoch time in milliseconds the tokens were last added.
+     * @type {number}
+     */
+    this.refilledAt = Date.now()
+    /**
+     * The epoch time in milliseconds until no tokens are handed out.
+     * @type {number}
+     */
+    this.pausedUntil = 0
+    /**
+     * The queue of the takers waiting for a token.
+     * @type {Promise<undefined>}
+     */
+    this._queue = Promise.resolve()
+  }
+
+  /**
+   * Add the tokens for the time passed since the last refill.
+   * @returns {undefined}
+   */
+  refill(): void {
+    const now = Date.now()
+    const added = ((now - this.refilledAt) / 1000) * this.rate
+
+    this.tokens = Math.min(this.tokens + added, this.burst)
+    this.refilledAt = now
+  }
+
+  /**
+   * Get the time in milliseconds until a token can be taken.
+   * @returns {number} - The time to wait.
+   */
+  getWaitTime(): number {
+    this.refill()
+
+    const paused = Math.max(this.pausedUntil - Date.now(), 0)
+    const missing = this.tokens >= 1
+      ? 0
+      : ((1 - this.tokens) / this.rate) * 1000
+
+    return Math.max(paused, Math.ceil(missing))
+  }
+
+  /**
+   * Stop handing out tokens until a given time.
+   * @param {!number} until - The epoch time in milliseconds.
+   * @returns {undefined}
+   */
+  pauseUntil(until: number): void {
+    this.pausedUntil = Math.max(this.pausedUntil, until)
+  }
+
+  /**
+   * Wait until a token can be taken and take it.
+   * @returns {Promise<undefined>} - Resolves when a token is taken.
+   */
+  _wait(): Promise<void> {
+    const wait = this.getWaitTime()
+
+    if (wait <= 0) {
+      this.tokens -= 1
+      return Promise.resolve()
+    }
+
+    return new Promise(resolve => setTimeout(resolve, wait))
+      .then(() => this._wait())
+  }
+
+  /**
+   * Wait for a token in the order of the takers.
+   * @returns {Promise<undefined>} - Resolves when a token is taken.
+   */
+  take(): Promise<void> {
+    const taken = this._queue.then(() => this._wait())
+    this._queue = taken
+
+    return taken
+  }
+
+}
@@ -0,0 +1,5 @@
+// Export the necessary modules.
+export CircuitBreaker from './CircuitBreaker'
+export HostLimiter from './HostLimiter'
+export TokenBucket from './TokenBucket'
+export limitApi from './limitApi'
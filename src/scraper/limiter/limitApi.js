@@ -0,0 +1,59 @@
+// @flow
+import type HostLimiter from './HostLimiter'
+
+/**
+ * The symbol to mark the methods which are already limited.
+ * @type {Symbol}
+ */
+const Limited: Symbol = Symbol('limited')
+
+/**
+ * Wrap an API module so all its methods are scheduled with a host limiter.
+ * Nested namespaces, like `trakt.movies`, are wrapped as well. Private
+ * members starting with an underscore are left alone, so internal calls of
+ * the API module are not limited twice.
+ * @param {!Object} api - The API module to wrap.
+ * @param {!HostLimiter} limiter - The limiter of the host of the API module.
+ * @returns {Object} - The limited API module.
+ */
+export default function limitApi(api: Object, limiter: HostLimiter): Object {
+  const wrapped = new Map()
+
+  return new Proxy(api, {
+    get(target: Object, prop: string | Symbol): any {
+      const value = target[prop]
+
+      if (
+        typeof prop !== 'string' ||
+        prop.startsWith('_') ||
+        prop in Object.prototype ||
+        !value ||
+        value[Limited] ||
+        Array.isArray(value) ||
+        (typeof value !== 'function' && typeof value !== 'object')
+      ) {
+        return value
+      }
+
+      if (!wrapped.has(prop) || wrapped.get(prop).value !== value) {
+        let limited
+
+        if (typeof value === 'function') {
+          limited = (...args) => limiter.schedule(
+            () => value.apply(target, args)
+          )
+          limited[Limited] = true
+        } else {
+          limited = limitApi(value, limiter)
+        }
+
+        wrapped.set(prop, {
+          value,
+          limited
+        })
+      }
+
+      return wrapped.get(prop).limited
+    }
+  })
+}
@@ -0,0 +1,48 @@
+// @flow
+import { HostLimiter } from './limiter'
+import metrics from './metrics'
+
+/**
+ * The allowed requests per second of the upstream hosts, can be overridden
+ * with the `RATE_LIMITS` environment variable formatted as `trakt=3,tmdb=4`.
+ * @type {Object}
+ */
+const rates: Object = {
+  eztv: 2,
+  fanart: 2,
+  omdb: 1,
+  solid: 2,
+  tmdb: 4,
+  trakt: 3,
+  tvdb: 2,
+  yts: 2,
+  zooqle: 1,
+  ...HostLimiter.parseRates(process.env.RATE_LIMITS)
+}
+
+/**
+ * The status codes the upstream hosts respond with when their rate limit is
+ * hit, defaults to `429`.
+ * @type {Object}
+ */
+const rateLimitStatuses: Object = {
+  // Omdb responds with a 401 when the daily limit is reached
+  omdb: [401, 429]
+}
+
+/**
+ * The limiters shared by all the requests to the upstream hosts.
+ * @type {Object}
+ */
+export default Object.keys(rates).reduce((limiters, name) => ({
+  ...limiters,
+  [name]: new HostLimiter({
+    name,
+    rate: rates[name],
+    rateLimitStatuses: rateLimitStatuses[name],
+    observe: (seconds, err) => metrics.apiLatency.observe({
+      client: name,
+      result: err ? 'error' : 'success'
+    }, seconds)
+  })
+}), {})
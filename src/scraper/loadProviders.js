@@ -0,0 +1,573 @@
+// @flow
+import cron from 'node-cron'
+import yaml from 'js-yaml'
+import { extname } from 'path'
+import { readFileSync } from 'fs'
+import { EpisodeModel } from '@pct-org/mongo-models/dist/episode/episode.model'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import { SeasonModel } from '@pct-org/mongo-models/dist/season/season.model'
+import { ShowModel } from '@pct-org/mongo-models/dist/show/show.model'
+
+import * as apiModules from './apiModules'
+import ReleaseParser from './ReleaseParser'
+import AbstractHelper from './helpers/AbstractHelper'
+import { BaseProvider } from './providers'
+import { MovieHelper, ShowHelper } from './helpers'
+import { ProviderConfig } from '../models'
+
+/**
+ * The helpers and models to save the content with, keyed by the type of
+ * content.
+ * @type {Object}
+ */
+const contentModels: Object = {
+  movie: {
+    Helper: MovieHelper,
+    Model: MovieModel
+  },
+  show: {
+    Helper: ShowHelper,
+    Model: {
+      Show: ShowModel,
+      Season: SeasonModel,
+      Episode: EpisodeModel
+    }
+  }
+}
+
+/**
+ * The names of the API modules a config can scrape with, the other API
+ * modules are used to get the metadata of the content.
+ * @type {Array<string>}
+ */
+export const scrapeApis: Array<string> = [
+  'eztv',
+  'solid',
+  'yts',
+  'zooqle'
+]
+
+/**
+ * The keys allowed for a provider in the providers config file.
+ * @type {Array<string>}
+ */
+export const providerKeys: Array<string> = [
+  'name',
+  'enabled',
+  'maxWebRequests',
+  'schedules',
+  'ranking',
+  'configs'
+]
+
+/**
+ * The keys allowed for a config in the providers config file.
+ * @type {Array<string>}
+ */
+export const configKeys: Array<string> = [
+  'name',
+  'type',
+  'modelType',
+  'api',
+  'enabled',
+  'mode',
+  'query',
+  'regexps',
+  'retry',
+  'schedules',
+  'ranking'
+]
+
+/**
+ * The keys allowed for a schedule of a provider or config in the providers
+ * config file.
+ * @type {Array<string>}
+ */
+export const scheduleKeys: Array<string> = [
+  'cronTime',
+  'timezone',
+  'mode'
+]
+
+/**
+ * The keys allowed for the torrent ranking policy of a provider or config in
+ * the providers config file.
+ * @type {Array<string>}
+ */
+export const rankingKeys: Array<string> = [
+  'keep',
+  'weights',
+  'qualities'
+]
+
+/**
+ * The keys allowed for the weights of a torrent ranking policy.
+ * @type {Array<string>}
+ */
+export const weightKeys: Array<string> = [
+  'seeds',
+  'size',
+  'codec',
+  'hdr',
+  'source',
+  'provider'
+]
+
+/**
+ * The values a torrent ranking policy can weigh, keyed by the feature of
+ * the torrents. The weights of the providers are keyed by their names.
+ * @type {Object}
+ */
+const featureValues: Object = {
+  codec: Object.keys(ReleaseParser.Codecs),
+  hdr: Object.keys(ReleaseParser.Hdr),
+  source: Object.keys(ReleaseParser.Sources)
+}
+
+/**
+ * The keys allowed for the retry policy of a config in the providers config
+ * file.
+ * @type {Array<string>}
+ */
+export const retryKeys: Array<string> = [
+  'maxAttempts',
+  'baseDelay',
+  'maxDelay'
+]
+
+/**
+ * Read a YAML or JSON providers config file.
+ * @param {!string} file - The path to the config file.
+ * @returns {Object} - The contents of the config file.
+ */
+function readConfigFile(file: string): Object {
+  const data = readFileSync(file, 'utf8')
+
+  return extname(file).match(/^\.ya?ml$/i)
+    ? yaml.safeLoad(data)
+    : JSON.parse(data)
+}
+
+/**
+ * Check an object from the config file for unknown keys.
+ * @param {!Object} obj - The object to check.
+ * @param {!Array<string>} allowed - The allowed keys of the object.
+ * @param {!string} path - The path of the object used in the errors.
+ * @param {!Array<string>} errors - The list to add the errors to.
+ * @returns {undefined}
+ */
+function validateKeys(
+  obj: Object,
+  allowed: Array<string>,
+  path: string,
+  errors: Array<string>
+): void {
+  Object.keys(obj)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push(`${path}: unknown key '${key}'`))
+}
+
+/**
+ * Convert the regular expression sources of the config file to the format of
+ * the configs.
+ * @param {!Array<string>} regexps - The sources of the regular expressions.
+ * @param {!string} path - The path of the config used in the errors.
+ * @param {!Array<string>} errors - The list to add the errors to.
+ * @returns {Array<Object>} - The regular expressions for the config.
+ */
+function toRegexps(
+  regexps: Array<string>,
+  path: string,
+  errors: Array<string>
+): Array<Object> {
+  if (!Array.isArray(regexps)) {
+    errors.push(`${path}: 'regexps' must be a list of regular expressions`)
+    return []
+  }
+
+  return regexps.reduce((res, source, i) => {
+    try {
+      return res.concat({
+        regex: new RegExp(source, 'i')
+      })
+    } catch (err) {
+      errors.push(`${path}: 'regexps[${i}]' ${err.message}`)
+      return res
+    }
+  }, [])
+}
+
+/**
+ * Check the schedules of a provider or config of the config file.
+ * @param {!Array<Object>} schedules - The schedules to check.
+ * @param {!string} path - The path of the provider or config used in the
+ * errors.
+ * @param {!Array<string>} errors - The list to add the errors to.
+ * @returns {Array<Object>} - The schedules.
+ */
+function toSchedules(
+  schedules: Array<Object>,
+  path: string,
+  errors: Array<string>
+): Array<Object> {
+  if (!Array.isArray(schedules)) {
+    errors.push(`${path}: 'schedules' must be a list`)
+    return []
+  }
+
+  const modes = Object.values(BaseProvider.Modes)
+
+  schedules.forEach((schedule, i) => {
+    const schedulePath = `${path}.schedules[${i}]`
+
+    if (!schedule || typeof schedule !== 'object') {
+      return errors.push(`${schedulePath}: must be an object`)
+    }
+
+    validateKeys(schedule, scheduleKeys, schedulePath, errors)
+
+    const { cronTime, timezone, mode } = schedule
+
+    if (typeof cronTime !== 'string' || !cron.validate(cronTime)) {
+      errors.push(`${schedulePath}: 'cronTime' must be a valid cron expression`)
+    }
+
+    if (timezone !== undefined) {
+      try {
+        Intl.DateTimeFormat('en', {
+          timeZone: timezone
+        })
+      } catch (err) {
+        errors.push(`${schedulePath}: 'timezone' must be a valid timezone`)
+      }
+    }
+
+    if (mode !== undefined && !modes.includes(mode)) {
+      errors.push(`${schedulePath}: 'mode' must be one of '${modes.join('\', \'')}'`)
+    }
+  })
+
+  return schedules
+}
+
+/**
+ * Check if a value of the config file is a plain object.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - Whether the value is a plain object.
+ */
+function isObject(value: any): boolean {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Check the weights of a torrent ranking policy of the config file.
+ * @param {!Object} weights - The weights to check.
+ * @param {!string} path - The path of the weights used in the errors.
+ * @param {!Array<string>} errors - The list to add the errors to.
+ * @returns {undefined}
+ */
+function validateWeights(
+  weights: Object,
+  path: string,
+  errors: Array<string>
+): void {
+  if (!isObject(weights)) {
+    return errors.push(`${path}: must be an object`)
+  }
+
+  validateKeys(weights, weightKeys, path, errors)
+
+  weightKeys.filter(key => weights[key] !== undefined).forEach(key => {
+    const value = weights[key]
+
+    if (key === 'seeds' || key === 'size') {
+      if (typeof value !== 'number') {
+        errors.push(`${path}: '${key}' must be a number`)
+      }
+
+      return
+    }
+
+    if (!isObject(value)) {
+      return errors.push(`${path}: '${key}' must be an object`)
+    }
+
+    if (featureValues[key]) {
+      validateKeys(value, featureValues[key], `${path}.${key}`, errors)
+    }
+
+    Object.keys(value).filter(k => typeof value[k] !== 'number')
+      .forEach(k => errors.push(`${path}: '${key}.${k}' must be a number`))
+  })
+}
+
+/**
+ * Check the torrent ranking policy of a provider or config of the config
+ * file.
+ * @param {!Object} ranking - The ranking policy to check.
+ * @param {!string} path - The path of the provider or config used in the
+ * errors.
+ * @param {!Array<string>} errors - The list to add the errors to.
+ * @returns {Object} - The ranking policy.
+ */
+function toRanking(
+  ranking: Object,
+  path: string,
+  errors: Array<string>
+): Object {
+  const rankingPath = `${path}.ranking`
+
+  if (!isObject(ranking)) {
+    errors.push(`${path}: 'ranking' must be an object`)
+    return {}
+  }
+
+  validateKeys(ranking, rankingKeys, rankingPath, errors)
+
+  const { keep, weights, qualities } = ranking
+
+  if (keep !== undefined && !(Number.isInteger(keep) && keep > 0)) {
+    errors.push(`${rankingPath}: 'keep' must be a positive integer`)
+  }
+
+  if (weights !== undefined) {
+    validateWeights(weights, `${rankingPath}.weights`, errors)
+  }
+
+  if (qualities !== undefined) {
+    if (!isObject(qualities)) {
+      errors.push(`${rankingPath}: 'qualities' must be an object`)
+    } else {
+      validateKeys(
+        qualities,
+        AbstractHelper.QualityOrder,
+        `${rankingPath}.qualities`,
+        errors
+      )
+      Object.keys(qualities).forEach(quality => validateWeights(
+        qualities[quality],
+        `${rankingPath}.qualities.${quality}`,
+        errors
+      ))
+    }
+  }
+
+  return ranking
+}
+
+/**
+ * Apply a config of the config file on the default configs of a provider.
+ * A config matching on name and type overrides the default config, otherwise
+ * a new config is declared.
+ * @param {!Array<Object>} configs - The configs of the provider.
+ * @param {!ProviderConfig} providerConfig - The config from the config file.
+ * @param {!string} path - The path of the config used in the errors.
+ * @param {!Array<string>} errors - The list to add the errors to.
+ * @returns {Array<Object>} - The configs of the provider.
+ */
+function applyConfig(
+  configs: Array<Object>,
+  providerConfig: ProviderConfig,
+  path: string,
+  errors: Array<string>
+): Array<Object> {
+  const {
+    api,
+    modelType,
+    name,
+    query,
+    regexps,
+    type,
+    enabled,
+    mode,
+    retry,
+    schedules,
+    ranking
+  } = providerConfig
+
+  if (typeof name !== 'string' || name === '') {
+    errors.push(`${path}: 'name' is required`)
+    return configs
+  }
+
+  if (type && !contentModels[type]) {
+    errors.push(`${path}: 'type' must be one of '${Object.keys(contentModels).join('\', \'')}'`)
+  }
+
+  if (modelType && !contentModels[modelType]) {
+    errors.push(`${path}: 'modelType' must be one of '${Object.keys(contentModels).join('\', \'')}'`)
+  }
+
+  if (api && !scrapeApis.includes(api)) {
+    errors.push(`${path}: 'api' must be one of '${scrapeApis.join('\', \'')}'`)
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push(`${path}: 'enabled' must be a boolean`)
+  }
+
+  const modes = Object.values(BaseProvider.Modes)
+
+  if (mode !== undefined && !modes.includes(mode)) {
+    errors.push(`${path}: 'mode' must be one of '${modes.join('\', \'')}'`)
+  }
+
+  if (retry !== undefined) {
+    if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+      errors.push(`${path}: 'retry' must be an object`)
+    } else {
+      validateKeys(retry, retryKeys, `${path}.retry`, errors)
+      retryKeys.filter(key => retry[key] !== undefined)
+        .filter(key => !(Number.isInteger(retry[key]) && retry[key] > 0))
+        .forEach(key => errors.push(`${path}: 'retry.${key}' must be a positive integer`))
+    }
+  }
+
+  if (query !== undefined && (!query || typeof query !== 'object' || Array.isArray(query))) {
+    errors.push(`${path}: 'query' must be an object`)
+  }
+
+  const found = configs.find(
+    c => c.name === name && (!type || c.contentType === type)
+  )
+
+  if (!found && (!api || !type)) {
+    errors.push(`${path}: no default config '${name}' found, 'api' and 'type' are required to declare a new config`)
+    return configs
+  }
+
+  const base = found || {
+    name,
+    contentType: type
+  }
+  const models = contentModels[modelType || type]
+
+  const config = {
+    ...base,
+    ...(models || {}),
+    api: api ? apiModules[api] : base.api,
+    query: query
+      ? {
+        ...base.query,
+        ...query
+      }
+      : base.query,
+    regexps: regexps
+      ? toRegexps(regexps, path, errors)
+      : base.regexps,
+    enabled: enabled ?? base.enabled,
+    mode: mode ?? base.mode,
+    retry: retry ?? base.retry,
+    schedules: schedules
+      ? toSchedules(schedules, path, errors)
+      : base.schedules,
+    ranking: ranking
+      ? toRanking(ranking, path, errors)
+      : base.ranking
+  }
+
+  return found
+    ? configs.map(c => (c === found ? config : c))
+    : configs.concat(config)
+}
+
+/**
+ * Load the providers to scrape with. The defaults of the available providers
+ * are overridden by the YAML or JSON providers config file.
+ * @param {!Array<Object>} available - The available providers with their
+ * default settings.
+ * @param {?string} [file] - The path to the providers config file.
+ * @throws {TypeError} - The config file is not valid.
+ * @returns {Array<Object>} - The enabled providers to attach to the
+ * PopApiScraper.
+ */
+export default function loadProviders(
+  available: Array<Object>,
+  file?: string
+): Array<Object> {
+  let providers = available
+
+  if (file) {
+    const content = readConfigFile(file)
+    const errors = []
+
+    if (!content || !Array.isArray(content.providers)) {
+      throw new TypeError(`Invalid providers config file '${file}': 'providers' must be a list`)
+    }
+
+    content.providers.forEach((entry, i) => {
+      const path = `providers[${i}]`
+      const provider = providers.find(p => p.name === entry.name)
+
+      if (!provider) {
+        return errors.push(`${path}: unknown provider '${entry.name}', use one of '${available.map(p => p.name).join('\', \'')}'`)
+      }
+
+      validateKeys(entry, providerKeys, path, errors)
+
+      const {
+        enabled,
+        maxWebRequests,
+        schedules,
+        ranking,
+        configs = []
+      } = entry
+
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push(`${path}: 'enabled' must be a boolean`)
+      }
+
+      if (
+        maxWebRequests !== undefined &&
+        !(Number.isInteger(maxWebRequests) && maxWebRequests > 0)
+      ) {
+        errors.push(`${path}: 'maxWebRequests' must be a positive integer`)
+      }
+
+      if (!Array.isArray(configs)) {
+        return errors.push(`${path}: 'configs' must be a list`)
+      }
+
+      const providerConfigs = configs.reduce((res, c, j) => {
+        const configPath = `${path}.configs[${j}]`
+
+        validateKeys(c, configKeys, configPath, errors)
+
+        return applyConfig(res, new ProviderConfig({
+          ...c,
+          clazz: provider.name
+        }), configPath, errors)
+      }, provider.args.configs)
+
+      providers = providers.map(p => (p !== provider ? p : {
+        ...provider,
+        enabled: enabled ?? provider.enabled,
+        args: {
+          ...provider.args,
+          maxWebRequests: maxWebRequests ?? provider.args.maxWebRequests,
+          schedules: schedules
+            ? toSchedules(schedules, path, errors)
+            : provider.args.schedules,
+          ranking: ranking
+            ? toRanking(ranking, path, errors)
+            : provider.args.ranking,
+          configs: providerConfigs
+        }
+      }))
+    })
+
+    if (errors.length > 0) {
+      throw new TypeError(`Invalid providers config file '${file}':\n  ${errors.join('\n  ')}`)
+    }
+  }
+
+  return providers
+    .filter(p => p.enabled !== false)
+    .map(({ Provider, args }) => ({
+      Provider,
+      args: {
+        ...args,
+        configs: args.configs.filter(c => c.enabled !== false)
+      }
+    }))
+}
@@ -0,0 +1,111 @@
+// @flow
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import { ShowModel } from '@pct-org/mongo-models/dist/show/show.model'
+
+import {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+} from './prometheus'
+
+/**
+ * The registry with the metrics exposed at `/metrics`.
+ * @type {Registry}
+ */
+export const registry: Registry = new Registry()
+
+/**
+ * The pages fetched per provider config.
+ * @type {Counter}
+ */
+const pagesFetched: Counter = registry.register(new Counter({
+  name: 'scraper_pages_fetched_total',
+  help: 'The pages fetched per provider config.',
+  labelNames: ['provider']
+}))
+
+/**
+ * The pages which failed after all the attempts per provider config.
+ * @type {Counter}
+ */
+const pageErrors: Counter = registry.register(new Counter({
+  name: 'scraper_page_errors_total',
+  help: 'The pages which failed after all the attempts per provider config.',
+  labelNames: ['provider']
+}))
+
+/**
+ * The duration of the requests to the upstream APIs.
+ * @type {Histogram}
+ */
+const apiLatency: Histogram = registry.register(new Histogram({
+  name: 'scraper_api_request_duration_seconds',
+  help: 'The duration of the requests to the upstream APIs.',
+  labelNames: ['client', 'result'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+}))
+
+/**
+ * The content skipped because it is in the blacklist.
+ * @type {Counter}
+ */
+const blacklistHits: Counter = registry.register(new Counter({
+  name: 'scraper_blacklist_hits_total',
+  help: 'The content skipped because it is in the blacklist.',
+  labelNames: ['reason']
+}))
+
+/**
+ * The documents inserted and updated per model.
+ * @type {Counter}
+ */
+const documents: Counter = registry.register(new Counter({
+  name: 'scraper_documents_total',
+  help: 'The documents inserted and updated per model.',
+  labelNames: ['model', 'operation']
+}))
+
+/**
+ * The duration of the runs of the provider configs.
+ * @type {Histogram}
+ */
+const runDuration: Histogram = registry.register(new Histogram({
+  name: 'scraper_run_duration_seconds',
+  help: 'The duration of the runs of the provider configs.',
+  labelNames: ['provider', 'status'],
+  buckets: [10, 30, 60, 300, 600, 1800, 3600, 7200, 14400]
+}))
+
+/**
+ * The documents stored per model, counted when the metrics are collected.
+ * @type {Gauge}
+ */
+const stored: Gauge = registry.register(new Gauge({
+  name: 'scraper_stored_documents',
+  help: 'The documents stored per model.',
+  labelNames: ['model'],
+  collect: async gauge => {
+    const [movies, shows] = await Promise.all([
+      MovieModel.countDocuments().exec(),
+      ShowModel.countDocuments().exec()
+    ])
+
+    gauge.set({ model: 'movie' }, movies)
+    gauge.set({ model: 'show' }, shows)
+  }
+}))
+
+/**
+ * The metrics of the scraper.
+ * @type {Object}
+ */
+export default {
+  pagesFetched,
+  pageErrors,
+  apiLatency,
+  blacklistHits,
+  documents,
+  runDuration,
+  stored
+}
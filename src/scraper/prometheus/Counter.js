@@ -0,0 +1,34 @@
+// @flow
+import Metric from './Metric'
+
+/**
+ * Class for a Prometheus counter, a value which only goes up.
+ * @extends {Metric}
+ * @type {Counter}
+ */
+export default class Counter extends Metric {
+
+  /**
+   * The type of the metric.
+   * @type {string}
+   */
+  static Type: string = 'counter'
+
+  /**
+   * Increment the counter.
+   * @param {?Object} [labels={}] - The labels of the value to increment.
+   * @param {?number} [amount=1] - The amount to increment with.
+   * @throws {TypeError} - The amount is negative.
+   * @returns {undefined}
+   */
+  inc(labels: Object = {}, amount: number = 1): void {
+    if (!(amount >= 0)) {
+      throw new TypeError(`'${amount}' is not a valid amount for '${this.name}'`)
+    }
+
+    this.getValue(labels, () => ({
+      value: 0
+    })).value += amount
+  }
+
+}
@@ -0,0 +1,29 @@
+// @flow
+import Metric from './Metric'
+
+/**
+ * Class for a Prometheus gauge, a value which can go up and down.
+ * @extends {Metric}
+ * @type {Gauge}
+ */
+export default class Gauge extends Metric {
+
+  /**
+   * The type of the metric.
+   * @type {string}
+   */
+  static Type: string = 'gauge'
+
+  /**
+   * Set the gauge to a value.
+   * @param {?Object} [labels={}] - The labels of the value to set.
+   * @param {!number} value - The value to set.
+   * @returns {undefined}
+   */
+  set(labels: Object = {}, value: number): void {
+    this.getValue(labels, () => ({
+      value: 0
+    })).value = value
+  }
+
+}
@@ -0,0 +1,126 @@
+// @flow
+import Metric from './Metric'
+
+/**
+ * Class for a Prometheus histogram, which counts the observed values in
+ * buckets.
+ * @extends {Metric}
+ * @type {Histogram}
+ */
+export default class Histogram extends Metric {
+
+  /**
+   * The type of the metric.
+   * @type {string}
+   */
+  static Type: string = 'histogram'
+
+  /**
+   * The default upper bounds of the buckets in seconds.
+   * @type {Array<number>}
+   */
+  static Buckets: Array<number> = [
+    0.005,
+    0.01,
+    0.025,
+    0.05,
+    0.1,
+    0.25,
+    0.5,
+    1,
+    2.5,
+    5,
+    10
+  ]
+
+  /**
+   * The upper bounds of the buckets.
+   * @type {Array<number>}
+   */
+  buckets: Array<number>
+
+  /**
+   * Create a new Histogram object.
+   * @param {!Object} options - The options for the histogram.
+   * @param {?Array<number>} [options.buckets=Histogram.Buckets] - The upper
+   * bounds of the buckets.
+   */
+  constructor({
+    buckets = Histogram.Buckets,
+    ...options
+  }: Object): void {
+    super(options)
+
+    /**
+     * The upper bounds of the buckets.
+     * @type {Array<number>}
+     */
+    this.buckets = [...buckets].sort((a, b) => a - b)
+  }
+
+  /**
+   * Observe a value.
+   * @param {?Object} [labels={}] - The labels of the observed value.
+   * @param {!number} value - The observed value.
+   * @returns {undefined}
+   */
+  observe(labels: Object = {}, value: number): void {
+    const stored = this.getValue(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }))
+
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) {
+        stored.counts[i]++
+      }
+    })
+    stored.sum += value
+    stored.count++
+  }
+
+  /**
+   * Start a timer which observes the elapsed seconds when it is stopped.
+   * @param {?Object} [labels={}] - The labels of the observed value.
+   * @returns {Function} - The function to stop the timer with, extra labels
+   * can be passed to it.
+   */
+  startTimer(labels: Object = {}): Function {
+    const start = process.hrtime()
+
+    return (extra: Object = {}) => {
+      const [seconds, nanoseconds] = process.hrtime(start)
+
+      this.observe({
+        ...labels,
+        ...extra
+      }, seconds + (nanoseconds / 1e9))
+    }
+  }
+
+  /**
+   * Format the samples of a stored value.
+   * @param {!Object} value - The stored value.
+   * @returns {Array<string>} - The formatted samples.
+   */
+  formatValue({
+    labels,
+    counts,
+    sum,
+    count
+  }: Object): Array<string> {
+    const format = Metric.formatLabels
+    const buckets = this.buckets.map((bucket, i) => (
+      `${this.name}_bucket${format({ ...labels, le: bucket })} ${counts[i]}`
+    ))
+
+    return [
+      ...buckets,
+      `${this.name}_bucket${format({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${format(labels)} ${sum}`,
+      `${this.name}_count${format(labels)} ${count}`
+    ]
+  }
+
+}
@@ -0,0 +1,183 @@
+// @flow
+
+/**
+ * Base class for a metric in the Prometheus text format. The values are
+ * stored per combination of label values.
+ * @type {Metric}
+ */
+export default class Metric {
+
+  /**
+   * The type of the metric.
+   * @type {string}
+   */
+  static Type: string = 'untyped'
+
+  /**
+   * The name of the metric.
+   * @type {string}
+   */
+  name: string
+
+  /**
+   * The description of the metric.
+   * @type {string}
+   */
+  help: string
+
+  /**
+   * The names of the labels of the metric.
+   * @type {Array<string>}
+   */
+  labelNames: Array<string>
+
+  /**
+   * The function to update the values with before they are collected.
+   * @type {Function}
+   */
+  collect: ?Function
+
+  /**
+   * The values of the metric keyed by their labels.
+   * @type {Map<string, Object>}
+   */
+  values: Map<string, Object>
+
+  /**
+   * Create a new Metric object.
+   * @param {!Object} options - The options for the metric.
+   * @param {!string} options.name - The name of the metric.
+   * @param {!string} options.help - The description of the metric.
+   * @param {?Array<string>} [options.labelNames=[]] - The names of the labels
+   * of the metric.
+   * @param {?Function} [options.collect] - The function to update the values
+   * with before they are collected.
+   */
+  constructor({
+    name,
+    help,
+    labelNames = [],
+    collect
+  }: Object): void {
+    /**
+     * The name of the metric.
+     * @type {string}
+     */
+    this.name = name
+    /**
+     * The description of the metric.
+     * @type {string}
+     */
+    this.help = help
+    /**
+     * The names of the labels of the metric.
+     * @type {Array<string>}
+     */
+    this.labelNames = labelNames
+    /**
+     * The function to update the values with before they are collected.
+     * @type {Function}
+     */
+    this.collect = collect
+    /**
+     * The values of the metric keyed by their labels.
+     * @type {Map<string, Object>}
+     */
+    this.values = new Map()
+  }
+
+  /**
+   * Escape a label value for the text format.
+   * @param {*} value - The value to escape.
+   * @returns {string} - The escaped value.
+   */
+  static escape(value: any): string {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"')
+  }
+
+  /**
+   * Format labels for the text format.
+   * @param {!Object} labels - The labels to format.
+   * @returns {string} - The formatted labels, empty without labels.
+   */
+  static formatLabels(labels: Object): string {
+    const pairs = Object.keys(labels)
+      .map(name => `${name}="${Metric.escape(labels[name])}"`)
+
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+  }
+
+  /**
+   * Pick the known labels, missing labels get an empty value.
+   * @param {?Object} [labels={}] - The labels to pick.
+   * @returns {Object} - The known labels.
+   */
+  getLabels(labels: Object = {}): Object {
+    return this.labelNames.reduce((picked, name) => ({
+      ...picked,
+      [name]: labels[name] === undefined ? '' : labels[name]
+    }), {})
+  }
+
+  /**
+   * Get the stored value for labels, the value is created when it does not
+   * exist yet.
+   * @param {?Object} [labels={}] - The labels of the value.
+   * @param {!Function} create - The function to create the value with.
+   * @returns {Object} - The stored value.
+   */
+  getValue(labels: Object = {}, create: Function): Object {
+    const picked = this.getLabels(labels)
+    const key = JSON.stringify(picked)
+
+    if (!this.values.has(key)) {
+      this.values.set(key, {
+        labels: picked,
+        ...create()
+      })
+    }
+
+    return this.values.get(key)
+  }
+
+  /**
+   * Remove all the values.
+   * @returns {undefined}
+   */
+  reset(): void {
+    this.values.clear()
+  }
+
+  /**
+   * Format the samples of a stored value.
+   * @param {!Object} value - The stored value.
+   * @returns {Array<string>} - The formatted samples.
+   */
+  formatValue({ labels, value }: Object): Array<string> {
+    return [`${this.name}${Metric.formatLabels(labels)} ${value}`]
+  }
+
+  /**
+   * Format the metric in the Prometheus text format.
+   * @returns {Promise<string>} - The formatted metric.
+   */
+  async format(): Promise<string> {
+    if (this.collect) {
+      await this.collect(this)
+    }
+
+    const help = this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+    const samples = Array.from(this.values.values())
+      .map(value => this.formatValue(value))
+
+    return [
+      `# HELP ${this.name} ${help}`,
+      `# TYPE ${this.name} ${this.constructor.Type}`,
+      ...[].concat(...samples)
+    ].join('\n')
+  }
+
+}
@@ -0,0 +1,73 @@
+// @flow
+import type Metric from './Metric'
+
+/**
+ * Class for a registry of Prometheus metrics.
+ * @type {Registry}
+ */
+export default class Registry {
+
+  /**
+   * The content type of the Prometheus text format.
+   * @type {string}
+   */
+  static ContentType: string = 'text/plain; version=0.0.4; charset=utf-8'
+
+  /**
+   * The registered metrics keyed by their name.
+   * @type {Map<string, Metric>}
+   */
+  metrics: Map<string, Metric>
+
+  /**
+   * Create a new Registry object.
+   */
+  constructor(): void {
+    /**
+     * The registered metrics keyed by their name.
+     * @type {Map<string, Metric>}
+     */
+    this.metrics = new Map()
+  }
+
+  /**
+   * Register a metric.
+   * @param {!Metric} metric - The metric to register.
+   * @throws {Error} - A metric with the name is already registered.
+   * @returns {Metric} - The registered metric.
+   */
+  register(metric: Metric): Metric {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`A metric named '${metric.name}' is already registered`)
+    }
+
+    this.metrics.set(metric.name, metric)
+
+    return metric
+  }
+
+  /**
+   * Get a registered metric.
+   * @param {!string} name - The name of the metric.
+   * @returns {Metric|void} - The registered metric.
+   */
+  get(name: string): Metric | void {
+    return this.metrics.get(name)
+  }
+
+  /**
+   * Format all the metrics in the Prometheus text format, a metric which
+   * fails to collect its values is left out.
+   * @returns {Promise<string>} - The formatted metrics.
+   */
+  async format(): Promise<string> {
+    const formatted = await Promise.all(
+      Array.from(this.metrics.values()).map(m => m.format().catch(err => {
+        logger.error(`Could not collect the metric '${m.name}': ${err.message || err}`)
+      }))
+    )
+
+    return `${formatted.filter(Boolean).join('\n\n')}\n`
+  }
+
+}
@@ -0,0 +1,6 @@
+// Export the necessary modules.
+export Counter from './Counter'
+export Gauge from './Gauge'
+export Histogram from './Histogram'
+export Metric from './Metric'
+export Registry from './Registry'
@@ -2,8 +2,19 @@
 import pMap from 'p-map'
 import pTimes from 'p-times'
 import { AbstractProvider } from '@pct-org/pop-api-scraper'
+import { PopApi } from '@pct-org/pop-api'
 import { BlacklistModel } from '@pct-org/mongo-models/dist/blacklist/blacklist.model'
 
+import Blacklist from '../Blacklist'
+import Changeset from '../Changeset'
+import Checkpoints from '../Checkpoints'
+import LeaseLock from '../LeaseLock'
+import Notifier from '../Notifier'
+import RunHistory from '../RunHistory'
+import TorrentPolicy from '../TorrentPolicy'
+import FailedModel, { FailedTypes } from '../../models/FailedModel'
+import { HostLimiter } from '../limiter'
+import metrics from '../metrics'
 import type { MovieHelper, ShowHelper } from '../helpers'
 
 /**
@@ -20,6 +31,41 @@ export default class BaseProvider extends AbstractProvider {
     Show: 'show',
   }
 
+  /**
+   * Map of the available modes to scrape a config with.
+   * @type {Object}
+   */
+  static Modes: Object = {
+    Incremental: 'incremental',
+    Full: 'full'
+  }
+
+  /**
+   * The default policy to retry a failed page with.
+   * @type {Object}
+   */
+  static RetryPolicy: Object = {
+    maxAttempts: 4,
+    baseDelay: 1000,
+    maxDelay: 30000
+  }
+
+  /**
+   * The names and codes of the errors of timed out requests.
+   * @type {Array<string>}
+   */
+  static TimeoutErrors: Array<string> = [
+    'TimeoutError',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT'
+  ]
+
+  /**
+   * The amount of pages to scrape and save before storing a checkpoint.
+   * @type {number}
+   */
+  static PagesPerCheckpoint: number = 10
+
   /**
    * The api of the torrent provider.
    * @type {Object}
@@ -62,6 +108,171 @@ export default class BaseProvider extends AbstractProvider {
    */
   regexps: Array<Object>
 
+  /**
+   * The mode to scrape the config with, `incremental` or `full`.
+   * @type {string}
+   */
+  mode: string
+
+  /**
+   * The mode of the scrape the provider runs in, a `full` scrape overrides
+   * the mode of the configs.
+   * @type {string|null}
+   */
+  scrapeMode: string | null
+
+  /**
+   * The policy to rank the torrents of all the configs with, the `ranking`
+   * of a config overrides its settings.
+   * @type {Object}
+   */
+  ranking: Object
+
+  /**
+   * The epoch time in milliseconds to scrape the newer content since, or
+   * `null` for a full scrape.
+   * @type {number|null}
+   */
+  since: number | null
+
+  /**
+   * Whether the scrape reached the content older than `since`.
+   * @type {boolean}
+   */
+  reachedSince: boolean
+
+  /**
+   * The policy to retry a failed page with.
+   * @type {Object}
+   */
+  retryPolicy: Object
+
+  /**
+   * The checkpoints to resume an interrupted scrape from.
+   * @type {Checkpoints}
+   */
+  checkpoints: Checkpoints
+
+  /**
+   * The last completed scrapes of the configs.
+   * @type {Checkpoints}
+   */
+  completed: Checkpoints
+
+  /**
+   * The notifier to call the webhook with after a config is scraped.
+   * @type {Notifier}
+   */
+  notifier: Notifier
+
+  /**
+   * The changeset of the current run of a config.
+   * @type {Changeset}
+   */
+  changeset: Changeset
+
+  /**
+   * The history to store the runs of the configs in.
+   * @type {RunHistory}
+   */
+  runHistory: RunHistory
+
+  /**
+   * The lease lock so only one instance scrapes a config at a time.
+   * @type {LeaseLock}
+   */
+  lock: LeaseLock
+
+  /**
+   * Whether the lock of the current config is taken over by another
+   * instance.
+   * @type {boolean}
+   */
+  lockLost: boolean
+
+  /**
+   * Whether the scrape is cancelled through the lock of a config, so the
+   * remaining configs are skipped as well.
+   * @type {boolean}
+   */
+  lockCancelled: boolean
+
+  /**
+   * The metrics of the current run of a config.
+   * @type {Object}
+   */
+  metrics: Object
+
+  /**
+   * Create a new BaseProvider object.
+   * @param {!PopApiScraper} PopApiScraper - The PopApiScraper instance.
+   * @param {!Object} options - The options for the provider.
+   * @param {?string} [options.name] - The name of the provider.
+   * @param {!Array<Object>} options.configs - The configs of the provider.
+   * @param {?number} [options.maxWebRequests=2] - The max allowed concurrent
+   * web requests.
+   * @param {?string} [options.scrapeMode] - The mode of the scrape the
+   * provider runs in.
+   * @param {?Object} [options.ranking] - The policy to rank the torrents of
+   * all the configs with.
+   */
+  constructor(PopApiScraper: any, options: Object): void {
+    super(PopApiScraper, options)
+
+    /**
+     * The mode of the scrape the provider runs in, a `full` scrape overrides
+     * the mode of the configs.
+     * @type {string|null}
+     */
+    this.scrapeMode = options.scrapeMode || null
+    /**
+     * The policy to rank the torrents of all the configs with, the `ranking`
+     * of a config overrides its settings.
+     * @type {Object}
+     */
+    this.ranking = options.ranking || {}
+
+    /**
+     * The checkpoints to resume an interrupted scrape from.
+     * @type {Checkpoints}
+     */
+    this.checkpoints = new Checkpoints()
+    /**
+     * The last completed scrapes of the configs.
+     * @type {Checkpoints}
+     */
+    this.completed = new Checkpoints({
+      fileName: 'completed.json'
+    })
+    /**
+     * The notifier to call the webhook with after a config is scraped.
+     * @type {Notifier}
+     */
+    this.notifier = new Notifier()
+    /**
+     * The history to store the runs of the configs in.
+     * @type {RunHistory}
+     */
+    this.runHistory = new RunHistory()
+    /**
+     * The lease lock so only one instance scrapes a config at a time.
+     * @type {LeaseLock}
+     */
+    this.lock = new LeaseLock()
+    /**
+     * Whether the lock of the current config is taken over by another
+     * instance.
+     * @type {boolean}
+     */
+    this.lockLost = false
+    /**
+     * Whether the scrape is cancelled through the lock of a config, so the
+     * remaining configs are skipped as well.
+     * @type {boolean}
+     */
+    this.lockCancelled = false
+  }
+
   /**
    * Gets information about a show from Trakt.tv and insert the show into the
    * MongoDB database.
@@ -118,13 +329,20 @@ export default class BaseProvider extends AbstractProvider {
     const blacklistedItem = await BlacklistModel.findOne({ _id: imdb || slug })
 
     if (blacklistedItem) {
-      if (blacklistedItem.expires > Date.now()) {
-        const expires = new Date(blacklistedItem.expires)
+      if (Blacklist.isActive(blacklistedItem)) {
+        const expires = Blacklist.isPermanent(blacklistedItem)
+          ? 'forever'
+          : new Date(blacklistedItem.expires)
 
         logger.warn(
           `${this.name}: '${imdb || slug}' is in the blacklist until '${expires}' because of reason '${blacklistedItem.reason}', skipping...`,
         )
 
+        this.countMetric('blacklisted')
+        metrics.blacklistHits.inc({
+          reason: blacklistedItem.reason
+        })
+
         return true
 
       } else {
@@ -251,53 +469,422 @@ export default class BaseProvider extends AbstractProvider {
   }
 
   /**
-   * Get's the torrents for one page
-   * @param {!number} page - The page number to get
-   * @param {boolean} retry - If we are allowed to retry when a error happens
-   * @returns {Promise<*|[]|undefined>}
+   * Check if a failed request is worth retrying, which are timeouts, server
+   * errors and reset connections.
+   * @protected
+   * @param {!Object} err - The error of the request.
+   * @returns {boolean} - Whether the request can be retried.
+   */
+  isRetryableError(err: Object): boolean {
+    if (!err) {
+      return false
+    }
+
+    return HostLimiter.isHostFailure(err) ||
+      BaseProvider.TimeoutErrors.includes(err.name) ||
+      BaseProvider.TimeoutErrors.includes(err.code)
+  }
+
+  /**
+   * Get the time to wait before the next attempt, it grows exponentially
+   * with a random jitter so retries do not happen at the same time.
+   * @protected
+   * @param {!number} attempt - The attempt which failed.
+   * @returns {number} - The time to wait in milliseconds.
    */
-  async getOnePage(page, retry = true) {
+  getRetryDelay(attempt: number): number {
+    const { baseDelay, maxDelay } = this.retryPolicy
+    const delay = Math.min(baseDelay * (2 ** (attempt - 1)), maxDelay)
+
+    return Math.round((delay / 2) + (Math.random() * (delay / 2)))
+  }
+
+  /**
+   * Search the torrents of one page with the api of the current config.
+   * @protected
+   * @param {!number} page - The page number to search.
+   * @returns {Promise<Array<Object>, Error>} - The torrents of the page.
+   */
+  async searchPage(page: number): Promise<Array<Object>> {
     this.query.page = page
 
+    const res = await this.api.search(this.query)
+
+    return res.results
+      ? res.results // Kat & ET
+      : res.data
+        ? res.data.movies // YTS
+        : []
+  }
+
+  /**
+   * Get the torrents for one page, retryable errors are retried with an
+   * exponential backoff.
+   * @protected
+   * @param {!number} page - The page number to get.
+   * @param {?number} [attempt=1] - The attempt to get the page.
+   * @throws {Error} - The page could not be retrieved.
+   * @returns {Promise<Array<Object>, Error>} - The torrents of the page.
+   */
+  async getOnePage(page: number, attempt: number = 1): Promise<Array<Object>> {
     try {
-      const res = await this.api.search(this.query)
+      const torrents = await this.searchPage(page)
 
-      return res.results
-        ? res.results // Kat & ET
-        : res.data
-          ? res.data.movies // YTS
-          : []
+      this.countMetric('pagesFetched')
+      this.countMetric('torrentsFound', (torrents || []).length)
+      metrics.pagesFetched.inc({
+        provider: this.name
+      })
+
+      return torrents
 
     } catch (e) {
-      // If we are allowed to retry then do else throw the error
-      if (retry) {
-        logger.warn(`${this.name}: On page ${page} "${e}", going to retry.`)
-        return this.getOnePage(page, false)
+      const { maxAttempts } = this.retryPolicy
 
-      } else {
-        logger.error(`${this.name}: On page ${page} "${e}"`)
-        throw e
+      if (attempt < maxAttempts && this.isRetryableError(e)) {
+        const delay = this.getRetryDelay(attempt)
+        logger.warn(`${this.name}: On page ${page} "${e}", going to retry in ${delay}ms (attempt ${attempt} of ${maxAttempts}).`)
+
+        await new Promise(resolve => setTimeout(resolve, delay))
+
+        return this.getOnePage(page, attempt + 1)
+      }
+
+      logger.error(`${this.name}: On page ${page} "${e}"`)
+      e.attempts = attempt
+
+      throw e
+    }
+  }
+
+  /**
+   * Get the id of a failure of the current config.
+   * @param {!string} type - The type of the failure.
+   * @param {!string} ref - The page or content item which failed.
+   * @returns {string} - The id of the failure.
+   */
+  getFailedId(type: string, ref: string): string {
+    return `${this.getCheckpointKey()}:${type}:${ref}`
+  }
+
+  /**
+   * Store a page or content item which could not be scraped, so it can be
+   * scraped again with the `--retry-failed` option.
+   * @protected
+   * @param {!string} type - The type of the failure.
+   * @param {!string} ref - The page or content item which failed.
+   * @param {!Object} err - The error of the failure.
+   * @param {!Object} payload - The data needed to scrape it again.
+   * @returns {Promise<undefined>} - Resolves when the failure is stored.
+   */
+  async recordFailed(
+    type: string,
+    ref: string,
+    err: Object,
+    payload: Object
+  ): Promise<void> {
+    const now = Date.now()
+
+    try {
+      await FailedModel.findOneAndUpdate({
+        _id: this.getFailedId(type, ref)
+      }, {
+        $set: {
+          provider: this.name,
+          contentType: this.contentType,
+          type,
+          ref,
+          error: (err && err.message) || String(err),
+          payload,
+          updatedAt: now
+        },
+        $setOnInsert: {
+          createdAt: now
+        },
+        $inc: {
+          attempts: (err && err.attempts) || 1
+        }
+      }, {
+        upsert: true
+      }).exec()
+    } catch (e) {
+      logger.error(`${this.name}: Could not store the failed ${type} '${ref}': ${e.message || e}`)
+    }
+  }
+
+  /**
+   * Store a page which failed after all the attempts, so it can be scraped
+   * again during the next scrape.
+   * @protected
+   * @param {!number} page - The page which failed.
+   * @param {!Object} err - The error of the page.
+   * @returns {Promise<undefined>} - Resolves when the page is stored.
+   */
+  recordFailedPage(page: number, err: Object): Promise<void> {
+    this.countMetric('pageErrors')
+    metrics.pageErrors.inc({
+      provider: this.name
+    })
+
+    return this.recordFailed(FailedTypes.Page, String(page), err, {
+      page,
+      query: this.getCheckpointQuery()
+    })
+  }
+
+  /**
+   * Store a content item which could not be saved to the database.
+   * @protected
+   * @param {!Object} content - The content item which failed.
+   * @param {!Object} err - The error of the content item.
+   * @returns {Promise<undefined>} - Resolves when the content item is stored.
+   */
+  recordFailedContent(content: Object, err: Object): Promise<void> {
+    const ref = content.slug || content.imdb || content.title
+    this.countMetric('contentErrors')
+
+    return this.recordFailed(FailedTypes.Content, String(ref), err, content)
+  }
+
+  /**
+   * Get the torrents of the pages which failed during a previous scrape of
+   * the same query, the pages which fail again stay stored.
+   * @protected
+   * @returns {Promise<Array<Object>>} - The torrents of the failed pages.
+   */
+  async getFailedPagesTorrents(): Promise<Array<Object>> {
+    const query = JSON.stringify(this.getCheckpointQuery())
+    const failed = (await FailedModel.find({
+      provider: this.name,
+      contentType: this.contentType,
+      type: FailedTypes.Page
+    }).lean().exec()).filter(f => JSON.stringify(f.payload.query) === query)
+
+    if (failed.length === 0) {
+      return []
+    }
+
+    logger.info(`${this.name}: Scraping ${failed.length} previously failed pages`)
+
+    let torrents = []
+
+    await pMap(failed, async ({ _id, payload }) => {
+      try {
+        const data = await this.getOnePage(payload.page)
+        torrents = torrents.concat(data || [])
+
+        await FailedModel.deleteOne({ _id }).exec()
+      } catch (err) {
+        await this.recordFailedPage(payload.page, err)
+      }
+    }, {
+      concurrency: 1
+    })
+
+    return torrents
+  }
+
+  /**
+   * Scrape a failed content item again.
+   * @protected
+   * @param {!Object} content - The stored content item.
+   * @returns {Promise<Object, Error>} - The saved content.
+   */
+  retryContent(content: Object): Promise<Object> {
+    return this.getContent(content)
+  }
+
+  /**
+   * Scrape a stored page or content item again.
+   * @protected
+   * @param {!Object} failed - The stored failure.
+   * @param {!string} failed.type - The type of the failure.
+   * @param {!Object} failed.payload - The data needed to scrape it again.
+   * @returns {Promise<Object, Error>} - The saved content.
+   */
+  async replayFailed({ type, payload }: Object): Promise<Object> {
+    if (type === FailedTypes.Content) {
+      return this.retryContent(payload)
+    }
+
+    this.query = {
+      ...this.query,
+      ...payload.query
+    }
+    const torrents = await this.getOnePage(payload.page)
+
+    return this.scrapeTorrents(torrents || [])
+  }
+
+  /**
+   * Scrape the stored pages and content items of a config again, the ones
+   * which succeed are removed from the stored failures.
+   * @param {!Object} config - The config to scrape the failures of.
+   * @returns {Promise<Object, Error>} - The amount of failures which
+   * `succeeded` and `failed` again.
+   */
+  async retryFailed(config: Object): Promise<Object> {
+    this.setConfig(config)
+
+    const failed = await FailedModel.find({
+      provider: this.name,
+      contentType: this.contentType
+    }).lean().exec()
+    const summary = {
+      succeeded: 0,
+      failed: 0
+    }
+
+    logger.info(`${this.name}: Retrying ${failed.length} failed pages and items`)
+
+    await pMap(failed, async f => {
+      try {
+        await this.replayFailed(f)
+        await FailedModel.deleteOne({
+          _id: f._id
+        }).exec()
+
+        summary.succeeded++
+      } catch (err) {
+        await this.recordFailed(f.type, f.ref, err, f.payload)
+
+        summary.failed++
       }
+    }, {
+      concurrency: 1
+    })
+    await this.saveChanges()
+
+    return summary
+  }
+
+  /**
+   * Get the query to search the torrents of one title with.
+   * @protected
+   * @param {!Object} item - The title to search for.
+   * @param {!string} item.title - The title of the content.
+   * @returns {Object} - The query to search with.
+   */
+  getRefreshQuery({ title }: Object): Object {
+    return {
+      ...this.query,
+      query: [title, this.query && this.query.query]
+        .filter(Boolean)
+        .join(' ')
     }
   }
 
+  /**
+   * Get the torrents of one title from the first page of a search.
+   * @protected
+   * @param {!Object} item - The title to search for.
+   * @returns {Promise<Array<Object>, Error>} - The torrents of the title.
+   */
+  async getRefreshTorrents(item: Object): Promise<Array<Object>> {
+    this.query = this.getRefreshQuery(item)
+
+    return (await this.getOnePage(1)) || []
+  }
+
+  /**
+   * Check if extracted content is the title to refresh.
+   * @param {!Object} content - The extracted content.
+   * @param {!Object} item - The title to refresh.
+   * @param {?string} [item.imdb] - The imdb id of the title.
+   * @param {?string} [item.slug] - The slug of the title.
+   * @returns {boolean} - Whether the content is the title.
+   */
+  isSameContent(content: Object, { imdb, slug }: Object): boolean {
+    const ids = [imdb, slug].filter(Boolean)
+
+    return ids.includes(content.imdb) || ids.includes(content.slug)
+  }
+
+  /**
+   * Get the content of one title from the provider.
+   * @protected
+   * @param {!Object} item - The title to get the content of.
+   * @returns {Promise<Array<Object>, Error>} - The content of the title.
+   */
+  async getRefreshContents(item: Object): Promise<Array<Object>> {
+    const torrents = await this.getRefreshTorrents(item)
+    const contents = await this.getAllContent({
+      torrents
+    })
+
+    return contents.filter(c => this.isSameContent(c, item))
+  }
+
+  /**
+   * Scrape one title of a config again, the blacklist is not checked so the
+   * title always gets fresh torrents, metadata and images.
+   * @param {!Object} config - The config to scrape the title with.
+   * @param {!Object} item - The title to scrape.
+   * @param {!string} item.title - The title of the content.
+   * @param {?string} [item.imdb] - The imdb id of the content.
+   * @param {?string} [item.slug] - The slug of the content.
+   * @returns {Promise<Array<Object>, Error>} - The saved content.
+   */
+  async refresh(config: Object, item: Object): Promise<Array<Object>> {
+    this.setConfig(config)
+
+    const contents = await this.getRefreshContents(item)
+    logger.info(`${this.name}: Found ${contents.length} ${this.contentType}s for '${item.title}'`)
+
+    const saved = await pMap(contents, c => this.getContent(c), {
+      concurrency: 1
+    })
+    await this.saveChanges()
+
+    return saved
+  }
+
   /**
    * Get all the torrents of a given torrent provider.
    * @protected
    * @param {!number} totalPages - The total pages of the query.
+   * @param {?number} [startPage=0] - The amount of pages to skip.
+   * @param {?number} [endPage=totalPages] - The amount of pages to scrape up
+   * to.
    * @returns {Promise<Array<Object>>} - A list of all the queried torrents.
    */
-  getAllTorrents(totalPages: number): Promise<Array<Object>> {
+  getAllTorrents(
+    totalPages: number,
+    startPage: number = 0,
+    endPage: number = totalPages
+  ): Promise<Array<Object>> {
     let torrents = []
 
-    return pTimes(totalPages, async(page) => {
+    return pTimes(endPage - startPage, async i => {
+      // The remaining pages only have older content
+      if (this.reachedSince || this.isCancelled()) {
+        return
+      }
+
+      const page = startPage + i
+
       logger.info(`${this.name}: Started searching ${this.name} on page ${page + 1} out of ${totalPages}`)
 
-      // Get the page
-      const data = await this.getOnePage(page + 1)
+      let data
+      try {
+        // Get the page
+        data = (await this.getOnePage(page + 1)) || []
+      } catch (err) {
+        // Store the page so it is not lost
+        return this.recordFailedPage(page + 1, err)
+      }
+
+      const newer = this.since
+        ? data.filter(t => !this.isOlderThan(t, this.since))
+        : data
+
+      if (newer.length < data.length) {
+        logger.info(`${this.name}: Reached the content of the last scrape on page ${page + 1}`)
+        this.reachedSince = true
+      }
 
       // Add it to the torrent collection
-      torrents = torrents.concat(data)
+      torrents = torrents.concat(newer)
 
     }, {
       concurrency: 1,
@@ -333,6 +920,143 @@ export default class BaseProvider extends AbstractProvider {
     })
   }
 
+  /**
+   * Check if a torrent was added before a given time, providers which sort
+   * their pages on the date added can override this to scrape incrementally.
+   * @protected
+   * @param {!Object} torrent - The torrent to check.
+   * @param {!number} since - The epoch time in milliseconds to check with.
+   * @returns {boolean} - Whether the torrent is older.
+   */
+  isOlderThan(torrent: Object, since: number): boolean {
+    return false
+  }
+
+  /**
+   * Get the last completed scrape of the current config to scrape the newer
+   * content since. Nothing is returned when the config should be scraped
+   * fully, because it is a full scrape or it was never completed before.
+   * @protected
+   * @returns {Promise<Object|undefined>} - The last completed scrape.
+   */
+  async getLastCompleted(): Promise<Object | void> {
+    const { Modes } = BaseProvider
+
+    if (this.mode !== Modes.Incremental || this.scrapeMode === Modes.Full) {
+      return
+    }
+
+    const completed = await this.completed.get(this.getCheckpointKey())
+
+    if (!completed) {
+      logger.info(`${this.name}: No completed scrape found, doing a full scrape`)
+      return
+    }
+
+    logger.info(`${this.name}: Scraping the content since '${new Date(completed.startedAt)}'`)
+
+    return completed
+  }
+
+  /**
+   * Store the completed scrape of the current config.
+   * @protected
+   * @param {!number} startedAt - The epoch time in milliseconds the scrape
+   * started.
+   * @param {?Object} [data={}] - Extra data to compare the next incremental
+   * scrape with.
+   * @returns {Promise<undefined>} - Resolves when the scrape is stored.
+   */
+  setCompleted(startedAt: number, data: Object = {}): Promise<void> {
+    return this.completed.set(this.getCheckpointKey(), {
+      ...data,
+      name: this.name,
+      contentType: this.contentType,
+      mode: this.getScrapeMode(),
+      startedAt,
+      completedAt: Date.now()
+    })
+  }
+
+  /**
+   * Get the mode the current config is scraped with, a config is only
+   * scraped incrementally when there is a last completed scrape.
+   * @protected
+   * @returns {string} - The mode of the scrape.
+   */
+  getScrapeMode(): string {
+    return this.since ? BaseProvider.Modes.Incremental : BaseProvider.Modes.Full
+  }
+
+  /**
+   * Get the key of the checkpoint for the current config.
+   * @protected
+   * @returns {string} - The key of the checkpoint.
+   */
+  getCheckpointKey(): string {
+    return this.checkpoints.getKey(this.name, this.contentType)
+  }
+
+  /**
+   * Get the query of the current config without the page, to check if a
+   * checkpoint belongs to the same query.
+   * @protected
+   * @returns {Object} - The query without the page.
+   */
+  getCheckpointQuery(): Object {
+    const { page, ...query } = this.query || {}
+
+    return query
+  }
+
+  /**
+   * Get the amount of pages to skip, which are the pages completed by an
+   * interrupted scrape of the same query.
+   * @protected
+   * @param {!number} totalPages - The total pages of the query.
+   * @returns {Promise<number>} - The amount of pages to skip.
+   */
+  async getStartPage(totalPages: number): Promise<number> {
+    const checkpoint = await this.checkpoints.get(this.getCheckpointKey())
+
+    if (!checkpoint) {
+      return 0
+    }
+
+    const { page, query } = checkpoint
+
+    if (
+      !(page < totalPages) ||
+      JSON.stringify(query) !== JSON.stringify(this.getCheckpointQuery())
+    ) {
+      logger.info(`${this.name}: Ignoring the outdated checkpoint at page ${page}`)
+
+      return 0
+    }
+
+    logger.info(`${this.name}: Resuming from page ${page + 1} out of ${totalPages}`)
+
+    return page
+  }
+
+  /**
+   * Store the last completed page of the current config.
+   * @protected
+   * @param {!number} page - The amount of completed pages.
+   * @param {!number} totalPages - The total pages of the query.
+   * @returns {Promise<undefined>} - Resolves when the checkpoint is stored.
+   */
+  setCheckpoint(page: number, totalPages: number): Promise<void> {
+    return this.checkpoints.set(this.getCheckpointKey(), {
+      name: this.name,
+      contentType: this.contentType,
+      query: this.getCheckpointQuery(),
+      page,
+      totalPages,
+      updatedAt: Date.now()
+    })
+  }
+
   /**
    * Set the configuration to scrape with.
    * @protected
@@ -348,6 +1072,13 @@ export default class BaseProvider extends AbstractProvider {
    * api.
    * @param {?Array<object>} config.regexps - The regular expressions used to
    * extract information from a torrent.
+   * @param {?string} [config.mode=full] - The mode to scrape the config with.
+   * @param {?Object} [config.retry] - The policy to retry a failed page with,
+   * overrides the `maxAttempts`, `baseDelay` and `maxDelay` of the default
+   * policy.
+   * @param {?Object} [config.ranking] - The policy to rank the torrents with,
+   * overrides the `keep`, `weights` and `qualities` of the policy of the
+   * provider.
    * @returns {undefined}
    */
   setConfig({
@@ -358,16 +1089,85 @@ export default class BaseProvider extends AbstractProvider {
     Helper,
     query,
     regexps,
+    mode = BaseProvider.Modes.Full,
+    retry,
+    ranking
   }: Object): void {
     this.name = name
     this.api = api
     this.contentType = contentType
+    this.changeset = new Changeset({
+      name,
+      contentType
+    })
     this.helper = new Helper({
       Model,
       name,
+      changeset: this.changeset,
+      policy: new TorrentPolicy({
+        ...this.ranking,
+        ...ranking
+      })
     })
     this.query = query
     this.regexps = regexps
+    this.mode = mode
+    this.retryPolicy = {
+      ...BaseProvider.RetryPolicy,
+      ...retry
+    }
+    this.since = null
+    this.reachedSince = false
+    this.metrics = RunHistory.createMetrics()
+  }
+
+  /**
+   * Scrape the configs one after the other, a config is skipped when another
+   * instance holds its lock.
+   * @override
+   * @returns {Promise<Array<Object>, Error>} - The results of the configs.
+   */
+  scrapeConfigs(): Promise<Array<Object>> {
+    return pMap(this.configs, config => this.scrapeLockedConfig(config), {
+      concurrency: 1
+    })
+  }
+
+  /**
+   * Scrape a config while holding its lock.
+   * @param {!Object} config - The config to scrape.
+   * @returns {Promise<Array<Object>|undefined, Error>} - The results of the
+   * config.
+   */
+  async scrapeLockedConfig(config: Object): Promise<Array<Object> | void> {
+    const { name, contentType } = config
+    const key = this.checkpoints.getKey(name, contentType)
+
+    try {
+      const acquired = await this.lock.acquire(key, () => {
+        this.lockLost = true
+      }, () => {
+        this.lockCancelled = true
+      })
+
+      if (!acquired) {
+        return logger.info(`${name}: Another instance is scraping the config, skipping it`)
+      }
+    } catch (err) {
+      return logger.error(`${name}: Could not acquire the lock: ${err.message || err}`)
+    }
+
+    try {
+      this.lockLost = false
+
+      return await this.scrapeConfig(config)
+    } finally {
+      try {
+        await this.lock.release(key)
+      } catch (err) {
+        logger.error(`${name}: Could not release the lock: ${err.message || err}`)
+      }
+    }
   }
 
   /**
@@ -385,6 +1185,9 @@ export default class BaseProvider extends AbstractProvider {
    * api.
    * @param {?Array<Object>} config.regexps - The regular expressions used to
    * extract information from a torrent.
+   * @param {?string} [config.mode] - The mode to scrape the config with.
+   * @param {?Object} [config.retry] - The policy to retry a failed page with.
+   * @param {?Object} [config.ranking] - The policy to rank the torrents with.
    * @returns {Promise<Array<Object>|undefined, Error>} - The results of a
    * configuration.
    */
@@ -396,71 +1199,275 @@ export default class BaseProvider extends AbstractProvider {
     Helper,
     query,
     regexps,
+    mode,
+    retry,
+    ranking
   }: Object): Promise<Array<Object> | void> {
+    const startedAt = Date.now()
+
+    if (this.isCancelled()) {
+      return logger.warn(`${name}: The scrape is cancelled, skipping the config`)
+    }
+
     try {
-      this.setConfig({ name, api, contentType, Model, Helper, query, regexps })
+      this.setConfig({
+        name,
+        api,
+        contentType,
+        Model,
+        Helper,
+        query,
+        regexps,
+        mode,
+        retry,
+        ranking
+      })
+
+      const lastCompleted = await this.getLastCompleted()
+      this.since = lastCompleted ? lastCompleted.startedAt : null
+      await this.saveRun(startedAt, RunHistory.Statuses.Running)
 
       const totalPages = await this.getTotalPages()
 
       if (!totalPages) {
-        return logger.error(
-          `${this.name}: totalPages returned: '${totalPages}'`,
-        )
+        const message = `totalPages returned: '${totalPages}'`
+        await this.saveRun(startedAt, RunHistory.Statuses.Failed, message)
+
+        return logger.error(`${this.name}: ${message}`)
       }
 
       logger.info(`${this.name}: Total pages ${totalPages}`)
 
-      const torrents = await this.getAllTorrents(totalPages)
-
-      const { language } = this.query
-      const allContent = await this.getAllContent({
-        torrents,
-        language,
-      })
+      const startPage = await this.getStartPage(totalPages)
+      const { PagesPerCheckpoint } = BaseProvider
+
+      const failedTorrents = await this.getFailedPagesTorrents()
+      let results = failedTorrents.length > 0
+        ? await this.scrapeTorrents(failedTorrents)
+        : []
+      await this.saveChanges()
+
+      // Save the content in batches of pages, so a checkpoint can be stored
+      // after every batch
+      await pTimes(
+        Math.ceil((totalPages - startPage) / PagesPerCheckpoint),
+        async i => {
+          if (this.reachedSince || this.isCancelled()) {
+            return
+          }
 
-      logger.info(`${this.name}: Total content ${allContent.length}`)
+          const page = startPage + (i * PagesPerCheckpoint)
+          const endPage = Math.min(page + PagesPerCheckpoint, totalPages)
 
-      return await pMap(
-        allContent,
-        content => this._isItemBlackListed(content).then(isInBlackList => {
-          // Only get data for this item if it's not in the blacklist
-          if (!isInBlackList) {
-            return this.getContent(content)
-              .catch((err) => {
-                const errorMessage = err.message || err
+          const torrents = await this.getAllTorrents(totalPages, page, endPage)
+          const scraped = await this.scrapeTorrents(torrents)
+          results = results.concat(scraped)
 
-                logger.error(`BaseProvider.scrapeConfig: ${errorMessage}`)
+          await this.saveChanges()
 
-                // Log the content so it can be better debugged from logs
-                if (errorMessage.includes('Could not find any data with slug')) {
-                  logger.error(JSON.stringify(content))
-                }
-              })
+          // A cancelled batch is not finished, so it is scraped again when
+          // the scrape resumes from the last checkpoint
+          if (!this.isCancelled()) {
+            await this.setCheckpoint(endPage, totalPages)
           }
-        }),
+        },
         {
-          concurrency: this.maxWebRequests,
+          concurrency: 1
         },
       )
+
+      if (this.isCancelled()) {
+        logger.warn(`${this.name}: The scrape is cancelled`)
+        await this.saveRun(startedAt, RunHistory.Statuses.Cancelled)
+
+        return results
+      }
+
+      // The config is completed so the next scrape starts at the first page
+      await this.checkpoints.remove(this.getCheckpointKey())
+      await this.setCompleted(startedAt)
+      await this.saveRun(startedAt, RunHistory.Statuses.Completed)
+      await this.notifyScraped(startedAt)
+
+      return results
     } catch (err) {
       logger.error(`Catch BaseProvider.scrapeConfig: ${err.message || err}`)
+
+      await this.saveRun(
+        startedAt,
+        RunHistory.Statuses.Failed,
+        err.message || String(err)
+      )
+    }
+  }
+
+  /**
+   * Get the content from the torrents and save it to the database.
+   * @protected
+   * @param {!Array<Object>} torrents - The torrents to get the content from.
+   * @returns {Promise<Array<Object>, Error>} - The saved content.
+   */
+  async scrapeTorrents(torrents: Array<Object>): Promise<Array<Object>> {
+    const { language } = this.query
+    const allContent = await this.getAllContent({
+      torrents,
+      language
+    })
+
+    logger.info(`${this.name}: Total content ${allContent.length}`)
+    this.countMetric('contentExtracted', allContent.length)
+
+    return pMap(
+      allContent,
+      content => this._isItemBlackListed(content).then(isInBlackList => {
+        // Only get data for this item if it's not in the blacklist
+        if (!isInBlackList && !this.isCancelled()) {
+          return this.getContent(content)
+            .then(res => this.countSaved(res))
+            .catch(err => {
+              logger.error(`BaseProvider.scrapeConfig: ${err.message || err}`)
+
+              // Store the content so it can be scraped again
+              return this.recordFailedContent(content, err)
+            })
+        }
+      }),
+      {
+        concurrency: this.maxWebRequests
+      }
+    )
+  }
+
+  /**
+   * Check if the running scrape is cancelled or the lock of the current
+   * config is taken over, a cancelled scrape stops after the pages and
+   * content which are being scraped. A scrape cancelled on another instance
+   * is read from the lock of the current config.
+   * @protected
+   * @returns {boolean} - Whether the running scrape is cancelled.
+   */
+  isCancelled(): boolean {
+    return this.lockLost ||
+      this.lockCancelled ||
+      PopApi.scraper?.cancelled === true
+  }
+
+  /**
+   * Add to a metric of the current run.
+   * @protected
+   * @param {!string} metric - The metric to add to.
+   * @param {?number} [amount=1] - The amount to add.
+   * @returns {undefined}
+   */
+  countMetric(metric: string, amount: number = 1): void {
+    if (this.metrics) {
+      this.metrics[metric] += amount
     }
   }
 
-  async scrapedConfigs(scraped) {
+  /**
+   * Count the saved content of the current run.
+   * @protected
+   * @param {?Object} content - The saved content.
+   * @returns {Object|undefined} - The saved content.
+   */
+  countSaved(content: ?Object): Object | void {
+    if (content) {
+      this.countMetric('saved')
+    }
+
+    return content
+  }
+
+  /**
+   * Store the current run of the config with its metrics, a completed run
+   * which fetched pages without finding any torrents is logged as a warning.
+   * @protected
+   * @param {!number} startedAt - The time the config started scraping.
+   * @param {!string} status - The status of the run.
+   * @param {?string} [error] - The error the run failed with.
+   * @returns {Promise<undefined>} - Resolves when the run is stored.
+   */
+  async saveRun(
+    startedAt: number,
+    status: string,
+    error?: string
+  ): Promise<void> {
+    const { Statuses } = RunHistory
+
     try {
-      if (this.contentType === BaseProvider.ContentTypes.Show) {
-        // TODO:: Do post call to the GraphQL api to check and start downloading new my episodes
-        logger.info(`Calling GraphQL to update my episodes`)
+      const { pagesFetched, torrentsFound } = this.metrics
 
-      } else if (this.contentType === BaseProvider.ContentTypes.Movie) {
-        // TODO:: Do post call to the GraphQL api to check and start downloading better qualities
-        logger.info(`Calling GraphQL to qualities of downloaded movies`)
+      if (status === Statuses.Completed && pagesFetched > 0 && !torrentsFound) {
+        logger.warn(`${this.name}: Fetched ${pagesFetched} pages without finding any torrents`)
+      }
+      if (status !== Statuses.Running) {
+        metrics.runDuration.observe({
+          provider: this.name,
+          status
+        }, (Date.now() - startedAt) / 1000)
       }
-    } catch (e) {
 
+      await this.runHistory.save({
+        _id: this.changeset.runId,
+        provider: this.constructor.name,
+        name: this.name,
+        contentType: this.contentType,
+        mode: this.getScrapeMode(),
+        status,
+        error,
+        metrics: this.metrics,
+        startedAt,
+        completedAt: status === Statuses.Running ? null : Date.now()
+      })
+    } catch (err) {
+      logger.error(`${this.name}: Could not store the run: ${err.message || err}`)
     }
+  }
+
+  /**
+   * Save the changes the current config made since the last save.
+   * @protected
+   * @returns {Promise<undefined>} - Resolves when the changes are saved.
+   */
+  async saveChanges(): Promise<void> {
+    const saved = await this.changeset.save()
 
-    return scraped
+    if (saved > 0) {
+      logger.info(`${this.name}: Saved ${saved} changes of run '${this.changeset.runId}'`)
+    }
   }
+
+  /**
+   * Notify the webhook about the new episodes and the movies with a better
+   * quality saved by the current config, so they can be downloaded.
+   * @protected
+   * @param {!number} startedAt - The time the config started scraping.
+   * @returns {Promise<undefined>} - Resolves when the webhook is notified.
+   */
+  async notifyScraped(startedAt: number): Promise<void> {
+    if (!this.notifier.isEnabled()) {
+      return
+    }
+
+    const { episodes, movies } = this.helper.changes
+
+    try {
+      await this.notifier.notify({
+        runId: this.changeset.runId,
+        name: this.name,
+        contentType: this.contentType,
+        mode: this.getScrapeMode(),
+        startedAt,
+        completedAt: Date.now(),
+        episodes,
+        movies
+      })
+
+      logger.info(`${this.name}: Notified the webhook about ${episodes.length} episodes and ${movies.length} movies`)
+    } catch (err) {
+      logger.error(`${this.name}: Could not notify the webhook: ${err.message || err}`)
+    }
+  }
+
 }
@@ -2,6 +2,8 @@
 import pMap from 'p-map'
 
 import BaseProvider from './BaseProvider'
+import ReleaseParser from '../ReleaseParser'
+import RunHistory from '../RunHistory'
 
 /**
  * Class for scraping content from EZTV
@@ -10,6 +12,135 @@ import BaseProvider from './BaseProvider'
  */
 export default class EztvProvider extends BaseProvider {
 
+  /**
+   * Count the torrents of the episodes of a show.
+   * @param {!Object} content - The show with its episodes.
+   * @returns {number} - The number of torrents of the show.
+   */
+  countTorrents(content: Object): number {
+    const episodes = content.episodes || {}
+
+    return Object.keys(episodes).reduce((total, s) => Object.keys(episodes[s])
+      .reduce((res, e) => res + episodes[s][e].length, total), 0)
+  }
+
+  /**
+   * Check if a show changed since the last completed scrape. The listing of
+   * EZTV has no update times, so a show is changed when it is new or the
+   * number of torrents of its episodes differs.
+   * @param {!Object} content - The show with its episodes.
+   * @param {?Object} [lastCompleted] - The last completed scrape.
+   * @returns {boolean} - Whether the show has to be saved.
+   */
+  isChangedContent(content: Object, lastCompleted?: Object): boolean {
+    if (!lastCompleted || !lastCompleted.torrents) {
+      return true
+    }
+
+    return lastCompleted.torrents[content.slug] !== this.countTorrents(content)
+  }
+
+  /**
+   * Scrape a failed show again, the stored show is the one listed by EZTV.
+   * @protected
+   * @param {!Object} content - The stored show.
+   * @returns {Promise<Object, Error>} - The saved show.
+   */
+  retryContent(content: Object): Promise<Object> {
+    return this.api.getData(content)
+      .then(show => this.getContent(show))
+  }
+
+  /**
+   * Get the name of the release of a torrent, the torrents of EZTV only have
+   * it as the display name of the magnet link.
+   * @param {?string} url - The magnet link of the torrent.
+   * @returns {string|null} - The name of the release.
+   */
+  getReleaseName(url: ?string): string | null {
+    const match = String(url).match(/[?&]dn=([^&]+)/)
+
+    if (!match) {
+      return null
+    }
+
+    try {
+      return decodeURIComponent(match[1].replace(/\+/g, ' '))
+    } catch (err) {
+      return match[1]
+    }
+  }
+
+  /**
+   * Add the title and the fields parsed from the name of the release to the
+   * torrents of the episodes of a show.
+   * @param {!Object} content - The show with its episodes.
+   * @returns {Object} - The show with the parsed torrents.
+   */
+  parseReleases(content: Object): Object {
+    const episodes = content.episodes || {}
+
+    Object.keys(episodes).forEach(s => Object.keys(episodes[s]).forEach(e => {
+      episodes[s][e] = episodes[s][e].map(torrent => {
+        const title = torrent.title || this.getReleaseName(torrent.url)
+
+        return {
+          ...torrent,
+          title,
+          ...ReleaseParser.parse(title)
+        }
+      })
+    }))
+
+    return content
+  }
+
+  /**
+   * Save a show with the release fields on the torrents of its episodes.
+   * @override
+   * @protected
+   * @param {!Object} content - The show with its episodes.
+   * @returns {Promise<Object>} - The saved show.
+   */
+  getContent(content: Object): Promise<Object> {
+    return super.getContent(this.parseReleases(content))
+  }
+
+  /**
+   * Normalize a title to compare the titles of EZTV with.
+   * @param {!string} title - The title to normalize.
+   * @returns {string} - The title without casing and punctuation.
+   */
+  normalizeTitle(title: string): string {
+    return String(title).toLowerCase().replace(/[^a-z0-9]/g, '')
+  }
+
+  /**
+   * Get the show of one title from EZTV, the show is found in the listed
+   * shows with its slug or title.
+   * @override
+   * @protected
+   * @param {!Object} item - The title to get the show of.
+   * @param {!string} item.title - The title of the show.
+   * @param {?string} [item.slug] - The slug of the show.
+   * @returns {Promise<Array<Object>, Error>} - The show of the title.
+   */
+  async getRefreshContents(item: Object): Promise<Array<Object>> {
+    const title = this.normalizeTitle(item.title)
+
+    const contents = await this.api.getAll()
+    const show = contents.find(c => (
+      (item.slug && c.slug === item.slug) ||
+      this.normalizeTitle(c.show) === title
+    ))
+
+    if (!show) {
+      return []
+    }
+
+    return [await this.api.getData(show)]
+  }
+
   /**
    * Get the contents for a configuration.
    * @param {!Object} config - The config to get content with.
@@ -20,35 +151,103 @@ export default class EztvProvider extends BaseProvider {
    * scrape.
    * @param {!IHelper} config.Helper - The helper class to save the content to
    * the database.
-   * @returns {Promise<Array<Object>, Error>} - The results of a configuration.
+   * @param {?string} [config.mode] - The mode to scrape the config with.
+   * @param {?Object} [config.ranking] - The policy to rank the torrents with.
+   * @returns {Promise<Array<Object>|undefined, Error>} - The results of a
+   * configuration.
    */
-  scrapeConfig({
+  async scrapeConfig({
     name,
     api,
     contentType,
     Model,
     Helper,
-  }: Object): Promise<Array<Object>> {
-    this.setConfig({ name, api, contentType, Model, Helper })
+    mode,
+    ranking
+  }: Object): Promise<Array<Object> | void> {
+    const startedAt = Date.now()
+
+    if (this.isCancelled()) {
+      return logger.warn(`${name}: The scrape is cancelled, skipping the config`)
+    }
+
+    try {
+      this.setConfig({
+        name,
+        api,
+        contentType,
+        Model,
+        Helper,
+        mode,
+        ranking
+      })
+
+      logger.info(`${this.name}: Started scraping...`)
 
-    logger.info(`${this.name}: Started scraping...`)
-    return this.api.getAll().then((contents) => {
-        logger.info(`${this.name}: Found ${contents.length} ${this.contentType}s.`)
+      const lastCompleted = await this.getLastCompleted()
+      this.since = lastCompleted ? lastCompleted.startedAt : null
 
-        return pMap(contents, c => this._isItemBlackListed(c).then(isInBlackList => {
+      const contents = await this.api.getAll()
+
+      logger.info(`${this.name}: Found ${contents.length} ${this.contentType}s.`)
+      this.countMetric('contentExtracted', contents.length)
+      await this.saveRun(startedAt, RunHistory.Statuses.Running)
+
+      // The number of torrents of the fetched shows, to compare the next
+      // incremental scrape with
+      const torrents = {}
+      const results = await pMap(contents, c => this._isItemBlackListed(c)
+        .then(isInBlackList => {
           // Only get data for this item if it's not in the blacklist
-          if (!isInBlackList) {
+          if (!isInBlackList && !this.isCancelled()) {
             return this.api.getData(c)
-              .then(content => this.getContent(content))
-              .catch(err => logger.error(`Eztv.scrapeConfig: ${err.message || err}`))
+              .then(content => {
+                const changed = this.isChangedContent(content, lastCompleted)
+                torrents[c.slug] = this.countTorrents(content)
+
+                // An incremental scrape skips the shows without new torrents
+                return changed
+                  ? this.getContent(content).then(res => this.countSaved(res))
+                  : undefined
+              })
+              .catch(err => {
+                delete torrents[c.slug]
+                logger.error(`Eztv.scrapeConfig: ${err.message || err}`)
+
+                // Store the show so it can be scraped again
+                return this.recordFailedContent(c, err)
+              })
           }
 
           return Promise.resolve()
         }), {
-          concurrency: this.maxWebRequests,
-        })
-      },
-    )
+        concurrency: this.maxWebRequests
+      })
+      await this.saveChanges()
+
+      if (this.isCancelled()) {
+        logger.warn(`${this.name}: The scrape is cancelled`)
+        await this.saveRun(startedAt, RunHistory.Statuses.Cancelled)
+
+        return results
+      }
+
+      await this.setCompleted(startedAt, {
+        torrents
+      })
+      await this.saveRun(startedAt, RunHistory.Statuses.Completed)
+      await this.notifyScraped(startedAt)
+
+      return results
+    } catch (err) {
+      logger.error(`Catch Eztv.scrapeConfig: ${err.message || err}`)
+
+      await this.saveRun(
+        startedAt,
+        RunHistory.Statuses.Failed,
+        err.message || String(err)
+      )
+    }
   }
 
 }
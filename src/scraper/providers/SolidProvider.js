@@ -5,6 +5,8 @@ import movieMap from './maps/movieMap'
 import showMap from './maps/showMap'
 
 import BaseProvider from './BaseProvider'
+import ReleaseParser from '../ReleaseParser'
+import AbstractHelper from '../helpers/AbstractHelper'
 
 /**
  * Class for scraping content from SolidTorrents
@@ -13,7 +15,13 @@ import BaseProvider from './BaseProvider'
  */
 export default class SolidProvider extends BaseProvider {
 
-  solidTorrents = null
+  /**
+   * The torrents of the scraped page ranges, keyed by the range. The configs
+   * share the same query so every range is only fetched once.
+   * @type {Map<string, Array<Object>>}
+   */
+  solidTorrents: Map<string, Array<Object>> = new Map()
+
   solidTotalPages = null
 
   /**
@@ -66,6 +74,20 @@ export default class SolidProvider extends BaseProvider {
     }).then(() => Array.from(items.values()))
   }
 
+  /**
+   * Get the quality of a torrent from the resolution of its release, the
+   * query of the configs does not make every result a 2160p release.
+   * @param {!Object} release - The parsed release of the torrent.
+   * @param {?string} release.resolution - The resolution of the release.
+   * @returns {string|null} - The quality of the torrent, `null` when the
+   * resolution is unknown.
+   */
+  getQuality({ resolution }: Object): string | null {
+    return AbstractHelper.QualityOrder.includes(resolution)
+      ? resolution
+      : null
+  }
+
   /**
    * Extract content information based on a regex.
    * @override
@@ -86,6 +108,12 @@ export default class SolidProvider extends BaseProvider {
       : null
 
     const match = t.match(regex.regex)
+    const release = ReleaseParser.parse(title)
+    const quality = this.getQuality(release)
+
+    if (!quality) {
+      return logger.warn(`${this.name}: Could not find the resolution of torrent: '${title}'`)
+    }
 
     const itemTitle = match[1].replace(/\./g, ' ')
       .replace(' - ', ' ')
@@ -99,12 +127,13 @@ export default class SolidProvider extends BaseProvider {
 
     const itemTorrent = {
       title,
-      quality: '2160p',
+      quality,
       size: torrent.size,
       peers: torrent.leechers,
       seeds: torrent.seeders,
       url: torrent.magnet,
       provider: this.name,
+      ...release
     }
 
     if (this.contentType === SolidProvider.ContentTypes.Movie) {
@@ -148,12 +177,32 @@ export default class SolidProvider extends BaseProvider {
     return this.solidTotalPages
   }
 
-  async getAllTorrents(totalPages: number): Promise<Array<Object>> {
-    if (!this.solidTorrents) {
-      this.solidTorrents = await super.getAllTorrents(totalPages)
+  /**
+   * Get the torrents of a range of pages, a range which is already fetched
+   * for another config is not fetched again.
+   * @override
+   * @protected
+   * @param {!number} totalPages - The total pages of the query.
+   * @param {?number} [startPage=0] - The amount of pages to skip.
+   * @param {?number} [endPage=totalPages] - The amount of pages to scrape up
+   * to.
+   * @returns {Promise<Array<Object>>} - A list of all the queried torrents.
+   */
+  async getAllTorrents(
+    totalPages: number,
+    startPage: number = 0,
+    endPage: number = totalPages
+  ): Promise<Array<Object>> {
+    const key = `${startPage}-${endPage}`
+
+    if (!this.solidTorrents.has(key)) {
+      this.solidTorrents.set(
+        key,
+        await super.getAllTorrents(totalPages, startPage, endPage)
+      )
     }
 
-    return this.solidTorrents
+    return this.solidTorrents.get(key)
   }
 
 }
@@ -1,11 +1,44 @@
 // @flow
 import BaseProvider from './BaseProvider'
+import Magnet from '../Magnet'
 
 /**
  * Class for scraping content from YTS.ag.
  */
 export default class YtsProvider extends BaseProvider {
 
+  /**
+   * Check if a movie was added before a given time, the pages of YTS are
+   * sorted on the date the movies are added.
+   * @override
+   * @protected
+   * @param {!Object} torrent - The movie to check.
+   * @param {!number} since - The epoch time in milliseconds to check with.
+   * @returns {boolean} - Whether the movie is older.
+   */
+  isOlderThan(torrent: Object, since: number): boolean {
+    return Boolean(torrent && torrent.date_uploaded_unix) &&
+      torrent.date_uploaded_unix * 1000 < since
+  }
+
+  /**
+   * Get the query to search the torrents of one title with, YTS can search on
+   * the imdb id. The `getMovies` method of yts-api-pt only reads the
+   * `queryTerm` option.
+   * @override
+   * @protected
+   * @param {!Object} item - The title to search for.
+   * @param {!string} item.title - The title of the content.
+   * @param {?string} [item.imdb] - The imdb id of the content.
+   * @returns {Object} - The query to search with.
+   */
+  getRefreshQuery({ title, imdb }: Object): Object {
+    return {
+      ...this.query,
+      queryTerm: imdb || title
+    }
+  }
+
   /**
    * Extract content information based on a regex.
    * @override
@@ -35,7 +68,10 @@ export default class YtsProvider extends BaseProvider {
         size: sizeBytes,
         seeds: seeds || 0,
         peers: peers || 0,
-        url: `magnet:?xt=urn:btih:${hash}&tr=udp://glotorrents.pw:6969/announce&tr=udp://tracker.opentrackr.org:1337/announce&tr=udp://torrent.gresille.org:80/announce&tr=udp://tracker.openbittorrent.com:80&tr=udp://tracker.coppersurfer.tk:6969&tr=udp://tracker.leechers-paradise.org:6969&tr=udp://p4p.arenabg.ch:1337&tr=udp://tracker.internetwarriors.net:1337`,
+        url: Magnet.build({
+          hash,
+          name: `${movie.movieTitle} (${movie.year}) [${quality}]`
+        })
       })
     })
 
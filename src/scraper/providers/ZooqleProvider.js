@@ -1,6 +1,6 @@
 // @flow
-import pTimes from 'p-times'
 import BaseProvider from './BaseProvider'
+import ReleaseParser from '../ReleaseParser'
 import movieMap from './maps/movieMap'
 
 /**
@@ -20,33 +20,31 @@ export default class ZooqleProvider extends BaseProvider {
   }
 
   /**
-   * Get all the torrents of a given torrent provider.
+   * Get the torrents of one title from the first page of a search.
+   * @override
    * @protected
-   * @param {!number} totalPages - The total pages of the query.
-   * @returns {Promise<Array<Object>>} - A list of all the queried torrents.
+   * @param {!Object} item - The title to search for.
+   * @returns {Promise<Array<Object>, Error>} - The torrents of the title.
    */
-  getAllTorrents(totalPages: number): Promise<Array<Object>> {
-    let torrents = []
-
-    return pTimes(totalPages, async(page) => {
-      logger.info(`${this.name}: Started searching ${this.name} on page ${page + 1} out of ${totalPages}`)
-
-      const res = await this.api.search(this.query.query, [`pg=${page + 1}`], ['movie'])
+  async getRefreshTorrents(item: Object): Promise<Array<Object>> {
+    const { query } = this.getRefreshQuery(item)
+    const res = await this.api.search(query, ['pg=1'], ['movie'])
 
-      torrents = torrents.concat(res.searchResponse.searchResults)
-
-    }, {
-      concurrency: 1,
-    }).then(() => {
-      logger.info(`${this.name}: Found ${torrents.length} torrents.`)
+    return res.searchResponse.searchResults || []
+  }
 
-      return Promise.resolve(torrents)
-    }).catch((err) => {
-      logger.error(`Catch ${this.name}.getAllTorrents: ${err.message || err}`)
+  /**
+   * Search the torrents of one page, the api of Zooqle takes the page as a
+   * search parameter.
+   * @override
+   * @protected
+   * @param {!number} page - The page number to search.
+   * @returns {Promise<Array<Object>, Error>} - The torrents of the page.
+   */
+  async searchPage(page: number): Promise<Array<Object>> {
+    const res = await this.api.search(this.query.query, [`pg=${page}`], ['movie'])
 
-      // When a error happens send all collected torrents
-      return Promise.resolve(torrents)
-    })
+    return res.searchResponse.searchResults || []
   }
 
   /**
@@ -99,6 +97,7 @@ export default class ZooqleProvider extends BaseProvider {
           url: torrent.magnet,
           language: torrent.languages.join(','),
           provider: this.name,
+          ...ReleaseParser.parse(t)
         },
       ],
     }
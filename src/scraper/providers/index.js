@@ -1,3 +1,4 @@
+export BaseProvider from './BaseProvider'
 export EztvProvider from './EztvProvider'
 export YtsProvider from './YtsProvider'
 export SolidProvider from './SolidProvider'
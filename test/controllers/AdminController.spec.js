@@ -0,0 +1,191 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import express, { type $Application } from 'express'
+import request from 'supertest'
+import { PopApi } from '@pct-org/pop-api'
+
+import AdminController from '../../src/controllers/AdminController'
+import { Cron } from '../../src/middleware'
+import { logger } from '../scraper'
+
+/** @test {AdminController} */
+describe('AdminController', () => {
+  /**
+   * The express instance to test with.
+   * @type {Express}
+   */
+  let app: $Application
+
+  /**
+   * Resolve the running scrape.
+   * @type {Function}
+   */
+  let finish: Function
+
+  /**
+   * The provider which scrapes until the scrape is finished.
+   * @type {Object}
+   */
+  class FakeProvider {
+
+    /**
+     * Scrape the configs until the scrape is finished.
+     * @returns {Promise<Array<Object>>} - The results of the configs.
+     */
+    scrapeConfigs(): Promise<Array<Object>> {
+      return new Promise(resolve => {
+        finish = resolve
+      })
+    }
+
+  }
+
+  /**
+   * Hook for setting up the AdminController tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+
+    process.env.ADMIN_TOKEN = 'secret'
+    PopApi.debug = () => {}
+    PopApi.scraper = {
+      setStatus: () => Promise.resolve(),
+      setUpdated: () => Promise.resolve()
+    }
+    PopApi.use(Cron, {
+      schedule: false,
+      lock: {
+        cancel: () => Promise.resolve(0)
+      },
+      providers: [{
+        Provider: FakeProvider,
+        args: {
+          configs: [{
+            name: 'Fake'
+          }]
+        }
+      }]
+    })
+
+    app = express()
+    app.use(express.json())
+    new AdminController({
+      lock: {
+        owner: 'test',
+        list: () => Promise.resolve([{
+          _id: 'Fake:movie',
+          owner: 'test'
+        }])
+      }
+    }).registerRoutes(app)
+    app.use((err, req, res, next) => res.status(err.status).json({
+      message: err.message
+    }))
+  })
+
+  /**
+   * Hook for removing the admin token and the Cron middleware.
+   * @type {Function}
+   */
+  after(() => {
+    delete process.env.ADMIN_TOKEN
+    delete PopApi.scheduler
+    delete PopApi.scraper
+    delete PopApi.cron
+    delete PopApi.fullCron
+  })
+
+  /** @test {AdminController#startScrape} */
+  it('should not start a scrape without the admin token', () => {
+    return request(app).post('/admin/scrape')
+      .expect(401)
+  })
+
+  /** @test {AdminController#startScrape} */
+  it('should reject an unknown config or mode', () => {
+    return request(app).post('/admin/scrape')
+      .set('Authorization', 'Bearer secret')
+      .send({
+        name: 'unknown'
+      })
+      .expect(404)
+      .then(() => request(app).post('/admin/scrape')
+        .set('Authorization', 'Bearer secret')
+        .send({
+          mode: 'unknown'
+        })
+        .expect(400))
+  })
+
+  /** @test {AdminController#cancelScrape} */
+  it('should start and cancel a scrape', async () => {
+    const { scheduler } = PopApi
+
+    await request(app).post('/admin/scrape/cancel')
+      .set('Authorization', 'Bearer secret')
+      .expect(409)
+
+    const started = await request(app).post('/admin/scrape')
+      .set('Authorization', 'Bearer secret')
+      .send({
+        mode: 'full'
+      })
+      .expect(202)
+    expect(started.body.running).to.be.true
+    expect(started.body.jobs[0]).to.include({
+      provider: 'FakeProvider',
+      mode: 'full'
+    })
+
+    await request(app).post('/admin/scrape')
+      .set('Authorization', 'Bearer secret')
+      .send({
+        name: 'fake'
+      })
+      .expect(409)
+
+    const cancelled = await request(app).post('/admin/scrape/cancel')
+      .set('Authorization', 'Bearer secret')
+      .expect(202)
+    expect(cancelled.body.cancelled).to.be.true
+
+    finish([])
+    await new Promise(resolve => setImmediate(resolve))
+
+    expect(scheduler.isRunning()).to.be.false
+    expect(PopApi.scraper.cancelled).to.be.false
+  })
+
+  /** @test {AdminController#getLocks} */
+  it('should list the held locks', async () => {
+    const res = await request(app).get('/admin/locks')
+      .set('Authorization', 'Bearer secret')
+      .expect(200)
+    expect(res.body.owner).to.equal('test')
+    expect(res.body.locks[0]._id).to.equal('Fake:movie')
+  })
+
+  /** @test {AdminController#pauseCron} */
+  it('should pause and resume the cron jobs', async () => {
+    const paused = await request(app).post('/admin/cron/pause')
+      .set('Authorization', 'Bearer secret')
+      .expect(200)
+    expect(paused.body.paused).to.be.true
+    expect(PopApi.cron.getStatus()).to.equal('stoped')
+
+    const resumed = await request(app).post('/admin/cron/resume')
+      .set('Authorization', 'Bearer secret')
+      .expect(200)
+    expect(resumed.body.paused).to.be.false
+    expect(PopApi.cron.getStatus()).to.equal('scheduled')
+
+    PopApi.cron.stop()
+    PopApi.fullCron.stop()
+  })
+
+})
@@ -0,0 +1,114 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import express, { type $Application } from 'express'
+import request from 'supertest'
+import sinon from 'sinon'
+
+import BlacklistController from '../../src/controllers/BlacklistController'
+import { logger } from '../scraper'
+
+/** @test {BlacklistController} */
+describe('BlacklistController', () => {
+  /**
+   * The stubbed blacklist.
+   * @type {Object}
+   */
+  let blacklist: Object
+
+  /**
+   * Create an express instance with the routes of the blacklist controller.
+   * @returns {Express} - The express instance to test with.
+   */
+  function createApp(): $Application {
+    const app = express()
+    app.use(express.json())
+    new BlacklistController({
+      blacklist
+    }).registerRoutes(app)
+    app.use((err, req, res, next) => res.status(err.status || 500).json({
+      message: err.message
+    }))
+
+    return app
+  }
+
+  /**
+   * Hook for setting up the BlacklistController tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /**
+   * Hook for setting up a new blacklist for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'secret'
+    blacklist = {
+      list: sinon.stub().resolves([]),
+      get: sinon.stub().resolves(null),
+      ban: sinon.stub().callsFake(id => Promise.resolve({
+        _id: id
+      })),
+      extend: sinon.stub().resolves(null),
+      remove: sinon.stub().resolves(null)
+    }
+  })
+
+  /**
+   * Hook for removing the admin token.
+   * @type {Function}
+   */
+  afterEach(() => {
+    delete process.env.ADMIN_TOKEN
+  })
+
+  /** @test {BlacklistController#getEntries} */
+  it('should list the entries without the admin token', () => {
+    return request(createApp()).get('/blacklist')
+      .expect(200)
+  })
+
+  /** @test {BlacklistController#banEntry} */
+  it('should only change the entries with the admin token', async () => {
+    const app = createApp()
+
+    await request(app).post('/blacklist')
+      .send({
+        id: 'tt0000001'
+      })
+      .expect(401)
+    await request(app).put('/blacklist/tt0000001')
+      .send({
+        weeks: 2
+      })
+      .expect(401)
+    await request(app).delete('/blacklist/tt0000001')
+      .expect(401)
+    expect(blacklist.ban.called).to.be.false
+    expect(blacklist.extend.called).to.be.false
+    expect(blacklist.remove.called).to.be.false
+
+    const res = await request(app).post('/blacklist')
+      .set('Authorization', 'Bearer secret')
+      .send({
+        id: 'tt0000001'
+      })
+      .expect(201)
+    expect(res.body._id).to.equal('tt0000001')
+  })
+
+  /** @test {BlacklistController#removeEntry} */
+  it('should disable the changes without an admin token', () => {
+    delete process.env.ADMIN_TOKEN
+
+    return request(createApp()).delete('/blacklist/tt0000001')
+      .expect(403)
+  })
+})
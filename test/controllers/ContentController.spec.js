@@ -5,38 +5,21 @@ import { expect } from 'chai'
 import express, { type $Application } from 'express'
 import request from 'supertest'
 import sinon from 'sinon'
-import {
-  ContentService,
-  Database,
-  PopApi
-} from 'pop-api'
-import type { MongooseModel } from 'mongoose'
+import { ContentService } from '@pct-org/pop-api'
 
 import ContentController from '../../src/controllers/ContentController'
-import testAnime from '../data/animeshow'
 import testMovie from '../data/movie'
 import testShow from '../data/show'
-import {
-  AnimeShow as Anime,
-  Movie,
-  Show
-} from '../../src/models'
-import { name } from '../../package.json'
 
 /**
   * Test suite for fetching content from the database.
   * @param {!string} content - The content to test.
-  * @param {!Model} Model - The model object of the content to fetch.
   * @param {!Object} testContent - The test content to test with.
   * @returns {undefined}
   */
-function testContentController(
-  content: string,
-  Model: MongooseModel,
-  testContent: Object
-): void {
+function testContentController(content: string, testContent: Object): void {
   /** @test {ContentController} */
-  describe('ContentController', () => {
+  describe(`ContentController with the '${content}' content`, () => {
     /**
      * The express instance to test with.
      * @type {Express}
@@ -53,13 +36,13 @@ function testContentController(
       * The id of the content to get.
       * @type {string}
       */
-    let id: string
+    const id: string = testContent.imdb_id
 
     /**
-     * The database middleware from `pop-api`.
-     * @type {Database}
+     * The stubbed model of the content.
+     * @type {Object}
      */
-    let database: Database
+    let Model: Object
 
     /**
      * The content service for the controller.
@@ -67,17 +50,39 @@ function testContentController(
      */
     let service: ContentService
 
+    /**
+     * Get the stages of the aggregation of the last page.
+     * @returns {Object} - The `$match` and `$sort` stages of the aggregation.
+     */
+    function getPageStages(): Object {
+      const [stages] = Model.aggregate.lastCall.args
+
+      return {
+        match: stages.find(s => s.$match).$match,
+        sort: (stages.find(s => s.$sort) || {}).$sort
+      }
+    }
+
     /**
       * Hook for setting up the Controller tests.
       * @type {Function}
       */
-    before(done => {
+    before(() => {
+      Model = {
+        count: sinon.stub(),
+        aggregate: sinon.stub(),
+        findOne: sinon.stub()
+      }
+
       app = express()
 
       service = new ContentService({
         Model,
         projection: {
           imdb_id: 1
+        },
+        query: {
+          type: content
         }
       })
       contentController = new ContentController({
@@ -85,13 +90,9 @@ function testContentController(
         service
       })
       contentController.registerRoutes(app)
-
-      database = new Database(PopApi, {
-        database: name
-      })
-      database.connect()
-        .then(() => done())
-        .catch(done)
+      app.use((err, req, res, next) => res.status(err.status || 500).json({
+        message: err.message
+      }))
     })
 
     /** @test {ContentController#constructor} */
@@ -103,223 +104,243 @@ function testContentController(
     })
 
     /** @test {ContentController#registerRoutes} */
-    it('should not throw an error when calling the implemented registerRoutes method', () => {
-      expect(contentController.registerRoutes)
-        .to.not.throw('Using default method: \'registerRoutes\'')
+    it('should only register the read only routes', () => {
+      const router = {
+        get: sinon.spy(),
+        post: sinon.spy(),
+        put: sinon.spy(),
+        delete: sinon.spy()
+      }
+      contentController.registerRoutes(router)
+
+      expect(router.get.args.map(([path]) => path)).to.deep.equal([
+        `/${content}s`,
+        `/${content}s/:page`,
+        `/${content}/:id`,
+        `/random/${content}`
+      ])
+      expect(router.post.called).to.be.false
+      expect(router.put.called).to.be.false
+      expect(router.delete.called).to.be.false
     })
 
     /** @test {ContentController} */
     describe('with an empty database', () => {
       /**
-        * Hook for setting up the AudioController tests.
+        * Hook for emptying the stubbed database.
         * @type {Function}
         */
-      before(done => {
-        Model.remove({})
-          .then(() => done())
-          .catch(done)
+      before(() => {
+        Model.count.resolves(0)
+        Model.aggregate.resolves([])
+        Model.findOne.resolves(null)
       })
 
       /** @test {ContentController#getContents} */
-      it(`should get a 204 status from the GET [/${content}s] route`, done => {
-        request(app).get(`/${content}s`)
+      it(`should get a 204 status from the GET [/${content}s] route`, () => {
+        return request(app).get(`/${content}s`)
           .expect(204)
-          .then(() => done())
-          .catch(done)
       })
 
       /** @test {ContentController#getPage} */
-      it(`should get a 204 status from the GET [/${content}s/:page] route`, done => {
-        request(app).get(`/${content}s/1`)
+      it(`should get a 204 status from the GET [/${content}s/:page] route`, () => {
+        return request(app).get(`/${content}s/1`)
           .expect(204)
-          .then(() => done())
-          .catch(done)
       })
 
       /** @test {ContentController#getContent} */
-      it(`should get a 204 status from the GET [/${content}/:id] route`, done => {
-        request(app).get(`/${content}/${id}`)
+      it(`should get a 204 status from the GET [/${content}/:id] route`, () => {
+        return request(app).get(`/${content}/${id}`)
           .expect(204)
-          .then(() => done())
-          .catch(done)
       })
 
       /** @test {ContentController#getRandomContent} */
-      it(`should get a 204 status from the GET [/random/${content}] route`, done => {
-        request(app).get(`/random/${content}`)
+      it(`should get a 204 status from the GET [/random/${content}] route`, () => {
+        return request(app).get(`/random/${content}`)
           .expect(204)
-          .then(() => done())
-          .catch(done)
       })
     })
 
     /** @test {ContentController} */
     describe('with a filled database', () => {
       /**
-        * The query object passed along to the 'getAudios' tests.
-        * @type {[type]}
-        */
-      let query: Object
-
-      /**
-        * Hook for setting up the AudioController tests.
+        * Hook for filling the stubbed database.
         * @type {Function}
         */
-      before(done => {
-        query = {
-          keywords: 'String',
-          genre: 'all',
-          order: -1
-        }
-
-        new Model(testContent).save()
-          .then(() => done())
-          .catch(done)
+      before(() => {
+        Model.count.resolves(26)
+        Model.aggregate.resolves([testContent])
+        Model.findOne.resolves(testContent)
       })
 
       /** @test {ContentController#getContents} */
-      it(`should get a 200 status from the GET [/${content}] route`, done => {
-        request(app).get(`/${content}s`)
+      it(`should get a 200 status from the GET [/${content}s] route`, async () => {
+        const res = await request(app).get(`/${content}s`)
+          .expect(200)
+
+        expect(res.body).to.deep.equal([
+          `/${content}/1`,
+          `/${content}/2`
+        ])
+        expect(Model.count.lastCall.args[0]).to.deep.equal({
+          type: content
+        })
+      })
+
+      /** @test {ContentController#getPage} */
+      it(`should get a 200 status from the GET [/${content}s/:page] route`, async () => {
+        const res = await request(app).get(`/${content}s/2`)
           .expect(200)
-          .then(() => done())
-          .catch(done)
+
+        expect(res.body).to.deep.equal([testContent])
+
+        const [stages] = Model.aggregate.lastCall.args
+        expect(stages).to.deep.include({
+          $skip: 25
+        })
+        expect(getPageStages()).to.deep.equal({
+          match: {
+            type: content
+          },
+          sort: {
+            'rating.percentage': -1,
+            'rating.votes': -1
+          }
+        })
       })
 
       /** @test {ContentController#getPage} */
-      it(`should get a 200 status from the GET [/${content}s/:page] route`, done => {
-        request(app).get(`/${content}s/1`).query({
-          genre: 'sci-fi'
+      it('should filter the page with the keywords and the genre', async () => {
+        await request(app).get(`/${content}s/1`).query({
+          keywords: ' star (wars ',
+          genre: 'Sci-Fi'
         }).expect(200)
-          .then(res => {
-            const random = Math.floor(Math.random() * res.body.length)
-            id = res.body[random].imdb_id
 
-            done()
-          }).catch(done)
+        expect(getPageStages().match).to.deep.equal({
+          type: content,
+          title: /star.*\(wars/i,
+          genres: 'sci-fi'
+        })
+      })
+
+      /** @test {ContentController#getPage} */
+      it('should not filter the page with all the genres', async () => {
+        await request(app).get(`/${content}s/1`).query({
+          keywords: ' ',
+          genre: 'all'
+        }).expect(200)
+
+        expect(getPageStages().match).to.deep.equal({
+          type: content
+        })
       })
 
       /**
-       * Helper function to test the `/contents/:page` route.
+       * Helper function to test the sorting of the `/contents/:page` route.
        * @param {!string} sort - The sorting method to use.
+       * @param {!Object} expected - The expected sort object.
        * @returns {undefined}
        */
-      function testGetPage(sort: string): void {
-        /** @test {ContentController#getPage} */
-        it(`should get a 200 status from the GET [/${content}s/:page] route`, done => {
-          request(app).get(`/${content}s/1`).query({
-            ...query,
-            genre: 'string',
-            sort
+      function testGetPage(sort: string, expected: Object): void {
+        /** @test {ContentController#sortContent} */
+        it(`should sort the GET [/${content}s/:page] route on '${sort}'`, async () => {
+          await request(app).get(`/${content}s/1`).query({
+            sort,
+            order: 1
           }).expect(200)
-            .then(() => done())
-            .catch(done)
+
+          expect(getPageStages().sort).to.deep.equal(expected)
         })
       }
 
       // Execute the tests.
       [
-        'faulty',
-        'name',
-        'rating',
-        'released',
-        'trending',
-        'year'
-      ].map(testGetPage)
+        ['faulty', {
+          'rating.percentage': 1,
+          'rating.votes': 1
+        }],
+        ['name', {
+          title: 1
+        }],
+        ['rating', {
+          'rating.percentage': 1,
+          'rating.votes': 1
+        }],
+        ['released', {
+          released: 1
+        }],
+        ['trending', {
+          'rating.watching': 1
+        }],
+        ['updated', {
+          updatedAt: 1
+        }],
+        ['year', {
+          released: 1
+        }]
+      ].map(([sort, expected]) => testGetPage(sort, expected))
 
       /** @test {ContentController#getContent} */
-      it(`should get a 200 status from the GET [/${content}/:id] route`, done => {
-        request(app).get(`/${content}/${id}`)
+      it(`should get a 200 status from the GET [/${content}/:id] route`, async () => {
+        const res = await request(app).get(`/${content}/${id}`)
           .expect(200)
-          .then(() => done())
-          .catch(done)
+
+        expect(res.body).to.deep.equal(testContent)
+        expect(Model.findOne.lastCall.args[0]).to.deep.equal({
+          _id: id
+        })
       })
 
       /** @test {ContentController#getRandomContent} */
-      it(`should get a 200 status from the GET [/random/${content}] route`, done => {
-        request(app).get(`/random/${content}`)
+      it(`should get a 200 status from the GET [/random/${content}] route`, async () => {
+        const res = await request(app).get(`/random/${content}`)
           .expect(200)
-          .then(() => done())
-          .catch(done)
+
+        expect(res.body).to.deep.equal(testContent)
       })
     })
 
     /** @test {ContentController} */
     describe('will throw errors', () => {
-      /** @test {ContentController#getContents} */
-      it(`should get a 500 status from the GET [/${content}s] route`, done => {
-        const stub = sinon.stub(Model, 'count')
-        stub.rejects()
+      /**
+        * Hook for failing the stubbed database.
+        * @type {Function}
+        */
+      before(() => {
+        Model.count.rejects()
+        Model.aggregate.rejects()
+        Model.findOne.rejects()
+      })
 
-        request(app).get(`/${content}s`)
+      /** @test {ContentController#getContents} */
+      it(`should get a 500 status from the GET [/${content}s] route`, () => {
+        return request(app).get(`/${content}s`)
           .expect(500)
-          .then(() => {
-            stub.restore()
-            done()
-          })
-          .catch(done)
       })
 
       /** @test {ContentController#getPage} */
-      it(`should get a 500 status from the GET [/${content}s/:page] route`, done => {
-        const stub = sinon.stub(Model, 'aggregate')
-        stub.rejects()
-
-        request(app).get(`/${content}s/1`)
+      it(`should get a 500 status from the GET [/${content}s/:page] route`, () => {
+        return request(app).get(`/${content}s/1`)
           .expect(500)
-          .then(() => {
-            stub.restore()
-            done()
-          })
-          .catch(done)
       })
 
       /** @test {ContentController#getContent} */
-      it(`should get a 500 status from the GET [/${content}/:id] route`, done => {
-        const stub = sinon.stub(Model, 'findOne')
-        stub.rejects()
-
-        request(app).get(`/${content}/${id}`)
+      it(`should get a 500 status from the GET [/${content}/:id] route`, () => {
+        return request(app).get(`/${content}/${id}`)
           .expect(500)
-          .then(() => {
-            stub.restore()
-            done()
-          })
-          .catch(done)
       })
 
       /** @test {ContentController#getRandomContent} */
-      it(`should get a 500 status from the GET [/random/${content}] route`, done => {
-        const stub = sinon.stub(Model, 'aggregate')
-        stub.rejects()
-
-        request(app).get(`/random/${content}`)
+      it(`should get a 500 status from the GET [/random/${content}] route`, () => {
+        return request(app).get(`/random/${content}`)
           .expect(500)
-          .then(() => {
-            stub.restore()
-            done()
-          })
-          .catch(done)
       })
     })
-
-    /**
-      * Hook for tearing down the AudioController tests.
-      * @type {Function}
-      */
-    after(done => {
-      Model.findOneAndRemove({
-        _id: testContent.id
-      }).exec()
-        .then(() => database.disconnect())
-        .then(() => done())
-        .catch(done)
-    })
   })
 }
 
 const itemTypes = [
-  ['anime', Anime, testAnime],
-  ['movie', Movie, testMovie],
-  ['show', Show, testShow]
+  ['movie', testMovie],
+  ['show', testShow]
 ]
 itemTypes.map(i => testContentController(...i))
@@ -0,0 +1,96 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import express, { type $Application } from 'express'
+import request from 'supertest'
+import { PopApi } from '@pct-org/pop-api'
+import { join } from 'path'
+
+import HealthController from '../../src/controllers/HealthController'
+
+/** @test {HealthController} */
+describe('HealthController', () => {
+  /**
+   * The express instance to test with.
+   * @type {Express}
+   */
+  let app: $Application
+
+  /**
+   * The stubbed history of the runs.
+   * @type {Object}
+   */
+  let history: Object
+
+  /**
+   * Hook for setting up the HealthController tests.
+   * @type {Function}
+   */
+  before(() => {
+    process.env.TEMP_DIR = process.env.TEMP_DIR || join(...[
+      __dirname,
+      '..',
+      '..',
+      'tmp'
+    ])
+
+    history = {
+      latest: () => Promise.resolve([])
+    }
+
+    app = express()
+    new HealthController({
+      history
+    }).registerRoutes(app)
+  })
+
+  /**
+   * Hook for removing the stubbed cron.
+   * @type {Function}
+   */
+  afterEach(() => {
+    delete PopApi.cron
+  })
+
+  /** @test {HealthController#getLive} */
+  it('should report the process is alive', done => {
+    request(app).get('/health/live')
+      .expect(200)
+      .then(res => {
+        expect(res.body.status).to.equal('ok')
+        expect(res.body.commit).to.be.a('string')
+        done()
+      })
+      .catch(done)
+  })
+
+  /** @test {HealthController#getReady} */
+  it('should not be ready without MongoDB and the cron', done => {
+    request(app).get('/health/ready')
+      .expect(503)
+      .then(res => {
+        const { checks } = res.body
+
+        expect(res.body.status).to.equal('unready')
+        expect(checks.mongo.ok).to.be.false
+        expect(checks.tempDir.ok).to.be.true
+        expect(checks.cron.ok).to.be.false
+        expect(checks.lastRuns.ok).to.be.false
+        done()
+      })
+      .catch(done)
+  })
+
+  /** @test {HealthController#checkCron} */
+  it('should check if the cron is scheduled', () => {
+    const controller = new HealthController({
+      history
+    })
+    PopApi.cron = {
+      getStatus: () => 'scheduled'
+    }
+
+    expect(controller.checkCron().ok).to.be.true
+  })
+})
@@ -0,0 +1,190 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import express, { type $Application } from 'express'
+import request from 'supertest'
+import sinon from 'sinon'
+
+import SearchController from '../../src/controllers/SearchController'
+import { logger } from '../scraper'
+
+/** @test {SearchController} */
+describe('SearchController', () => {
+  /**
+   * The express instance to test with.
+   * @type {Express}
+   */
+  let app: $Application
+
+  /**
+   * The models of the controller to restore.
+   * @type {Object}
+   */
+  let models: Object
+
+  /**
+   * Create a stubbed model which finds one item.
+   * @param {!string} title - The title of the item.
+   * @returns {Object} - The stubbed model.
+   */
+  function model(title: string): Object {
+    return {
+      aggregate: sinon.stub().resolves([{
+        results: [{
+          title,
+          score: 1
+        }],
+        total: [{
+          count: 1
+        }],
+        genres: [],
+        years: [],
+        certifications: [],
+        qualities: [{
+          _id: '1080p',
+          count: 1
+        }],
+        providers: []
+      }])
+    }
+  }
+
+  /**
+   * Hook for setting up the SearchController tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+
+    models = SearchController.Models
+
+    app = express()
+    new SearchController().registerRoutes(app)
+    app.use((err, req, res, next) => res.status(err.status || 500).json({
+      message: err.message
+    }))
+  })
+
+  /**
+   * Hook for stubbing the models for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    SearchController.Models = {
+      movie: model('Movie'),
+      show: model('Show')
+    }
+  })
+
+  /**
+   * Hook for restoring the models.
+   * @type {Function}
+   */
+  after(() => {
+    SearchController.Models = models
+  })
+
+  /** @test {SearchController#search} */
+  it('should search the keywords in the titles, synopses and genres', async () => {
+    const res = await request(app).get('/search')
+      .query({
+        keywords: 'star wars'
+      })
+      .expect(200)
+
+    expect(res.body.total).to.equal(2)
+    expect(res.body.facets.qualities).to.deep.equal([{
+      value: '1080p',
+      count: 2
+    }])
+
+    const [[match, score]] = SearchController.Models.movie.aggregate
+      .firstCall.args
+    expect(match.$match).to.deep.equal({
+      $or: [
+        { title: /star|wars/i },
+        { synopsis: /star|wars/i },
+        { genres: /star|wars/i }
+      ]
+    })
+    expect(score.$addFields.score.$add).to.have.length(2)
+    expect(score.$addFields.score.$add[0].$add.map(
+      field => field.$cond[1]
+    )).to.deep.equal([3, 2, 1])
+  })
+
+  /** @test {SearchController#search} */
+  it('should filter the content on the keywords and attributes', async () => {
+    await request(app).get('/search')
+      .query({
+        keywords: ' star (wars ',
+        type: 'movie',
+        genre: 'Sci-Fi',
+        certification: 'PG-13',
+        yearFrom: '2015',
+        minRating: '70'
+      })
+      .expect(200)
+
+    const [[match]] = SearchController.Models.movie.aggregate.firstCall.args
+    expect(match.$match).to.deep.equal({
+      '$or': [
+        { title: /star|\(wars/i },
+        { synopsis: /star|\(wars/i },
+        { genres: /star|\(wars/i }
+      ],
+      'genres': 'sci-fi',
+      'certification': 'PG-13',
+      'released': {
+        $gte: Date.UTC(2015, 0, 1)
+      },
+      'rating.percentage': {
+        $gte: 70
+      }
+    })
+    expect(SearchController.Models.show.aggregate.called).to.be.false
+  })
+
+  /** @test {SearchController#search} */
+  it('should filter the shows on the torrents of their episodes', async () => {
+    await request(app).get('/search')
+      .query({
+        quality: '1080p',
+        provider: 'EZTV'
+      })
+      .expect(200)
+
+    const torrentQuery = {
+      torrents: {
+        $elemMatch: {
+          quality: '1080p',
+          provider: 'EZTV'
+        }
+      }
+    }
+
+    const [movie] = SearchController.Models.movie.aggregate.firstCall.args
+    expect(movie[0].$match).to.deep.equal(torrentQuery)
+
+    const [show] = SearchController.Models.show.aggregate.firstCall.args
+    expect(show[0].$match).to.deep.equal({})
+    expect(show[2].$lookup).to.include({
+      from: 'episodes',
+      localField: '_id',
+      foreignField: 'showImdbId'
+    })
+    expect(show[5].$match).to.deep.equal(torrentQuery)
+  })
+
+  /** @test {SearchController#search} */
+  it('should reject an unknown type', () => {
+    return request(app).get('/search')
+      .query({
+        type: 'anime'
+      })
+      .expect(400)
+  })
+})
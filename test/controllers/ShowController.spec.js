@@ -0,0 +1,143 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import express, { type $Application } from 'express'
+import request from 'supertest'
+import sinon from 'sinon'
+import { EpisodeModel } from '@pct-org/mongo-models/dist/episode/episode.model'
+import { SeasonModel } from '@pct-org/mongo-models/dist/season/season.model'
+
+import ShowController from '../../src/controllers/ShowController'
+
+/** @test {ShowController} */
+describe('ShowController', () => {
+  /**
+   * The express instance to test with.
+   * @type {Express}
+   */
+  let app: $Application
+
+  /**
+   * The stubbed content service.
+   * @type {Object}
+   */
+  let service: Object
+
+  /**
+   * Create a stubbed query which resolves the documents.
+   * @param {!Array<Object>} docs - The documents the query resolves.
+   * @returns {Object} - The stubbed query.
+   */
+  function query(docs: Array<Object>): Object {
+    return {
+      sort: sinon.stub().returnsThis(),
+      lean: sinon.stub().resolves(docs)
+    }
+  }
+
+  /**
+   * Hook for setting up the ShowController tests.
+   * @type {Function}
+   */
+  before(() => {
+    service = {
+      query: {},
+      getContent: sinon.stub()
+    }
+
+    app = express()
+    new ShowController({
+      basePath: 'show',
+      service
+    }).registerRoutes(app)
+    app.use((err, req, res, next) => res.status(err.status || 500).json({
+      message: err.message
+    }))
+  })
+
+  /**
+   * Hook for stubbing the seasons and episodes for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    sinon.stub(SeasonModel, 'find').returns(query([{
+      _id: 'tt0944947-1',
+      number: 1
+    }, {
+      _id: 'tt0944947-2',
+      number: 2
+    }]))
+    sinon.stub(EpisodeModel, 'find').returns(query([{
+      _id: 'tt0944947-1-1',
+      season: 1,
+      number: 1
+    }, {
+      _id: 'tt0944947-1-2',
+      season: 1,
+      number: 2
+    }, {
+      _id: 'tt0944947-2-1',
+      season: 2,
+      number: 1
+    }]))
+  })
+
+  /**
+   * Hook for restoring the stubs.
+   * @type {Function}
+   */
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  /** @test {ShowController#getContent} */
+  it('should get a show with its seasons and episodes', async () => {
+    service.getContent.resolves({
+      toObject: () => ({
+        _id: 'tt0944947',
+        title: 'Game of Thrones'
+      })
+    })
+
+    const res = await request(app).get('/show/tt0944947')
+      .expect(200)
+
+    expect(service.getContent.lastCall.args[0]).to.equal('tt0944947')
+    expect(SeasonModel.find.firstCall.args[0]).to.deep.equal({
+      showImdbId: 'tt0944947'
+    })
+    expect(res.body.title).to.equal('Game of Thrones')
+    expect(res.body.seasons.map(s => [
+      s.number,
+      s.episodes.map(e => e.number)
+    ])).to.deep.equal([
+      [1, [1, 2]],
+      [2, [1]]
+    ])
+  })
+
+  /** @test {ShowController#getContent} */
+  it('should get a 204 status for an unknown show', async () => {
+    service.getContent.resolves(null)
+
+    await request(app).get('/show/tt0000001')
+      .expect(204)
+
+    expect(SeasonModel.find.called).to.be.false
+  })
+
+  /** @test {ShowController#getContent} */
+  it('should get a 500 status when the episodes cannot be found', () => {
+    service.getContent.resolves({
+      toObject: () => ({})
+    })
+    EpisodeModel.find.returns({
+      sort: sinon.stub().returnsThis(),
+      lean: sinon.stub().rejects(new Error('Not connected'))
+    })
+
+    return request(app).get('/show/tt0944947')
+      .expect(500)
+  })
+})
@@ -5,17 +5,24 @@ import inquirer from 'inquirer'
 import mkdirp from 'mkdirp'
 import sinon from 'sinon'
 import { expect } from 'chai'
+import parseTorrent from 'parse-torrent'
+import { mkdtempSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
 import { join } from 'path'
-import { PopApi } from 'pop-api'
+import { PopApi } from '@pct-org/pop-api'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+import { ShowModel } from '@pct-org/mongo-models/dist/show/show.model'
 
 import { Cli } from '../../src/middleware'
+import { MovieHelper, ShowHelper } from '../../src/scraper/helpers'
+import { BaseProvider } from '../../src/scraper/providers'
 import {
   name,
   version
 } from '../../package.json'
 
-/** @test {Cli} */
-describe('Cli', () => {
+/** @test {Cli#_import} */
+describe('Cli#_import', () => {
   /**
    * The Cli object to test
    * @type {Cli}
@@ -23,16 +30,358 @@ describe('Cli', () => {
   let cli: Cli
 
   /**
-   * Stub for `console.error'
-   * @type {Object}
+   * The directory with the export files.
+   * @type {string}
    */
-  let error: Object
+  let exportDir: string
 
   /**
-   * Stub for `console.info'
+   * The user state of the stored documents.
    * @type {Object}
    */
-  let info: Object
+  const userState = {
+    bookmarked: true,
+    bookmarkedOn: 1546300800000,
+    watched: {
+      complete: true,
+      progress: 100
+    },
+    download: {
+      downloading: false,
+      downloadComplete: true,
+      downloadStatus: 'complete',
+      downloadedOn: 1546300800000,
+      downloadQuality: '1080p'
+    }
+  }
+
+  /**
+   * Stub the queries of a model, the document with the `_id` 'tt0000002' is
+   * already stored.
+   * @param {!Object} Model - The model to stub.
+   * @returns {undefined}
+   */
+  function stubModel(Model: Object): void {
+    sinon.stub(Model, 'findOne').callsFake(({ _id }) => Promise.resolve(
+      _id === 'tt0000002'
+        ? {
+          toObject: () => ({
+            _id,
+            title: 'Stored',
+            ...userState
+          })
+        }
+        : null
+    ))
+    sinon.stub(Model, 'findOneAndUpdate').resolves()
+    sinon.stub(Model.prototype, 'save').resolves()
+  }
+
+  /**
+   * Hook for setting up the Cli#_import tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = {
+        info() {},
+        error() {},
+        debug() {},
+        warn() {},
+        log() {}
+      }
+    }
+
+    exportDir = mkdtempSync(join(tmpdir(), 'scraper-import-'))
+    cli = new Cli(PopApi, {
+      argv: ['', '', '-m', 'pretty'],
+      name,
+      version
+    })
+  })
+
+  /**
+   * Hook for stubbing the prompt, the output and the models for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    sinon.stub(process, 'exit')
+    sinon.stub(console, 'info')
+    sinon.stub(console, 'error')
+    sinon.stub(inquirer, 'prompt').resolves({
+      confirm: true
+    })
+
+    stubModel(MovieModel)
+    stubModel(ShowModel)
+  })
+
+  /**
+   * Hook for restoring the stubs.
+   * @type {Function}
+   */
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  /** @test {Cli#_import} */
+  it('should import the NDJSON output of mongoexport', async () => {
+    const file = join(exportDir, 'movies.json')
+    writeFileSync(file, [
+      JSON.stringify({
+        _id: 'tt0000001',
+        title: 'New',
+        released: {
+          $numberLong: '1546300800000'
+        }
+      }),
+      JSON.stringify({
+        _id: 'tt0000002',
+        title: 'Updated',
+        bookmarked: false
+      }),
+      JSON.stringify({
+        _id: 'tt0000003',
+        released: 'unknown'
+      })
+    ].join('\n'))
+
+    await cli._import(file)
+
+    expect(MovieModel.prototype.save.calledOnce).to.be.true
+    expect(MovieModel.findOneAndUpdate.calledOnce).to.be.true
+    expect(console.error.calledOnce).to.be.true
+    expect(console.error.firstCall.args[0])
+      .to.match(/^Rejected 'tt0000003': /)
+    expect(console.info.lastCall.args[0]).to.equal(
+      `Imported '${file}': 1 inserted, 1 updated, 1 rejected.`
+    )
+    expect(process.exit.calledWith(0)).to.be.true
+  })
+
+  /** @test {Cli#_import} */
+  it('should import a JSON array and keep the user state', async () => {
+    const file = join(exportDir, 'shows.json')
+    writeFileSync(file, JSON.stringify([{
+      _id: 'tt0000001',
+      title: 'New'
+    }, {
+      _id: 'tt0000002',
+      title: 'Updated',
+      bookmarked: false
+    }]))
+
+    await cli._import(file)
+
+    const [query, item] = ShowModel.findOneAndUpdate.firstCall.args
+    expect(query).to.deep.equal({
+      _id: 'tt0000002'
+    })
+    expect(item.title).to.equal('Updated')
+    expect(item).to.deep.include(userState)
+    expect(MovieModel.findOne.called).to.be.false
+    expect(console.info.lastCall.args[0]).to.equal(
+      `Imported '${file}': 1 inserted, 1 updated, 0 rejected.`
+    )
+  })
+
+  /** @test {Cli#_import} */
+  it('should reject the documents without an id', async () => {
+    const file = join(exportDir, 'shows.json')
+    writeFileSync(file, JSON.stringify([{
+      title: 'Without an id'
+    }]))
+
+    await cli._import(file)
+
+    expect(ShowModel.prototype.save.called).to.be.false
+    expect(console.error.firstCall.args[0])
+      .to.match(/^Rejected 'undefined': /)
+    expect(console.info.lastCall.args[0]).to.equal(
+      `Imported '${file}': 0 inserted, 0 updated, 1 rejected.`
+    )
+  })
+
+  /** @test {Cli#_import} */
+  it('should not import when the user cancels', async () => {
+    inquirer.prompt.resolves({
+      confirm: false
+    })
+    const file = join(exportDir, 'movies.json')
+    writeFileSync(file, JSON.stringify([{
+      _id: 'tt0000001'
+    }]))
+
+    await cli._import(file)
+
+    expect(MovieModel.findOne.called).to.be.false
+    expect(process.exit.calledWith(0)).to.be.true
+  })
+})
+
+/** @test {Cli#_content} */
+describe('Cli#_content', () => {
+  /**
+   * The Cli object to test
+   * @type {Cli}
+   */
+  let cli: Cli
+
+  /**
+   * The info hash of the torrent to add.
+   * @type {string}
+   */
+  const infoHash = '9228628504cc40efa57bf38e85c9e3bd2c572b5b'
+
+  /**
+   * Hook for setting up the Cli#_content tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = {
+        info() {},
+        error() {},
+        debug() {},
+        warn() {},
+        log() {}
+      }
+    }
+
+    cli = new Cli(PopApi, {
+      argv: ['', '', '-m', 'pretty'],
+      name,
+      version
+    })
+  })
+
+  /**
+   * Hook for stubbing the output and the torrent file for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    sinon.stub(process, 'exit')
+    sinon.stub(console, 'info')
+    sinon.stub(console, 'error')
+    sinon.stub(parseTorrent, 'remote').callsFake((link, cb) => cb(null, {
+      infoHash,
+      name: 'Content.720p',
+      length: 1048576
+    }))
+  })
+
+  /**
+   * Hook for restoring the stubs.
+   * @type {Function}
+   */
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  /** @test {Cli#_moviePrompt} */
+  it('should store the torrent of a movie', async () => {
+    sinon.stub(inquirer, 'prompt').resolves({
+      imdb: 'tt1375666',
+      torrent: 'https://example.com/content.torrent',
+      quality: '720p',
+      language: 'en'
+    })
+    sinon.stub(MovieHelper.prototype, 'getTraktInfo').resolves({
+      _id: 'tt1375666',
+      title: 'Inception',
+      torrents: []
+    })
+    sinon.stub(MovieHelper.prototype, '_updateMovieInDb')
+      .callsFake(movie => Promise.resolve(movie))
+
+    await cli._content('movie')
+
+    expect(MovieHelper.prototype.getTraktInfo.firstCall.args[0]).to.deep.equal({
+      slug: 'tt1375666',
+      movieTitle: 'tt1375666'
+    })
+
+    const [movie] = MovieHelper.prototype._updateMovieInDb.firstCall.args
+    expect(movie._id).to.equal('tt1375666')
+    expect(movie.torrents).to.have.length(1)
+    expect(movie.torrents[0]).to.include({
+      title: 'Content.720p',
+      quality: '720p',
+      language: 'en',
+      provider: Cli._Name,
+      size: 1048576,
+      seeds: 0,
+      peers: 0
+    })
+    expect(movie.torrents[0].url).to.include(`xt=urn:btih:${infoHash}`)
+    expect(process.exit.calledWith(0)).to.be.true
+  })
+
+  /** @test {Cli#_showPrompt} */
+  it('should store the torrent of an episode of a show', async () => {
+    sinon.stub(inquirer, 'prompt').resolves({
+      imdb: 'tt0944947',
+      torrent: `magnet:?xt=urn:btih:${infoHash}`,
+      quality: '720p',
+      season: '1',
+      episode: '2'
+    })
+    sinon.stub(ShowHelper.prototype, 'getTraktInfo').resolves({
+      _id: 'tt0944947',
+      title: 'Game of Thrones'
+    })
+    sinon.stub(ShowHelper.prototype, 'addEpisodes')
+      .callsFake(show => Promise.resolve(show))
+
+    await cli._content('show')
+
+    expect(ShowHelper.prototype.getTraktInfo.firstCall.args[0]).to.deep.equal({
+      imdb: 'tt0944947',
+      slug: 'tt0944947'
+    })
+
+    const [show, episodes] = ShowHelper.prototype.addEpisodes.firstCall.args
+    expect(show._id).to.equal('tt0944947')
+    expect(Object.keys(episodes)).to.deep.equal(['1'])
+    expect(Object.keys(episodes[1])).to.deep.equal(['2'])
+    expect(episodes[1][2]).to.have.length(1)
+    expect(episodes[1][2][0]).to.include({
+      title: 'Content.720p',
+      quality: '720p',
+      provider: Cli._Name,
+      size: 1048576
+    })
+    expect(episodes[1][2][0].url).to.include(`xt=urn:btih:${infoHash}`)
+    expect(process.exit.calledWith(0)).to.be.true
+  })
+
+  /** @test {Cli#_moviePrompt} */
+  it('should not store anything without a movie on trakt', async () => {
+    sinon.stub(inquirer, 'prompt').resolves({
+      imdb: 'tt0000001',
+      torrent: `magnet:?xt=urn:btih:${infoHash}`,
+      quality: '720p',
+      language: 'en'
+    })
+    sinon.stub(MovieHelper.prototype, 'getTraktInfo').resolves(undefined)
+    sinon.stub(MovieHelper.prototype, 'addTorrents').resolves()
+
+    await cli._content('movie')
+
+    expect(MovieHelper.prototype.addTorrents.called).to.be.false
+    expect(console.error.firstCall.args[0])
+      .to.equal('An error occurred: No movie found for imdb id \'tt0000001\'')
+    expect(process.exit.calledWith(1)).to.be.true
+  })
+})
+
+/** @test {Cli} */
+describe('Cli', () => {
+  /**
+   * The Cli object to test
+   * @type {Cli}
+   */
+  let cli: Cli
 
   /**
    * Stub for `process.exit'
@@ -46,15 +395,23 @@ describe('Cli', () => {
    */
   let tempDir: string
 
+  /**
+   * The stubbed database middleware.
+   * @type {Object}
+   */
+  let database: Object
+
+  /**
+   * The database middleware of `PopApi` to restore.
+   * @type {Object}
+   */
+  let popApiDatabase: Object
+
   /**
    * Hook for setting up the CLI tests.
    * @type {Function}
    */
   before(() => {
-    exit = sinon.stub(process, 'exit')
-    error = sinon.stub(console, 'error')
-    info = sinon.stub(console, 'info')
-
     if (!global.logger) {
       global.logger = {
         info() {},
@@ -73,6 +430,13 @@ describe('Cli', () => {
     ])
     tempDir = process.env.TEMP_DIR
     mkdirp.sync(tempDir)
+    writeFileSync(join(tempDir, 'shows.json'), '[]')
+
+    database = {
+      exportFile: sinon.stub()
+    }
+    popApiDatabase = PopApi.database
+    PopApi.database = database
 
     cli = new Cli(PopApi, {
       argv: ['', '', '-m', 'pretty'],
@@ -81,6 +445,37 @@ describe('Cli', () => {
     })
   })
 
+  /**
+   * Hook for stubbing the output for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    exit = sinon.stub(process, 'exit')
+    sinon.stub(console, 'error')
+    sinon.stub(console, 'info')
+
+    database.exportFile = sinon.stub().resolves()
+
+    // Trakt.tv and the database are not reached by the prompts
+    sinon.stub(MovieHelper.prototype, 'getTraktInfo').resolves({
+      title: 'Movie'
+    })
+    sinon.stub(MovieHelper.prototype, 'addTorrents').resolves()
+    sinon.stub(ShowHelper.prototype, 'getTraktInfo').resolves({
+      title: 'Show'
+    })
+    sinon.stub(ShowHelper.prototype, 'addEpisodes').resolves()
+  })
+
+  /**
+   * Hook for restoring the stubs, so a failed test does not leave them
+   * behind.
+   * @type {Function}
+   */
+  afterEach(() => {
+    sinon.restore()
+  })
+
   /** @test {Cli._Name} */
   it('should check the static attributes of the Cli', () => {
     expect(Cli._Name).to.exist
@@ -103,7 +498,7 @@ describe('Cli', () => {
     expect(cli.name).to.exist
     expect(cli.name).to.be.a('string')
     expect(cli.database).to.exist
-    expect(cli.database).to.be.an('object')
+    expect(cli.database).to.equal(database)
   })
 
   /** @test {Cli#initOptions} */
@@ -136,28 +531,19 @@ describe('Cli', () => {
     expect(torrent).to.be.an('object')
   })
 
-  /**
-   * A helper function to test the '_'getTorrent' method.
-   * @param {!string} type - The type to test.
-   * @returns {undefined}
-   */
-  function testGetTorrent(type: string): void {
-    /** @test {Cli#_getTorrent} */
-    it('should get a torrent from a link', done => {
-      const link = 'magnet:?xt=urn:btih:9228628504cc40efa57bf38e85c9e3bd2c572b5b&dn=archlinux-2017.10.01-x86_64.iso&tr=udp://tracker.archlinux.org:6969&tr=http://tracker.archlinux.org:6969/announce'
-      cli._getTorrent(link, type).then(res => {
-        expect(res).to.be.an('object')
-        done()
-      }).catch(done)
-    })
-  }
-
-  // Execute the tests.
-  ['movie', 'tvshow'].map(testGetTorrent)
+  /** @test {Cli#_getTorrent} */
+  it('should get a torrent from a link', done => {
+    const link = 'magnet:?xt=urn:btih:9228628504cc40efa57bf38e85c9e3bd2c572b5b&dn=archlinux-2017.10.01-x86_64.iso&tr=udp://tracker.archlinux.org:6969&tr=http://tracker.archlinux.org:6969/announce'
+    cli._getTorrent(link).then(res => {
+      expect(res).to.be.an('object')
+      expect(res.title).to.equal('archlinux-2017.10.01-x86_64.iso')
+      done()
+    }).catch(done)
+  })
 
   /** @test {Cli#_getTorrent} */
   it('should fail to get a torrent from a number', done => {
-    cli._getTorrent('', 'movie')
+    cli._getTorrent('')
       .then(done)
       .catch(err => {
         expect(err).to.be.an('Error')
@@ -165,84 +551,64 @@ describe('Cli', () => {
       })
   })
 
-  /**
-   * Helper function to test the '_moviePrompt' method.
-   * @param {!boolean} isAnime - Use the anime model.
-   * @returns {undefined}
-   */
-  function testMoviePrompt(isAnime: boolean): void {
-    /** @test {Cli#_moviePrompt} */
-    it('should run the movie content prompt', done => {
-      const stub = sinon.stub(inquirer, 'prompt')
-      stub.resolves({
-        imdb: 'tt1234567',
-        torrent: 'magnet:?xt=urn:btih:9228628504cc40efa57bf38e85c9e3bd2c572b5b&dn=archlinux-2017.10.01-x86_64.iso&tr=udp://tracker.archlinux.org:6969&tr=http://tracker.archlinux.org:6969/announce',
-        quality: '720p',
-        language: 'en'
-      })
-
-      cli._moviePrompt('movie', isAnime).then(res => {
-        expect(res).to.be.undefined
-        stub.restore()
-
-        done()
-      }).catch(done)
+  /** @test {Cli#_moviePrompt} */
+  it('should run the movie content prompt', done => {
+    sinon.stub(inquirer, 'prompt').resolves({
+      imdb: 'tt1234567',
+      torrent: 'magnet:?xt=urn:btih:9228628504cc40efa57bf38e85c9e3bd2c572b5b&dn=archlinux-2017.10.01-x86_64.iso&tr=udp://tracker.archlinux.org:6969&tr=http://tracker.archlinux.org:6969/announce',
+      quality: '720p',
+      language: 'en'
     })
-  }
 
-  // Execute the tests.
-  [false, true].map(testMoviePrompt)
+    cli._moviePrompt().then(res => {
+      expect(res).to.be.undefined
+      expect(MovieHelper.prototype.addTorrents.calledOnce).to.be.true
+      expect(exit.calledWith(0)).to.be.true
+
+      done()
+    }).catch(done)
+  })
 
   /** @test {Cli#_moviePrompt} */
   it('should catch an error when running the movie content prompt', done => {
-    const stub = sinon.stub(inquirer, 'prompt')
-    stub.resolves({})
+    sinon.stub(inquirer, 'prompt').resolves({})
 
-    cli._moviePrompt('movie').then(res => {
+    cli._moviePrompt().then(res => {
       expect(res).to.be.undefined
-      stub.restore()
+      expect(MovieHelper.prototype.addTorrents.called).to.be.false
+      expect(exit.calledWith(1)).to.be.true
 
       done()
     }).catch(done)
   })
 
-  /**
-   * Helper function to test the '_showPrompt' method.
-   * @param {!boolean} isAnime - Use the anime model.
-   * @returns {undefined}
-   */
-  function testShowPrompt(isAnime: boolean): void {
-    /** @test {Cli#_showPrompt} */
-    it('should run the show content prompt', done => {
-      const stub = sinon.stub(inquirer, 'prompt')
-      stub.resolves({
-        imdb: 'tt1234567',
-        torrent: 'magnet:?xt=urn:btih:9228628504cc40efa57bf38e85c9e3bd2c572b5b&dn=archlinux-2017.10.01-x86_64.iso&tr=udp://tracker.archlinux.org:6969&tr=http://tracker.archlinux.org:6969/announce',
-        quality: '720p',
-        season: 1,
-        episode: 1
-      })
-
-      cli._showPrompt('show', isAnime).then(res => {
-        expect(res).to.be.undefined
-        stub.restore()
-
-        done()
-      }).catch(done)
+  /** @test {Cli#_showPrompt} */
+  it('should run the show content prompt', done => {
+    sinon.stub(inquirer, 'prompt').resolves({
+      imdb: 'tt1234567',
+      torrent: 'magnet:?xt=urn:btih:9228628504cc40efa57bf38e85c9e3bd2c572b5b&dn=archlinux-2017.10.01-x86_64.iso&tr=udp://tracker.archlinux.org:6969&tr=http://tracker.archlinux.org:6969/announce',
+      quality: '720p',
+      season: 1,
+      episode: 1
     })
-  }
 
-  // Execute the tests.
-  [false, true].map(testShowPrompt)
+    cli._showPrompt().then(res => {
+      expect(res).to.be.undefined
+      expect(ShowHelper.prototype.addEpisodes.calledOnce).to.be.true
+      expect(exit.calledWith(0)).to.be.true
+
+      done()
+    }).catch(done)
+  })
 
   /** @test {Cli#_showPrompt} */
   it('should catch an error when running the show content prompt', done => {
-    const stub = sinon.stub(inquirer, 'prompt')
-    stub.resolves({})
+    sinon.stub(inquirer, 'prompt').resolves({})
 
-    cli._showPrompt('show').then(res => {
+    cli._showPrompt().then(res => {
       expect(res).to.be.undefined
-      stub.restore()
+      expect(ShowHelper.prototype.addEpisodes.called).to.be.false
+      expect(exit.calledWith(1)).to.be.true
 
       done()
     }).catch(done)
@@ -256,21 +622,19 @@ describe('Cli', () => {
   function testContent(t: string): void {
     /** @test {Cli#_content} */
     it(`should run the --content option with the '${t}'`, done => {
-      const stub = sinon.stub(inquirer, 'prompt')
-      stub.resolves({
+      sinon.stub(inquirer, 'prompt').resolves({
         torrent: 'magnet:?xt=urn:btih:9228628504cc40efa57bf38e85c9e3bd2c572b5b&dn=archlinux-2017.10.01-x86_64.iso&tr=udp://tracker.archlinux.org:6969&tr=http://tracker.archlinux.org:6969/announce'
       })
 
       cli._content(t).then(() => {
-        stub.restore()
+        expect(inquirer.prompt.calledOnce).to.be.true
+        expect(exit.calledWith(0)).to.be.true
         done()
       }).catch(done)
     })
   }
 
   [
-    'animemovie',
-    'animeshow',
     'movie',
     'show'
   ].map(testContent)
@@ -279,6 +643,7 @@ describe('Cli', () => {
   it('should run the --content option with the \'null\'', done => {
     cli._content('').then(res => {
       expect(res).to.be.undefined
+      expect(exit.calledWith(1)).to.be.true
       done()
     }).catch(done)
   })
@@ -288,14 +653,15 @@ describe('Cli', () => {
     delete process.env.TEMP_DIR
     cli._export('show').then(res => {
       expect(res).to.be.undefined
+      expect(database.exportFile.firstCall.args[0]).to.equal('show')
+      expect(exit.calledWith(0)).to.be.true
       done()
     }).catch(done)
   })
 
   /** @test {CLI#_export} */
   it('should run the --export option and reject the result', done => {
-    const stub = sinon.stub(cli.database, 'exportFile')
-    stub.rejects()
+    database.exportFile.rejects()
 
     const e = join(...[
       __dirname,
@@ -305,7 +671,7 @@ describe('Cli', () => {
     ])
     cli._export(e).then(res => {
       expect(res).to.be.undefined
-      stub.restore()
+      expect(exit.calledWith(1)).to.be.true
 
       done()
     }).catch(done)
@@ -315,6 +681,7 @@ describe('Cli', () => {
   it('should run the --import option with a non-existing file as input', done => {
     cli._import('/path/to/faulty/file.json').then(res => {
       expect(res).to.be.undefined
+      expect(exit.calledWith(1)).to.be.true
       done()
     }).catch(done)
   })
@@ -329,8 +696,7 @@ describe('Cli', () => {
 
     /** @test {Cli#_import} */
     it(`should run the --import option with a file as input and the user ${msg}`, done => {
-      const stub = sinon.stub(inquirer, 'prompt')
-      stub.resolves({ confirm })
+      sinon.stub(inquirer, 'prompt').resolves({ confirm })
 
       const i = join(...[
         tempDir,
@@ -338,8 +704,8 @@ describe('Cli', () => {
       ])
       cli._import(i).then(res => {
         expect(res).to.be.undefined
+        expect(exit.calledWith(0)).to.be.true
 
-        stub.restore()
         done()
       }).catch(done)
     })
@@ -350,8 +716,7 @@ describe('Cli', () => {
 
   /** @test {CLI#_import} */
   it('should run the --import option and reject the result', done => {
-    const stub = sinon.stub(inquirer, 'prompt')
-    stub.rejects()
+    sinon.stub(inquirer, 'prompt').rejects()
 
     const i = join(...[
       __dirname,
@@ -361,16 +726,42 @@ describe('Cli', () => {
     ])
     cli._import(i).then(res => {
       expect(res).to.be.undefined
-      stub.restore()
+      expect(exit.calledWith(1)).to.be.true
 
       done()
     }).catch(done)
   })
 
+  /** @test {Cli#_retryFailed} */
+  it('should run the --retry-failed option for the configs of a provider', async () => {
+    sinon.stub(BaseProvider.prototype, 'retryFailed').resolves({
+      succeeded: 2,
+      failed: 1
+    })
+
+    await cli._retryFailed('YtsProvider')
+
+    const { args } = BaseProvider.prototype.retryFailed
+    expect(args.map(([config]) => config.name)).to.deep.equal(['YTS'])
+    expect(console.info.calledWith(
+      'Retried the failed pages and items: 2 succeeded, 1 failed.'
+    )).to.be.true
+    expect(exit.calledWith(0)).to.be.true
+  })
+
+  /** @test {Cli#_retryFailed} */
+  it('should run the --retry-failed option and reject the result', async () => {
+    sinon.stub(BaseProvider.prototype, 'retryFailed').rejects(new Error('faulty'))
+
+    await cli._retryFailed(true)
+
+    expect(console.error.calledWith('An error occurred: faulty')).to.be.true
+    expect(exit.calledWith(1)).to.be.true
+  })
+
   /** @test {Cli#_run} */
   it('should invoke the --content option', done => {
-    const stub = sinon.stub(inquirer, 'prompt')
-    stub.resolves()
+    sinon.stub(inquirer, 'prompt').resolves()
 
     cli.run({}, [
       '',
@@ -379,8 +770,8 @@ describe('Cli', () => {
       'show'
     ]).then(res => {
       expect(res).to.be.undefined
+      expect(inquirer.prompt.calledOnce).to.be.true
       cli.program.content = false
-      stub.restore()
 
       done()
     }).catch(done)
@@ -388,9 +779,6 @@ describe('Cli', () => {
 
   /** @test {Cli#_run} */
   it('should invoke the --export', done => {
-    const stub = sinon.stub(cli.database, 'exportFile')
-    stub.resolves()
-
     cli.run({}, [
       '',
       '',
@@ -398,8 +786,8 @@ describe('Cli', () => {
       'show'
     ]).then(res => {
       expect(res).to.be.undefined
+      expect(database.exportFile.calledOnce).to.be.true
       cli.program.export = false
-      stub.restore()
 
       done()
     }).catch(done)
@@ -407,8 +795,7 @@ describe('Cli', () => {
 
   /** @test {Cli#_run} */
   it('should invoke the --import option', done => {
-    const stub = sinon.stub(inquirer, 'prompt')
-    stub.resolves()
+    sinon.stub(inquirer, 'prompt').resolves()
 
     cli.run({}, [
       '',
@@ -420,8 +807,8 @@ describe('Cli', () => {
       ])
     ]).then(res => {
       expect(res).to.be.undefined
+      expect(inquirer.prompt.calledOnce).to.be.true
       cli.program.import = false
-      stub.restore()
 
       done()
     }).catch(done)
@@ -441,12 +828,10 @@ describe('Cli', () => {
 
   /** @test {Cli#_run} */
   it('should not parse the arguments since there are none', () => {
-    const stub = sinon.stub(cli.program, 'outputHelp')
+    sinon.stub(cli.program, 'outputHelp')
 
     const res = cli.run({})
     expect(res).to.be.undefined
-
-    stub.restore()
   })
 
   /**
@@ -454,8 +839,6 @@ describe('Cli', () => {
    * @type {Function}
    */
   after(() => {
-    error.restore()
-    info.restore()
-    exit.restore()
+    PopApi.database = popApiDatabase
   })
 })
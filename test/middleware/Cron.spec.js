@@ -0,0 +1,194 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import { Cron } from '../../src/middleware'
+import { logger } from '../scraper'
+
+/** @test {Cron} */
+describe('Cron', () => {
+  /**
+   * The PopApi instance to test with.
+   * @type {Object}
+   */
+  let PopApi: Object
+
+  /**
+   * The resolvers of the running scrapes, keyed by the name of the provider.
+   * @type {Object}
+   */
+  let finish: Object
+
+  /**
+   * The provider which scrapes until the scrape is finished.
+   * @type {Object}
+   */
+  class Yts {
+
+    /**
+     * The arguments of the provider.
+     * @type {Object}
+     */
+    args: Object
+
+    /**
+     * Create a new provider.
+     * @param {!PopApiScraper} PopApiScraper - The PopApiScraper instance.
+     * @param {!Object} args - The arguments of the provider.
+     */
+    constructor(PopApiScraper: any, args: Object): void {
+      this.args = args
+    }
+
+    /**
+     * Scrape the configs until the scrape is finished.
+     * @returns {Promise<Array<Object>>} - The results of the configs.
+     */
+    scrapeConfigs(): Promise<Array<Object>> {
+      return new Promise(resolve => {
+        finish[this.constructor.name] = () => resolve(this.args)
+      })
+    }
+
+  }
+
+  /**
+   * Another provider which scrapes until the scrape is finished.
+   * @type {Object}
+   */
+  class Eztv extends Yts {}
+
+  /**
+   * The providers to schedule.
+   * @type {Array<Object>}
+   */
+  const providers = [{
+    Provider: Yts,
+    args: {
+      configs: [{
+        name: 'YTS',
+        schedules: [{
+          cronTime: '0 0 * * * *'
+        }, {
+          cronTime: '0 0 2 * * *',
+          timezone: 'Europe/Amsterdam',
+          mode: 'full'
+        }]
+      }, {
+        name: 'YTS 4K'
+      }]
+    }
+  }, {
+    Provider: Eztv,
+    args: {
+      schedules: [{
+        cronTime: '0 0 * * * *'
+      }],
+      configs: [{
+        name: 'EZTV'
+      }]
+    }
+  }]
+
+  /**
+   * Wait until the pending promises are settled.
+   * @returns {Promise<undefined>} - Resolves on the next tick.
+   */
+  function tick(): Promise<void> {
+    return new Promise(resolve => setImmediate(resolve))
+  }
+
+  /**
+   * Hook for setting up the Cron tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /**
+   * Hook for setting up a new PopApi instance for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    finish = {}
+    PopApi = {
+      debug() {},
+      scraper: {
+        setStatus: () => Promise.resolve(),
+        setUpdated: () => Promise.resolve()
+      }
+    }
+  })
+
+  /** @test {Cron.createSchedules} */
+  it('should group the configs by their schedules', () => {
+    const cron = new Cron(PopApi, {
+      schedule: false,
+      providers
+    })
+    const schedules = cron.getSchedules()
+
+    expect(schedules.map(s => s.name)).to.deep.equal([
+      'default',
+      'default-full',
+      'Yts#1',
+      'Yts#2',
+      'Eztv#1'
+    ])
+    expect(schedules[0].configs).to.deep.equal(['YTS 4K'])
+    expect(schedules[3]).to.include({
+      cronTime: '0 0 2 * * *',
+      timezone: 'Europe/Amsterdam',
+      mode: 'full'
+    })
+    expect(schedules[4].configs).to.deep.equal(['EZTV'])
+    expect(PopApi.cron).to.equal(cron.getSchedule('default').task)
+  })
+
+  /** @test {Cron.getNextRun} */
+  it('should get the next run of a schedule in its timezone', () => {
+    const next = Cron.getNextRun('0 0 2 * * *', 'Asia/Tokyo')
+
+    expect(next).to.be.a('date')
+    expect(next.getUTCHours()).to.equal(17)
+    expect(Cron.getNextRun('not a cron tab')).to.be.null
+  })
+
+  /** @test {Cron#run} */
+  it('should not run the same provider twice at once', async () => {
+    const cron = new Cron(PopApi, {
+      schedule: false,
+      providers
+    })
+
+    const yts = cron.runSchedule(PopApi, 'Yts#1')
+    cron.runSchedule(PopApi, 'Yts#2')
+    cron.runSchedule(PopApi, 'Yts#2')
+    cron.runSchedule(PopApi, 'Eztv#1')
+
+    const state = cron.getState(PopApi)
+    expect(state.jobs.map(j => j.provider)).to.deep.equal(['Yts', 'Eztv'])
+    expect(state.pending).to.have.length(1)
+    expect(state.pending[0]).to.include({
+      schedule: 'Yts#2',
+      mode: 'full'
+    })
+
+    await tick()
+    finish.Yts()
+    const [{ configs }] = await yts
+    expect(configs.map(c => c.name)).to.deep.equal(['YTS'])
+    expect(cron.isRunning('Yts')).to.be.true
+    expect(cron.getState(PopApi).pending).to.have.length(0)
+
+    await tick()
+    finish.Yts()
+    finish.Eztv()
+    await tick()
+    expect(cron.isRunning()).to.be.false
+  })
+})
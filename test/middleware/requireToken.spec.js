@@ -0,0 +1,42 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import requireToken from '../../src/middleware/requireToken'
+
+/** @test {requireToken} */
+describe('requireToken', () => {
+  /**
+   * Run the middleware with an Authorization header.
+   * @param {Function} middleware - The middleware to run.
+   * @param {?string} header - The Authorization header of the request.
+   * @returns {Error|undefined} - The error passed to the next function.
+   */
+  function run(middleware: Function, header?: string): Error | void {
+    let error
+    middleware({
+      get: () => header
+    }, {}, err => {
+      error = err
+    })
+
+    return error
+  }
+
+  /** @test {requireToken} */
+  it('should let a request with the admin token through', () => {
+    expect(run(requireToken('secret'), 'Bearer secret')).to.be.undefined
+  })
+
+  /** @test {requireToken} */
+  it('should reject a request without a valid admin token', () => {
+    expect(run(requireToken('secret'), 'Bearer wrong').status).to.equal(401)
+    expect(run(requireToken('secret')).status).to.equal(401)
+  })
+
+  /** @test {requireToken} */
+  it('should reject all requests without a configured admin token', () => {
+    expect(run(requireToken(''), 'Bearer ').status).to.equal(403)
+  })
+})
@@ -0,0 +1,45 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import { FailedModel } from '../../src/models'
+
+/** @test {FailedModel} */
+describe('FailedModel', () => {
+  /** @test {FailedModel} */
+  it('should validate a failed page', () => {
+    const failed = new FailedModel({
+      _id: 'YTS:movie:page:3',
+      provider: 'YTS',
+      contentType: 'movie',
+      type: 'page',
+      ref: '3',
+      error: 'Service Unavailable',
+      attempts: 4,
+      payload: {
+        page: 3,
+        query: {}
+      }
+    })
+
+    expect(failed.validateSync()).to.be.undefined
+    expect(failed.payload.query).to.deep.equal({})
+  })
+
+  /** @test {FailedModel} */
+  it('should reject an unknown type of failure', () => {
+    const failed = new FailedModel({
+      _id: 'YTS:movie:torrent:3',
+      provider: 'YTS',
+      contentType: 'movie',
+      type: 'torrent',
+      ref: '3'
+    })
+    const err = failed.validateSync()
+
+    expect(err.name).to.equal('ValidationError')
+    expect(err.errors.type).to.exist
+    expect(failed.attempts).to.equal(0)
+  })
+})
@@ -0,0 +1,39 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import { MovieModel } from '@pct-org/mongo-models/dist/movie/movie.model'
+
+import { addReleaseFields } from '../../src/models'
+
+/** @test {addReleaseFields} */
+describe('addReleaseFields', () => {
+  /** @test {addReleaseFields} */
+  it('should store the release and health fields with the torrents', () => {
+    addReleaseFields()
+    addReleaseFields()
+
+    const movie = new MovieModel({
+      _id: 'tt0000001',
+      torrents: [{
+        title: 'Movie.2019.1080p.WEB-DL.HEVC',
+        codec: 'x265',
+        source: 'webDl',
+        proper: true,
+        lastCheckedAt: new Date(0),
+        dead: true,
+        unknown: 'dropped'
+      }]
+    })
+    const [torrent] = movie.toObject().torrents
+
+    expect(torrent).to.include({
+      codec: 'x265',
+      source: 'webDl',
+      proper: true,
+      dead: true
+    })
+    expect(torrent.lastCheckedAt).to.deep.equal(new Date(0))
+    expect(torrent.unknown).to.be.undefined
+  })
+})
@@ -0,0 +1,153 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import Blacklist from '../../src/scraper/Blacklist'
+
+/** @test {Blacklist} */
+describe('Blacklist', () => {
+  /**
+   * The blacklist entry to test with.
+   * @type {Object}
+   */
+  let entry: Object
+
+  /**
+   * The stubbed model of the blacklist entries.
+   * @type {Object}
+   */
+  let Model: Object
+
+  /**
+   * The blacklist object to test.
+   * @type {Blacklist}
+   */
+  let blacklist: Blacklist
+
+  /**
+   * Create a stubbed query which resolves with a value.
+   * @param {*} value - The value to resolve with.
+   * @returns {Object} - The stubbed query.
+   */
+  function query(value: any): Object {
+    return {
+      sort() {
+        return this
+      },
+      lean() {
+        return this
+      },
+      exec: () => Promise.resolve(value)
+    }
+  }
+
+  /**
+   * Hook for setting up the Blacklist tests.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    entry = {
+      _id: 'tt0944947',
+      title: 'Game of Thrones',
+      type: 'show',
+      reason: 'ended',
+      expires: Date.now() + Blacklist.Week
+    }
+    Model = {
+      find: sinon.stub().returns(query([entry])),
+      findOne: sinon.stub().returns(query(entry)),
+      findOneAndUpdate: sinon.stub().callsFake((q, update) => query({
+        ...entry,
+        ...update.$set
+      }))
+    }
+    blacklist = new Blacklist({
+      Model
+    })
+  })
+
+  /** @test {Blacklist.isActive} */
+  it('should check if an entry is active', () => {
+    expect(Blacklist.isActive(entry)).to.be.true
+    expect(Blacklist.isActive({
+      expires: Date.now() - 1000
+    })).to.be.false
+    expect(Blacklist.isActive({
+      expires: Blacklist.Permanent
+    })).to.be.true
+    expect(Blacklist.isActive({
+      expires: 0
+    })).to.be.false
+    expect(Blacklist.isPermanent({
+      expires: 0
+    })).to.be.false
+  })
+
+  /** @test {Blacklist#list} */
+  it('should list the entries filtered by reason and type', async () => {
+    const entries = await blacklist.list({
+      reason: 'ended',
+      type: 'show'
+    })
+
+    expect(Model.find.calledWith({
+      reason: 'ended',
+      type: 'show'
+    })).to.be.true
+    expect(entries.length).to.equal(1)
+    expect(entries[0].expiresAt).to.be.a('string')
+    expect(entries[0].permanent).to.be.false
+  })
+
+  /** @test {Blacklist#getQuery} */
+  it('should throw an error for an invalid filter', () => {
+    expect(() => blacklist.getQuery({
+      reason: 'unknown'
+    })).to.throw(TypeError)
+    expect(() => blacklist.getQuery({
+      type: 'anime'
+    })).to.throw(TypeError)
+  })
+
+  /** @test {Blacklist#extend} */
+  it('should extend an entry with a number of weeks', async () => {
+    const { expires } = entry
+    const extended = await blacklist.extend(entry._id, {
+      weeks: 2
+    })
+
+    expect(extended.expires).to.equal(expires + (2 * Blacklist.Week))
+  })
+
+  /** @test {Blacklist#extend} */
+  it('should not extend a permanent entry with weeks', async () => {
+    entry.expires = Blacklist.Permanent
+
+    let error
+    try {
+      await blacklist.extend(entry._id, {
+        weeks: 1
+      })
+    } catch (err) {
+      error = err
+    }
+
+    expect(error).to.be.an.instanceof(TypeError)
+  })
+
+  /** @test {Blacklist#ban} */
+  it('should add a permanent entry', async () => {
+    const banned = await blacklist.ban('tt0000001', {
+      type: 'movie'
+    })
+
+    const [, update, options] = Model.findOneAndUpdate.firstCall.args
+    expect(update.$setOnInsert.title).to.equal('tt0000001')
+    expect(options.upsert).to.be.true
+    expect(banned.reason).to.equal(Blacklist.Reasons.Banned)
+    expect(banned.permanent).to.be.true
+    expect(banned.expiresAt).to.be.null
+  })
+})
@@ -0,0 +1,128 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import Changeset from '../../src/scraper/Changeset'
+
+/** @test {Changeset} */
+describe('Changeset', () => {
+  /**
+   * The stubbed model of the changes.
+   * @type {Object}
+   */
+  let Model: Object
+
+  /**
+   * The changeset to test.
+   * @type {Changeset}
+   */
+  let changeset: Changeset
+
+  /**
+   * The item to record the changes of.
+   * @type {Object}
+   */
+  const item: Object = {
+    ref: 'tt0133093',
+    title: 'The Matrix'
+  }
+
+  /**
+   * Hook for setting up the Changeset tests.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    Model = {
+      insertMany: sinon.stub().resolves([])
+    }
+    changeset = new Changeset({
+      name: 'YTS',
+      contentType: 'movie',
+      Model
+    })
+  })
+
+  /** @test {Changeset#compare} */
+  it('should record a new title with its torrents', () => {
+    changeset.compare(Changeset.Types.Title, item, {
+      torrents: [{
+        quality: '720p',
+        url: 'magnet:?xt=urn:btih:1'
+      }]
+    })
+
+    const types = changeset.pending.map(c => c.type)
+    expect(types).to.deep.equal([
+      Changeset.Types.Title,
+      Changeset.Types.TorrentAdded
+    ])
+    expect(changeset.pending[0].runId).to.equal(changeset.runId)
+    expect(changeset.pending[1].quality).to.equal('720p')
+  })
+
+  /** @test {Changeset#addTorrents} */
+  it('should record the added, replaced and removed torrents', () => {
+    changeset.addTorrents(item, [{
+      quality: '1080p',
+      url: 'magnet:?xt=urn:btih:2'
+    }, {
+      quality: '720p',
+      url: 'magnet:?xt=urn:btih:3'
+    }], [{
+      quality: '1080p',
+      url: 'magnet:?xt=urn:btih:1'
+    }, {
+      quality: '480p',
+      url: 'magnet:?xt=urn:btih:4'
+    }])
+
+    const [replaced, added, removed] = changeset.pending
+    expect(replaced.type).to.equal(Changeset.Types.TorrentReplaced)
+    expect(replaced.previous.url).to.equal('magnet:?xt=urn:btih:1')
+    expect(added.type).to.equal(Changeset.Types.TorrentAdded)
+    expect(removed.type).to.equal(Changeset.Types.Removed)
+    expect(removed.quality).to.equal('480p')
+  })
+
+  /** @test {Changeset#addMetadata} */
+  it('should only record the metadata fields which changed', () => {
+    changeset.addMetadata(item, {
+      synopsis: 'A new synopsis',
+      images: {
+        poster: 'poster.jpg',
+        backdrop: 'backdrop.jpg'
+      },
+      rating: {
+        votes: 2
+      }
+    }, {
+      synopsis: 'An old synopsis',
+      images: {
+        backdrop: 'backdrop.jpg',
+        poster: 'poster.jpg'
+      },
+      rating: {
+        votes: 1
+      }
+    })
+
+    expect(changeset.pending.length).to.equal(1)
+    expect(changeset.pending[0].fields).to.deep.equal([{
+      field: 'synopsis',
+      from: 'An old synopsis',
+      to: 'A new synopsis'
+    }])
+  })
+
+  /** @test {Changeset#save} */
+  it('should save the pending changes once', async () => {
+    changeset.add(Changeset.Types.Title, item)
+
+    expect(await changeset.save()).to.equal(1)
+    expect(await changeset.save()).to.equal(0)
+    expect(Model.insertMany.calledOnce).to.be.true
+    expect(changeset.pending).to.be.empty
+  })
+})
@@ -0,0 +1,79 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import { join } from 'path'
+import { mkdirSync } from 'fs'
+
+import Checkpoints from '../../src/scraper/Checkpoints'
+
+/** @test {Checkpoints} */
+describe('Checkpoints', () => {
+  /**
+   * The checkpoints object to test.
+   * @type {Checkpoints}
+   */
+  let checkpoints: Checkpoints
+
+  /**
+   * Hook for setting up the Checkpoints tests.
+   * @type {Function}
+   */
+  before(() => {
+    const tmpDir = join(...[
+      process.cwd(),
+      'tmp'
+    ])
+    mkdirSync(tmpDir, {
+      recursive: true
+    })
+
+    checkpoints = new Checkpoints({
+      file: join(tmpDir, 'checkpoints.spec.json')
+    })
+  })
+
+  /** @test {Checkpoints#file} */
+  it('should default to a file in the temporary directory', () => {
+    const { file } = new Checkpoints()
+
+    expect(file).to.be.a('string')
+    expect(file).to.contain(Checkpoints.FileName)
+  })
+
+  /** @test {Checkpoints#get} */
+  it('should not get a checkpoint when none are stored', async () => {
+    await checkpoints.clear()
+    const checkpoint = await checkpoints.get(checkpoints.getKey('YTS', 'movie'))
+
+    expect(checkpoint).to.be.undefined
+  })
+
+  /** @test {Checkpoints#set} */
+  it('should store and remove a checkpoint', async () => {
+    const key = checkpoints.getKey('YTS', 'movie')
+
+    await checkpoints.set(key, {
+      page: 10,
+      totalPages: 20
+    })
+    await checkpoints.set(checkpoints.getKey('EZTV', 'show'), {
+      page: 1
+    })
+
+    let checkpoint = await checkpoints.get(key)
+    expect(checkpoint).to.deep.equal({
+      page: 10,
+      totalPages: 20
+    })
+
+    await checkpoints.remove(key)
+    checkpoint = await checkpoints.get(key)
+    expect(checkpoint).to.be.undefined
+
+    const all = await checkpoints.getAll()
+    expect(all).to.have.all.keys('EZTV:show')
+
+    await checkpoints.clear()
+  })
+})
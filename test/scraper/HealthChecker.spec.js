@@ -0,0 +1,223 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import HealthChecker from '../../src/scraper/HealthChecker'
+import { logger } from '.'
+
+/** @test {HealthChecker} */
+describe('HealthChecker', () => {
+  /**
+   * The epoch time in milliseconds of the runs.
+   * @type {number}
+   */
+  const now = Date.UTC(2020, 0, 10)
+
+  /**
+   * The time in milliseconds after which a torrent is checked again.
+   * @type {number}
+   */
+  const checkAfter = 60 * 60 * 1000
+
+  /**
+   * The stubbed content model.
+   * @type {Object}
+   */
+  let Model: Object
+
+  /**
+   * The stubbed scrape requests to the trackers.
+   * @type {Object}
+   */
+  let scraper: Object
+
+  /**
+   * The stubbed lease lock.
+   * @type {Object}
+   */
+  let lock: Object
+
+  /**
+   * The health checker to test.
+   * @type {HealthChecker}
+   */
+  let checker: HealthChecker
+
+  /**
+   * Create a stubbed query which resolves with a value.
+   * @param {*} value - The value to resolve with.
+   * @returns {Object} - The stubbed query.
+   */
+  function query(value: any): Object {
+    return {
+      limit() {
+        return this
+      },
+      lean() {
+        return this
+      },
+      exec() {
+        return Promise.resolve(value)
+      }
+    }
+  }
+
+  /**
+   * Create a magnet link.
+   * @param {!string} hash - The info hash of the torrent.
+   * @param {!Array<string>} trackers - The trackers of the torrent.
+   * @returns {string} - The magnet link.
+   */
+  function magnet(hash: string, trackers: Array<string>): string {
+    return [`magnet:?xt=urn:btih:${hash}`]
+      .concat(trackers.map(tr => `tr=${encodeURIComponent(tr)}`))
+      .join('&')
+  }
+
+  /**
+   * The stored movie with the torrents to check.
+   * @type {Object}
+   */
+  const movie = {
+    _id: 'tt0000001',
+    torrents: [{
+      url: magnet('a'.repeat(40), ['udp://one:1', 'udp://two:2']),
+      lastCheckedAt: null
+    }, {
+      url: magnet('b'.repeat(40), ['udp://two:2']),
+      lastCheckedAt: new Date(now - 2 * checkAfter)
+    }, {
+      url: magnet('c'.repeat(40), ['udp://one:1']),
+      lastCheckedAt: new Date(now - checkAfter / 2)
+    }],
+    searchedTorrents: [{
+      url: magnet('d'.repeat(40), ['udp://three:3'])
+    }, {
+      url: 'https://example.com/file.torrent'
+    }]
+  }
+
+  /**
+   * Hook for setting up the HealthChecker tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /**
+   * Hook for setting up a new health checker for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    Model = {
+      find: sinon.stub().returns(query([movie])),
+      bulkWrite: sinon.stub().resolves()
+    }
+    scraper = {
+      scrape: sinon.stub().callsFake(tracker => {
+        if (tracker === 'udp://one:1') {
+          return Promise.resolve({
+            ['a'.repeat(40)]: {
+              seeds: 4,
+              peers: 1
+            }
+          })
+        }
+        if (tracker === 'udp://two:2') {
+          return Promise.resolve({
+            ['a'.repeat(40)]: {
+              seeds: 9,
+              peers: 0
+            },
+            ['b'.repeat(40)]: {
+              seeds: 0,
+              peers: 2
+            }
+          })
+        }
+
+        return Promise.reject(new Error('Tracker request timed out'))
+      })
+    }
+    lock = {
+      acquire: sinon.stub().resolves(true),
+      release: sinon.stub().resolves()
+    }
+    checker = new HealthChecker({
+      models: [Model],
+      scraper,
+      lock,
+      checkAfter
+    })
+  })
+
+  /** @test {HealthChecker#getTorrents} */
+  it('should get the torrents which are due', () => {
+    const torrents = checker.getTorrents([movie], now)
+
+    expect(torrents.map(t => t.hash)).to.deep.equal([
+      'a'.repeat(40),
+      'b'.repeat(40),
+      'd'.repeat(40),
+      null
+    ])
+    expect(torrents[0]).to.include({
+      _id: 'tt0000001',
+      path: 'torrents'
+    })
+  })
+
+  /** @test {HealthChecker#check} */
+  it('should update the seeds and peers of the torrents', async () => {
+    const clock = sinon.useFakeTimers(now)
+
+    try {
+      const summary = await checker.check()
+
+      expect(summary).to.deep.equal({
+        checked: 4,
+        alive: 1,
+        dead: 1,
+        unknown: 2
+      })
+      expect(scraper.scrape.calledWith('udp://two:2', [
+        'a'.repeat(40),
+        'b'.repeat(40)
+      ])).to.be.true
+
+      const [ops] = Model.bulkWrite.firstCall.args
+      expect(ops[0].updateOne.update.$set).to.deep.equal({
+        'torrents.$[t].lastCheckedAt': new Date(now),
+        'torrents.$[t].seeds': 9,
+        'torrents.$[t].peers': 1,
+        'torrents.$[t].dead': false
+      })
+      expect(ops[1].updateOne.update.$set['torrents.$[t].dead']).to.be.true
+      expect(ops[2].updateOne.update.$set).to.deep.equal({
+        'searchedTorrents.$[t].lastCheckedAt': new Date(now)
+      })
+      expect(ops[2].updateOne.arrayFilters).to.deep.equal([{
+        't.url': movie.searchedTorrents[0].url
+      }])
+      expect(lock.release.calledWith(HealthChecker.LockKey)).to.be.true
+    } finally {
+      clock.restore()
+    }
+  })
+
+  /** @test {HealthChecker#check} */
+  it('should skip the checks when another instance holds the lock', async () => {
+    lock.acquire.resolves(false)
+
+    const summary = await checker.check()
+
+    expect(summary).to.be.undefined
+    expect(Model.find.called).to.be.false
+    expect(lock.release.called).to.be.false
+  })
+})
@@ -0,0 +1,188 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import LeaseLock from '../../src/scraper/LeaseLock'
+import { logger } from '.'
+
+/** @test {LeaseLock} */
+describe('LeaseLock', () => {
+  /**
+   * The stubbed model of the locks.
+   * @type {Object}
+   */
+  let Model: Object
+
+  /**
+   * The lease lock to test.
+   * @type {LeaseLock}
+   */
+  let lock: LeaseLock
+
+  /**
+   * The fake timers for the heartbeats.
+   * @type {Object}
+   */
+  let clock: Object
+
+  /**
+   * Create a stubbed query which resolves with a value.
+   * @param {*} value - The value to resolve with.
+   * @returns {Object} - The stubbed query.
+   */
+  function query(value: any): Object {
+    return {
+      sort() {
+        return this
+      },
+      lean() {
+        return this
+      },
+      exec() {
+        return value instanceof Error
+          ? Promise.reject(value)
+          : Promise.resolve(value)
+      }
+    }
+  }
+
+  /**
+   * Create an error for a duplicate key.
+   * @returns {Error} - The duplicate key error.
+   */
+  function duplicateKey(): Error {
+    const err = new Error('E11000 duplicate key error')
+    err.code = LeaseLock.DuplicateKey
+
+    return err
+  }
+
+  /**
+   * Hook for setting up the LeaseLock tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /**
+   * Hook for setting up a new lease lock for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+    Model = {
+      findOneAndUpdate: sinon.stub().returns(query({
+        _id: 'YTS:movie'
+      })),
+      deleteOne: sinon.stub().returns(query({})),
+      find: sinon.stub().returns(query([])),
+      updateMany: sinon.stub().returns(query({
+        nModified: 2
+      }))
+    }
+    lock = new LeaseLock({
+      Model,
+      owner: 'test',
+      ttl: 30000
+    })
+  })
+
+  /**
+   * Hook for restoring the timers.
+   * @type {Function}
+   */
+  afterEach(() => {
+    clock.restore()
+  })
+
+  /** @test {LeaseLock#acquire} */
+  it('should acquire a free or expired lock', async () => {
+    expect(await lock.acquire('YTS:movie')).to.be.true
+    expect(lock.isHeld('YTS:movie')).to.be.true
+
+    const [filter, update, options] = Model.findOneAndUpdate.firstCall.args
+    expect(filter.$or[0].owner).to.equal('test')
+    expect(filter.$or[1].expiresAt.$lte.getTime()).to.equal(0)
+    expect(update.$set.expiresAt.getTime()).to.equal(30000)
+    expect(options.upsert).to.be.true
+
+    await lock.release('YTS:movie')
+    expect(lock.isHeld('YTS:movie')).to.be.false
+    expect(Model.deleteOne.calledWith({
+      _id: 'YTS:movie',
+      owner: 'test'
+    })).to.be.true
+  })
+
+  /** @test {LeaseLock#acquire} */
+  it('should not acquire a lock held by another owner', async () => {
+    Model.findOneAndUpdate.returns(query(duplicateKey()))
+    expect(await lock.acquire('YTS:movie')).to.be.false
+    expect(lock.isHeld('YTS:movie')).to.be.false
+
+    Model.findOneAndUpdate.returns(query(new Error('No connection')))
+
+    let error
+    try {
+      await lock.acquire('YTS:movie')
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('No connection')
+  })
+
+  /** @test {LeaseLock#startHeartbeat} */
+  it('should renew a held lock until it is lost', async () => {
+    const onLost = sinon.spy()
+    await lock.acquire('YTS:movie', onLost)
+
+    await clock.tickAsync(10000)
+    expect(Model.findOneAndUpdate.callCount).to.equal(2)
+    expect(onLost.called).to.be.false
+
+    Model.findOneAndUpdate.returns(query(null))
+    await clock.tickAsync(10000)
+    expect(onLost.calledWith('YTS:movie')).to.be.true
+    expect(lock.isHeld('YTS:movie')).to.be.false
+
+    await clock.tickAsync(10000)
+    expect(Model.findOneAndUpdate.callCount).to.equal(3)
+  })
+
+  /** @test {LeaseLock#cancel} */
+  it('should cancel the scrapes of the held locks', async () => {
+    expect(await lock.cancel(['health-checks'])).to.equal(2)
+
+    const [filter, update] = Model.updateMany.firstCall.args
+    expect(filter._id.$nin).to.deep.equal(['health-checks'])
+    expect(filter.cancelledAt).to.be.null
+    expect(update.$set.cancelledAt).to.be.an.instanceof(Date)
+  })
+
+  /** @test {LeaseLock#startHeartbeat} */
+  it('should notice a cancelled lock when it is renewed', async () => {
+    const onCancel = sinon.spy()
+    await lock.acquire('YTS:movie', null, onCancel)
+
+    const [, update] = Model.findOneAndUpdate.firstCall.args
+    expect(update.$set.cancelledAt).to.be.null
+
+    await clock.tickAsync(10000)
+    expect(onCancel.called).to.be.false
+
+    Model.findOneAndUpdate.returns(query({
+      _id: 'YTS:movie',
+      cancelledAt: new Date()
+    }))
+    await clock.tickAsync(10000)
+    expect(onCancel.calledWith('YTS:movie')).to.be.true
+    expect(lock.isHeld('YTS:movie')).to.be.true
+
+    await lock.release('YTS:movie')
+  })
+})
@@ -0,0 +1,119 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import Magnet from '../../src/scraper/Magnet'
+import { logger } from '.'
+
+/** @test {Magnet} */
+describe('Magnet', () => {
+  /**
+   * The info hash of the test torrent in hex.
+   * @type {string}
+   */
+  const hash = '9228628504cc40efa57bf38e85c9e3bd2c572b5b'
+
+  /**
+   * The info hash of the test torrent in base32.
+   * @type {string}
+   */
+  const base32 = 'SIUGFBIEZRAO7JL36OHILSPDXUWFOK23'
+
+  /**
+   * The trackers to add to the magnet links.
+   * @type {Array<string>}
+   */
+  const trackers = [
+    'udp://tracker.example.com:1337/announce',
+    'https://tracker.example.org/announce'
+  ]
+
+  /**
+   * Hook for setting up the Magnet tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /** @test {Magnet.normalizeHash} */
+  it('should normalize the info hashes to lowercase hex', () => {
+    expect(Magnet.normalizeHash(hash.toUpperCase())).to.equal(hash)
+    expect(Magnet.normalizeHash(base32)).to.equal(hash)
+    expect(Magnet.normalizeHash('1')).to.be.null
+    expect(Magnet.normalizeHash(`${hash}0`)).to.be.null
+    expect(Magnet.normalizeHash(null)).to.be.null
+  })
+
+  /** @test {Magnet.build} */
+  it('should build a magnet link with a display name', () => {
+    const url = Magnet.build({
+      hash,
+      name: 'Movie (2019) [1080p]',
+      trackers
+    })
+
+    expect(url).to.equal([
+      `magnet:?xt=urn:btih:${hash}`,
+      'dn=Movie%20(2019)%20%5B1080p%5D',
+      'tr=udp%3A%2F%2Ftracker.example.com%3A1337%2Fannounce',
+      'tr=https%3A%2F%2Ftracker.example.org%2Fannounce'
+    ].join('&'))
+    expect(Magnet.parse(url)).to.deep.equal({
+      hash,
+      name: 'Movie (2019) [1080p]',
+      trackers
+    })
+    expect(Magnet.build({
+      hash: 'invalid'
+    })).to.be.null
+  })
+
+  /** @test {Magnet.normalize} */
+  it('should replace the trackers of a magnet link', () => {
+    const url = Magnet.normalize([
+      `magnet:?xt=urn:btih:${base32}`,
+      'dn=archlinux.iso',
+      'tr=udp://tracker.coppersurfer.tk:6969'
+    ].join('&'), {
+      name: 'Arch Linux',
+      trackers
+    })
+
+    expect(Magnet.parse(url)).to.deep.equal({
+      hash,
+      name: 'archlinux.iso',
+      trackers
+    })
+    expect(Magnet.parse(Magnet.normalize(`magnet:?xt=urn:btih:${hash}`, {
+      name: 'Arch Linux',
+      trackers
+    })).name).to.equal('Arch Linux')
+    expect(Magnet.normalize('https://example.com/file.torrent'))
+      .to.equal('https://example.com/file.torrent')
+  })
+
+  /** @test {Magnet.normalizeTorrents} */
+  it('should drop the invalid and duplicate torrents', () => {
+    const torrents = Magnet.normalizeTorrents([{
+      title: 'Movie.2019.1080p.BluRay.x264',
+      url: `magnet:?xt=urn:btih:${hash}&tr=udp://dead.example.com:80`
+    }, {
+      title: 'Movie.2019.1080p.WEB-DL',
+      url: `magnet:?xt=urn:btih:${base32}`
+    }, {
+      title: 'Movie.2019.720p.BluRay.x264',
+      url: 'magnet:?xt=urn:btih:1'
+    }], trackers)
+
+    expect(torrents.length).to.equal(1)
+    expect(Magnet.parse(torrents[0].url)).to.deep.equal({
+      hash,
+      name: 'Movie.2019.1080p.BluRay.x264',
+      trackers
+    })
+  })
+})
@@ -0,0 +1,162 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import http from 'http'
+import { expect } from 'chai'
+import { createHmac } from 'crypto'
+
+import Notifier from '../../src/scraper/Notifier'
+
+/** @test {Notifier} */
+describe('Notifier', () => {
+  /**
+   * The server to receive the notifications.
+   * @type {Server}
+   */
+  let server: Object
+
+  /**
+   * The requests received by the server.
+   * @type {Array<Object>}
+   */
+  let requests: Array<Object>
+
+  /**
+   * The status codes the server responds with, in order.
+   * @type {Array<number>}
+   */
+  let statuses: Array<number>
+
+  /**
+   * The url of the server.
+   * @type {string}
+   */
+  let url: string
+
+  /**
+   * Hook for setting up the Notifier tests.
+   * @type {Function}
+   */
+  before(done => {
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => {
+        body += chunk
+      })
+      req.on('end', () => {
+        requests.push({
+          headers: req.headers,
+          body
+        })
+
+        res.statusCode = statuses.shift() || 200
+        res.end()
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/hook`
+      done()
+    })
+  })
+
+  /**
+   * Hook for resetting the received requests.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    requests = []
+    statuses = []
+  })
+
+  /** @test {Notifier#notify} */
+  it('should post a signed JSON notification', async () => {
+    const notifier = new Notifier({
+      url,
+      secret: 'secret'
+    })
+    await notifier.notify({
+      movies: []
+    })
+
+    expect(requests.length).to.equal(1)
+
+    const { headers, body } = requests[0]
+    const timestamp = headers['x-scraper-timestamp']
+    const hmac = createHmac('sha256', 'secret')
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+
+    expect(JSON.parse(body)).to.deep.equal({
+      movies: []
+    })
+    expect(headers['x-scraper-signature']).to.equal(`sha256=${hmac}`)
+  })
+
+  /** @test {Notifier#notify} */
+  it('should post a GraphQL mutation', async () => {
+    const notifier = new Notifier({
+      url,
+      format: 'graphql'
+    })
+    await notifier.notify({
+      episodes: []
+    })
+
+    const body = JSON.parse(requests[0].body)
+    expect(body.query).to.equal(Notifier.Mutation)
+    expect(body.variables.input).to.deep.equal({
+      episodes: []
+    })
+    expect(requests[0].headers['x-scraper-signature']).to.be.undefined
+  })
+
+  /** @test {Notifier#notify} */
+  it('should retry a failed notification', async () => {
+    statuses = [503, 502]
+    const notifier = new Notifier({
+      url,
+      baseDelay: 1
+    })
+    const res = await notifier.notify({})
+
+    expect(requests.length).to.equal(3)
+    expect(res.statusCode).to.equal(200)
+  })
+
+  /** @test {Notifier#notify} */
+  it('should not retry a rejected notification', async () => {
+    statuses = [400]
+    const notifier = new Notifier({
+      url,
+      baseDelay: 1
+    })
+
+    let error
+    try {
+      await notifier.notify({})
+    } catch (err) {
+      error = err
+    }
+
+    expect(requests.length).to.equal(1)
+    expect(error.statusCode).to.equal(400)
+  })
+
+  /** @test {Notifier#isEnabled} */
+  it('should be disabled without a url', async () => {
+    const notifier = new Notifier({
+      url: ''
+    })
+
+    expect(notifier.isEnabled()).to.be.false
+    expect(await notifier.notify({})).to.be.undefined
+  })
+
+  /**
+   * Hook for tearing down the Notifier tests.
+   * @type {Function}
+   */
+  after(done => {
+    server.close(done)
+  })
+})
@@ -0,0 +1,235 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import sinon from 'sinon'
+import { expect } from 'chai'
+
+import Refresher from '../../src/scraper/Refresher'
+import YtsProvider from '../../src/scraper/providers/YtsProvider'
+import { logger } from '.'
+import { trakt } from '../../src/scraper/apiModules'
+import { ytsConfig } from '../../src/scraper/configs/ytsConfigs'
+
+/** @test {Refresher} */
+describe('Refresher', () => {
+  /**
+   * The models of the refresher to restore.
+   * @type {Object}
+   */
+  let models: Object
+
+  /**
+   * The stubbed blacklist.
+   * @type {Object}
+   */
+  let blacklist: Object
+
+  /**
+   * The stubbed YTS API.
+   * @type {Object}
+   */
+  let api: Object
+
+  /**
+   * The title to refresh.
+   * @type {Object}
+   */
+  const item = {
+    type: 'movie',
+    imdb: 'tt1375666',
+    slug: 'inception-2010',
+    title: 'Inception'
+  }
+
+  /**
+   * Create a stubbed model which finds one document.
+   * @param {?Object} doc - The document the model finds.
+   * @returns {Object} - The stubbed model.
+   */
+  function model(doc: Object | null): Object {
+    return {
+      findOne: sinon.stub().returns({
+        lean: () => ({
+          exec: () => Promise.resolve(doc)
+        })
+      })
+    }
+  }
+
+  /**
+   * Hook for setting up the Refresher tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+
+    models = Refresher.Models
+  })
+
+  /**
+   * Hook for stubbing the blacklist, the API and the database for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    blacklist = {
+      get: sinon.stub().callsFake(id => Promise.resolve({
+        _id: id,
+        permanent: id === item.slug
+      })),
+      remove: sinon.stub().resolves()
+    }
+    api = {
+      search: sinon.stub().resolves({
+        data: {
+          movies: [{
+            title: 'Inception',
+            imdb_code: 'tt1375666',
+            year: 2010,
+            language: 'english',
+            torrents: [{
+              hash: '9228628504cc40efa57bf38e85c9e3bd2c572b5b',
+              quality: '1080p',
+              size_bytes: 123456789
+            }]
+          }]
+        }
+      })
+    }
+
+    sinon.stub(YtsProvider.prototype, 'saveChanges').resolves()
+    sinon.stub(YtsProvider.prototype, 'getContent')
+      .callsFake(content => Promise.resolve(content))
+  })
+
+  /**
+   * Hook for restoring the stubs.
+   * @type {Function}
+   */
+  afterEach(() => {
+    Refresher.Models = models
+    sinon.restore()
+  })
+
+  /** @test {Refresher#findItem} */
+  it('should find a title in the database by its slug', async () => {
+    Refresher.Models = {
+      movie: model(null),
+      show: model({
+        _id: 'tt0944947',
+        imdbId: 'tt0944947',
+        slug: 'game-of-thrones',
+        title: 'Game of Thrones'
+      })
+    }
+
+    const found = await new Refresher({
+      providers: [],
+      blacklist
+    }).findItem('game-of-thrones')
+
+    expect(found).to.deep.equal({
+      type: 'show',
+      imdb: 'tt0944947',
+      slug: 'game-of-thrones',
+      title: 'Game of Thrones'
+    })
+    const [query] = Refresher.Models.movie.findOne.firstCall.args
+    expect(query.$or).to.deep.include({
+      slug: 'game-of-thrones'
+    })
+  })
+
+  /** @test {Refresher#findItem} */
+  it('should look up an imdb id which is not stored on trakt', async () => {
+    Refresher.Models = {
+      movie: model(null),
+      show: model(null)
+    }
+    sinon.stub(trakt, 'search').value({
+      id: sinon.stub().resolves([{
+        type: 'movie',
+        movie: {
+          title: 'Inception',
+          ids: {
+            slug: 'inception-2010'
+          }
+        }
+      }])
+    })
+
+    const refresher = new Refresher({
+      providers: [],
+      blacklist
+    })
+
+    expect(await refresher.findItem('tt1375666')).to.deep.equal(item)
+
+    try {
+      await refresher.findItem('unknown')
+      expect.fail('The title should not be found')
+    } catch (err) {
+      expect(err.message).to.equal('No movie or show found for \'unknown\'')
+    }
+  })
+
+  /** @test {Refresher#refresh} */
+  it('should scrape the title again with the configs of its type', async () => {
+    const refreshed = await new Refresher({
+      providers: [{
+        Provider: YtsProvider,
+        args: {
+          configs: [{
+            ...ytsConfig,
+            api
+          }, {
+            ...ytsConfig,
+            name: 'Shows',
+            contentType: YtsProvider.ContentTypes.Show,
+            api
+          }]
+        }
+      }],
+      blacklist
+    }).refresh(item)
+
+    expect(blacklist.remove.calledOnce).to.be.true
+    expect(blacklist.remove.firstCall.args[0]).to.equal(item.imdb)
+    expect(api.search.calledOnce).to.be.true
+    expect(api.search.firstCall.args[0].queryTerm).to.equal(item.imdb)
+    expect(refreshed.results).to.have.length(1)
+    expect(refreshed.results[0]).to.include({
+      name: ytsConfig.name,
+      saved: 1
+    })
+  })
+
+  /** @test {Refresher#refresh} */
+  it('should keep the results of a failed config', async () => {
+    const err = new Error('Not Found')
+    err.statusCode = 404
+    api.search.rejects(err)
+
+    const refreshed = await new Refresher({
+      providers: [{
+        Provider: YtsProvider,
+        args: {
+          configs: [{
+            ...ytsConfig,
+            api
+          }]
+        }
+      }],
+      blacklist
+    }).refresh(item)
+
+    expect(api.search.calledOnce).to.be.true
+    expect(refreshed.results).to.deep.equal([{
+      name: ytsConfig.name,
+      runId: refreshed.results[0].runId,
+      saved: 0,
+      error: 'Not Found'
+    }])
+  })
+})
@@ -0,0 +1,89 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import ReleaseParser from '../../src/scraper/ReleaseParser'
+
+/** @test {ReleaseParser} */
+describe('ReleaseParser', () => {
+  /** @test {ReleaseParser.parse} */
+  it('should parse the name of a web release', () => {
+    expect(ReleaseParser.parse(
+      'The.Mandalorian.S02E01.2160p.DSNP.WEB-DL.DDP5.1.Atmos.DV.HEVC-MZABI[eztv].mkv'
+    )).to.deep.equal({
+      codec: 'x265',
+      source: 'webDl',
+      resolution: '2160p',
+      uhd: 'native',
+      hdr: 'dolbyVision',
+      audio: 'eac3',
+      channels: '5.1',
+      group: 'MZABI',
+      proper: false,
+      repack: false,
+      hardcodedSubs: false
+    })
+  })
+
+  /** @test {ReleaseParser.parse} */
+  it('should parse the name of a BluRay release', () => {
+    expect(ReleaseParser.parse(
+      'Movie.2019.1080p.BluRay.REMUX.AVC.TrueHD.7.1.Atmos-FGT'
+    )).to.include({
+      codec: 'x264',
+      source: 'remux',
+      resolution: '1080p',
+      hdr: null,
+      audio: 'trueHd',
+      channels: '7.1',
+      group: 'FGT'
+    })
+  })
+
+  /** @test {ReleaseParser.parse} */
+  it('should parse the flags of a release', () => {
+    expect(ReleaseParser.parse(
+      'Movie 2019 720p WEBRip x264 AAC2.0 PROPER REPACK - [YTS]'
+    )).to.include({
+      source: 'webRip',
+      audio: 'aac',
+      channels: '2.0',
+      group: null,
+      proper: true,
+      repack: true
+    })
+    expect(ReleaseParser.parse('Movie.2019.HC.HDRip.XviD.AC3-EVO'))
+      .to.include({
+        codec: 'xvid',
+        audio: 'ac3',
+        hardcodedSubs: true
+      })
+    expect(ReleaseParser.parse('Movie_2019_4K_HDR10+_x265')).to.include({
+      resolution: '2160p',
+      uhd: 'nameOnly',
+      hdr: 'hdr10Plus'
+    })
+    expect(ReleaseParser.parse('Movie.2019.2160p.AI.Upscaled.x265'))
+      .to.include({
+        resolution: '2160p',
+        uhd: 'upscaled'
+      })
+  })
+
+  /** @test {ReleaseParser.getGroup} */
+  it('should not take the dash of WEB-DL for a group', () => {
+    expect(ReleaseParser.getGroup('Movie.2019.1080p.WEB-DL')).to.be.null
+    expect(ReleaseParser.getGroup('Show.S01E02.720p.HDTV.x264-KILLERS[eztv]'))
+      .to.equal('KILLERS')
+  })
+
+  /** @test {ReleaseParser.parse} */
+  it('should parse a release without a name', () => {
+    const release = ReleaseParser.parse(null)
+
+    expect(release.codec).to.be.null
+    expect(release.resolution).to.be.null
+    expect(release.proper).to.be.false
+  })
+})
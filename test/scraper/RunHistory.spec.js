@@ -0,0 +1,130 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import RunHistory from '../../src/scraper/RunHistory'
+
+/** @test {RunHistory} */
+describe('RunHistory', () => {
+  /**
+   * The run to test with.
+   * @type {Object}
+   */
+  let run: Object
+
+  /**
+   * The stubbed model of the runs.
+   * @type {Object}
+   */
+  let Model: Object
+
+  /**
+   * The run history to test.
+   * @type {RunHistory}
+   */
+  let history: RunHistory
+
+  /**
+   * Create a stubbed query which resolves with a value.
+   * @param {*} value - The value to resolve with.
+   * @returns {Object} - The stubbed query.
+   */
+  function query(value: any): Object {
+    return {
+      sort() {
+        return this
+      },
+      limit() {
+        return this
+      },
+      lean() {
+        return this
+      },
+      exec: () => Promise.resolve(value)
+    }
+  }
+
+  /**
+   * Hook for setting up the RunHistory tests.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    run = {
+      _id: '5f1c2b7e9d3a4e0012a1b2c3',
+      provider: 'YtsProvider',
+      name: 'YTS',
+      contentType: 'movie',
+      status: RunHistory.Statuses.Completed,
+      metrics: RunHistory.createMetrics(),
+      startedAt: 1595678400000,
+      completedAt: 1595678462000
+    }
+    Model = {
+      find: sinon.stub().returns(query([run])),
+      findOne: sinon.stub().returns(query(null)),
+      findOneAndUpdate: sinon.stub().returns(query(run)),
+      aggregate: sinon.stub().returns(query([run]))
+    }
+    history = new RunHistory({
+      Model
+    })
+  })
+
+  /** @test {RunHistory.createMetrics} */
+  it('should create metrics which start at zero', () => {
+    const metrics = RunHistory.createMetrics()
+
+    expect(metrics.torrentsFound).to.equal(0)
+    expect(Object.values(metrics).every(m => m === 0)).to.be.true
+  })
+
+  /** @test {RunHistory#list} */
+  it('should list the runs filtered by name and status', async () => {
+    const runs = await history.list({
+      name: 'YTS',
+      status: 'completed'
+    })
+
+    expect(Model.find.calledWith({
+      name: 'YTS',
+      status: 'completed'
+    })).to.be.true
+    expect(runs[0].duration).to.equal(62000)
+  })
+
+  /** @test {RunHistory#list} */
+  it('should throw an error for an invalid status or limit', async () => {
+    expect(() => history.getQuery({
+      status: 'paused'
+    })).to.throw(TypeError)
+
+    let error
+    try {
+      await history.list({}, 'all')
+    } catch (err) {
+      error = err
+    }
+
+    expect(error).to.be.an.instanceof(TypeError)
+  })
+
+  /** @test {RunHistory#get} */
+  it('should return null for an unknown run', async () => {
+    expect(await history.get('unknown')).to.be.null
+  })
+
+  /** @test {RunHistory#save} */
+  it('should upsert a run by its id', async () => {
+    const { _id, ...rest } = run
+    await history.save(run)
+
+    const [filter, update, options] = Model.findOneAndUpdate.firstCall.args
+    expect(filter).to.deep.equal({
+      _id
+    })
+    expect(update.$set).to.deep.equal(rest)
+    expect(options.upsert).to.be.true
+  })
+})
@@ -0,0 +1,146 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import TorrentPolicy from '../../src/scraper/TorrentPolicy'
+
+/** @test {TorrentPolicy} */
+describe('TorrentPolicy', () => {
+  /**
+   * The number of bytes in a GB.
+   * @type {number}
+   */
+  const GB = 1024 ** 3
+
+  /**
+   * The torrents to rank.
+   * @type {Array<Object>}
+   */
+  const torrents = [{
+    title: 'Movie.2019.1080p.BluRay.x264',
+    quality: '1080p',
+    provider: 'YTS',
+    seeds: 100,
+    size: 2 * GB,
+    url: 'magnet:1'
+  }, {
+    title: 'Movie.2019.1080p.WEB-DL.HEVC',
+    quality: '1080p',
+    provider: 'Zooqle',
+    seeds: 50,
+    size: GB,
+    url: 'magnet:2'
+  }, {
+    title: 'Movie.2019.2160p.BluRay.REMUX.HDR.x265',
+    quality: '2160p',
+    provider: 'Zooqle',
+    seeds: 80,
+    size: 60 * GB,
+    url: 'magnet:3'
+  }, {
+    title: 'Movie.2019.2160p.WEB-DL.DV.x265',
+    quality: '2160p',
+    provider: 'YTS',
+    seeds: 10,
+    size: 15 * GB,
+    url: 'magnet:4'
+  }, {
+    quality: null,
+    seeds: 1000,
+    url: 'magnet:5'
+  }]
+
+  /** @test {TorrentPolicy.getFeatures} */
+  it('should detect the codec, HDR and source of a torrent', () => {
+    expect(TorrentPolicy.getFeatures(torrents[2])).to.deep.equal({
+      codec: 'x265',
+      hdr: 'hdr',
+      source: 'remux'
+    })
+    expect(TorrentPolicy.getFeatures(torrents[3])).to.deep.equal({
+      codec: 'x265',
+      hdr: 'dolbyVision',
+      source: 'webDl'
+    })
+    expect(TorrentPolicy.getFeatures({
+      title: 'Movie.2019.1080p.x264',
+      codec: 'x265',
+      hdr: null,
+      source: 'bluray'
+    })).to.deep.equal({
+      codec: 'x265',
+      hdr: null,
+      source: 'bluray'
+    })
+    expect(TorrentPolicy.getFeatures({})).to.deep.equal({
+      codec: null,
+      hdr: null,
+      source: null
+    })
+  })
+
+  /** @test {TorrentPolicy#rank} */
+  it('should keep the most seeds and the smallest 4K by default', () => {
+    const ranked = new TorrentPolicy().rank(torrents)
+
+    expect(ranked.map(t => t.url)).to.deep.equal([
+      'magnet:1',
+      'magnet:4'
+    ])
+  })
+
+  /** @test {TorrentPolicy#rank} */
+  it('should rank the torrents with the weights', () => {
+    const policy = new TorrentPolicy({
+      keep: 2,
+      weights: {
+        codec: {
+          x265: 1
+        },
+        source: {
+          remux: 2
+        },
+        provider: {
+          Zooqle: 0.5
+        }
+      },
+      qualities: {}
+    })
+
+    expect(policy.rank(torrents).map(t => t.url)).to.deep.equal([
+      'magnet:2',
+      'magnet:1',
+      'magnet:3',
+      'magnet:4'
+    ])
+  })
+
+  /** @test {TorrentPolicy#rank} */
+  it('should keep a torrent listed twice once', () => {
+    const found = {
+      ...torrents[0],
+      seeds: 500
+    }
+    const ranked = new TorrentPolicy({
+      keep: 2
+    }).rank([torrents[0], found])
+
+    expect(ranked).to.have.length(1)
+    expect(ranked[0].seeds).to.equal(100)
+  })
+
+  /** @test {TorrentPolicy#rank} */
+  it('should rank the dead torrents after the others', () => {
+    const dead = {
+      ...torrents[0],
+      seeds: 500,
+      dead: true,
+      url: 'magnet:5'
+    }
+    const ranked = new TorrentPolicy().rank([dead, torrents[1]])
+
+    expect(ranked).to.have.length(1)
+    expect(ranked[0].url).to.equal('magnet:2')
+  })
+})
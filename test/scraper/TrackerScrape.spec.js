@@ -0,0 +1,215 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import dgram from 'dgram'
+import http from 'http'
+import { expect } from 'chai'
+
+import TrackerScrape from '../../src/scraper/TrackerScrape'
+
+/** @test {TrackerScrape} */
+describe('TrackerScrape', () => {
+  /**
+   * The seeders and leechers the trackers know, keyed by the info hash.
+   * @type {Object}
+   */
+  const swarms = {
+    '9228628504cc40efa57bf38e85c9e3bd2c572b5b': {
+      seeds: 12,
+      peers: 3
+    },
+    '0000000000000000000000000000000000000001': {
+      seeds: 0,
+      peers: 1
+    }
+  }
+
+  /**
+   * The connection id the UDP tracker hands out.
+   * @type {Buffer}
+   */
+  const connectionId = Buffer.from('0102030405060708', 'hex')
+
+  /**
+   * The UDP tracker stand-in.
+   * @type {Socket}
+   */
+  let udp: Object
+
+  /**
+   * The HTTP tracker stand-in.
+   * @type {Server}
+   */
+  let server: Object
+
+  /**
+   * The announce url of the UDP tracker.
+   * @type {string}
+   */
+  let udpTracker: string
+
+  /**
+   * The announce url of the HTTP tracker.
+   * @type {string}
+   */
+  let httpTracker: string
+
+  /**
+   * Bencode a value for the HTTP tracker.
+   * @param {!any} value - The value to bencode.
+   * @returns {string} - The bencoded value.
+   */
+  function bencode(value: any): string {
+    if (typeof value === 'number') {
+      return `i${value}e`
+    }
+    if (typeof value === 'string') {
+      return `${Buffer.byteLength(value, 'latin1')}:${value}`
+    }
+
+    return `d${Object.keys(value).sort()
+      .map(key => `${bencode(key)}${bencode(value[key])}`)
+      .join('')}e`
+  }
+
+  /**
+   * Hook for setting up the TrackerScrape tests.
+   * @type {Function}
+   */
+  before(done => {
+    udp = dgram.createSocket('udp4')
+    udp.on('message', (msg, { port, address }) => {
+      const action = msg.readUInt32BE(8)
+      const transactionId = msg.slice(12, 16)
+
+      if (action === TrackerScrape.Actions.Connect) {
+        const res = Buffer.concat([
+          Buffer.alloc(4),
+          transactionId,
+          connectionId
+        ])
+        return udp.send(res, port, address)
+      }
+      if (!msg.slice(0, 8).equals(connectionId)) {
+        const res = Buffer.concat([
+          Buffer.alloc(4),
+          transactionId,
+          Buffer.from('Invalid connection id')
+        ])
+        res.writeUInt32BE(TrackerScrape.Actions.Error, 0)
+
+        return udp.send(res, port, address)
+      }
+
+      const header = Buffer.concat([Buffer.alloc(4), transactionId])
+      header.writeUInt32BE(TrackerScrape.Actions.Scrape, 0)
+
+      const counts = []
+      for (let i = 16; i < msg.length; i += 20) {
+        const swarm = swarms[msg.slice(i, i + 20).toString('hex')] || {
+          seeds: 0,
+          peers: 0
+        }
+        const count = Buffer.alloc(12)
+        count.writeUInt32BE(swarm.seeds, 0)
+        count.writeUInt32BE(swarm.peers, 8)
+
+        counts.push(count)
+      }
+
+      return udp.send(Buffer.concat([header, ...counts]), port, address)
+    })
+
+    server = http.createServer((req, res) => {
+      const hashes = req.url.split('?')[1].split('&')
+        .map(p => unescape(p.split('=')[1]))
+      const files = {}
+
+      hashes.forEach(hash => {
+        const swarm = swarms[Buffer.from(hash, 'latin1').toString('hex')]
+        if (swarm) {
+          files[hash] = {
+            complete: swarm.seeds,
+            downloaded: 0,
+            incomplete: swarm.peers
+          }
+        }
+      })
+
+      res.end(Buffer.from(bencode({
+        files
+      }), 'latin1'))
+    })
+
+    udp.bind(0, '127.0.0.1', () => {
+      udpTracker = `udp://127.0.0.1:${udp.address().port}/announce`
+      server.listen(0, '127.0.0.1', () => {
+        httpTracker = `http://127.0.0.1:${server.address().port}/announce`
+        done()
+      })
+    })
+  })
+
+  /** @test {TrackerScrape.getScrapeUrl} */
+  it('should get the scrape url of an HTTP tracker', () => {
+    expect(TrackerScrape.getScrapeUrl('http://example.com/announce'))
+      .to.equal('http://example.com/scrape')
+    expect(TrackerScrape.getScrapeUrl('http://example.com/x/announce.php?k=1'))
+      .to.equal('http://example.com/x/scrape.php?k=1')
+    expect(TrackerScrape.getScrapeUrl('http://example.com/a')).to.be.null
+  })
+
+  /** @test {TrackerScrape.decode} */
+  it('should decode bencoded values', () => {
+    const { value } = TrackerScrape.decode(Buffer.from('d1:ai-3e1:bl2:xyi0eee'))
+
+    expect(value).to.deep.equal({
+      a: -3,
+      b: ['xy', 0]
+    })
+  })
+
+  /** @test {TrackerScrape#scrape} */
+  it('should scrape a UDP tracker', async () => {
+    const results = await new TrackerScrape()
+      .scrape(udpTracker, Object.keys(swarms))
+
+    expect(results).to.deep.equal(swarms)
+  })
+
+  /** @test {TrackerScrape#scrape} */
+  it('should scrape an HTTP tracker', async () => {
+    const results = await new TrackerScrape().scrape(httpTracker, [
+      ...Object.keys(swarms),
+      '00000000000000000000000000000000000000ff'
+    ])
+
+    expect(results).to.deep.equal(swarms)
+  })
+
+  /** @test {TrackerScrape#scrape} */
+  it('should time out when a tracker does not respond', async () => {
+    const silent = dgram.createSocket('udp4')
+    await new Promise(resolve => silent.bind(0, '127.0.0.1', resolve))
+
+    try {
+      await new TrackerScrape({
+        timeout: 50
+      }).scrape(`udp://127.0.0.1:${silent.address().port}`, Object.keys(swarms))
+      expect.fail('The scrape should time out')
+    } catch (err) {
+      expect(err.code).to.equal('ETIMEDOUT')
+    } finally {
+      silent.close()
+    }
+  })
+
+  /**
+   * Hook for tearing down the TrackerScrape tests.
+   * @type {Function}
+   */
+  after(done => {
+    udp.close()
+    server.close(done)
+  })
+})
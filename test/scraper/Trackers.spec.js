@@ -0,0 +1,137 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import http from 'http'
+import { expect } from 'chai'
+
+import Trackers from '../../src/scraper/Trackers'
+import { logger } from '.'
+
+/** @test {Trackers} */
+describe('Trackers', () => {
+  /**
+   * The server to serve the tracker list.
+   * @type {Server}
+   */
+  let server: Object
+
+  /**
+   * The responses of the server, in order.
+   * @type {Array<Object>}
+   */
+  let responses: Array<Object>
+
+  /**
+   * The url of the server.
+   * @type {string}
+   */
+  let url: string
+
+  /**
+   * Hook for setting up the Trackers tests.
+   * @type {Function}
+   */
+  before(done => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+
+    server = http.createServer((req, res) => {
+      const { status, body } = responses.shift() || {
+        status: 200,
+        body: ''
+      }
+
+      res.statusCode = status
+      res.end(body)
+    })
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/trackers.txt`
+      done()
+    })
+  })
+
+  /**
+   * Hook for resetting the responses.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    responses = []
+  })
+
+  /** @test {Trackers.parse} */
+  it('should parse the valid trackers of a list', () => {
+    expect(Trackers.parse([
+      'udp://tracker.example.com:1337/announce',
+      '',
+      'not a tracker, https://tracker.example.org/announce',
+      'udp://tracker.example.com:1337/announce'
+    ].join('\n'))).to.deep.equal([
+      'udp://tracker.example.com:1337/announce',
+      'https://tracker.example.org/announce'
+    ])
+    expect(Trackers.parse(undefined)).to.deep.equal([])
+  })
+
+  /** @test {Trackers#get} */
+  it('should use the default trackers', () => {
+    const trackers = new Trackers({
+      trackers: [],
+      url: null
+    })
+
+    expect(trackers.get()).to.deep.equal(Trackers.Defaults)
+  })
+
+  /** @test {Trackers#refresh} */
+  it('should add the trackers of the list to the configured trackers', async () => {
+    const trackers = new Trackers({
+      trackers: ['udp://tracker.example.com:1337/announce'],
+      url,
+      limit: 2
+    })
+    responses.push({
+      status: 200,
+      body: [
+        'udp://tracker.example.com:1337/announce',
+        'udp://tracker.example.net:6969/announce',
+        'udp://tracker.example.org:80/announce'
+      ].join('\n\n')
+    })
+
+    expect(await trackers.refresh()).to.deep.equal([
+      'udp://tracker.example.com:1337/announce',
+      'udp://tracker.example.net:6969/announce'
+    ])
+  })
+
+  /** @test {Trackers#refresh} */
+  it('should keep the list when the refresh fails', async () => {
+    const trackers = new Trackers({
+      trackers: ['udp://tracker.example.com:1337/announce'],
+      url
+    })
+    responses.push({
+      status: 500,
+      body: ''
+    }, {
+      status: 200,
+      body: 'nothing here'
+    })
+
+    expect(await trackers.refresh()).to.deep.equal([
+      'udp://tracker.example.com:1337/announce'
+    ])
+    expect(await trackers.refresh()).to.deep.equal([
+      'udp://tracker.example.com:1337/announce'
+    ])
+  })
+
+  /**
+   * Hook for tearing down the Trackers tests.
+   * @type {Function}
+   */
+  after(done => {
+    server.close(done)
+  })
+})
@@ -0,0 +1,61 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import { CircuitBreaker } from '../../../src/scraper/limiter'
+
+/** @test {CircuitBreaker} */
+describe('CircuitBreaker', () => {
+  /**
+   * The circuit breaker to test.
+   * @type {CircuitBreaker}
+   */
+  let circuitBreaker: CircuitBreaker
+
+  /**
+   * Hook for setting up the CircuitBreaker tests.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    circuitBreaker = new CircuitBreaker({
+      threshold: 2,
+      cooldown: 20
+    })
+  })
+
+  /** @test {CircuitBreaker#failure} */
+  it('should open the circuit after too many failures', () => {
+    expect(circuitBreaker.failure()).to.be.false
+    expect(circuitBreaker.isOpen()).to.be.false
+
+    expect(circuitBreaker.failure()).to.be.true
+    expect(circuitBreaker.isOpen()).to.be.true
+    expect(circuitBreaker.state).to.equal(CircuitBreaker.States.Open)
+  })
+
+  /** @test {CircuitBreaker#state} */
+  it('should be half-open after the cooldown', done => {
+    circuitBreaker.open()
+
+    setTimeout(() => {
+      expect(circuitBreaker.state).to.equal(CircuitBreaker.States.HalfOpen)
+
+      // A failure while half-open opens the circuit again
+      expect(circuitBreaker.failure()).to.be.true
+      expect(circuitBreaker.isOpen()).to.be.true
+
+      done()
+    }, 30)
+  })
+
+  /** @test {CircuitBreaker#success} */
+  it('should close the circuit after a success', () => {
+    circuitBreaker.failure()
+    circuitBreaker.success()
+
+    expect(circuitBreaker.failures).to.equal(0)
+    expect(circuitBreaker.failure()).to.be.false
+    expect(circuitBreaker.state).to.equal(CircuitBreaker.States.Closed)
+  })
+})
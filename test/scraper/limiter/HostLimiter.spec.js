@@ -0,0 +1,170 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import sinon from 'sinon'
+import { expect } from 'chai'
+
+import { HostLimiter, limitApi } from '../../../src/scraper/limiter'
+import { logger } from '..'
+
+/** @test {HostLimiter} */
+describe('HostLimiter', () => {
+  /**
+   * The host limiter to test.
+   * @type {HostLimiter}
+   */
+  let hostLimiter: HostLimiter
+
+  /**
+   * Hook for setting up the HostLimiter tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /**
+   * Hook for setting up a new host limiter for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    hostLimiter = new HostLimiter({
+      name: 'test',
+      rate: 100,
+      threshold: 2,
+      cooldown: 1000,
+      maxRetryWait: 100
+    })
+  })
+
+  /** @test {HostLimiter.parseRates} */
+  it('should parse the requests per second of the hosts', () => {
+    expect(HostLimiter.parseRates()).to.deep.equal({})
+    expect(HostLimiter.parseRates('trakt=3, tmdb = 4,omdb=x')).to.deep.equal({
+      trakt: 3,
+      tmdb: 4
+    })
+  })
+
+  /** @test {HostLimiter.getRetryAfter} */
+  it('should get the time to wait from the Retry-After header', () => {
+    expect(HostLimiter.getRetryAfter({
+      headers: {
+        'retry-after': '2'
+      }
+    })).to.equal(2000)
+    expect(HostLimiter.getRetryAfter({
+      response: {
+        headers: {
+          'retry-after': new Date(Date.now() + 60000).toUTCString()
+        }
+      }
+    })).to.be.within(58000, 60000)
+    expect(HostLimiter.getRetryAfter({})).to.be.undefined
+  })
+
+  /** @test {HostLimiter#schedule} */
+  it('should retry a rate limited request after the Retry-After time', async () => {
+    const err = new Error('Too Many Requests')
+    err.statusCode = 429
+    err.headers = {
+      'retry-after': '0.05'
+    }
+
+    const request = sinon.stub()
+    request.onFirstCall().rejects(err)
+    request.onSecondCall().resolves('ok')
+
+    const start = Date.now()
+    const res = await hostLimiter.schedule(request)
+
+    expect(res).to.equal('ok')
+    expect(request.calledTwice).to.be.true
+    expect(Date.now() - start).to.be.at.least(45)
+  })
+
+  /** @test {HostLimiter#schedule} */
+  it('should pause the host when the Retry-After time is too long', async () => {
+    const err = new Error('Too Many Requests')
+    err.statusCode = 429
+    err.headers = {
+      'retry-after': '3600'
+    }
+
+    const request = sinon.stub().rejects(err)
+
+    await hostLimiter.schedule(request).catch(e => expect(e).to.equal(err))
+    expect(hostLimiter.isOpen()).to.be.true
+
+    await hostLimiter.schedule(request).catch(e => {
+      expect(e.code).to.equal(HostLimiter.CircuitOpenCode)
+    })
+    expect(request.calledOnce).to.be.true
+  })
+
+  /** @test {HostLimiter#schedule} */
+  it('should open the circuit after repeated host failures', async () => {
+    const err = new Error('Bad Gateway')
+    err.statusCode = 502
+    const notFound = new Error('Not Found')
+    notFound.statusCode = 404
+
+    const request = sinon.stub().rejects(err)
+
+    await hostLimiter.schedule(request).catch(() => {})
+    await hostLimiter.schedule(sinon.stub().rejects(notFound)).catch(() => {})
+    await hostLimiter.schedule(request).catch(() => {})
+    expect(hostLimiter.isOpen()).to.be.false
+
+    await hostLimiter.schedule(request).catch(() => {})
+    expect(hostLimiter.isOpen()).to.be.true
+  })
+
+  /** @test {HostLimiter#schedule} */
+  it('should observe the duration of the requests', async () => {
+    const observe = sinon.spy()
+    const err = new Error('Not Found')
+    hostLimiter.observe = observe
+
+    await hostLimiter.schedule(sinon.stub().resolves('ok'))
+    await hostLimiter.schedule(sinon.stub().rejects(err)).catch(() => {})
+
+    expect(observe.callCount).to.equal(2)
+    expect(observe.firstCall.args[0]).to.be.a('number')
+    expect(observe.firstCall.args[1]).to.be.undefined
+    expect(observe.secondCall.args[1]).to.equal(err)
+  })
+
+  /** @test {limitApi} */
+  it('should schedule the methods of an API module', async () => {
+    const api = {
+      _secret: 'key',
+      movies: {
+        summary(id) {
+          return Promise.resolve(`${this.prefix}${id}`)
+        },
+        prefix: 'movie-'
+      },
+      search() {
+        return this._get()
+      },
+      _get() {
+        return Promise.resolve(this._secret)
+      }
+    }
+    const limited = limitApi(api, hostLimiter)
+    limited.getAll = limited.search
+
+    const spy = sinon.spy(hostLimiter, 'schedule')
+
+    expect(await limited.movies.summary(1)).to.equal('movie-1')
+    expect(await limited.search()).to.equal('key')
+    expect(await limited.getAll()).to.equal('key')
+    expect(limited._secret).to.equal('key')
+    expect(spy.callCount).to.equal(3)
+
+    spy.restore()
+  })
+})
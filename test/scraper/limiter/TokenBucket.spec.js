@@ -0,0 +1,55 @@
+// Import the necessary modules.
+// @flow
+import { expect } from 'chai'
+
+import { TokenBucket } from '../../../src/scraper/limiter'
+
+/** @test {TokenBucket} */
+describe('TokenBucket', () => {
+  /** @test {TokenBucket#take} */
+  it('should hand out the tokens in a burst', async () => {
+    const tokenBucket = new TokenBucket({
+      rate: 1,
+      burst: 3
+    })
+
+    const start = Date.now()
+    await Promise.all([
+      tokenBucket.take(),
+      tokenBucket.take(),
+      tokenBucket.take()
+    ])
+
+    expect(Date.now() - start).to.be.below(50)
+  })
+
+  /** @test {TokenBucket#take} */
+  it('should throttle the tokens to the rate', async () => {
+    const tokenBucket = new TokenBucket({
+      rate: 20,
+      burst: 1
+    })
+
+    const start = Date.now()
+    await Promise.all([
+      tokenBucket.take(),
+      tokenBucket.take(),
+      tokenBucket.take()
+    ])
+
+    expect(Date.now() - start).to.be.at.least(90)
+  })
+
+  /** @test {TokenBucket#pauseUntil} */
+  it('should not hand out tokens while paused', async () => {
+    const tokenBucket = new TokenBucket({
+      rate: 10
+    })
+    tokenBucket.pauseUntil(Date.now() + 50)
+
+    const start = Date.now()
+    await tokenBucket.take()
+
+    expect(Date.now() - start).to.be.at.least(45)
+  })
+})
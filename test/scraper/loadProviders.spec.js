@@ -0,0 +1,199 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import { join } from 'path'
+import {
+  mkdirSync,
+  unlinkSync,
+  writeFileSync
+} from 'fs'
+
+import loadProviders from '../../src/scraper/loadProviders'
+import { yts } from '../../src/scraper/apiModules'
+import { availableProviders } from '../../src/scraper'
+
+/** @test {loadProviders} */
+describe('loadProviders', () => {
+  /**
+   * The directory to write the config files to.
+   * @type {string}
+   */
+  const tmpDir: string = join(...[
+    process.cwd(),
+    'tmp'
+  ])
+
+  /**
+   * Write a providers config file.
+   * @param {!string} file - The name of the config file.
+   * @param {!string} content - The content of the config file.
+   * @returns {string} - The path to the config file.
+   */
+  function writeConfig(file: string, content: string): string {
+    const path = join(tmpDir, file)
+    writeFileSync(path, content)
+
+    return path
+  }
+
+  /**
+   * Hook for setting up the loadProviders tests.
+   * @type {Function}
+   */
+  before(() => {
+    mkdirSync(tmpDir, {
+      recursive: true
+    })
+  })
+
+  /** @test {loadProviders} */
+  it('should load the default providers without a config file', () => {
+    const providers = loadProviders(availableProviders)
+
+    expect(providers).to.be.an('array')
+    expect(providers.length).to.equal(2)
+    providers.forEach(({ Provider, args }) => {
+      expect(Provider).to.be.a('function')
+      expect(args.maxWebRequests).to.equal(2)
+      expect(args.configs).to.be.an('array')
+    })
+  })
+
+  /** @test {loadProviders} */
+  it('should override and declare configs with a YAML file', () => {
+    const file = writeConfig('providers.yml', [
+      'providers:',
+      '  - name: YtsProvider',
+      '    maxWebRequests: 4',
+      '    ranking:',
+      '      weights:',
+      '        codec:',
+      '          x265: 1',
+      '    configs:',
+      '      - name: YTS',
+      '        query:',
+      '          limit: 20',
+      '      - name: YTS 4K',
+      '        type: movie',
+      '        api: yts',
+      '        query:',
+      '          quality: 2160p',
+      '        regexps:',
+      '          - (.*).(\\d{4})',
+      '        schedules:',
+      '          - cronTime: 0 0 4 * * *',
+      '            timezone: Europe/Amsterdam',
+      '            mode: full',
+      '        ranking:',
+      '          keep: 2',
+      '  - name: EztvProvider',
+      '    enabled: false'
+    ].join('\n'))
+    const providers = loadProviders(availableProviders, file)
+    unlinkSync(file)
+
+    expect(providers.length).to.equal(1)
+
+    const { args } = providers[0]
+    expect(args.maxWebRequests).to.equal(4)
+    expect(args.configs.length).to.equal(2)
+    expect(args.configs[0].query).to.include({
+      page: 1,
+      limit: 20
+    })
+    expect(args.configs[1].name).to.equal('YTS 4K')
+    expect(args.configs[1].api).to.equal(yts)
+    expect(args.configs[1].contentType).to.equal('movie')
+    expect(args.configs[1].Helper).to.be.a('function')
+    expect(args.configs[1].regexps[0].regex).to.be.a('regexp')
+    expect(args.configs[0].schedules.length).to.equal(2)
+    expect(args.configs[1].schedules).to.deep.equal([{
+      cronTime: '0 0 4 * * *',
+      timezone: 'Europe/Amsterdam',
+      mode: 'full'
+    }])
+    expect(args.ranking.weights.codec.x265).to.equal(1)
+    expect(args.configs[1].ranking).to.deep.equal({
+      keep: 2
+    })
+  })
+
+  /** @test {loadProviders} */
+  it('should enable disabled configs with a JSON file', () => {
+    const file = writeConfig('providers.json', JSON.stringify({
+      providers: [{
+        name: 'SolidProvider',
+        enabled: true,
+        configs: [{
+          name: 'SolidTorrents',
+          type: 'movie',
+          enabled: true
+        }]
+      }]
+    }))
+    const providers = loadProviders(availableProviders, file)
+    unlinkSync(file)
+
+    expect(providers.length).to.equal(3)
+    expect(providers[2].args.configs.length).to.equal(2)
+  })
+
+  /** @test {loadProviders} */
+  it('should throw an error listing the invalid settings', () => {
+    const file = writeConfig('invalid.yml', [
+      'providers:',
+      '  - name: FooProvider',
+      '  - name: YtsProvider',
+      '    enabled: yes please',
+      '    maxWebRequests: -1',
+      '    foo: bar',
+      '    schedules:',
+      '      - cronTime: every hour',
+      '        timezone: Mars/Olympus_Mons',
+      '    configs:',
+      '      - name: Unknown',
+      '      - name: YTS',
+      '        mode: sometimes',
+      '        api: trakt',
+      '        retry:',
+      '          maxAttempts: 0',
+      '        regexps:',
+      '          - (.*',
+      '        ranking:',
+      '          keep: 0',
+      '          weights:',
+      '            seeds: many',
+      '            codec:',
+      '              divx: 1',
+      '          qualities:',
+      '            4k:',
+      '              size: -1'
+    ].join('\n'))
+
+    let error
+    try {
+      loadProviders(availableProviders, file)
+    } catch (err) {
+      error = err
+    }
+    unlinkSync(file)
+
+    expect(error).to.be.an('Error')
+    expect(error.message).to.contain('unknown provider \'FooProvider\'')
+    expect(error.message).to.contain('\'enabled\' must be a boolean')
+    expect(error.message).to.contain('\'maxWebRequests\' must be a positive integer')
+    expect(error.message).to.contain('unknown key \'foo\'')
+    expect(error.message).to.contain('no default config \'Unknown\' found')
+    expect(error.message).to.contain('\'mode\' must be one of')
+    expect(error.message).to.contain('\'api\' must be one of \'eztv\', \'solid\', \'yts\', \'zooqle\'')
+    expect(error.message).to.contain('\'retry.maxAttempts\' must be a positive integer')
+    expect(error.message).to.contain('\'regexps[0]\'')
+    expect(error.message).to.contain('\'cronTime\' must be a valid cron expression')
+    expect(error.message).to.contain('\'timezone\' must be a valid timezone')
+    expect(error.message).to.contain('\'keep\' must be a positive integer')
+    expect(error.message).to.contain('\'seeds\' must be a number')
+    expect(error.message).to.contain('unknown key \'divx\'')
+    expect(error.message).to.contain('unknown key \'4k\'')
+  })
+})
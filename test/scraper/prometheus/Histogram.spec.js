@@ -0,0 +1,63 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import { Histogram } from '../../../src/scraper/prometheus'
+
+/** @test {Histogram} */
+describe('Histogram', () => {
+  /**
+   * The histogram to test.
+   * @type {Histogram}
+   */
+  let histogram: Histogram
+
+  /**
+   * Hook for setting up the Histogram tests.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    histogram = new Histogram({
+      name: 'test_duration_seconds',
+      help: 'The duration.',
+      labelNames: ['client'],
+      buckets: [1, 0.1]
+    })
+  })
+
+  /** @test {Histogram#observe} */
+  it('should count the observed values in cumulative buckets', async () => {
+    histogram.observe({
+      client: 'trakt'
+    }, 0.05)
+    histogram.observe({
+      client: 'trakt'
+    }, 0.5)
+    histogram.observe({
+      client: 'trakt'
+    }, 2)
+
+    expect((await histogram.format()).split('\n')).to.deep.equal([
+      '# HELP test_duration_seconds The duration.',
+      '# TYPE test_duration_seconds histogram',
+      'test_duration_seconds_bucket{client="trakt",le="0.1"} 1',
+      'test_duration_seconds_bucket{client="trakt",le="1"} 2',
+      'test_duration_seconds_bucket{client="trakt",le="+Inf"} 3',
+      'test_duration_seconds_sum{client="trakt"} 2.55',
+      'test_duration_seconds_count{client="trakt"} 3'
+    ])
+  })
+
+  /** @test {Histogram#startTimer} */
+  it('should observe the elapsed time of a timer', () => {
+    const stop = histogram.startTimer({
+      client: 'tmdb'
+    })
+    stop()
+
+    const [{ count, sum }] = Array.from(histogram.values.values())
+    expect(count).to.equal(1)
+    expect(sum).to.be.below(1)
+  })
+})
@@ -0,0 +1,101 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+
+import {
+  Counter,
+  Gauge,
+  Registry
+} from '../../../src/scraper/prometheus'
+import { logger } from '..'
+
+/** @test {Registry} */
+describe('Registry', () => {
+  /**
+   * The registry to test.
+   * @type {Registry}
+   */
+  let registry: Registry
+
+  /**
+   * Hook for setting up the Registry tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /**
+   * Hook for setting up a new registry for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    registry = new Registry()
+  })
+
+  /** @test {Registry#format} */
+  it('should format the counters in the text format', async () => {
+    const counter = registry.register(new Counter({
+      name: 'test_pages_total',
+      help: 'The pages.',
+      labelNames: ['provider']
+    }))
+
+    counter.inc({
+      provider: 'YTS'
+    })
+    counter.inc({
+      provider: 'YTS'
+    }, 2)
+    counter.inc({
+      provider: 'say "hi"'
+    })
+
+    expect(await registry.format()).to.equal([
+      '# HELP test_pages_total The pages.',
+      '# TYPE test_pages_total counter',
+      'test_pages_total{provider="YTS"} 3',
+      'test_pages_total{provider="say \\"hi\\""} 1',
+      ''
+    ].join('\n'))
+    expect(() => counter.inc({}, -1)).to.throw(TypeError)
+  })
+
+  /** @test {Registry#register} */
+  it('should not register a metric twice', () => {
+    registry.register(new Counter({
+      name: 'test_total',
+      help: 'The test.'
+    }))
+
+    expect(() => registry.register(new Counter({
+      name: 'test_total',
+      help: 'The test.'
+    }))).to.throw(Error)
+  })
+
+  /** @test {Registry#format} */
+  it('should collect the gauges and leave out the failed ones', async () => {
+    registry.register(new Gauge({
+      name: 'test_stored',
+      help: 'The stored documents.',
+      labelNames: ['model'],
+      collect: gauge => gauge.set({
+        model: 'movie'
+      }, 42)
+    }))
+    registry.register(new Gauge({
+      name: 'test_broken',
+      help: 'A broken gauge.',
+      collect: () => Promise.reject(new Error('No connection'))
+    }))
+
+    const formatted = await registry.format()
+
+    expect(formatted).to.include('test_stored{model="movie"} 42')
+    expect(formatted).to.not.include('test_broken')
+  })
+})
@@ -3,12 +3,12 @@
 /* eslint-disable no-unused-expressions */
 import sinon from 'sinon'
 import { expect } from 'chai'
-import { PopApiScraper } from 'pop-api-scraper'
+import { PopApiScraper } from '@pct-org/pop-api-scraper'
 
 import BaseProvider from '../../../src/scraper/providers/BaseProvider'
-// import { katMovieConfig } from '../../../src/scraper/configs/movieConfigs'
+import FailedModel from '../../../src/models/FailedModel'
 import { logger } from '..'
-import { nyaaCommieConfig } from '../../../src/scraper/configs/showConfigs'
+import { eztvConfig } from '../../../src/scraper/configs/eztvConfigs'
 import { ytsConfig } from '../../../src/scraper/configs/ytsConfigs'
 
 /** @test {BaseProvider} */
@@ -19,6 +19,40 @@ describe('BaseProvider', () => {
    */
   let baseProvider: BaseProvider
 
+  /**
+   * The stubbed API of the provider.
+   * @type {Object}
+   */
+  let api: Object
+
+  /**
+   * Create an error of a failed request.
+   * @param {!number} statusCode - The status code of the response.
+   * @returns {Error} - The error of the request.
+   */
+  function requestError(statusCode: number): Error {
+    const err = new Error(`Response code ${statusCode}`)
+    err.statusCode = statusCode
+
+    return err
+  }
+
+  /**
+   * Set the YTS config with the stubbed API to scrape.
+   * @param {?Object} [retry] - The policy to retry a failed page with.
+   * @returns {undefined}
+   */
+  function setConfig(retry?: Object): void {
+    baseProvider.setConfig({
+      ...ytsConfig,
+      query: {
+        ...ytsConfig.query
+      },
+      api,
+      retry
+    })
+  }
+
   /**
    * Hook for setting up the BaseProvider tests.
    * @type {Function}
@@ -33,6 +67,26 @@ describe('BaseProvider', () => {
     })
   })
 
+  /**
+   * Hook for stubbing the API for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    api = {
+      search: sinon.stub().resolves({
+        results: [{}]
+      })
+    }
+  })
+
+  /**
+   * Hook for restoring the stubs.
+   * @type {Function}
+   */
+  afterEach(() => {
+    sinon.restore()
+  })
+
   /** @test {BaseProvider.Types} */
   it('should check if BaseProvider has a static ContentTypes attributes', () => {
     expect(BaseProvider.ContentTypes).to.exist
@@ -41,7 +95,7 @@ describe('BaseProvider', () => {
 
   /** @test {BaseProvider#_getMovieContent} */
   it('should not get any movie content', done => {
-    baseProvider.setConfig(nyaaCommieConfig)
+    baseProvider.setConfig(eztvConfig)
     const stub = sinon.stub(baseProvider.helper, 'getTraktInfo')
     stub.resolves(null)
 
@@ -59,17 +113,14 @@ describe('BaseProvider', () => {
   })
 
   /** @test {BaseProvider#_getShowContent} */
-  it('should not get any show content', done => {
-    baseProvider.setConfig(nyaaCommieConfig)
-    const stub = sinon.stub(baseProvider.helper, 'getTraktInfo')
-    stub.resolves(null)
+  it('should not get any show content', async () => {
+    baseProvider.setConfig(eztvConfig)
+    sinon.stub(baseProvider.helper, 'getTraktInfo').resolves(null)
 
-    baseProvider._getShowContent({}).then(res => {
-      expect(res).to.be.undefined
-      stub.restore()
+    const res = await baseProvider._getShowContent({})
 
-      done()
-    }).catch(done)
+    expect(res).to.be.undefined
+    expect(baseProvider.helper.getTraktInfo.called).to.be.false
   })
 
   /** @test {BaseProvider#getContent} */
@@ -103,93 +154,83 @@ describe('BaseProvider', () => {
     expect(contentData).to.be.undefined
   })
 
-  /** @test {BaseProvider#attachtTorrent} */
-  it('should throw an error when calling the attachTorrent method', () => {
-    expect(baseProvider.attachTorrent.bind({}, {})).to
-      .throw('Using default method: \'attachTorrent\'')
-  })
-
   /** @test {BaseProvider#getAllContent} */
-  it('should throw an error when calling the getAllContent method', () => {
-    expect(baseProvider.getAllContent.bind({}, {})).to
-      .throw('Using default method: \'getAllContent\'')
-    expect(baseProvider.getAllContent.bind({}, {
-      lang: 'de'
-    })).to.throw('Using default method: \'getAllContent\'')
+  it('should not get any content from faulty torrents', async () => {
+    baseProvider.regexps = [{
+      regex: /\d+/g
+    }]
+
+    const res = await baseProvider.getAllContent({
+      torrents: [null, {
+        title: 'faulty'
+      }]
+    })
+
+    expect(res).to.deep.equal([])
   })
 
   /** @test {BaseProvider#getAllTorrents} */
-  it('should get the results of all the torrents', done => {
-    baseProvider.setConfig(ytsConfig)
-    const stub = sinon.stub(baseProvider.api, 'search')
-    stub.resolves({
-      results: [{}]
-    })
+  it('should get the results of all the torrents', async () => {
+    setConfig()
 
-    baseProvider.getAllTorrents(1).then(res => {
-      expect(res).to.be.an('array')
-      expect(res.length).to.equal(1)
-      stub.restore()
+    const res = await baseProvider.getAllTorrents(1)
 
-      done()
-    }).catch(done)
+    expect(res).to.be.an('array')
+    expect(res.length).to.equal(1)
   })
 
   /** @test {BaseProvider#getAllTorrents} */
-  it('should get no torrents to concatenate', done => {
-    baseProvider.setConfig(ytsConfig)
-    const stub = sinon.stub(baseProvider.api, 'search')
-    stub.resolves([])
+  it('should get no torrents to concatenate', async () => {
+    setConfig()
+    api.search.resolves([])
 
-    baseProvider.getAllTorrents(1).then(res => {
-      expect(res).to.be.an('array')
-      expect(res.length).to.equal(0)
-      stub.restore()
+    const res = await baseProvider.getAllTorrents(1)
 
-      done()
-    }).catch(done)
+    expect(res).to.be.an('array')
+    expect(res.length).to.equal(0)
   })
 
   /**
    * Helper function to test the `getTotalPages` method with different
    * providers.
    * @param {!Object} config - The config to test with.
+   * @param {!Object} res - The response of the API.
    * @returns {undefined}
    */
-  function executeTotalPages(config: Object): void {
+  function executeTotalPages(config: Object, res: Object): void {
     /** @test {BaseProvider#getTotalPages} */
-    it('should return a the number of the total pages to scrape', done => {
-      baseProvider = new BaseProvider(PopApiScraper, {
-        configs: [config]
+    it(`should return the number of the total pages to scrape of '${config.name}'`, async () => {
+      api.search.resolves(res)
+      baseProvider.setConfig({
+        ...config,
+        api
       })
-      baseProvider.setConfig(config)
 
-      baseProvider.getTotalPages().then(res => {
-        expect(res).to.be.a('number')
-        done()
-      }).catch(done)
+      expect(await baseProvider.getTotalPages()).to.equal(3)
     })
   }
 
   [
-    nyaaCommieConfig,
-    // katMovieConfig,
-    ytsConfig
-  ].map(executeTotalPages)
+    [eztvConfig, {
+      total_pages: 3
+    }],
+    [ytsConfig, {
+      data: {
+        movie_count: 120
+      }
+    }]
+  ].map(([config, res]) => executeTotalPages(config, res))
 
   /** @test {BaseProvider#getTotalPages} */
-  it('should return a the number of the total pages to scrape', done => {
-    const stub = sinon.stub(baseProvider.api, 'search')
-    stub.resolves({
-      total_pages: 1
+  it('should return a the number of the total pages to scrape', async () => {
+    setConfig()
+    api.search.resolves({
+      totalPages: 1
     })
 
-    baseProvider.getTotalPages().then(res => {
-      expect(res).to.be.a('number')
-      stub.restore()
+    const res = await baseProvider.getTotalPages()
 
-      done()
-    }).catch(done)
+    expect(res).to.be.a('number')
   })
 
   /** @test {BaseProvider#setConfig} */
@@ -204,6 +245,7 @@ describe('BaseProvider', () => {
     expect(baseProvider.contentType).to.be.a('string')
     expect(baseProvider.helper).to.exist
     expect(baseProvider.helper).to.be.an('object')
+    expect(baseProvider.retryPolicy).to.deep.equal(BaseProvider.RetryPolicy)
     // expect(baseProvider.query).to.exist
     // expect(baseProvider.query).to.be.an('object')
     // expect(baseProvider.regexps).to.exist
@@ -211,30 +253,450 @@ describe('BaseProvider', () => {
   })
 
   /** @test {BaseProvider#scrapeConfig} */
-  it('should not be able to get the total pages to scrape', done => {
-    const stub = sinon.stub(baseProvider, 'getTotalPages')
-    stub.resolves(null)
+  it('should not be able to get the total pages to scrape', async () => {
+    sinon.stub(baseProvider, 'saveRun').resolves()
+    sinon.stub(baseProvider, 'getTotalPages').resolves(null)
 
-    baseProvider.scrapeConfig(ytsConfig).then(res => {
-      expect(res).to.be.undefined
-      stub.restore()
+    const res = await baseProvider.scrapeConfig(ytsConfig)
 
-      done()
-    }).catch(done)
+    expect(res).to.be.undefined
+    expect(baseProvider.saveRun.lastCall.args[1]).to.equal('failed')
   })
 
   /** @test {BaseProvider#scrapeConfig} */
-  it('should throw and catch an error to continue', done => {
-    const stub = sinon.stub(baseProvider, 'getTotalPages')
-    stub.rejects()
+  it('should throw and catch an error to continue', async () => {
+    sinon.stub(baseProvider, 'saveRun').resolves()
+    sinon.stub(baseProvider, 'getTotalPages').rejects(new Error('faulty'))
 
-    baseProvider.scrapeConfig(ytsConfig)
-      .then(done)
-      .catch(err => {
-        expect(err).to.be.undefined
-        stub.restore()
+    const res = await baseProvider.scrapeConfig(ytsConfig)
 
-        done()
+    expect(res).to.be.undefined
+    expect(baseProvider.saveRun.lastCall.args.slice(1)).to.deep.equal([
+      'failed',
+      'faulty'
+    ])
+  })
+
+  /** @test {BaseProvider#getOnePage} */
+  describe('retrying a page', () => {
+    /**
+     * Hook for setting a retry policy with short delays.
+     * @type {Function}
+     */
+    beforeEach(() => {
+      setConfig({
+        maxAttempts: 3,
+        baseDelay: 1,
+        maxDelay: 4
+      })
+    })
+
+    /** @test {BaseProvider#isRetryableError} */
+    it('should only retry the timeouts, server and network errors', () => {
+      const timeout = new Error('timeout')
+      timeout.name = 'TimeoutError'
+      const reset = new Error('socket hang up')
+      reset.code = 'ECONNRESET'
+
+      expect(baseProvider.isRetryableError(timeout)).to.be.true
+      expect(baseProvider.isRetryableError(reset)).to.be.true
+      expect(baseProvider.isRetryableError(requestError(503))).to.be.true
+      expect(baseProvider.isRetryableError(requestError(404))).to.be.false
+      expect(baseProvider.isRetryableError(undefined)).to.be.false
+    })
+
+    /** @test {BaseProvider#getOnePage} */
+    it('should retry a retryable error until the page is found', async () => {
+      api.search.onFirstCall().rejects(requestError(503))
+
+      const res = await baseProvider.getOnePage(1)
+
+      expect(res).to.deep.equal([{}])
+      expect(api.search.calledTwice).to.be.true
+    })
+
+    /** @test {BaseProvider#getOnePage} */
+    it('should retry a retryable error up to the max attempts', async () => {
+      api.search.rejects(requestError(503))
+
+      try {
+        await baseProvider.getOnePage(1)
+        expect.fail('The page should not be found')
+      } catch (err) {
+        expect(err.statusCode).to.equal(503)
+        expect(err.attempts).to.equal(3)
+      }
+
+      expect(api.search.callCount).to.equal(3)
+    })
+
+    /** @test {BaseProvider#getOnePage} */
+    it('should fail a non-retryable error at once', async () => {
+      api.search.rejects(requestError(404))
+      sinon.spy(baseProvider, 'getRetryDelay')
+
+      try {
+        await baseProvider.getOnePage(1)
+        expect.fail('The page should not be found')
+      } catch (err) {
+        expect(err.statusCode).to.equal(404)
+        expect(err.attempts).to.equal(1)
+      }
+
+      expect(api.search.calledOnce).to.be.true
+      expect(baseProvider.getRetryDelay.called).to.be.false
+    })
+
+    /** @test {BaseProvider#getRetryDelay} */
+    it('should double the delay up to the max delay', () => {
+      setConfig({
+        baseDelay: 1000,
+        maxDelay: 30000
+      })
+      const random = sinon.stub(Math, 'random').returns(1)
+
+      expect([1, 2, 3, 4, 5, 6, 7].map(
+        attempt => baseProvider.getRetryDelay(attempt)
+      )).to.deep.equal([1000, 2000, 4000, 8000, 16000, 30000, 30000])
+
+      // The jitter waits at least half of the delay
+      random.returns(0)
+      expect(baseProvider.getRetryDelay(2)).to.equal(1000)
+      expect(baseProvider.getRetryDelay(7)).to.equal(15000)
+    })
+
+    /** @test {BaseProvider#getAllTorrents} */
+    it('should record a page which failed all the attempts', async () => {
+      api.search.callsFake(({ page }) => (page === 2
+        ? Promise.reject(requestError(503))
+        : Promise.resolve({
+          results: [{}]
+        })))
+      sinon.stub(FailedModel, 'findOneAndUpdate').returns({
+        exec: sinon.stub().resolves()
+      })
+
+      const res = await baseProvider.getAllTorrents(2)
+
+      expect(res).to.have.length(1)
+      expect(api.search.callCount).to.equal(4)
+      expect(FailedModel.findOneAndUpdate.calledOnce).to.be.true
+
+      const [query, update] = FailedModel.findOneAndUpdate.firstCall.args
+      expect(query).to.deep.equal({
+        _id: 'YTS:movie:page:2'
+      })
+      expect(update.$set).to.include({
+        provider: 'YTS',
+        contentType: 'movie',
+        type: 'page',
+        ref: '2',
+        error: 'Response code 503'
+      })
+      expect(update.$set.payload).to.deep.equal({
+        page: 2,
+        query: baseProvider.getCheckpointQuery()
+      })
+      expect(update.$inc).to.deep.equal({
+        attempts: 3
+      })
+    })
+  })
+
+  /** @test {BaseProvider#getStartPage} */
+  describe('resuming from a checkpoint', () => {
+    /**
+     * Scrape the YTS config with the stubbed API and storage.
+     * @param {!number} totalPages - The total pages of the query.
+     * @param {?Object} [checkpoint] - The stored checkpoint.
+     * @returns {Promise<Array<Object>, Error>} - The results of the config.
+     */
+    function scrapeConfig(
+      totalPages: number,
+      checkpoint?: Object
+    ): Promise<Array<Object>> {
+      sinon.stub(baseProvider, 'getTotalPages').resolves(totalPages)
+      baseProvider.checkpoints.get.resolves(checkpoint)
+
+      return baseProvider.scrapeConfig({
+        ...ytsConfig,
+        query: {
+          ...ytsConfig.query
+        },
+        mode: BaseProvider.Modes.Full,
+        api
+      })
+    }
+
+    /**
+     * Hook for stubbing the storage of the scrape for every test.
+     * @type {Function}
+     */
+    beforeEach(() => {
+      setConfig()
+
+      sinon.stub(baseProvider.checkpoints, 'get').resolves(undefined)
+      sinon.stub(baseProvider.checkpoints, 'set').resolves()
+      sinon.stub(baseProvider.checkpoints, 'remove').resolves()
+      sinon.stub(baseProvider.completed, 'set').resolves()
+      sinon.stub(baseProvider, 'saveRun').resolves()
+      sinon.stub(baseProvider, 'saveChanges').resolves()
+      sinon.stub(baseProvider, 'notifyScraped').resolves()
+      sinon.stub(baseProvider, 'getFailedPagesTorrents').resolves([])
+      sinon.stub(baseProvider, 'getAllTorrents').resolves([])
+      sinon.stub(baseProvider, 'scrapeTorrents').resolves([])
+    })
+
+    /**
+     * Hook for resetting the cancelled lock.
+     * @type {Function}
+     */
+    afterEach(() => {
+      baseProvider.lockCancelled = false
+    })
+
+    /** @test {BaseProvider#getStartPage} */
+    it('should resume from the page of a stored checkpoint', async () => {
+      baseProvider.checkpoints.get.resolves({
+        page: 20,
+        query: baseProvider.getCheckpointQuery()
+      })
+
+      expect(await baseProvider.getStartPage(50)).to.equal(20)
+      expect(baseProvider.checkpoints.get.firstCall.args[0])
+        .to.equal('YTS:movie')
+    })
+
+    /** @test {BaseProvider#getStartPage} */
+    it('should ignore a checkpoint of another query', async () => {
+      baseProvider.checkpoints.get.resolves({
+        page: 20,
+        query: {
+          ...baseProvider.getCheckpointQuery(),
+          limit: 20
+        }
+      })
+
+      expect(await baseProvider.getStartPage(50)).to.equal(0)
+    })
+
+    /** @test {BaseProvider#getStartPage} */
+    it('should ignore a checkpoint past the total pages', async () => {
+      baseProvider.checkpoints.get.resolves({
+        page: 50,
+        query: baseProvider.getCheckpointQuery()
+      })
+
+      expect(await baseProvider.getStartPage(50)).to.equal(0)
+      expect(await baseProvider.getStartPage(40)).to.equal(0)
+    })
+
+    /** @test {BaseProvider#scrapeConfig} */
+    it('should store a checkpoint after every batch of pages', async () => {
+      await scrapeConfig(25, {
+        page: 10,
+        query: baseProvider.getCheckpointQuery()
+      })
+
+      expect(baseProvider.getAllTorrents.args).to.deep.equal([
+        [25, 10, 20],
+        [25, 20, 25]
+      ])
+      expect(baseProvider.checkpoints.set.args.map(
+        ([key, { page, totalPages }]) => [key, page, totalPages]
+      )).to.deep.equal([
+        ['YTS:movie', 20, 25],
+        ['YTS:movie', 25, 25]
+      ])
+    })
+
+    /** @test {BaseProvider#scrapeConfig} */
+    it('should remove the checkpoint when the config is completed', async () => {
+      await scrapeConfig(5)
+
+      expect(baseProvider.getAllTorrents.args).to.deep.equal([
+        [5, 0, 5]
+      ])
+      expect(baseProvider.checkpoints.remove.calledOnce).to.be.true
+      expect(baseProvider.checkpoints.remove.firstCall.args[0])
+        .to.equal('YTS:movie')
+      expect(baseProvider.completed.set.calledOnce).to.be.true
+      expect(baseProvider.saveRun.lastCall.args[1]).to.equal('completed')
+    })
+
+    /** @test {BaseProvider#scrapeConfig} */
+    it('should not store a checkpoint for a cancelled batch', async () => {
+      baseProvider.getAllTorrents.callsFake(() => {
+        baseProvider.lockCancelled = true
+
+        return Promise.resolve([])
+      })
+
+      await scrapeConfig(25)
+
+      expect(baseProvider.getAllTorrents.calledOnce).to.be.true
+      expect(baseProvider.checkpoints.set.called).to.be.false
+      expect(baseProvider.checkpoints.remove.called).to.be.false
+      expect(baseProvider.completed.set.called).to.be.false
+      expect(baseProvider.saveRun.lastCall.args[1]).to.equal('cancelled')
+    })
+  })
+
+  /** @test {BaseProvider#retryFailed} */
+  describe('scraping the failed pages again', () => {
+    /**
+     * Stub the stored failures of the provider.
+     * @param {!Array<Object>} failed - The stored failures.
+     * @returns {undefined}
+     */
+    function stubFailed(failed: Array<Object>): void {
+      sinon.stub(FailedModel, 'find').returns({
+        lean: () => ({
+          exec: () => Promise.resolve(failed)
+        })
+      })
+    }
+
+    /**
+     * Hook for stubbing the stored failures for every test.
+     * @type {Function}
+     */
+    beforeEach(() => {
+      setConfig()
+
+      sinon.stub(FailedModel, 'deleteOne').returns({
+        exec: sinon.stub().resolves()
+      })
+      sinon.stub(FailedModel, 'findOneAndUpdate').returns({
+        exec: sinon.stub().resolves()
+      })
+      api.search.callsFake(({ page }) => (page === 3
+        ? Promise.reject(requestError(404))
+        : Promise.resolve({
+          results: [{}]
+        })))
+    })
+
+    /** @test {BaseProvider#getFailedPagesTorrents} */
+    it('should get the failed pages of the same query again', async () => {
+      const query = baseProvider.getCheckpointQuery()
+      stubFailed([{
+        _id: 'YTS:movie:page:2',
+        payload: {
+          page: 2,
+          query
+        }
+      }, {
+        _id: 'YTS:movie:page:3',
+        payload: {
+          page: 3,
+          query
+        }
+      }, {
+        _id: 'YTS:movie:page:4',
+        payload: {
+          page: 4,
+          query: {
+            ...query,
+            limit: 20
+          }
+        }
+      }])
+
+      const res = await baseProvider.getFailedPagesTorrents()
+
+      expect(res).to.have.length(1)
+      expect(FailedModel.find.firstCall.args[0]).to.deep.equal({
+        provider: 'YTS',
+        contentType: 'movie',
+        type: 'page'
       })
+      expect(api.search.calledTwice).to.be.true
+
+      // The page which is found again is removed
+      expect(FailedModel.deleteOne.calledOnce).to.be.true
+      expect(FailedModel.deleteOne.firstCall.args[0]).to.deep.equal({
+        _id: 'YTS:movie:page:2'
+      })
+
+      // The page which failed again is kept with another attempt
+      expect(FailedModel.findOneAndUpdate.calledOnce).to.be.true
+      const [id, update] = FailedModel.findOneAndUpdate.firstCall.args
+      expect(id).to.deep.equal({
+        _id: 'YTS:movie:page:3'
+      })
+      expect(update.$set.payload).to.deep.equal({
+        page: 3,
+        query
+      })
+      expect(update.$inc).to.deep.equal({
+        attempts: 1
+      })
+    })
+
+    /** @test {BaseProvider#retryFailed} */
+    it('should retry the failed pages and items of a config', async () => {
+      const content = {
+        slug: 'inception-2010',
+        torrents: []
+      }
+      stubFailed([{
+        _id: 'YTS:movie:page:2',
+        type: 'page',
+        ref: '2',
+        payload: {
+          page: 2,
+          query: baseProvider.getCheckpointQuery()
+        }
+      }, {
+        _id: 'YTS:movie:content:inception-2010',
+        type: 'content',
+        ref: 'inception-2010',
+        payload: content
+      }])
+      sinon.stub(baseProvider, 'scrapeTorrents').resolves([])
+      sinon.stub(baseProvider, 'getContent').rejects(new Error('Not Found'))
+      sinon.stub(baseProvider, 'saveChanges').resolves()
+
+      const summary = await baseProvider.retryFailed({
+        ...ytsConfig,
+        query: {
+          ...ytsConfig.query
+        },
+        api
+      })
+
+      expect(summary).to.deep.equal({
+        succeeded: 1,
+        failed: 1
+      })
+      expect(FailedModel.find.firstCall.args[0]).to.deep.equal({
+        provider: 'YTS',
+        contentType: 'movie'
+      })
+      expect(baseProvider.scrapeTorrents.firstCall.args[0]).to.deep.equal([{}])
+      expect(baseProvider.getContent.firstCall.args[0]).to.equal(content)
+      expect(baseProvider.saveChanges.calledOnce).to.be.true
+
+      expect(FailedModel.deleteOne.calledOnce).to.be.true
+      expect(FailedModel.deleteOne.firstCall.args[0]).to.deep.equal({
+        _id: 'YTS:movie:page:2'
+      })
+
+      expect(FailedModel.findOneAndUpdate.calledOnce).to.be.true
+      const [id, update] = FailedModel.findOneAndUpdate.firstCall.args
+      expect(id).to.deep.equal({
+        _id: 'YTS:movie:content:inception-2010'
+      })
+      expect(update.$set).to.include({
+        type: 'content',
+        ref: 'inception-2010',
+        error: 'Not Found',
+        payload: content
+      })
+      expect(update.$inc).to.deep.equal({
+        attempts: 1
+      })
+    })
   })
 })
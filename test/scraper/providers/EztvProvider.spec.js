@@ -0,0 +1,158 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import EztvProvider from '../../../src/scraper/providers/EztvProvider'
+import RunHistory from '../../../src/scraper/RunHistory'
+import eztvConfigs from '../../../src/scraper/configs/eztvConfigs'
+import { logger } from '..'
+
+/** @test {EztvProvider} */
+describe('EztvProvider', () => {
+  /**
+   * The EztvProvider to test.
+   * @type {EztvProvider}
+   */
+  let eztv: EztvProvider
+
+  /**
+   * The stubbed EZTV API.
+   * @type {Object}
+   */
+  let api: Object
+
+  /**
+   * The shows with their episodes EZTV returns, keyed by the slug.
+   * @type {Object}
+   */
+  let shows: Object
+
+  /**
+   * Create a show with its episodes.
+   * @param {!string} slug - The slug of the show.
+   * @param {!number} episodes - The number of episodes of the first season.
+   * @returns {Object} - The show with its episodes.
+   */
+  function show(slug: string, episodes: number): Object {
+    const season = {}
+    for (let e = 1; e <= episodes; e++) {
+      season[e] = [{
+        url: `magnet:?xt=urn:btih:${slug}${e}&dn=${slug}.S01E0${e}.720p`
+      }]
+    }
+
+    return {
+      slug,
+      episodes: {
+        1: season
+      }
+    }
+  }
+
+  /**
+   * Hook for setting up the EztvProvider tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /**
+   * Hook for setting up a new provider for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    shows = {
+      known: show('known', 2),
+      unchanged: show('unchanged', 1)
+    }
+    api = {
+      getAll: sinon.stub().resolves(Object.keys(shows).map(slug => ({
+        show: slug,
+        id: 1,
+        slug
+      }))),
+      getData: sinon.stub()
+        .callsFake(({ slug }) => Promise.resolve(shows[slug]))
+    }
+
+    eztv = new EztvProvider({}, {
+      configs: eztvConfigs
+    })
+    sinon.stub(eztv, 'saveRun').resolves()
+    sinon.stub(eztv, 'saveChanges').resolves()
+    sinon.stub(eztv, 'notifyScraped').resolves()
+    sinon.stub(eztv, '_isItemBlackListed').resolves(false)
+    sinon.stub(eztv, 'getContent').callsFake(content => Promise.resolve(content))
+    sinon.stub(eztv.completed, 'set').resolves()
+    sinon.stub(eztv.completed, 'get').resolves({
+      startedAt: Date.now() - 60 * 60 * 1000,
+      torrents: {
+        known: 1,
+        unchanged: 1
+      }
+    })
+  })
+
+  /** @test {EztvProvider#countTorrents} */
+  it('should count the torrents of the episodes of a show', () => {
+    const content = show('show', 3)
+    content.episodes[1][1].push({
+      url: 'magnet:?xt=urn:btih:other'
+    })
+
+    expect(eztv.countTorrents(content)).to.equal(4)
+    expect(eztv.countTorrents({})).to.equal(0)
+  })
+
+  /** @test {EztvProvider#scrapeConfig} */
+  it('should save a known show which gained an episode', async () => {
+    const results = await eztv.scrapeConfig({
+      ...eztvConfigs[0],
+      api
+    })
+
+    expect(api.getData.calledTwice).to.be.true
+    expect(eztv.getContent.calledOnce).to.be.true
+    expect(eztv.getContent.firstCall.args[0].slug).to.equal('known')
+    expect(results.filter(Boolean)).to.have.length(1)
+    expect(eztv.completed.set.firstCall.args[1].torrents).to.deep.equal({
+      known: 2,
+      unchanged: 1
+    })
+  })
+
+  /** @test {EztvProvider#scrapeConfig} */
+  it('should save all the shows without a completed scrape', async () => {
+    eztv.completed.get.resolves(undefined)
+
+    await eztv.scrapeConfig({
+      ...eztvConfigs[0],
+      api
+    })
+
+    expect(eztv.getContent.calledTwice).to.be.true
+  })
+
+  /** @test {EztvProvider#scrapeConfig} */
+  it('should log and store a failed run when EZTV cannot be listed', async () => {
+    api.getAll.rejects(new Error('Service Unavailable'))
+
+    const results = await eztv.scrapeConfig({
+      ...eztvConfigs[0],
+      api
+    })
+
+    expect(results).to.be.undefined
+    expect(eztv.saveRun.calledWith(
+      sinon.match.number,
+      RunHistory.Statuses.Failed,
+      'Service Unavailable'
+    )).to.be.true
+    expect(eztv.completed.set.called).to.be.false
+  })
+})
@@ -0,0 +1,141 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import BaseProvider from '../../../src/scraper/providers/BaseProvider'
+import SolidProvider from '../../../src/scraper/providers/SolidProvider'
+import TorrentPolicy from '../../../src/scraper/TorrentPolicy'
+import solidConfigs from '../../../src/scraper/configs/solidConfigs'
+import { logger } from '..'
+
+/** @test {SolidProvider} */
+describe('SolidProvider', () => {
+  /**
+   * The SolidProvider to test.
+   * @type {SolidProvider}
+   */
+  let solid: SolidProvider
+
+  /**
+   * Create a torrent of SolidTorrents.
+   * @param {!string} title - The title of the torrent.
+   * @param {?number} [seeders=10] - The seeders of the torrent.
+   * @returns {Object} - The torrent.
+   */
+  function torrent(title: string, seeders: number = 10): Object {
+    return {
+      title,
+      size: 1024,
+      seeders,
+      leechers: 1,
+      magnet: `magnet:?xt=urn:btih:${title}`
+    }
+  }
+
+  /**
+   * Hook for setting up the SolidProvider tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+
+    solid = new SolidProvider({}, {
+      configs: solidConfigs
+    })
+    solid.setConfig(solidConfigs[0])
+  })
+
+  /** @test {SolidProvider#extractContent} */
+  it('should get the quality from the name of the release', () => {
+    const uhd = solid.getContentData({
+      torrent: torrent('Movie.2019.2160p.UHD.BluRay.HDR.x265-GROUP')
+    })
+    const hd = solid.getContentData({
+      torrent: torrent('Movie.2019.4K.Remastered.1080p.BluRay.x264-GROUP')
+    })
+
+    expect(uhd.torrents[0]).to.include({
+      quality: '2160p',
+      uhd: 'native',
+      hdr: 'hdr'
+    })
+    expect(hd.torrents[0]).to.include({
+      quality: '1080p',
+      uhd: null
+    })
+  })
+
+  /** @test {SolidProvider#extractContent} */
+  it('should drop a torrent without a known resolution', () => {
+    expect(solid.getContentData({
+      torrent: torrent('Movie.2019.576p.DVDRip.x264')
+    })).to.be.undefined
+  })
+
+  /** @test {TorrentPolicy.getBucket} */
+  it('should rank the upscaled and SDR releases apart', () => {
+    const ranked = new TorrentPolicy().rank([
+      'Movie.2019.2160p.WEB-DL.HDR.x265-GROUP',
+      'Movie.2019.2160p.WEB-DL.x265-GROUP',
+      'Movie.2019.2160p.WEB-DL.x265-OTHER',
+      'Movie.2019.2160p.AI.Upscaled.x265-GROUP'
+    ].map(title => solid.getContentData({
+      torrent: torrent(title)
+    }).torrents[0]))
+
+    expect(ranked.map(t => TorrentPolicy.getBucket(t))).to.deep.equal([
+      '2160p',
+      '2160p:sdr',
+      '2160p:upscaled'
+    ])
+    expect(TorrentPolicy.getBucket({
+      quality: '2160p',
+      uhd: 'nameOnly',
+      hdr: 'hdr'
+    })).to.equal('2160p:nameOnly')
+  })
+
+  /** @test {SolidProvider#getAllTorrents} */
+  it('should fetch every range of pages once', async () => {
+    const stub = sinon.stub(BaseProvider.prototype, 'getAllTorrents')
+      .callsFake((totalPages, startPage, endPage) => Promise.resolve([
+        torrent(`Show.S01E0${startPage + 1}.2160p-${endPage}`)
+      ]))
+
+    try {
+      const first = await solid.getAllTorrents(20, 0, 10)
+      const second = await solid.getAllTorrents(20, 10, 20)
+      const cached = await solid.getAllTorrents(20, 0, 10)
+
+      expect(stub.calledTwice).to.be.true
+      expect(stub.secondCall.args).to.deep.equal([20, 10, 20])
+      expect(first).to.not.deep.equal(second)
+      expect(cached).to.equal(first)
+    } finally {
+      stub.restore()
+    }
+  })
+
+  /** @test {SolidProvider#scrapeConfig} */
+  it('should rank the torrents with the policy of the config', async () => {
+    const provider = new SolidProvider({}, {
+      configs: solidConfigs
+    })
+    sinon.stub(provider, 'saveRun').resolves()
+    sinon.stub(provider, 'getTotalPages').resolves(0)
+
+    await provider.scrapeConfig({
+      ...solidConfigs[1],
+      ranking: {
+        keep: 3
+      }
+    })
+
+    expect(provider.helper.policy.keep).to.equal(3)
+    expect(provider.getTotalPages.calledOnce).to.be.true
+  })
+})
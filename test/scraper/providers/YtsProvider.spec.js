@@ -3,16 +3,11 @@
 /* eslint-disable no-unused-expressions */
 import sinon from 'sinon'
 import { expect } from 'chai'
-import {
-  Database,
-  PopApi
-} from 'pop-api'
-import { PopApiScraper } from 'pop-api-scraper'
+import { PopApiScraper } from '@pct-org/pop-api-scraper'
 
 import YtsProvider from '../../../src/scraper/providers/YtsProvider'
 import { logger } from '..'
 import { ytsConfig } from '../../../src/scraper/configs/ytsConfigs'
-import { name } from '../../../package.json'
 
 /** @test {YtsProvider} */
 describe('YtsProvider', () => {
@@ -23,10 +18,10 @@ describe('YtsProvider', () => {
   let ytsProvider: YtsProvider
 
   /**
-   * The database middleware from 'pop-api'.
-   * @type {Database}
+   * The stubbed YTS API.
+   * @type {Object}
    */
-  let database: Database
+  let api: Object
 
   /**
    * The torrent object to test with.
@@ -38,7 +33,7 @@ describe('YtsProvider', () => {
    * Hook for setting up the YtsProvider tests.
    * @type {Function}
    */
-  before(done => {
+  before(() => {
     if (!global.logger) {
       global.logger = logger
     }
@@ -52,13 +47,45 @@ describe('YtsProvider', () => {
       size: '700 Mb',
       size_bytes: 123456789
     }
+  })
 
-    database = new Database(PopApi, {
-      database: name
-    })
-    database.connect()
-      .then(() => done())
-      .catch(done)
+  /**
+   * Hook for stubbing the YTS API and the database for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    api = {
+      search: sinon.stub().resolves({
+        data: {
+          movie_count: 2,
+          movies: [{
+            title: 'Inception',
+            imdb_code: 'tt1375666',
+            year: 2010,
+            language: 'english',
+            torrents: [torrent]
+          }, {
+            title: 'Interstellar',
+            imdb_code: 'tt0816692',
+            year: 2014,
+            language: 'english',
+            torrents: [torrent]
+          }]
+        }
+      })
+    }
+
+    sinon.stub(ytsProvider, 'saveChanges').resolves()
+    sinon.stub(ytsProvider, 'getContent')
+      .callsFake(content => Promise.resolve(content))
+  })
+
+  /**
+   * Hook for restoring the stubs.
+   * @type {Function}
+   */
+  afterEach(() => {
+    sinon.restore()
   })
 
   /** @test {YtsProvider#extractContent} */
@@ -97,34 +124,52 @@ describe('YtsProvider', () => {
   })
 
   /** @test {YtsProvider#scrapeConfig} */
-  it('should return a list of all the inserted torrents', done => {
-    const stub = sinon.stub(ytsProvider, 'getTotalPages')
-    stub.resolves(1)
-
-    // const apiStub = sinon.stub(ytsProvider.api, 'search')
-    // stub.resolves()
-
-    ytsProvider.scrapeConfig(ytsConfig).then(res => {
-      if (res) {
-        expect(res).to.be.an('array')
-        expect(res.length).to.be.at.least(1)
-      } else {
-        expect(true).to.be.false
-      }
-      stub.restore()
-      // apiStub.restore()
+  it('should return a list of all the inserted torrents', async () => {
+    sinon.stub(ytsProvider, 'saveRun').resolves()
+    sinon.stub(ytsProvider, 'notifyScraped').resolves()
+    sinon.stub(ytsProvider, 'getFailedPagesTorrents').resolves([])
+    sinon.stub(ytsProvider, '_isItemBlackListed').resolves(false)
+    sinon.stub(ytsProvider.checkpoints, 'get').resolves(undefined)
+    sinon.stub(ytsProvider.checkpoints, 'set').resolves()
+    sinon.stub(ytsProvider.checkpoints, 'remove').resolves()
+    sinon.stub(ytsProvider.completed, 'set').resolves()
+
+    const res = await ytsProvider.scrapeConfig({
+      ...ytsConfig,
+      mode: YtsProvider.Modes.Full,
+      api
+    })
 
-      done()
-    }).catch(done)
+    expect(res).to.be.an('array')
+    expect(res.length).to.equal(2)
   })
 
-  /**
-   * Hook for tearing down the YtsProvider tests.
-   * @type {Function}
-   */
-  after(done => {
-    database.disconnect()
-      .then(() => done())
-      .catch(done)
+  /** @test {YtsProvider#getRefreshQuery} */
+  it('should search the title to refresh with its imdb id', async () => {
+    const saved = await ytsProvider.refresh({
+      ...ytsConfig,
+      api
+    }, {
+      title: 'Inception',
+      imdb: 'tt1375666',
+      slug: 'inception-2010'
+    })
+
+    expect(api.search.calledOnce).to.be.true
+    expect(api.search.firstCall.args[0]).to.deep.equal({
+      ...ytsConfig.query,
+      page: 1,
+      queryTerm: 'tt1375666'
+    })
+    expect(saved.map(m => m.slug)).to.deep.equal(['tt1375666'])
+  })
+
+  /** @test {YtsProvider#getRefreshQuery} */
+  it('should search the title to refresh without an imdb id', () => {
+    ytsProvider.setConfig(ytsConfig)
+
+    expect(ytsProvider.getRefreshQuery({
+      title: 'Inception'
+    }).queryTerm).to.equal('Inception')
   })
 })
@@ -0,0 +1,123 @@
+// Import the necessary modules.
+// @flow
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai'
+import sinon from 'sinon'
+
+import ZooqleProvider from '../../../src/scraper/providers/ZooqleProvider'
+import zooqleConfigs from '../../../src/scraper/configs/zooqleConfigs'
+import { logger } from '..'
+
+/** @test {ZooqleProvider} */
+describe('ZooqleProvider', () => {
+  /**
+   * The ZooqleProvider to test.
+   * @type {ZooqleProvider}
+   */
+  let zooqle: ZooqleProvider
+
+  /**
+   * The stubbed Zooqle API.
+   * @type {Object}
+   */
+  let api: Object
+
+  /**
+   * Hook for setting up the ZooqleProvider tests.
+   * @type {Function}
+   */
+  before(() => {
+    if (!global.logger) {
+      global.logger = logger
+    }
+  })
+
+  /**
+   * Hook for setting up a new provider for every test.
+   * @type {Function}
+   */
+  beforeEach(() => {
+    api = {
+      search: sinon.stub().callsFake((query, [pg]) => {
+        if (pg === 'pg=2') {
+          return Promise.reject(new Error('Not Found'))
+        }
+
+        return Promise.resolve({
+          searchResponse: {
+            searchResults: [{
+              title: `Movie.2019.2160p.${pg}`
+            }]
+          }
+        })
+      })
+    }
+
+    zooqle = new ZooqleProvider({}, {
+      configs: zooqleConfigs
+    })
+    zooqle.setConfig({
+      ...zooqleConfigs[0],
+      api
+    })
+    sinon.stub(zooqle, 'recordFailed').resolves()
+  })
+
+  /** @test {ZooqleProvider#getAllTorrents} */
+  it('should get every page and record the failed pages', async () => {
+    const torrents = await zooqle.getAllTorrents(3)
+
+    expect(api.search.firstCall.args).to.deep.equal([
+      '2160p category:Movies',
+      ['pg=1'],
+      ['movie']
+    ])
+    expect(torrents.map(t => t.title)).to.deep.equal([
+      'Movie.2019.2160p.pg=1',
+      'Movie.2019.2160p.pg=3'
+    ])
+    expect(zooqle.metrics.pagesFetched).to.equal(2)
+    expect(zooqle.metrics.pageErrors).to.equal(1)
+    expect(zooqle.recordFailed.firstCall.args[1]).to.equal('2')
+  })
+
+  /** @test {ZooqleProvider#getAllTorrents} */
+  it('should stop getting pages when the scrape is cancelled', async () => {
+    sinon.stub(zooqle, 'isCancelled').callsFake(() => api.search.calledOnce)
+
+    const torrents = await zooqle.getAllTorrents(3)
+
+    expect(api.search.calledOnce).to.be.true
+    expect(torrents).to.have.length(1)
+  })
+
+  /** @test {ZooqleProvider#getAllTorrents} */
+  it('should stop getting pages after the content of the last scrape', async () => {
+    zooqle.reachedSince = true
+
+    const torrents = await zooqle.getAllTorrents(3)
+
+    expect(api.search.called).to.be.false
+    expect(torrents).to.be.empty
+  })
+
+  /** @test {ZooqleProvider#scrapeLockedConfig} */
+  it('should stop when the scrape is cancelled on another instance', async () => {
+    zooqle.lock = {
+      acquire: sinon.stub().callsFake((key, onLost, onCancel) => {
+        onCancel(key)
+        return Promise.resolve(true)
+      }),
+      release: sinon.stub().resolves()
+    }
+
+    await zooqle.scrapeLockedConfig({
+      ...zooqleConfigs[0],
+      api
+    })
+
+    expect(zooqle.isCancelled()).to.be.true
+    expect(api.search.called).to.be.false
+    expect(zooqle.lock.release.calledOnce).to.be.true
+  })
+})